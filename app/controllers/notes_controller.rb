@@ -131,6 +131,43 @@ class NotesController < ApplicationController
     end
   end
 
+  def backlinks
+    results = Note.backlinks(params[:path].to_s, context_lines: 1)
+
+    respond_to do |format|
+      format.html { render partial: "notes/backlinks", locals: { results: results }, layout: false }
+      format.json { render json: results }
+    end
+  end
+
+  # POST /notes/*path/attachments
+  # Save a file dropped into the editor next to the note
+  def attach
+    file = params[:file]
+    unless file.respond_to?(:original_filename)
+      return render json: { error: t("errors.no_file_upload") }, status: :unprocessable_entity
+    end
+
+    path = Note.service.save_attachment(Note.normalize_path(params[:path]), file.original_filename, file)
+    render json: { path: path }, status: :created
+  rescue NotesService::NotFoundError
+    render json: { error: t("errors.note_not_found") }, status: :not_found
+  rescue NotesService::InvalidPathError => e
+    render json: { error: e.message }, status: :unprocessable_entity
+  end
+
+  # GET /note_assets/*path
+  # Serve images and other media stored next to notes (e.g. in Hugo page bundles)
+  def asset
+    full_path = Note.service.asset(params[:path].to_s)
+
+    # An SVG opened directly from the app must not run scripts
+    response.headers["Content-Security-Policy"] = "default-src 'none'; style-src 'unsafe-inline'" if full_path.extname.casecmp?(".svg")
+    send_file full_path, disposition: "inline"
+  rescue NotesService::NotFoundError, NotesService::InvalidPathError
+    head :not_found
+  end
+
   private
 
   def json_request?
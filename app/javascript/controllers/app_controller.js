@@ -3,8 +3,10 @@ import { get, patch } from "@rails/request.js"
 import { marked } from "marked"
 import { escapeHtml } from "lib/text_utils"
 import { findTableAtPosition, findCodeBlockAtPosition } from "lib/markdown_utils"
-import { allExtensions } from "lib/marked_extensions"
+import { markedOptions } from "lib/marked_extensions"
 import { encodePath } from "lib/url_utils"
+import { setWikiLinkNotes, findHeadingLine } from "lib/wiki_links"
+import { findTaskLine, setTaskChecked } from "lib/task_list"
 import {
   DEFAULT_SHORTCUTS,
   createKeyHandler,
@@ -18,6 +20,7 @@ import {
   insertCodeBlock,
   insertVideoEmbed
 } from "lib/codemirror_content_insertion"
+import { isNoteDrag, draggedNotePath } from "lib/note_drag"
 export default class extends Controller {
   static targets = [
     "fileTree",
@@ -43,7 +46,8 @@ export default class extends Controller {
     "autosave", "scroll-sync", "editor-config",
     "image-picker", "file-finder", "find-replace", "jump-to-line",
     "content-search", "ai-grammar", "video-dialog", "log-viewer",
-    "code-dialog", "customize", "drag-drop"
+    "code-dialog", "customize", "drag-drop", "backlinks", "tabs",
+    "split-view"
   ]
 
   static values = {
@@ -56,6 +60,10 @@ export default class extends Controller {
     this.currentFileType = null  // "markdown", "config", or null
     this.expandedFolders = new Set()
 
+    // Notes in background tabs: path -> { editor, fileType }, where editor is
+    // the CodeMirror snapshot (undo history, selection, scroll)
+    this.tabStates = new Map()
+
     // Sidebar/Explorer visibility - always start visible
     // (don't persist closed state across sessions)
     this.sidebarVisible = true
@@ -72,13 +80,15 @@ export default class extends Controller {
     this.initializeTypewriterMode()
     this.setupConfigFileListener()
     this.setupTableEditorListener()
+    this.setupTranslationsListener()
 
     // Configure marked with custom extensions for superscript, subscript, highlight, emoji
-    marked.use({
-      breaks: true,
-      gfm: true,
-      extensions: allExtensions
-    })
+    marked.use(markedOptions)
+
+    // [[wiki links]] resolve against the notes in the file tree, which is
+    // replaced both by refreshTree() and by Turbo Stream file operations
+    this.updateWikiLinkNotes()
+    this.setupFileTreeObserver()
 
     // Setup browser history handling for back/forward buttons
     this.setupHistoryHandling()
@@ -98,6 +108,11 @@ export default class extends Controller {
     this._completeInitialLoad()
   }
 
+  // The tab strip may connect after the initial note was shown
+  tabsOutletConnected(tabs) {
+    if (this.currentFile) tabs.open(this.currentFile)
+  }
+
   _preloadInitialContent() {
     if (!this.hasInitialNoteValue) return
 
@@ -146,9 +161,15 @@ export default class extends Controller {
     if (this.boundConfigFileHandler) {
       window.removeEventListener("frankmd:config-file-modified", this.boundConfigFileHandler)
     }
+    if (this.boundTranslationsHandler) {
+      window.removeEventListener("frankmd:translations-loaded", this.boundTranslationsHandler)
+    }
     if (this.boundKeydownHandler) {
       document.removeEventListener("keydown", this.boundKeydownHandler)
     }
+    if (this.fileTreeObserver) {
+      this.fileTreeObserver.disconnect()
+    }
 
     // Clean up object URLs to prevent memory leaks
     this.cleanupLocalFolderImages()
@@ -170,6 +191,7 @@ export default class extends Controller {
   getTextFormatController() { return this.textFormatOutlets[0] ?? null }
   getHelpController() { return this.helpOutlets[0] ?? null }
   getStatsPanelController() { return this.statsPanelOutlets[0] ?? null }
+  getBacklinksController() { return this.backlinksOutlets[0] ?? null }
   getFileOperationsController() { return this.fileOperationsOutlets[0] ?? null }
   getEmojiPickerController() { return this.emojiPickerOutlets[0] ?? null }
   getOfflineBackupController() { return this.offlineBackupOutlets[0] ?? null }
@@ -177,6 +199,8 @@ export default class extends Controller {
   getAutosaveController() { return this.autosaveOutlets[0] ?? null }
   getScrollSyncController() { return this.scrollSyncOutlets[0] ?? null }
   getEditorConfigController() { return this.editorConfigOutlets[0] ?? null }
+  getTabsController() { return this.tabsOutlets[0] ?? null }
+  getSplitViewController() { return this.splitViewOutlets[0] ?? null }
 
   // === URL Management for Bookmarkable URLs ===
 
@@ -189,6 +213,7 @@ export default class extends Controller {
       if (exists && content !== null) {
         // File exists - load it directly from server-provided data
         this.currentFile = path
+        this.getTabsController()?.open(path)
         const fileType = this.getFileType(path)
         const displayPath = fileType === "markdown" ? path.replace(/\.md$/, "") : path
         this.updatePathDisplay(displayPath)
@@ -246,14 +271,9 @@ export default class extends Controller {
       if (path) {
         await this.loadFile(path, { updateHistory: false })
       } else {
-        // No file - show placeholder
-        this.currentFile = null
-        this.updatePathDisplay(null)
-        this.editorPlaceholderTarget.classList.remove("hidden")
-        this.editorTarget.classList.add("hidden")
-        this.editorToolbarTarget.classList.add("hidden")
-        this.editorToolbarTarget.classList.remove("flex")
-        this.hideStatsPanel()
+        // No file - show placeholder, keeping the note's tab
+        this.stashCurrentTab()
+        this.showPlaceholder()
         this.refreshTree()
       }
     }
@@ -316,6 +336,8 @@ export default class extends Controller {
   async onItemMoved(event) {
     const { oldPath, newPath, type } = event.detail
 
+    this.renameTabs(oldPath, newPath)
+
     // Update current file reference if it was moved
     if (this.currentFile === oldPath) {
       this.currentFile = newPath
@@ -325,6 +347,9 @@ export default class extends Controller {
       this.currentFile = this.currentFile.replace(oldPath, newPath)
       this.updatePathDisplay(this.currentFile.replace(/\.md$/, ""))
     }
+    this.updateBacklinks()
+    this.updateEditorLint()
+    this.updatePreview() // Relative image paths follow the note
 
     // Expand the target folder
     const targetFolder = newPath.split("/").slice(0, -1).join("/")
@@ -344,10 +369,33 @@ export default class extends Controller {
   async loadFile(path, options = {}) {
     const { updateHistory = true } = options
 
+    // Notes open in a tab come back as they were left
+    if (path === this.currentFile || this.tabStates.has(path)) {
+      if (path !== this.currentFile) this.showTab(path)
+      if (updateHistory) this.updateUrl(path)
+      return
+    }
+
+    // A note open on its own in the split pane moves here with its unsaved
+    // changes, and the pane shows it linked to this editor
+    const released = this.getSplitViewController()?.release(path)
+    if (released) {
+      this.showNote(path, released.content, released)
+      if (updateHistory) this.updateUrl(path)
+      return
+    }
+
     try {
       const response = await get(`/notes/${encodePath(path)}`, { responseKind: "json" })
 
       if (!response.ok) {
+        const tabs = this.getTabsController()
+        if (response.statusCode === 404 && tabs?.has(path)) {
+          // A tab kept from an earlier session, for a note that is gone
+          tabs.remove(path)
+          this.showTemporaryMessage(window.t("errors.note_not_found"))
+          return
+        }
         if (response.statusCode === 404) {
           this.showFileNotFoundMessage(path, window.t("errors.note_not_found"))
           if (updateHistory) {
@@ -359,18 +407,7 @@ export default class extends Controller {
       }
 
       const data = await response.json
-      this.currentFile = path
-      const fileType = this.getFileType(path)
-
-      // Display path (don't strip extension for non-markdown files)
-      const displayPath = fileType === "markdown" ? path.replace(/\.md$/, "") : path
-      this.updatePathDisplay(displayPath)
-
-      // Expand parent folders in tree
-      this.expandParentFolders(path)
-
-      this.showEditor(data.content, fileType)
-      this.refreshTree()
+      this.showNote(path, data.content)
 
       // Update URL for bookmarkability
       if (updateHistory) {
@@ -383,28 +420,54 @@ export default class extends Controller {
     }
   }
 
-  showEditor(content, fileType = "markdown") {
-    this.currentFileType = fileType
-    this.editorPlaceholderTarget.classList.add("hidden")
-    this.editorTarget.classList.remove("hidden")
+  // Open a note in a new tab. savedFile carries the save state of a note
+  // handed over by the split pane (see autosave#releaseFile)
+  showNote(path, content, savedFile = null) {
+    this.stashCurrentTab()
+    this.currentFile = path
+    this.getTabsController()?.open(path)
+    const fileType = this.getFileType(path)
+
+    // Display path (don't strip extension for non-markdown files)
+    const displayPath = fileType === "markdown" ? path.replace(/\.md$/, "") : path
+    this.updatePathDisplay(displayPath)
+
+    // Expand parent folders in tree
+    this.expandParentFolders(path)
 
+    this.showEditor(content, fileType, savedFile)
+    this.refreshTree()
+  }
+
+  showEditor(content, fileType = "markdown", savedFile = null) {
     // Delegate persistence tracking to autosave controller
     const autosave = this.getAutosaveController()
-    if (autosave) {
+    if (autosave && savedFile) {
+      autosave.adoptFile(this.currentFile, savedFile)
+    } else if (autosave) {
       autosave.setFile(this.currentFile, content)
       autosave.checkOfflineBackup(content)
     }
 
-    // Set content via CodeMirror controller
+    // Set content via CodeMirror controller (a new document, with its own undo history)
     const codemirrorController = this.getCodemirrorController()
     if (codemirrorController) {
-      codemirrorController.setValue(content)
+      codemirrorController.openDocument(content)
       codemirrorController.focus()
     } else {
       // Fallback to hidden textarea
       this.textareaTarget.value = content
     }
 
+    this.showOpenFile(fileType)
+  }
+
+  // Editor, toolbar, preview and panels for the file in the editor
+  showOpenFile(fileType) {
+    this.currentFileType = fileType
+    this.editorPlaceholderTarget.classList.add("hidden")
+    this.editorTarget.classList.remove("hidden")
+
     // Only show toolbar and preview for markdown files
     const isMarkdown = fileType === "markdown"
 
@@ -425,8 +488,198 @@ export default class extends Controller {
     // Show stats panel and update stats
     this.showStatsPanel()
     this.updateStats()
+    this.updateBacklinks()
+    this.updateEditorLint()
     // Apply editor settings (font, size, line numbers)
     this.applyEditorSettings()
+    this.syncSplitView()
+  }
+
+  // No file open: the placeholder instead of the editor
+  showPlaceholder() {
+    this.currentFile = null
+    this.currentFileType = null
+    this.getTabsController()?.activate(null)
+    this.updatePathDisplay(null)
+    this.editorPlaceholderTarget.classList.remove("hidden")
+    this.editorTarget.classList.add("hidden")
+    this.editorToolbarTarget.classList.add("hidden")
+    this.editorToolbarTarget.classList.remove("flex")
+    this.hideStatsPanel()
+    this.updateBacklinks()
+    this.updateEditorLint()
+    this.syncSplitView()
+  }
+
+  // === Tabs ===
+
+  // Show a note from a background tab, with its undo history, selection and scroll
+  showTab(path) {
+    const tab = this.tabStates.get(path)
+    this.stashCurrentTab()
+    this.tabStates.delete(path)
+
+    this.currentFile = path
+    this.getTabsController()?.activate(path)
+    this.getAutosaveController()?.restoreFile(path)
+
+    const codemirrorController = this.getCodemirrorController()
+    if (codemirrorController) {
+      codemirrorController.restoreState(tab.editor)
+      codemirrorController.focus()
+    }
+
+    this.updatePathDisplay(tab.fileType === "markdown" ? path.replace(/\.md$/, "") : path)
+    this.expandParentFolders(path)
+    this.showOpenFile(tab.fileType)
+    this.refreshTree()
+  }
+
+  // Move the open note to a background tab. Autosave saves its changes
+  stashCurrentTab() {
+    if (!this.currentFile) return
+
+    this.tabStates.set(this.currentFile, {
+      editor: this.getCodemirrorController()?.saveState(),
+      fileType: this.currentFileType
+    })
+    this.getAutosaveController()?.stashFile()
+  }
+
+  // Close a tab, saving its changes (deleted notes aren't saved).
+  // The next tab takes the place of the note in the editor
+  closeTab(path, { save = true } = {}) {
+    this.tabStates.delete(path)
+    this.getAutosaveController()?.closeFile(path, { save })
+    const next = this.getTabsController()?.remove(path)
+
+    if (path !== this.currentFile) return
+
+    // Loaded tabs come back at once (a linked split pane follows them). The
+    // placeholder shows while a tab not opened since a reload loads
+    this.currentFile = null
+    if (!this.tabStates.has(next)) this.showPlaceholder()
+    if (next) {
+      this.loadFile(next)
+    } else {
+      this.updateUrl(null)
+      this.refreshTree()
+    }
+  }
+
+  // Open tabs follow renamed and moved files and folders
+  renameTabs(oldPath, newPath) {
+    const tabs = this.getTabsController()
+    const autosave = this.getAutosaveController()
+
+    this.getOpenTabPaths().forEach(path => {
+      if (path !== oldPath && !path.startsWith(oldPath + "/")) return
+
+      const renamed = `${newPath}${path.slice(oldPath.length)}`
+      if (tabs) tabs.rename(path, renamed)
+      if (autosave) autosave.renameFile(path, renamed)
+      if (this.tabStates.has(path)) {
+        this.tabStates.set(renamed, this.tabStates.get(path))
+        this.tabStates.delete(path)
+      }
+    })
+    this.getSplitViewController()?.rename(oldPath, newPath)
+  }
+
+  // Paths of the open tabs, including tabs not loaded since a reload
+  getOpenTabPaths() {
+    const tabs = this.getTabsController()
+    if (tabs) return [...tabs.paths]
+    return [...this.tabStates.keys(), this.currentFile].filter(Boolean)
+  }
+
+  onTabSelected(event) {
+    this.loadFile(event.detail.path)
+  }
+
+  onTabClose(event) {
+    this.closeTab(event.detail.path)
+  }
+
+  // Unsaved, saving and error marks on the tabs
+  onAutosaveFileStatus(event) {
+    // The split pane's autosave reports for its own note, which has no tab
+    if (event.target !== this.element) return
+
+    const { path, status } = event.detail
+    const tabs = this.getTabsController()
+    if (tabs) tabs.setStatus(path, status)
+  }
+
+  // === Split View ===
+
+  // Open the note in the editor again in the split pane, or close the pane
+  toggleSplitView() {
+    const splitView = this.getSplitViewController()
+    if (!splitView) return
+
+    if (splitView.isOpen) {
+      splitView.close()
+    } else if (this.currentFile) {
+      splitView.link(this.currentFile, this.getCodemirrorController())
+    }
+  }
+
+  // Show a note in the split pane. The note in the editor is shown linked to
+  // it; a note in a background tab moves to the pane with its unsaved changes
+  async openInSplitView(path) {
+    const splitView = this.getSplitViewController()
+    if (!splitView) return
+
+    if (path === this.currentFile) {
+      splitView.link(path, this.getCodemirrorController())
+      return
+    }
+    if (splitView.path === path) return
+
+    let file = null
+    const tabs = this.getTabsController()
+    if (this.tabStates.has(path) || tabs?.has(path)) {
+      file = this.getAutosaveController()?.releaseFile(path) ?? null
+      this.tabStates.delete(path)
+      tabs?.remove(path)
+    }
+    await splitView.open(path, file)
+  }
+
+  // A linked split pane follows the note in the editor, and closes with it
+  syncSplitView() {
+    const splitView = this.getSplitViewController()
+    if (!splitView?.linked) return
+
+    if (this.currentFile) {
+      splitView.link(this.currentFile, this.getCodemirrorController())
+    } else {
+      splitView.close()
+    }
+  }
+
+  onSplitViewOpenRequested(event) {
+    this.openInSplitView(event.detail.path)
+  }
+
+  // Notes dragged from the file tree or the tabs open in the editor. Runs in
+  // the capture phase, before CodeMirror handles the drop
+  onEditorDragOver(event) {
+    if (!isNoteDrag(event)) return
+
+    event.preventDefault()
+    event.stopPropagation()
+    event.dataTransfer.dropEffect = "copy"
+  }
+
+  onEditorDrop(event) {
+    if (!isNoteDrag(event)) return
+
+    event.preventDefault()
+    event.stopPropagation()
+    const path = draggedNotePath(event)
+    if (path) this.loadFile(path)
   }
 
   // Check if current file is markdown
@@ -563,10 +816,38 @@ export default class extends Controller {
   }
 
   updatePreview() {
+    // Relative images in the note load from its folder
+    const previewController = this.getPreviewController()
+    if (previewController) previewController.notePathValue = this.currentFile || ""
+
     const scrollSync = this.getScrollSyncController()
     if (scrollSync) scrollSync.updatePreview()
   }
 
+  // Tick a task list item from the preview by editing its source line. The edit
+  // goes through onEditorChange like typing, so it is autosaved
+  onPreviewTaskToggled(event) {
+    const { blockLine, index, checked } = event.detail
+    const codemirrorController = this.getCodemirrorController()
+    if (!codemirrorController || !this.isMarkdownFile()) return
+
+    const line = codemirrorController.readOnlyValue
+      ? null
+      : findTaskLine(codemirrorController.getValue(), blockLine, index)
+    const text = line ? codemirrorController.getLine(line) : null
+    const updated = text === null ? null : setTaskChecked(text, checked)
+
+    if (updated === null) {
+      // The source can't be edited (read-only, or out of sync): undo the click
+      this.updatePreview()
+      return
+    }
+    if (updated === text) return
+
+    const from = codemirrorController.getPositionForLine(line)
+    codemirrorController.replaceRange(updated, from, from + text.length)
+  }
+
   // === Table Editor ===
   openTableEditor() {
     let existingTable = null
@@ -722,6 +1003,32 @@ export default class extends Controller {
   }
 
 
+  // === Vim Mode - Handled by CodeMirror, configured via editor_vim_mode ===
+
+  // :w in Vim mode
+  onVimWrite() {
+    this.getAutosaveController()?.saveNow()
+  }
+
+  // Ctrl+S (and Vim's :w) saves the note of the editor pane being typed in.
+  // A linked split pane shows the editor's note, saved by its autosave
+  saveNow() {
+    const splitView = this.getSplitViewController()
+    if (splitView?.hasFocus() && !splitView.linked) {
+      splitView.save()
+    } else {
+      this.getAutosaveController()?.saveNow()
+    }
+  }
+
+  // Show the Vim mode in the stats panel
+  onVimModeChange(event) {
+    const statsController = this.getStatsPanelController()
+    if (statsController) {
+      statsController.updateVimMode(event.detail.mode)
+    }
+  }
+
   // === Path Display - Delegates to path_display_controller ===
 
   updatePathDisplay(path) {
@@ -795,6 +1102,13 @@ export default class extends Controller {
     window.addEventListener("frankmd:config-file-modified", this.boundConfigFileHandler)
   }
 
+  // Re-render the preview when translations (re)load, so localized text
+  // rendered into it (e.g. alert callout titles) follows the current locale
+  setupTranslationsListener() {
+    this.boundTranslationsHandler = () => this.updatePreview()
+    window.addEventListener("frankmd:translations-loaded", this.boundTranslationsHandler)
+  }
+
   // === Preview Zoom - Delegates to preview_controller ===
   zoomPreviewIn() {
     const previewController = this.getPreviewController()
@@ -940,10 +1254,49 @@ export default class extends Controller {
     }))
   }
 
-  // Handle file selected event from file_finder_controller
-  onFileSelected(event) {
-    const { path } = event.detail
-    this.openFileAndRevealInTree(path)
+  // Handle file selected event from file_finder_controller and preview wiki links
+  // Wiki links may also name a heading, and [[#Heading]] links have no path (current note)
+  async onFileSelected(event) {
+    const { path, heading } = event.detail
+    if (path && path !== this.currentFile) {
+      await this.openFileAndRevealInTree(path)
+    }
+    if (heading) {
+      this.jumpToHeading(heading)
+    }
+  }
+
+  jumpToHeading(heading) {
+    const codemirrorController = this.getCodemirrorController()
+    if (!codemirrorController) return
+
+    const line = findHeadingLine(codemirrorController.getValue(), heading)
+    if (line) {
+      codemirrorController.jumpToLine(line)
+    }
+  }
+
+  setupFileTreeObserver() {
+    if (!this.hasFileTreeTarget) return
+
+    this.fileTreeObserver = new MutationObserver(() => this.updateWikiLinkNotes())
+    this.fileTreeObserver.observe(this.fileTreeTarget, { childList: true, subtree: true })
+  }
+
+  // Keep [[wiki link]] resolution and completions in sync with the file tree,
+  // re-rendering the preview when notes appear or disappear
+  updateWikiLinkNotes() {
+    if (!this.hasFileTreeTarget) return
+
+    const paths = this.getFilesFromTree()
+      .filter(file => file.file_type === "markdown")
+      .map(file => file.path)
+
+    if (setWikiLinkNotes(paths) && this.currentFile) {
+      this.updatePreview()
+      this.getCodemirrorController()?.refreshLint()
+      this.getSplitViewController()?.refreshLint()
+    }
   }
 
   async openFileAndRevealInTree(path) {
@@ -1247,6 +1600,8 @@ export default class extends Controller {
   onFileRenamed(event) {
     const { oldPath, newPath, type } = event.detail
 
+    this.renameTabs(oldPath, newPath)
+
     if (type === "folder") {
       // Preserve expand/collapse state for renamed folder and its descendants.
       this.expandedFolders = new Set(
@@ -1273,19 +1628,26 @@ export default class extends Controller {
       this.updateUrl(newPath)
     }
 
+    this.updateBacklinks()
+
+    this.updateEditorLint()
+    this.updatePreview() // Relative image paths follow the note
+
     // Tree is already updated by Turbo Stream
   }
 
   onFileDeleted(event) {
-    const { path } = event.detail
+    const { path, type } = event.detail
 
-    // Clear editor if deleted file was currently open
-    if (this.currentFile === path) {
-      this.currentFile = null
-      this.updatePathDisplay(null)
-      this.editorPlaceholderTarget.classList.remove("hidden")
-      this.editorTarget.classList.add("hidden")
-      this.hideStatsPanel()
+    // Close the tabs of deleted notes (and of notes in deleted folders)
+    this.getOpenTabPaths()
+      .filter(tabPath => tabPath === path || (type === "folder" && tabPath.startsWith(path + "/")))
+      .forEach(tabPath => this.closeTab(tabPath, { save: false }))
+
+    const splitView = this.getSplitViewController()
+    const splitPath = splitView?.path
+    if (splitPath && (splitPath === path || (type === "folder" && splitPath.startsWith(path + "/")))) {
+      splitView.close({ save: false })
     }
 
     // Tree is already updated by Turbo Stream
@@ -1348,7 +1710,7 @@ export default class extends Controller {
   executeShortcutAction(action) {
     const actions = {
       newNote: () => this.getFileOperationsController()?.newNote(),
-      save: () => this.getAutosaveController()?.saveNow(),
+      save: () => this.saveNow(),
       // Note: bold and italic are handled by CodeMirror's keymap (codemirror_extensions.js)
       togglePreview: () => this.togglePreview(),
       findInFile: () => this.openFindReplace(),
@@ -1360,6 +1722,7 @@ export default class extends Controller {
       toggleSidebar: () => this.toggleSidebar(),
       typewriterMode: () => this.toggleTypewriterMode(),
       textFormat: () => this.openTextFormatMenu(),
+      footnote: () => this.insertFootnote(),
       emojiPicker: () => this.openEmojiPicker(),
       increaseWidth: () => this.increaseEditorWidth(),
       decreaseWidth: () => this.decreaseEditorWidth(),
@@ -1435,6 +1798,19 @@ export default class extends Controller {
     }
   }
 
+  // Insert the next free footnote at the cursor (Ctrl+Shift+^)
+  insertFootnote() {
+    if (!this.isMarkdownFile()) return
+    const cm = this.getCodemirrorController()
+    if (!cm) return
+    const textFormatController = this.getTextFormatController()
+    if (!textFormatController) return
+    if (textFormatController.insertFootnote(cm)) {
+      this.getAutosaveController()?.scheduleAutoSave()
+      this.updatePreview()
+    }
+  }
+
   // === Emoji Picker ===
 
   // Open emoji picker dialog
@@ -1511,6 +1887,24 @@ export default class extends Controller {
     // This is called on disconnect to prevent memory leaks
   }
 
+  // === Backlinks - delegates to backlinks controller ===
+
+  updateBacklinks() {
+    const backlinksController = this.getBacklinksController()
+    if (backlinksController) {
+      backlinksController.load(this.currentFile && this.isMarkdownFile() ? this.currentFile : null)
+    }
+  }
+
+  // === Lint - broken links, images and anchors in the open note ===
+
+  updateEditorLint() {
+    const codemirrorController = this.getCodemirrorController()
+    if (codemirrorController) {
+      codemirrorController.setLintNote(this.currentFile && this.isMarkdownFile() ? this.currentFile : null)
+    }
+  }
+
   // === Document Stats - delegates to stats-panel controller ===
 
   showStatsPanel() {
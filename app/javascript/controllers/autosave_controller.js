@@ -3,6 +3,16 @@ import { patch } from "@rails/request.js"
 import { encodePath } from "lib/url_utils"
 import { undo } from "@codemirror/commands"
 
+// Whether saving content would delete a large part of the saved note
+// (more than 20% and 50 characters)
+function losesContent(savedContent, content) {
+  if (!savedContent) return false
+
+  const lostChars = savedContent.length - content.length
+  const lostPercent = lostChars / savedContent.length
+  return lostPercent > 0.2 && lostChars > 50
+}
+
 export default class extends Controller {
   static targets = ["contentLossBanner", "saveStatus"]
   static outlets = ["codemirror", "offline-backup", "recovery-diff"]
@@ -23,6 +33,10 @@ export default class extends Controller {
     this._contentLossWarningActive = false
     this._contentLossOverride = false
     this._offlineBackupTimeout = null
+    // Files open in background tabs: path -> { content, lastSavedContent, hasUnsavedChanges }
+    this.backgroundFiles = new Map()
+    // Last status reported for each open file (see setFileStatus)
+    this.fileStatuses = new Map()
   }
 
   disconnect() {
@@ -43,6 +57,7 @@ export default class extends Controller {
     this.currentFile = path
     this._lastSavedContent = content
     this.hasUnsavedChanges = false
+    this.fileStatuses.delete(path)
   }
 
   checkOfflineBackup(serverContent) {
@@ -90,6 +105,8 @@ export default class extends Controller {
   // === Auto Save ===
 
   scheduleAutoSave() {
+    this.setFileStatus(this.currentFile, "unsaved")
+
     if (this.isOffline) {
       this.hasUnsavedChanges = true
       return
@@ -146,22 +163,20 @@ export default class extends Controller {
     if (content === this._lastSavedContent) {
       this.hasUnsavedChanges = false
       this.showSaveStatus("")
+      this.setFileStatus(this.currentFile, "saved")
       return
     }
 
-    if (this._lastSavedContent && !this._contentLossOverride) {
-      const lostChars = this._lastSavedContent.length - content.length
-      const lostPercent = lostChars / this._lastSavedContent.length
-
-      if (lostPercent > 0.2 && lostChars > 50) {
-        this.showContentLossWarning()
-        return
-      }
+    if (!this._contentLossOverride && losesContent(this._lastSavedContent, content)) {
+      this.showContentLossWarning()
+      return
     }
 
+    const path = this.currentFile
     this._isSaving = true
+    this.setFileStatus(path, "saving")
     try {
-      const response = await patch(`/notes/${encodePath(this.currentFile)}`, {
+      const response = await patch(`/notes/${encodePath(path)}`, {
         body: { content },
         responseKind: "json"
       })
@@ -170,29 +185,39 @@ export default class extends Controller {
         throw new Error(window.t("errors.failed_to_save"))
       }
 
+      const backupController = this.getOfflineBackupController()
+      if (backupController) backupController.clear(path)
+
+      if (isConfigFile) {
+        this.dispatch("config-saved")
+      }
+
+      // Another tab may have been shown while saving: the editor holds its note now
+      if (this.currentFile !== path) {
+        this.backgroundFileSaved(path, content)
+        return
+      }
+
       this._lastSavedContent = content
       this._lastSaveTime = Date.now()
       this._contentLossOverride = false
       this.hasUnsavedChanges = false
-      const backupController = this.getOfflineBackupController()
-      if (backupController) backupController.clear(this.currentFile)
+      this.setFileStatus(path, "saved")
       this.showSaveStatus(window.t("status.saved"))
       setTimeout(() => this.showSaveStatus(""), 2000)
 
-      if (isConfigFile) {
-        this.dispatch("config-saved")
-      }
-
       const freshContent = codemirrorController ? codemirrorController.getValue() : ""
       if (freshContent !== content) {
         this.hasUnsavedChanges = true
+        this.setFileStatus(path, "unsaved")
         if (!this.isOffline) {
           this.scheduleAutoSave()
         }
       }
     } catch (error) {
       console.error("Error saving:", error)
-      this.showSaveStatus(window.t("status.error_saving"), true)
+      this.setFileStatus(path, "error")
+      if (this.currentFile === path) this.showSaveStatus(window.t("status.error_saving"), true)
     } finally {
       this._isSaving = false
     }
@@ -225,6 +250,10 @@ export default class extends Controller {
         backup.save(this.currentFile, content)
       }
     }
+
+    this.backgroundFiles.forEach((file, path) => {
+      if (file.hasUnsavedChanges) this.getOfflineBackupController()?.save(path, file.content)
+    })
   }
 
   onConnectionRestored() {
@@ -234,6 +263,169 @@ export default class extends Controller {
     if (this.hasUnsavedChanges && this.currentFile) {
       this.saveNow()
     }
+    this.backgroundFiles.forEach((file, path) => this.saveBackgroundFile(path))
+  }
+
+  // === Tabs ===
+
+  // Move the open file to a background tab before another one is shown.
+  // Its unsaved changes are saved right away (backed up while offline)
+  stashFile({ save = true } = {}) {
+    if (!this.currentFile) return
+
+    const path = this.currentFile
+    const cm = this.getCodemirrorController()
+    const content = cm ? cm.getValue() : ""
+
+    if (this.saveTimeout) clearTimeout(this.saveTimeout)
+    if (this.saveMaxIntervalTimeout) clearTimeout(this.saveMaxIntervalTimeout)
+    if (this._offlineBackupTimeout) clearTimeout(this._offlineBackupTimeout)
+    this.saveTimeout = null
+    this.saveMaxIntervalTimeout = null
+    this._offlineBackupTimeout = null
+
+    this.backgroundFiles.set(path, {
+      content,
+      lastSavedContent: this._lastSavedContent,
+      hasUnsavedChanges: this.hasUnsavedChanges
+    })
+
+    this.currentFile = null
+    this.hasUnsavedChanges = false
+    this._lastSavedContent = null
+    this._contentLossOverride = false
+    if (this._contentLossWarningActive) this.dismissContentLossWarning()
+    this.showSaveStatus("")
+
+    if (save) this.saveBackgroundFile(path)
+  }
+
+  // Bring a background tab's file back. Returns false if it isn't open
+  restoreFile(path) {
+    const file = this.backgroundFiles.get(path)
+    if (!file) return false
+
+    this.backgroundFiles.delete(path)
+    this.currentFile = path
+    this._lastSavedContent = file.lastSavedContent
+    this.hasUnsavedChanges = false
+
+    // Changes that couldn't be saved in the background (offline, content loss)
+    if (file.hasUnsavedChanges) this.scheduleAutoSave()
+    return true
+  }
+
+  // Forget a closed tab's file, saving what it still has unsaved.
+  // Deleted files are forgotten without saving
+  closeFile(path, { save = true } = {}) {
+    if (this.currentFile === path) this.stashFile({ save: false })
+    if (save) this.saveBackgroundFile(path)
+    this.backgroundFiles.delete(path)
+    this.fileStatuses.delete(path)
+  }
+
+  // Follow an open file that was renamed or moved
+  renameFile(oldPath, newPath) {
+    if (this.currentFile === oldPath) this.currentFile = newPath
+
+    const file = this.backgroundFiles.get(oldPath)
+    if (file) {
+      this.backgroundFiles.delete(oldPath)
+      this.backgroundFiles.set(newPath, file)
+    }
+
+    const status = this.fileStatuses.get(oldPath)
+    if (status) {
+      this.fileStatuses.delete(oldPath)
+      this.fileStatuses.set(newPath, status)
+    }
+  }
+
+  // === Split View ===
+
+  // Hand an open file over to the other editor pane, which saves it from now on.
+  // Returns { content, lastSavedContent, hasUnsavedChanges }, or null if it isn't open
+  releaseFile(path) {
+    if (this.currentFile === path) this.stashFile({ save: false })
+
+    const file = this.backgroundFiles.get(path)
+    if (!file) return null
+
+    this.backgroundFiles.delete(path)
+    this.fileStatuses.delete(path)
+    const { content, lastSavedContent, hasUnsavedChanges } = file
+    return { content, lastSavedContent, hasUnsavedChanges }
+  }
+
+  // Take over a file released by the other pane, with its unsaved changes
+  adoptFile(path, { lastSavedContent, hasUnsavedChanges }) {
+    this.setFile(path, lastSavedContent)
+    if (hasUnsavedChanges) this.scheduleAutoSave()
+  }
+
+  // A save of the open file finished after its tab went to the background.
+  // A save the tab started since then sends newer content, and settles its state
+  backgroundFileSaved(path, content) {
+    const file = this.backgroundFiles.get(path)
+    if (!file || file.isSaving || !file.hasUnsavedChanges) return
+
+    file.lastSavedContent = content
+    file.hasUnsavedChanges = file.content !== content
+    if (file.hasUnsavedChanges) {
+      this.saveBackgroundFile(path)
+    } else {
+      this.setFileStatus(path, "saved")
+    }
+  }
+
+  async saveBackgroundFile(path) {
+    const file = this.backgroundFiles.get(path)
+    if (!file || !file.hasUnsavedChanges || file.isSaving) return
+
+    const { content } = file
+    // Large deletions wait for the tab to come back, where the warning is
+    // shown. The backup keeps them if the tab is closed instead
+    if (this.isOffline || losesContent(file.lastSavedContent, content)) {
+      this.getOfflineBackupController()?.save(path, content)
+      return
+    }
+
+    file.isSaving = true
+    this.setFileStatus(path, "saving")
+    try {
+      const response = await patch(`/notes/${encodePath(path)}`, {
+        body: { content },
+        responseKind: "json"
+      })
+
+      if (!response.ok) {
+        throw new Error(window.t("errors.failed_to_save"))
+      }
+
+      file.lastSavedContent = content
+      file.hasUnsavedChanges = false
+      this.getOfflineBackupController()?.clear(path)
+      // The tab may have been shown again, and edited, while saving
+      if (this.currentFile !== path) this.setFileStatus(path, "saved")
+
+      if (path === ".fed") {
+        this.dispatch("config-saved")
+      }
+    } catch (error) {
+      console.error("Error saving:", error)
+      this.setFileStatus(path, "error")
+    } finally {
+      file.isSaving = false
+    }
+  }
+
+  // Report an open file's save status to its tab:
+  // "unsaved", "saving", "saved" or "error"
+  setFileStatus(path, status) {
+    if (!path || this.fileStatuses.get(path) === status) return
+
+    this.fileStatuses.set(path, status)
+    this.dispatch("file-status", { detail: { path, status } })
   }
 
   // === Content Loss Warning ===
@@ -275,7 +467,10 @@ export default class extends Controller {
   // === Recovery ===
 
   onRecoveryResolved(event) {
-    const { source, content } = event.detail
+    const { path, source, content } = event.detail
+    // The dialog may be about the other pane's file
+    if (path !== undefined && path !== this.currentFile) return
+
     const backup = this.getOfflineBackupController()
     if (backup) backup.clear(this.currentFile)
 
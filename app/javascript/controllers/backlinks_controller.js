@@ -0,0 +1,70 @@
+import { Controller } from "@hotwired/stimulus"
+import { get } from "@rails/request.js"
+
+// Backlinks Controller
+// Sidebar panel listing the notes that link to the open note
+// (markdown links and [[wiki links]]), with a snippet around each link
+// Dispatches backlinks:selected event with path and line number
+
+export default class extends Controller {
+  static targets = ["panel", "list", "count", "chevron"]
+
+  connect() {
+    this.path = null
+    this.expanded = true
+  }
+
+  // Load backlinks for a note (null hides the panel)
+  async load(path) {
+    this.path = path
+
+    if (!path) {
+      this.hide()
+      return
+    }
+
+    this.show()
+
+    try {
+      const response = await get(`/notes/backlinks?path=${encodeURIComponent(path)}`, { responseKind: "html" })
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.statusCode}`)
+      }
+
+      const html = await response.text
+      // Another note may have been opened while this request was in flight
+      if (path !== this.path) return
+
+      this.listTarget.innerHTML = html
+      const count = this.listTarget.querySelectorAll("[data-path]").length
+      this.countTarget.textContent = count > 0 ? String(count) : ""
+    } catch (error) {
+      if (path !== this.path) return
+      console.error("Error loading backlinks:", error)
+      this.listTarget.innerHTML = ""
+      this.countTarget.textContent = ""
+    }
+  }
+
+  show() {
+    this.panelTarget.classList.remove("hidden")
+  }
+
+  hide() {
+    this.panelTarget.classList.add("hidden")
+    this.listTarget.innerHTML = ""
+    this.countTarget.textContent = ""
+  }
+
+  toggle() {
+    this.expanded = !this.expanded
+    this.listTarget.classList.toggle("hidden", !this.expanded)
+    this.chevronTarget.classList.toggle("rotate-90", this.expanded)
+  }
+
+  select(event) {
+    const path = event.currentTarget.dataset.path
+    const lineNumber = parseInt(event.currentTarget.dataset.line)
+    this.dispatch("selected", { detail: { path, lineNumber } })
+  }
+}
@@ -6,17 +6,38 @@ import {
   themeCompartment,
   lineNumbersCompartment,
   readOnlyCompartment,
+  lintCompartment,
+  completionCompartment,
+  indentCompartment,
+  uploadCompartment,
+  foldCompartment,
   createLineNumbers,
+  createMarkdownLint,
+  createCompletions,
+  createIndentUnit,
+  createUploads,
+  createFoldPersistence,
   LINE_NUMBER_MODES
 } from "lib/codemirror_extensions"
+import { forceLinting } from "@codemirror/lint"
+import { restoreFolds } from "lib/codemirror_folding"
+import { applyFinishedUploads } from "lib/codemirror_uploads"
 import { createTheme } from "lib/codemirror_theme"
 import {
   createTypewriterExtension,
   toggleTypewriter,
   isTypewriterEnabled,
   getTypewriterSyncData,
-  setIsSelecting
+  setIsSelecting,
+  setTypewriterMode
 } from "lib/codemirror_typewriter"
+import {
+  vimCompartment,
+  createVimExtension,
+  toggleVim,
+  isVimEnabled
+} from "lib/codemirror_vim"
+import { linkCompartment, linkEditors, unlinkEditor } from "lib/codemirror_link"
 
 // CodeMirror Controller
 // Main Stimulus controller that manages the CodeMirror 6 editor
@@ -34,11 +55,20 @@ export default class extends Controller {
     lineHeight: { type: Number, default: 1.6 },
     lineNumberMode: { type: Number, default: 0 },
     typewriterMode: { type: Boolean, default: false },
+    vimMode: { type: Boolean, default: false },
+    indent: { type: Number, default: 2 },
+    dropResize: { type: String, default: "" },
     readOnly: { type: Boolean, default: false }
   }
 
   connect() {
     this._isSelecting = false // Track mouse selection state
+    this.lintNotePath = null
+    // Vim's :w and mode changes, reported to the app
+    this.vimHandlers = {
+      onWrite: () => this.dispatch("vim-write"),
+      onModeChange: (mode) => this.dispatch("vim-mode-change", { detail: { mode } })
+    }
     this.createEditor()
   }
 
@@ -50,6 +80,27 @@ export default class extends Controller {
   }
 
   createEditor() {
+    // Create initial state
+    const state = this.createState(this.contentValue)
+
+    // Create editor view
+    this.editor = new EditorView({
+      state,
+      parent: this.containerTarget
+    })
+
+    // Apply max-width CSS custom property to content
+    this.applyEditorWidth()
+
+    // Sync initial content to hidden textarea for form submission
+    this.syncToHidden()
+
+    // Track mouse selection state to prevent scroll jitter during selection
+    this.setupMouseTracking()
+  }
+
+  // A new editor state for a document, with the current settings
+  createState(doc) {
     // Build extensions
     const extensions = createExtensions({
       placeholderText: this.placeholderValue,
@@ -57,6 +108,8 @@ export default class extends Controller {
       fontSize: `${this.fontSizeValue}px`,
       lineHeight: String(this.lineHeightValue),
       lineNumberMode: this.lineNumberModeValue,
+      indent: this.indentValue,
+      dropResize: this.dropResizeValue,
       onUpdate: (update) => this.onDocumentChange(update),
       onSelectionChange: (update) => this.onSelectionChange(update),
       onScroll: (event, view) => this.onScroll(event, view)
@@ -65,26 +118,13 @@ export default class extends Controller {
     // Add typewriter extension
     extensions.push(...createTypewriterExtension(this.typewriterModeValue))
 
-    // Create initial state
-    const state = EditorState.create({
-      doc: this.contentValue,
-      extensions
-    })
-
-    // Create editor view
-    this.editor = new EditorView({
-      state,
-      parent: this.containerTarget
-    })
-
-    // Apply max-width CSS custom property to content
-    this.applyEditorWidth()
+    // Add Vim mode (in compartment for toggling)
+    extensions.push(vimCompartment.of(createVimExtension(this.vimModeValue, this.vimHandlers)))
 
-    // Sync initial content to hidden textarea for form submission
-    this.syncToHidden()
+    // Linked to the other pane's editor in split view
+    extensions.push(linkCompartment.of([]))
 
-    // Track mouse selection state to prevent scroll jitter during selection
-    this.setupMouseTracking()
+    return EditorState.create({ doc, extensions })
   }
 
   setupMouseTracking() {
@@ -437,15 +477,18 @@ export default class extends Controller {
   reconfigureTheme() {
     if (!this.editor) return
 
-    const newTheme = createTheme({
+    this.editor.dispatch({
+      effects: themeCompartment.reconfigure(this.createThemeExtension())
+    })
+  }
+
+  // Theme for the current font settings
+  createThemeExtension() {
+    return createTheme({
       fontFamily: this.fontFamilyValue,
       fontSize: `${this.fontSizeValue}px`,
       lineHeight: String(this.lineHeightValue)
     })
-
-    this.editor.dispatch({
-      effects: themeCompartment.reconfigure(newTheme)
-    })
   }
 
   // === Line Numbers ===
@@ -532,6 +575,58 @@ export default class extends Controller {
     }
   }
 
+  // === Vim Mode ===
+
+  /**
+   * Set Vim mode
+   * @param {boolean} enabled - Enable or disable
+   */
+  setVimMode(enabled) {
+    if (!this.editor || enabled === this.isVimMode()) return
+
+    this.vimModeValue = enabled
+    toggleVim(this.editor, enabled, this.vimHandlers)
+  }
+
+  /**
+   * Check if Vim mode is enabled
+   * @returns {boolean}
+   */
+  isVimMode() {
+    if (!this.editor) return false
+    return isVimEnabled(this.editor)
+  }
+
+  // === Indentation ===
+
+  /**
+   * Set the indent used by Tab and list indentation
+   * @param {number} indent - Indent setting: 0 = tab, 1-6 = spaces
+   */
+  setIndent(indent) {
+    if (!this.editor) return
+
+    this.indentValue = indent
+    this.editor.dispatch({
+      effects: indentCompartment.reconfigure(createIndentUnit(indent))
+    })
+  }
+
+  // === Uploads ===
+
+  /**
+   * Set how images dropped on the editor are resized
+   * @param {string} resize - Resize ratio ("0.25", "0.5", "0.67"), "" for the original size
+   */
+  setDropResize(resize) {
+    if (!this.editor) return
+
+    this.dropResizeValue = resize || ""
+    this.editor.dispatch({
+      effects: uploadCompartment.reconfigure(createUploads(this.lintNotePath, this.dropResizeValue))
+    })
+  }
+
   // === Read-only Mode ===
 
   /**
@@ -547,6 +642,116 @@ export default class extends Controller {
     })
   }
 
+  // === Lint ===
+
+  /**
+   * Lint the open note for broken links, missing images and bad anchors,
+   * complete links relative to it, upload files next to it and fold it as it
+   * was left
+   * @param {string|null} notePath - Path of the note, or null for files that aren't notes
+   */
+  setLintNote(notePath) {
+    if (!this.editor || notePath === this.lintNotePath) return
+
+    this.lintNotePath = notePath
+    this.editor.dispatch({
+      effects: [
+        lintCompartment.reconfigure(createMarkdownLint(notePath)),
+        completionCompartment.reconfigure(createCompletions(notePath)),
+        uploadCompartment.reconfigure(createUploads(notePath, this.dropResizeValue)),
+        foldCompartment.reconfigure(createFoldPersistence(notePath))
+      ]
+    })
+    if (notePath) restoreFolds(this.editor, notePath)
+  }
+
+  /**
+   * Lint the open note again (e.g. after notes were added, renamed or deleted)
+   */
+  refreshLint() {
+    if (!this.editor || !this.lintNotePath) return
+    forceLinting(this.editor)
+  }
+
+  // === Tabs ===
+
+  /**
+   * Show a newly opened document, with its own undo history
+   * @param {string} text - Document content
+   */
+  openDocument(text) {
+    if (!this.editor) return
+
+    this.lintNotePath = null
+    this.editor.setState(this.createState(text))
+    this.syncToHidden()
+  }
+
+  /**
+   * Snapshot the editor for a tab in the background
+   * @returns {Object|null} - { state, scroll, lintNotePath }: document, undo history, selection and scroll
+   */
+  saveState() {
+    if (!this.editor) return null
+
+    return {
+      state: this.editor.state,
+      scroll: this.editor.scrollSnapshot(),
+      lintNotePath: this.lintNotePath
+    }
+  }
+
+  /**
+   * Bring back a tab saved with saveState()
+   * @param {Object} saved - Snapshot from saveState()
+   */
+  restoreState(saved) {
+    if (!this.editor || !saved) return
+
+    this.editor.setState(saved.state)
+    this.lintNotePath = saved.lintNotePath
+
+    // Settings may have changed while the tab was in the background
+    this.editor.dispatch({
+      effects: [
+        saved.scroll,
+        themeCompartment.reconfigure(this.createThemeExtension()),
+        lineNumbersCompartment.reconfigure(createLineNumbers(this.lineNumberModeValue)),
+        readOnlyCompartment.reconfigure(EditorState.readOnly.of(this.readOnlyValue)),
+        indentCompartment.reconfigure(createIndentUnit(this.indentValue)),
+        uploadCompartment.reconfigure(createUploads(this.lintNotePath, this.dropResizeValue)),
+        foldCompartment.reconfigure(createFoldPersistence(this.lintNotePath)),
+        vimCompartment.reconfigure(createVimExtension(this.vimModeValue, this.vimHandlers)),
+        setTypewriterMode.of(this.typewriterModeValue),
+        // Links are made again for the note on screen, if any
+        linkCompartment.reconfigure([])
+      ]
+    })
+    // Uploads started in the tab may have finished while it was away
+    applyFinishedUploads(this.editor)
+    this.syncToHidden()
+  }
+
+  // === Split View ===
+
+  /**
+   * Link this editor to another one showing the same document: edits in
+   * either are made in both
+   * @param {Object} other - The other editor's codemirror controller
+   */
+  linkTo(other) {
+    if (!this.editor || !other?.editor) return
+    linkEditors(this.editor, other.editor)
+  }
+
+  /**
+   * Stop sending this editor's changes to a linked editor
+   */
+  unlink() {
+    if (!this.editor) return
+    unlinkEditor(this.editor)
+  }
+
   // === Editor Width ===
 
   /**
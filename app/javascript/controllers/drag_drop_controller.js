@@ -1,6 +1,7 @@
 import { Controller } from "@hotwired/stimulus"
 import { post } from "@rails/request.js"
 import { encodePath } from "lib/url_utils"
+import { NOTE_DRAG_TYPE } from "lib/note_drag"
 
 // Drag and Drop Controller
 // Handles file and folder drag-and-drop in the file tree
@@ -26,6 +27,10 @@ export default class extends Controller {
     }
     event.dataTransfer.effectAllowed = "move"
     event.dataTransfer.setData("text/plain", target.dataset.path)
+    // Notes can also be dropped onto an editor pane to open them there
+    if (target.dataset.type === "file") {
+      event.dataTransfer.setData(NOTE_DRAG_TYPE, target.dataset.path)
+    }
     target.classList.add("dragging")
 
     // Add a slight delay to show the dragging state
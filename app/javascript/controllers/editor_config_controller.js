@@ -4,7 +4,8 @@ import { normalizeLineNumberMode } from "lib/line_numbers"
 
 // EditorConfigController
 // Manages editor configuration via Stimulus values synced from server.
-// Applies settings to CodeMirror, preview, and CSS custom properties.
+// Applies settings to CodeMirror (both panes in split view), preview, and CSS
+// custom properties.
 
 export default class extends Controller {
   static outlets = ["codemirror", "preview"]
@@ -16,8 +17,15 @@ export default class extends Controller {
     previewZoom: { type: Number, default: 100 },
     lineNumbers: { type: Number, default: 0 },
     typewriterMode: { type: Boolean, default: false },
+    vimMode: { type: Boolean, default: false },
     indent: { type: Number, default: 2 },
-    theme: { type: String, default: "" }
+    dropResize: { type: String, default: "" },
+    theme: { type: String, default: "" },
+    previewFrontmatter: { type: Boolean, default: true },
+    previewAllowedTags: { type: String, default: "" },
+    previewAllowedAttributes: { type: String, default: "" },
+    previewIframeHosts: { type: String, default: "" },
+    previewShortcodes: { type: Object, default: {} }
   }
 
   static editorFonts = [
@@ -45,11 +53,17 @@ export default class extends Controller {
     this._codemirrorReady = true
     this.applyFont()
     this.applyLineNumbers()
+    this.applyVimMode()
+    this.applyIndent()
+    this.applyDropResize()
   }
 
   previewOutletConnected() {
     this._previewReady = true
     this.applyPreviewZoom()
+    this.applyPreviewFrontmatter()
+    this.applyPreviewAllowlist()
+    this.applyPreviewShortcodes()
   }
 
   // === Value Change Callbacks ===
@@ -75,6 +89,38 @@ export default class extends Controller {
     if (this._codemirrorReady) this.applyLineNumbers()
   }
 
+  vimModeValueChanged() {
+    if (this._codemirrorReady) this.applyVimMode()
+  }
+
+  indentValueChanged() {
+    if (this._codemirrorReady) this.applyIndent()
+  }
+
+  dropResizeValueChanged() {
+    if (this._codemirrorReady) this.applyDropResize()
+  }
+
+  previewFrontmatterValueChanged() {
+    if (this._previewReady) this.applyPreviewFrontmatter()
+  }
+
+  previewAllowedTagsValueChanged() {
+    if (this._previewReady) this.applyPreviewAllowlist()
+  }
+
+  previewAllowedAttributesValueChanged() {
+    if (this._previewReady) this.applyPreviewAllowlist()
+  }
+
+  previewIframeHostsValueChanged() {
+    if (this._previewReady) this.applyPreviewAllowlist()
+  }
+
+  previewShortcodesValueChanged() {
+    if (this._previewReady) this.applyPreviewShortcodes()
+  }
+
   themeValueChanged() {
     if (this.element.isConnected) this.applyTheme()
   }
@@ -83,11 +129,11 @@ export default class extends Controller {
 
   applyFont() {
     const font = this.constructor.editorFonts.find(f => f.id === this.fontValue)
-    const codemirror = this.getCodemirrorController()
-    if (codemirror && font) {
+    if (!font) return
+    this.getCodemirrorControllers().forEach(codemirror => {
       codemirror.setFontFamily(font.family)
       codemirror.setFontSize(this.fontSizeValue)
-    }
+    })
   }
 
   applyEditorWidth() {
@@ -101,12 +147,44 @@ export default class extends Controller {
     }
   }
 
+  applyPreviewFrontmatter() {
+    const preview = this.getPreviewController()
+    if (preview) {
+      preview.frontmatterValue = this.previewFrontmatterValue
+    }
+  }
+
+  applyPreviewAllowlist() {
+    const preview = this.getPreviewController()
+    if (preview) {
+      preview.allowedTagsValue = this.previewAllowedTagsValue
+      preview.allowedAttributesValue = this.previewAllowedAttributesValue
+      preview.iframeHostsValue = this.previewIframeHostsValue
+    }
+  }
+
+  applyPreviewShortcodes() {
+    const preview = this.getPreviewController()
+    if (preview) {
+      preview.shortcodeTemplatesValue = this.previewShortcodesValue
+    }
+  }
+
   applyLineNumbers() {
     const mode = normalizeLineNumberMode(this.lineNumbersValue, "off")
-    const codemirror = this.getCodemirrorController()
-    if (codemirror) {
-      codemirror.setLineNumberMode(mode)
-    }
+    this.getCodemirrorControllers().forEach(codemirror => codemirror.setLineNumberMode(mode))
+  }
+
+  applyVimMode() {
+    this.getCodemirrorControllers().forEach(codemirror => codemirror.setVimMode(this.vimModeValue))
+  }
+
+  applyIndent() {
+    this.getCodemirrorControllers().forEach(codemirror => codemirror.setIndent(this.indentValue))
+  }
+
+  applyDropResize() {
+    this.getCodemirrorControllers().forEach(codemirror => codemirror.setDropResize(this.dropResizeValue))
   }
 
   applyTheme() {
@@ -133,7 +211,7 @@ export default class extends Controller {
 
   // === Controller Getters (via Stimulus Outlets) ===
 
-  getCodemirrorController() { return this.codemirrorOutlets[0] ?? null }
+  getCodemirrorControllers() { return this.codemirrorOutlets }
   getPreviewController() { return this.previewOutlets[0] ?? null }
 
   // === Public Getters for App Controller ===
@@ -144,6 +222,7 @@ export default class extends Controller {
   get previewZoom() { return this.previewZoomValue }
   get lineNumberMode() { return normalizeLineNumberMode(this.lineNumbersValue, "off") }
   get typewriterModeEnabled() { return this.typewriterModeValue }
+  get vimModeEnabled() { return this.vimModeValue }
   get editorIndent() { return this.indentValue }
   get fonts() { return this.constructor.editorFonts }
 }
@@ -1,60 +1,36 @@
 import { Controller } from "@hotwired/stimulus"
 import { calculateLineFromScroll } from "lib/scroll_utils"
-import { parseWithLineNumbers, findElementByLine, findLineAtScroll } from "lib/markdown_line_mapper"
+import { renderBlocks, findElementByLine, findLineAtScroll, findNextBlockLine } from "lib/markdown_line_mapper"
+import { sanitizePreviewHtml, parseAllowlist } from "lib/html_sanitizer"
+import { stripFrontmatter, parseFrontmatter, renderFrontmatterCard } from "lib/frontmatter"
+import { setShortcodeTemplates, setShortcodePageParams } from "lib/hugo_shortcodes"
+import { getWikiLinkNotes } from "lib/wiki_links"
+import { rewriteNoteAssetUrls } from "lib/note_assets"
+import { createPreviewWorker } from "lib/preview_worker_client"
+import { loadMermaid, buildMermaidThemeVariables, renderMermaidDiagram } from "lib/mermaid_utils"
+import { escapeHtml } from "lib/text_utils"
 
 // Preview Controller
 // Handles markdown preview panel rendering, zoom, and scroll sync
+// Renders block by block and only replaces the blocks that changed, so embeds
+// elsewhere in the note don't reload; large notes are parsed in a Web Worker
 // Provides setupEditorSync() and syncToCursor() for editor synchronization
 // Dispatches preview:toggled and preview:zoom-changed events
-// Automatically strips YAML/TOML frontmatter from preview
-
-// Strip frontmatter (YAML or TOML) from markdown content
-// YAML: starts with --- and ends with ---
-// TOML: starts with +++ and ends with +++
-// Returns { content, frontmatterLines } where frontmatterLines is the count of lines stripped
-function stripFrontmatter(content) {
-  if (!content) return { content, frontmatterLines: 0 }
-
-  // Check for YAML frontmatter (---)
-  if (content.startsWith("---")) {
-    const endMatch = content.indexOf("\n---", 3)
-    if (endMatch !== -1) {
-      // Find the end of the closing --- line
-      const afterFrontmatter = content.indexOf("\n", endMatch + 4)
-      if (afterFrontmatter !== -1) {
-        const frontmatter = content.slice(0, afterFrontmatter + 1)
-        const frontmatterLines = frontmatter.split("\n").length
-        return {
-          content: content.slice(afterFrontmatter + 1).trimStart(),
-          frontmatterLines
-        }
-      }
-      // Closing --- is at end of file
-      const frontmatterLines = content.split("\n").length
-      return { content: "", frontmatterLines }
-    }
-  }
-
-  // Check for TOML frontmatter (+++)
-  if (content.startsWith("+++")) {
-    const endMatch = content.indexOf("\n+++", 3)
-    if (endMatch !== -1) {
-      const afterFrontmatter = content.indexOf("\n", endMatch + 4)
-      if (afterFrontmatter !== -1) {
-        const frontmatter = content.slice(0, afterFrontmatter + 1)
-        const frontmatterLines = frontmatter.split("\n").length
-        return {
-          content: content.slice(afterFrontmatter + 1).trimStart(),
-          frontmatterLines
-        }
-      }
-      const frontmatterLines = content.split("\n").length
-      return { content: "", frontmatterLines }
-    }
-  }
-
-  return { content, frontmatterLines: 0 }
-}
+// Strips YAML/TOML frontmatter from the markdown and shows it as a collapsible metadata card
+// Renders Hugo shortcodes, using the shortcode templates from .fed
+// Sanitizes rendered HTML against an allowlist (extendable from .fed)
+// Loads relative images and files from the note's folder (Hugo page bundles)
+// Renders mermaid diagram placeholders to SVG after a debounce
+// Dispatches preview:note-selected when a [[wiki link]] is clicked
+// Dispatches preview:task-toggled when a task list checkbox is clicked
+// Dispatches preview:source-selected when a block is double-clicked
+
+// Checkboxes marked renders at the start of task list items (loose items wrap them in <p>)
+const TASK_CHECKBOX_SELECTOR = 'li > input[type="checkbox"]:first-child, li > p:first-child > input[type="checkbox"]:first-child'
+
+// Notes at least this long (in characters) are parsed in the preview worker;
+// shorter ones render faster on the main thread than a round trip takes
+const WORKER_MIN_LENGTH = 50000
 
 export default class extends Controller {
   static targets = [
@@ -66,7 +42,17 @@ export default class extends Controller {
   static values = {
     zoom: { type: Number, default: 100 },
     typewriterMode: { type: Boolean, default: false },
-    syncScrollEnabled: { type: Boolean, default: true }
+    syncScrollEnabled: { type: Boolean, default: true },
+    // Extra sanitizer allowlist entries from .fed (comma-separated)
+    allowedTags: { type: String, default: "" },
+    allowedAttributes: { type: String, default: "" },
+    iframeHosts: { type: String, default: "" },
+    // Show frontmatter as a metadata card (from .fed)
+    frontmatter: { type: Boolean, default: true },
+    // Hugo shortcode templates from .fed (name -> HTML)
+    shortcodeTemplates: { type: Object, default: {} },
+    // Path of the previewed note, for relative image and file URLs
+    notePath: { type: String, default: "" }
   }
 
   connect() {
@@ -83,6 +69,23 @@ export default class extends Controller {
     this._scrollSourceTimeout = null
     this._isUpdatingContent = false // Prevents preview scroll from syncing to editor during content updates
     this._contentUpdateTimeout = null
+    this._diagramCache = new Map() // "theme\nsource" -> { svg } or { error }
+    this._diagramResults = [] // Last result per diagram position, shown while a diagram is edited
+    this._pendingDiagrams = []
+    this._activeDiagramKeys = new Set()
+    this._diagramRenderTimeout = null
+    this._frontmatterCollapsed = false // Survives re-renders while typing
+    this._renderedBlocks = [] // { key, line, nodes } for each block in the content target
+    this._renderedContextKey = null
+    this._blockCache = new Map() // Rendered HTML by block key, see renderBlocks()
+    this._cacheContext = null
+    this._contextVersion = 0
+    this._renderId = 0
+    this._worker = null
+    this._workerState = null // "starting", "ready" or "failed"
+    this._workerContext = null
+    this._workerRequest = null // Render in flight
+    this._queuedWorkerRequest = null // Latest render waiting for it
     this.applyZoom()
   }
 
@@ -99,6 +102,14 @@ export default class extends Controller {
     if (this._contentUpdateTimeout) {
       clearTimeout(this._contentUpdateTimeout)
     }
+    if (this._diagramRenderTimeout) {
+      clearTimeout(this._diagramRenderTimeout)
+    }
+    if (this._worker) {
+      this._worker.terminate()
+      this._worker = null
+      this._workerState = null
+    }
     this.editorTextarea = null
   }
 
@@ -216,23 +227,129 @@ export default class extends Controller {
     if (!this.isVisible) return
     if (!this.hasContentTarget) return
 
+    // Strip frontmatter (YAML/TOML) before rendering
+    const { content, frontmatterLines, frontmatter } = stripFrontmatter(markdownContent || "")
+
+    // Store frontmatter offset for line-based sync
+    this.frontmatterLines = frontmatterLines
+
+    // Store total lines for ratio fallback
+    this.totalSourceLines = (markdownContent || "").split("\n").length
+
+    // The param shortcode reads the note's front matter
+    this.pageParams = (frontmatter && parseFrontmatter(frontmatter).data) || {}
+    setShortcodePageParams(this.pageParams)
+
+    // The metadata card is a block of its own, ahead of the note's blocks
+    const card = this.renderFrontmatter(frontmatter)
+    const request = {
+      id: ++this._renderId,
+      markdown: content,
+      lineOffset: frontmatterLines,
+      before: card ? [{ key: card, line: null, html: card }] : []
+    }
+
+    if (content.length >= WORKER_MIN_LENGTH && this.previewWorkerReady()) {
+      this.renderInWorker(request)
+      return
+    }
+
+    // Parse with line numbers for accurate scroll sync, reusing the HTML of
+    // blocks that haven't changed since the last render
+    this.syncRenderContext()
+    const { blocks, cache } = renderBlocks(content, frontmatterLines, this._blockCache)
+    this._blockCache = cache
+    this.applyBlocks([...request.before, ...blocks], this._contextVersion)
+  }
+
+  // Bump the context version when something that block HTML depends on, other
+  // than the block's source, has changed: cached blocks are then rendered again
+  syncRenderContext() {
+    const context = [getWikiLinkNotes(), window.frankmdTranslations, this._shortcodeVersion, JSON.stringify(this.pageParams || {})]
+    if (this._cacheContext && context.every((value, i) => value === this._cacheContext[i])) return
+
+    this._cacheContext = context
+    this._blockCache = new Map()
+    this._contextVersion++
+  }
+
+  // Patch the content target to show the given blocks. Blocks whose key was
+  // rendered before keep their DOM nodes (and so their iframe, video and diagram
+  // state); only new blocks are sanitized and inserted
+  applyBlocks(blocks, contextVersion) {
+    const container = this.contentTarget
+
     // Mark that we're updating content - prevents preview scroll from syncing to editor
     this._isUpdatingContent = true
     if (this._contentUpdateTimeout) {
       clearTimeout(this._contentUpdateTimeout)
     }
 
-    // Strip frontmatter (YAML/TOML) before rendering
-    const { content, frontmatterLines } = stripFrontmatter(markdownContent || "")
+    // Sanitizer settings, the note's folder and the render context apply to
+    // every block; start over when one of them changes or the DOM was replaced
+    const contextKey = [this.allowedTagsValue, this.allowedAttributesValue, this.iframeHostsValue, this.notePathValue, contextVersion].join("\n")
+    let previous = this._renderedBlocks
+    const tracked = previous.every(block => block.nodes.every(node => node.parentNode === container)) &&
+      previous.reduce((count, block) => count + block.nodes.length, 0) === container.childNodes.length
+    if (contextKey !== this._renderedContextKey || !tracked) {
+      container.replaceChildren()
+      previous = []
+      this._renderedContextKey = contextKey
+    }
 
-    // Store frontmatter offset for line-based sync
-    this.frontmatterLines = frontmatterLines
+    // Unchanged blocks at the start and the end stay where they are
+    let start = 0
+    while (start < previous.length && start < blocks.length && previous[start].key === blocks[start].key) start++
 
-    // Parse with line numbers for accurate scroll sync
-    this.contentTarget.innerHTML = parseWithLineNumbers(content, frontmatterLines)
+    let previousEnd = previous.length
+    let end = blocks.length
+    while (previousEnd > start && end > start && previous[previousEnd - 1].key === blocks[end - 1].key) {
+      previousEnd--
+      end--
+    }
 
-    // Store total lines for ratio fallback
-    this.totalSourceLines = (markdownContent || "").split("\n").length
+    // Blocks in between are reused by key when they moved, or rendered
+    const reusable = new Map()
+    for (const block of previous.slice(start, previousEnd)) {
+      if (!reusable.has(block.key)) reusable.set(block.key, [])
+      reusable.get(block.key).push(block)
+    }
+    const middle = blocks.slice(start, end).map(block => ({ block, reused: reusable.get(block.key)?.shift() }))
+
+    for (const unused of reusable.values()) {
+      for (const block of unused) block.nodes.forEach(node => node.remove())
+    }
+
+    let anchor = previous[previousEnd]?.nodes[0] ?? null
+    const allowlist = this.sanitizerAllowlist
+    for (let i = middle.length - 1; i >= 0; i--) {
+      const entry = middle[i]
+      if (entry.reused) {
+        const nodes = entry.reused.nodes
+        // Moving an iframe reloads it, so only move blocks that are out of place
+        if (nodes.length > 0 && nodes[nodes.length - 1].nextSibling !== anchor) {
+          nodes.forEach(node => container.insertBefore(node, anchor))
+        }
+        entry.nodes = nodes
+      } else {
+        entry.nodes = this.buildBlockNodes(entry.block.html, allowlist)
+        entry.nodes.forEach(node => container.insertBefore(node, anchor))
+      }
+      if (entry.nodes.length > 0) anchor = entry.nodes[0]
+    }
+
+    const rendered = [
+      ...previous.slice(0, start).map((old, i) => ({ block: blocks[i], reused: old })),
+      ...middle.map(({ block, reused, nodes }) => ({ block, reused, nodes })),
+      ...previous.slice(previousEnd).map((old, i) => ({ block: blocks[end + i], reused: old }))
+    ]
+
+    this._renderedBlocks = rendered.map(({ block, reused, nodes }) => {
+      if (reused) this.shiftSourceLines(reused.nodes, reused.line, block.line)
+      return { key: block.key, line: block.line, nodes: nodes || reused.nodes }
+    })
+
+    this.renderDiagrams()
 
     // Clear the content update flag after DOM settles and any scroll events have fired
     // Use 100ms to allow for browser scroll events triggered by DOM changes
@@ -241,6 +358,371 @@ export default class extends Controller {
     }, 100)
   }
 
+  // Note content is untrusted, so the HTML is sanitized before it reaches the DOM.
+  // Relative URLs are resolved in an inert template so the browser doesn't
+  // request them from the app's URL
+  buildBlockNodes(html, allowlist) {
+    const template = document.createElement("template")
+    template.innerHTML = sanitizePreviewHtml(html, allowlist)
+    rewriteNoteAssetUrls(template.content, this.notePathValue)
+    this.enableTaskCheckboxes(template.content)
+    return [...template.content.childNodes]
+  }
+
+  // A kept block moved up or down in the note: update its line annotations
+  shiftSourceLines(nodes, fromLine, toLine) {
+    if (fromLine === null || toLine === null || fromLine === toLine) return
+
+    for (const node of nodes) {
+      if (node.nodeType !== Node.ELEMENT_NODE) continue
+      const annotated = node.matches("[data-source-line]") ? [node, ...node.querySelectorAll("[data-source-line]")] : node.querySelectorAll("[data-source-line]")
+      for (const element of annotated) {
+        element.dataset.sourceLine = parseInt(element.dataset.sourceLine, 10) + toLine - fromLine
+      }
+    }
+  }
+
+  // === Preview Worker ===
+
+  // Start the worker on the first large note; it renders once it has loaded
+  previewWorkerReady() {
+    if (this._workerState === null) {
+      this._worker = this.createWorker()
+      if (!this._worker) {
+        this._workerState = "failed"
+        return false
+      }
+
+      this._workerState = "starting"
+      this._worker.addEventListener("message", event => this.onWorkerMessage(event.data))
+      this._worker.addEventListener("error", event => this.onWorkerError(event))
+    }
+    return this._workerState === "ready"
+  }
+
+  // Start the preview worker (overridable in tests)
+  createWorker() {
+    return createPreviewWorker()
+  }
+
+  // One render at a time; while the worker is busy only the latest one waits
+  renderInWorker(request) {
+    if (this._workerRequest) {
+      this._queuedWorkerRequest = request
+      return
+    }
+
+    this.syncRenderContext()
+    if (this._workerContext !== this._contextVersion) {
+      this._workerContext = this._contextVersion
+      this._worker.postMessage({
+        type: "context",
+        notes: getWikiLinkNotes(),
+        shortcodeTemplates: this.shortcodeTemplatesValue,
+        pageParams: this.pageParams || {},
+        translations: window.frankmdTranslations || {}
+      })
+    }
+
+    this._workerRequest = { ...request, contextVersion: this._contextVersion }
+    this._worker.postMessage({ type: "render", id: request.id, markdown: request.markdown, lineOffset: request.lineOffset })
+  }
+
+  onWorkerMessage(message) {
+    if (message.type === "ready") {
+      this._workerState = "ready"
+      return
+    }
+    if (message.type !== "rendered") return
+
+    const request = this._workerRequest
+    this._workerRequest = null
+
+    // Skip results that a later render has overtaken
+    if (request && message.id === this._renderId && this.hasContentTarget) {
+      this.applyBlocks([...request.before, ...message.blocks], request.contextVersion)
+    }
+
+    const queued = this._queuedWorkerRequest
+    this._queuedWorkerRequest = null
+    if (queued && queued.id === this._renderId) this.renderInWorker(queued)
+  }
+
+  // Fall back to rendering on the main thread
+  onWorkerError(event) {
+    console.error("Preview worker failed:", event.message || event)
+    this._worker.terminate()
+    this._worker = null
+    this._workerState = "failed"
+
+    const request = this._queuedWorkerRequest || this._workerRequest
+    this._workerRequest = null
+    this._queuedWorkerRequest = null
+    if (request && request.id === this._renderId && this.hasContentTarget) {
+      this.syncRenderContext()
+      const { blocks, cache } = renderBlocks(request.markdown, request.lineOffset, this._blockCache)
+      this._blockCache = cache
+      this.applyBlocks([...request.before, ...blocks], this._contextVersion)
+    }
+  }
+
+  renderFrontmatter(frontmatter) {
+    if (!frontmatter || !this.frontmatterValue) return ""
+    return renderFrontmatterCard(frontmatter, { open: !this._frontmatterCollapsed })
+  }
+
+  // Extra tags, attributes and iframe hosts allowed in the preview (from .fed)
+  get sanitizerAllowlist() {
+    return {
+      tags: parseAllowlist(this.allowedTagsValue),
+      attributes: parseAllowlist(this.allowedAttributesValue),
+      iframeHosts: parseAllowlist(this.iframeHostsValue)
+    }
+  }
+
+  // === Mermaid Diagrams ===
+
+  // Swap diagram placeholders for SVG. Unchanged diagrams come from the cache
+  // immediately; changed ones keep showing their previous result and are rendered
+  // after a pause in typing, so editing a diagram doesn't run mermaid on every render()
+  renderDiagrams() {
+    const blocks = this.contentTarget.querySelectorAll(".mermaid-diagram")
+    this._pendingDiagrams = []
+    this._activeDiagramKeys = new Set()
+
+    if (blocks.length === 0) {
+      this._diagramResults = []
+      return
+    }
+
+    const themeKey = document.documentElement.getAttribute("data-theme") || ""
+
+    blocks.forEach((block, index) => {
+      // Filling a diagram replaces its source, so keep it for later passes
+      if (block.dataset.source === undefined) {
+        block.dataset.source = block.querySelector(".mermaid-source")?.textContent || ""
+      }
+      const source = block.dataset.source
+      const key = `${themeKey}\n${source}`
+      const cached = this._diagramCache.get(key)
+      this._activeDiagramKeys.add(key)
+
+      if (cached) {
+        // Blocks kept from the last render already show it
+        if (block.dataset.diagramKey !== key) {
+          this._fillDiagram(block, cached)
+          block.dataset.diagramKey = key
+        }
+        this._diagramResults[index] = cached
+        return
+      }
+
+      const previous = this._diagramResults[index]
+      if (previous) {
+        this._fillDiagram(block, previous)
+        block.classList.add("mermaid-stale")
+      }
+      this._pendingDiagrams.push({ block, index, key, source })
+    })
+
+    this._diagramResults.length = blocks.length
+
+    if (this._diagramRenderTimeout) {
+      clearTimeout(this._diagramRenderTimeout)
+    }
+    if (this._pendingDiagrams.length > 0) {
+      this._diagramRenderTimeout = setTimeout(() => this._renderPendingDiagrams(), 500)
+    }
+  }
+
+  async _renderPendingDiagrams() {
+    this._diagramRenderTimeout = null
+
+    // mermaid keeps global state while rendering - wait for the previous batch
+    if (this._renderingDiagrams) {
+      this._diagramRenderTimeout = setTimeout(() => this._renderPendingDiagrams(), 500)
+      return
+    }
+
+    const pending = this._pendingDiagrams
+    this._pendingDiagrams = []
+    if (pending.length === 0) return
+
+    let mermaid
+    try {
+      mermaid = await this.loadMermaid()
+    } catch (error) {
+      console.error("Failed to load mermaid:", error)
+      return
+    }
+
+    const root = document.documentElement
+    const options = {
+      darkMode: root.classList.contains("dark"),
+      themeVariables: buildMermaidThemeVariables(window.getComputedStyle(root))
+    }
+
+    this._renderingDiagrams = true
+    try {
+      for (const { block, index, key, source } of pending) {
+        const result = this._diagramCache.get(key) || await renderMermaidDiagram(mermaid, source, options)
+        this._diagramCache.set(key, result)
+
+        // The preview may have been re-rendered while mermaid was busy
+        if (!block.isConnected) continue
+        this._fillDiagram(block, result)
+        block.dataset.diagramKey = key
+        this._diagramResults[index] = result
+      }
+    } finally {
+      this._renderingDiagrams = false
+    }
+
+    this._pruneDiagramCache()
+  }
+
+  // Lazy-load mermaid (overridable in tests)
+  loadMermaid() {
+    return loadMermaid()
+  }
+
+  _fillDiagram(block, result) {
+    block.classList.remove("mermaid-stale")
+    if (result.svg) {
+      block.innerHTML = result.svg
+    } else {
+      block.innerHTML = `<div class="mermaid-error"><strong>${escapeHtml(window.t("preview.diagram_error"))}</strong><pre>${escapeHtml(result.error)}</pre></div>`
+    }
+  }
+
+  // Keep only diagrams still present in the preview, so edits don't grow the cache forever
+  _pruneDiagramCache() {
+    for (const key of this._diagramCache.keys()) {
+      if (!this._activeDiagramKeys.has(key)) this._diagramCache.delete(key)
+    }
+  }
+
+  // === Wiki Links, Footnotes and Task Lists ===
+
+  // Open [[wiki links]] in the editor instead of navigating away from the app.
+  // Modifier clicks keep the browser behavior, so a note can still open in a new tab
+  onContentClick(event) {
+    // Remember the card state; the click fires before <details> toggles
+    const frontmatterSummary = event.target.closest(".frontmatter-card > summary")
+    if (frontmatterSummary) {
+      this._frontmatterCollapsed = frontmatterSummary.parentElement.open
+      return
+    }
+
+    const taskCheckbox = event.target.closest(".task-list-checkbox")
+    if (taskCheckbox) {
+      this.toggleTask(taskCheckbox)
+      return
+    }
+
+    const footnoteLink = event.target.closest(".footnote-ref a, a.footnote-backref")
+    if (footnoteLink) {
+      event.preventDefault()
+      this.scrollToFootnoteTarget(footnoteLink)
+      return
+    }
+
+    const link = event.target.closest("a.wiki-link")
+    if (!link) return
+
+    const resolved = !link.classList.contains("wiki-link-unresolved")
+    if (resolved && (event.metaKey || event.ctrlKey || event.shiftKey || event.button !== 0)) return
+
+    event.preventDefault()
+    if (!resolved) return
+
+    this.dispatch("note-selected", {
+      detail: {
+        path: link.dataset.wikiPath || null,
+        heading: link.dataset.wikiHeading || null
+      }
+    })
+  }
+
+  // Jump between a footnote reference and its footnote inside the preview,
+  // without changing the URL (the app routes notes through the history API)
+  scrollToFootnoteTarget(link) {
+    const id = decodeURIComponent(link.getAttribute("href").slice(1))
+    const target = document.getElementById(id)
+    if (!target || !this.contentTarget.contains(target)) return
+
+    const previewRect = this.contentTarget.getBoundingClientRect()
+    const targetTop = target.getBoundingClientRect().top - previewRect.top + this.contentTarget.scrollTop
+    this.contentTarget.scrollTo({ top: Math.max(0, targetTop - 50), behavior: "smooth" })
+  }
+
+  // marked renders task items as disabled checkboxes; enable the ones that can be
+  // traced back to a source line (not those in the footnote section)
+  enableTaskCheckboxes(root = this.contentTarget) {
+    const checkboxes = root.querySelectorAll(TASK_CHECKBOX_SELECTOR)
+    for (const checkbox of checkboxes) {
+      if (!checkbox.closest("[data-source-line]")) continue
+      checkbox.disabled = false
+      checkbox.classList.add("task-list-checkbox")
+    }
+  }
+
+  // Ask the app to flip the item in the source. The checkbox keeps its new state
+  // until the edit re-renders the preview
+  toggleTask(checkbox) {
+    const block = checkbox.closest("[data-source-line]")
+    const index = [...block.querySelectorAll(".task-list-checkbox")].indexOf(checkbox)
+
+    // The block no longer shows what its source says; render it again next time
+    // even if the source didn't change (e.g. a read-only note)
+    const rendered = this._renderedBlocks.find(({ nodes }) => nodes.some(node => node.contains(checkbox)))
+    if (rendered) rendered.key = null
+
+    this.dispatch("task-toggled", {
+      detail: {
+        blockLine: parseInt(block.dataset.sourceLine, 10),
+        index,
+        checked: checkbox.checked
+      }
+    })
+  }
+
+  // === Source Navigation ===
+
+  // Double-clicking a block asks the app to put the editor cursor on its source,
+  // at the word the double-click selected. Links and form controls keep their
+  // own behavior
+  onContentDoubleClick(event) {
+    if (event.target.closest("a, input, summary")) return
+
+    const block = event.target.closest("[data-source-line]")
+    if (!block || !this.contentTarget.contains(block)) return
+
+    const line = parseInt(block.dataset.sourceLine, 10)
+    this.dispatch("source-selected", {
+      detail: {
+        line,
+        endLine: findNextBlockLine(this.contentTarget, line),
+        ...this.selectedWord(block)
+      }
+    })
+  }
+
+  // The selected word and the block's text before it
+  selectedWord(block) {
+    const selection = window.getSelection()
+    if (!selection || selection.rangeCount === 0) return { word: "", textBefore: "" }
+
+    const range = selection.getRangeAt(0)
+    const word = range.toString().trim()
+    if (!word || /\s/.test(word) || !block.contains(range.startContainer)) return { word: "", textBefore: "" }
+
+    const before = document.createRange()
+    before.setStart(block, 0)
+    before.setEnd(range.startContainer, range.startOffset)
+    return { word, textBefore: before.toString() }
+  }
+
   // Update preview with content and scroll sync
   update(markdownContent, scrollData = {}) {
     this.render(markdownContent)
@@ -360,6 +842,13 @@ export default class extends Controller {
     this.applyZoom()
   }
 
+  // The marked extensions read shortcode templates from lib/hugo_shortcodes
+  shortcodeTemplatesValueChanged() {
+    setShortcodeTemplates(this.shortcodeTemplatesValue)
+    // May run before connect()
+    this._shortcodeVersion = (this._shortcodeVersion || 0) + 1
+  }
+
   // Sync scroll based on ratio (for normal scrolling)
   // Uses line-based positioning when available for better accuracy with images/embeds
   syncScrollRatio(scrollRatio) {
@@ -22,12 +22,12 @@ export default class extends Controller {
   }
 
   acceptServer() {
-    this.dispatch("resolved", { detail: { source: "server" } })
+    this.dispatch("resolved", { detail: { path: this._path, source: "server" } })
     this.dialogTarget.close()
   }
 
   acceptBackup() {
-    this.dispatch("resolved", { detail: { source: "backup", content: this._backupContent } })
+    this.dispatch("resolved", { detail: { path: this._path, source: "backup", content: this._backupContent } })
     this.dialogTarget.close()
   }
 
@@ -1,5 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
 import { getEditorContent } from "lib/codemirror_adapter"
+import { findSourcePosition } from "lib/markdown_line_mapper"
 
 export default class extends Controller {
   static outlets = ["codemirror", "preview"]
@@ -79,6 +80,19 @@ export default class extends Controller {
     }
   }
 
+  // Double-click in the preview: put the editor cursor on the clicked word
+  onPreviewSourceSelected(event) {
+    const codemirrorController = this.getCodemirrorController()
+    if (!codemirrorController) return
+
+    const { line, column } = findSourcePosition(codemirrorController.getValue(), event.detail)
+
+    // The editor scrolls to the cursor; the preview stays where it was clicked
+    this._markScrollFromPreview()
+    codemirrorController.setCursorPosition(line, column)
+    codemirrorController.focus()
+  }
+
   onPreviewToggled(event) {
     const { visible } = event.detail
     if (visible) {
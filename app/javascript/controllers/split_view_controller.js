@@ -0,0 +1,221 @@
+import { Controller } from "@hotwired/stimulus"
+import { get } from "@rails/request.js"
+import { encodePath } from "lib/url_utils"
+import { isNoteDrag, draggedNotePath } from "lib/note_drag"
+
+// Split View Controller
+// Second editor pane next to the main editor, with its own codemirror and
+// autosave controllers on the same element. It shows either a note of its own,
+// saved (and backed up offline) by its own autosave, or the note in the main
+// editor at another position: the two editors are then linked, and the main
+// editor's autosave saves the note
+// Dispatches split-view:open-requested with the path of a note dropped on it
+
+export default class extends Controller {
+  static targets = ["title", "linkedIcon"]
+
+  connect() {
+    this.path = null
+    this.linked = false
+    this.mainCodemirror = null
+    this.openRequest = 0
+  }
+
+  disconnect() {
+    this.unlink()
+  }
+
+  // === Controllers on the pane element ===
+
+  getCodemirrorController() {
+    return this.application.getControllerForElementAndIdentifier(this.element, "codemirror")
+  }
+
+  getAutosaveController() {
+    return this.application.getControllerForElementAndIdentifier(this.element, "autosave")
+  }
+
+  // === Public API (called by app controller) ===
+
+  get isOpen() {
+    return this.path !== null
+  }
+
+  /**
+   * Show a note of its own: loaded from the server, or handed over by the main
+   * editor with its unsaved changes
+   * @param {string} path - Note path
+   * @param {Object|null} file - { content, lastSavedContent, hasUnsavedChanges } (see autosave#releaseFile)
+   */
+  async open(path, file = null) {
+    const request = ++this.openRequest
+
+    if (!file) {
+      try {
+        const response = await get(`/notes/${encodePath(path)}`, { responseKind: "json" })
+        if (!response.ok) throw new Error(window.t("errors.failed_to_load"))
+
+        const { content } = await response.json
+        file = { content, lastSavedContent: content, hasUnsavedChanges: false }
+      } catch (error) {
+        console.error("Error loading file:", error)
+        return
+      }
+      // Another note was opened while this one loaded
+      if (request !== this.openRequest) return
+    }
+
+    this.closeNote()
+    this.path = path
+
+    const codemirror = this.getCodemirrorController()
+    codemirror?.openDocument(file.content)
+    codemirror?.setLintNote(path.endsWith(".md") ? path : null)
+
+    const autosave = this.getAutosaveController()
+    if (autosave) {
+      autosave.adoptFile(path, file)
+      if (!file.hasUnsavedChanges) autosave.checkOfflineBackup(file.content)
+    }
+
+    this.show()
+  }
+
+  /**
+   * Show the main editor's note, linked to the main editor
+   * @param {string} path - Note path
+   * @param {Object} mainCodemirror - The main editor's codemirror controller
+   */
+  link(path, mainCodemirror) {
+    this.openRequest++
+    this.closeNote()
+    this.path = path
+    this.linked = true
+    this.mainCodemirror = mainCodemirror
+
+    const codemirror = this.getCodemirrorController()
+    if (codemirror) {
+      codemirror.openDocument(mainCodemirror.getValue())
+      codemirror.setLintNote(path.endsWith(".md") ? path : null)
+      codemirror.linkTo(mainCodemirror)
+    }
+
+    this.show()
+  }
+
+  /**
+   * Hand the pane's own note over to the main editor, which is about to open it.
+   * The pane stays on it, to be linked to the main editor
+   * @param {string} path - Note path
+   * @returns {Object|null} - { content, lastSavedContent, hasUnsavedChanges }, or null if it isn't the pane's note
+   */
+  release(path) {
+    if (this.linked || this.path !== path) return null
+
+    const file = this.getAutosaveController()?.releaseFile(path) ?? null
+    this.linked = true
+    return file
+  }
+
+  // Close the pane, saving its own note (deleted notes aren't saved)
+  close({ save = true } = {}) {
+    this.openRequest++
+    this.closeNote({ save })
+    this.element.classList.add("hidden")
+    this.element.classList.remove("flex")
+  }
+
+  // Follow a renamed or moved note or folder
+  rename(oldPath, newPath) {
+    if (!this.path || (this.path !== oldPath && !this.path.startsWith(oldPath + "/"))) return
+
+    const renamed = `${newPath}${this.path.slice(oldPath.length)}`
+    if (!this.linked) this.getAutosaveController()?.renameFile(this.path, renamed)
+    this.path = renamed
+    this.getCodemirrorController()?.setLintNote(renamed.endsWith(".md") ? renamed : null)
+    this.renderTitle()
+  }
+
+  // Save the pane's own note now (Ctrl+S in the pane)
+  save() {
+    this.getAutosaveController()?.saveNow()
+  }
+
+  hasFocus() {
+    return this.isOpen && (this.getCodemirrorController()?.hasFocus() ?? false)
+  }
+
+  refreshLint() {
+    if (this.isOpen) this.getCodemirrorController()?.refreshLint()
+  }
+
+  // === Actions ===
+
+  // Edits of the pane's own note are saved by its autosave. Those of a linked
+  // note reach the main editor, which saves them
+  onEditorChange() {
+    if (this.linked || !this.path) return
+
+    const autosave = this.getAutosaveController()
+    if (!autosave) return
+
+    autosave.checkContentRestored(this.getCodemirrorController()?.getValue() ?? "")
+    autosave.scheduleOfflineBackup()
+    autosave.scheduleAutoSave()
+  }
+
+  // Notes dragged from the file tree or the tabs open in the pane. Runs in the
+  // capture phase, before CodeMirror handles the drop
+  onDragOver(event) {
+    if (!isNoteDrag(event)) return
+
+    event.preventDefault()
+    event.stopPropagation()
+    event.dataTransfer.dropEffect = "copy"
+  }
+
+  onDrop(event) {
+    if (!isNoteDrag(event)) return
+
+    event.preventDefault()
+    event.stopPropagation()
+    const path = draggedNotePath(event)
+    if (path) this.dispatch("open-requested", { detail: { path } })
+  }
+
+  // === Private ===
+
+  // Leave the note on screen: a linked view is unlinked, the pane's own note
+  // is saved and forgotten
+  closeNote({ save = true } = {}) {
+    if (this.linked) {
+      this.unlink()
+    } else if (this.path) {
+      this.getAutosaveController()?.closeFile(this.path, { save })
+    }
+    this.path = null
+    this.linked = false
+  }
+
+  unlink() {
+    this.getCodemirrorController()?.unlink()
+    this.mainCodemirror?.unlink()
+    this.mainCodemirror = null
+  }
+
+  show() {
+    this.element.classList.remove("hidden")
+    this.element.classList.add("flex")
+    this.renderTitle()
+  }
+
+  renderTitle() {
+    if (this.hasTitleTarget) {
+      this.titleTarget.textContent = this.path ? this.path.split("/").pop().replace(/\.md$/, "") : ""
+      this.titleTarget.title = this.path || ""
+    }
+    if (this.hasLinkedIconTarget) {
+      this.linkedIconTarget.classList.toggle("hidden", !this.linked)
+    }
+  }
+}
@@ -1,8 +1,10 @@
 import { Controller } from "@hotwired/stimulus"
 import { calculateStats, formatFileSize, formatReadTime } from "lib/stats_utils"
+import { VIM_MODE_LABELS } from "lib/codemirror_vim"
 
 // Stats Panel Controller
 // Displays document statistics: word count, character count, file size, read time
+// and, in Vim mode, the current Vim mode
 // Listens for stats:update events with text content
 
 export default class extends Controller {
@@ -12,7 +14,9 @@ export default class extends Controller {
     "chars",
     "size",
     "readTime",
-    "linePosition"
+    "linePosition",
+    "vimModeRow",
+    "vimMode"
   ]
 
   connect() {
@@ -91,6 +95,16 @@ export default class extends Controller {
     }
   }
 
+  // Show the Vim mode (normal, insert, visual...), or hide it when Vim mode is off
+  updateVimMode(mode) {
+    if (!this.hasVimModeRowTarget || !this.hasVimModeTarget) return
+
+    this.vimModeRowTarget.classList.toggle("hidden", !mode)
+    if (mode) {
+      this.vimModeTarget.textContent = VIM_MODE_LABELS[mode] || mode
+    }
+  }
+
   // Handle update event from app controller
   onUpdate(event) {
     const { text, cursorInfo, immediate } = event.detail || {}
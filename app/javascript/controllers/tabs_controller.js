@@ -0,0 +1,231 @@
+import { Controller } from "@hotwired/stimulus"
+import { escapeHtml } from "lib/text_utils"
+import { NOTE_DRAG_TYPE } from "lib/note_drag"
+
+// Tabs Controller
+// Tab strip of the open files above the editor. The app controller keeps each
+// tab's editor state; this controller keeps their order (in localStorage, so
+// tabs come back after a reload) and shows their save status
+// Dispatches tabs:selected and tabs:close events with the file path
+
+export default class extends Controller {
+  static targets = ["list"]
+
+  static STORAGE_KEY = "frankmd:tabs"
+
+  connect() {
+    this.paths = this.loadPaths()
+    this.activePath = null
+    this.statuses = new Map()
+    this.draggedPath = null
+    this.render()
+
+    // Tooltips are translated
+    this.boundTranslationsHandler = () => this.render()
+    window.addEventListener("frankmd:translations-loaded", this.boundTranslationsHandler)
+  }
+
+  disconnect() {
+    window.removeEventListener("frankmd:translations-loaded", this.boundTranslationsHandler)
+  }
+
+  // === Public API (called by app controller) ===
+
+  has(path) {
+    return this.paths.includes(path)
+  }
+
+  // Open a tab for a file, next to the active tab, and make it active
+  open(path) {
+    if (!this.has(path)) {
+      const index = this.paths.indexOf(this.activePath)
+      this.paths.splice(index === -1 ? this.paths.length : index + 1, 0, path)
+      this.savePaths()
+    }
+    this.activate(path)
+  }
+
+  // Mark a tab as the one in the editor (null when no file is open)
+  activate(path) {
+    this.activePath = path
+    this.render()
+  }
+
+  // Remove a tab. When it was the active tab, returns the tab to show instead
+  remove(path) {
+    const index = this.paths.indexOf(path)
+    if (index === -1) return null
+
+    this.paths.splice(index, 1)
+    this.statuses.delete(path)
+
+    let next = null
+    if (path === this.activePath) {
+      this.activePath = null
+      next = this.paths[Math.min(index, this.paths.length - 1)] ?? null
+    }
+
+    this.savePaths()
+    this.render()
+    return next
+  }
+
+  // Follow a renamed or moved file
+  rename(oldPath, newPath) {
+    const index = this.paths.indexOf(oldPath)
+    if (index === -1) return
+
+    this.paths[index] = newPath
+    if (this.activePath === oldPath) this.activePath = newPath
+    if (this.statuses.has(oldPath)) {
+      this.statuses.set(newPath, this.statuses.get(oldPath))
+      this.statuses.delete(oldPath)
+    }
+
+    this.savePaths()
+    this.render()
+  }
+
+  // Save status from the autosave controller: "unsaved", "saving", "saved" or "error"
+  setStatus(path, status) {
+    if (!this.has(path)) return
+
+    if (status === "saved") {
+      this.statuses.delete(path)
+    } else {
+      this.statuses.set(path, status)
+    }
+    this.render()
+  }
+
+  // === Actions ===
+
+  select(event) {
+    const path = event.currentTarget.dataset.path
+    if (path !== this.activePath) {
+      this.dispatch("selected", { detail: { path } })
+    }
+  }
+
+  close(event) {
+    event.stopPropagation()
+    this.dispatch("close", { detail: { path: event.currentTarget.dataset.path } })
+  }
+
+  // Middle click closes a tab
+  onAuxClick(event) {
+    if (event.button !== 1) return
+
+    event.preventDefault()
+    this.dispatch("close", { detail: { path: event.currentTarget.dataset.path } })
+  }
+
+  // === Reordering (drag and drop) ===
+
+  onDragStart(event) {
+    this.draggedPath = event.currentTarget.dataset.path
+    event.dataTransfer.effectAllowed = "move"
+    // Not text/plain, so the tab can't be dropped into the editor as text
+    event.dataTransfer.setData("application/x-frankmd-tab", this.draggedPath)
+    // Dropped onto the split pane, the note opens there
+    event.dataTransfer.setData(NOTE_DRAG_TYPE, this.draggedPath)
+  }
+
+  onDragOver(event) {
+    if (!this.draggedPath) return
+
+    event.preventDefault()
+    event.dataTransfer.dropEffect = "move"
+  }
+
+  onDrop(event) {
+    if (!this.draggedPath) return
+    event.preventDefault()
+
+    const targetPath = event.currentTarget.dataset.path
+    if (targetPath !== this.draggedPath) {
+      // The dragged tab takes the target's place
+      const targetIndex = this.paths.indexOf(targetPath)
+      this.paths = this.paths.filter(path => path !== this.draggedPath)
+      this.paths.splice(targetIndex, 0, this.draggedPath)
+      this.savePaths()
+      this.render()
+    }
+    this.draggedPath = null
+  }
+
+  onDragEnd() {
+    this.draggedPath = null
+  }
+
+  // === Persistence ===
+
+  loadPaths() {
+    try {
+      const paths = JSON.parse(localStorage.getItem(this.constructor.STORAGE_KEY))
+      return Array.isArray(paths) ? paths.filter(path => typeof path === "string") : []
+    } catch {
+      return []
+    }
+  }
+
+  savePaths() {
+    try {
+      localStorage.setItem(this.constructor.STORAGE_KEY, JSON.stringify(this.paths))
+    } catch (e) {
+      console.warn("Failed to save tabs:", e)
+    }
+  }
+
+  // === Rendering ===
+
+  render() {
+    this.element.classList.toggle("hidden", this.paths.length === 0)
+    this.element.classList.toggle("flex", this.paths.length > 0)
+    this.listTarget.innerHTML = this.paths.map(path => this.renderTab(path)).join("")
+  }
+
+  renderTab(path) {
+    const isActive = path === this.activePath
+    const name = path.split("/").pop().replace(/\.md$/, "")
+    const status = this.statuses.get(path)
+
+    return `
+      <div
+        role="tab"
+        aria-selected="${isActive}"
+        draggable="true"
+        class="group flex items-center gap-1 h-full max-w-48 shrink-0 pl-3 pr-1 border-r border-[var(--theme-border)] text-xs cursor-pointer select-none ${isActive ? 'bg-[var(--theme-bg-primary)] text-[var(--theme-text-primary)]' : 'text-[var(--theme-text-muted)] hover:bg-[var(--theme-bg-hover)]'}"
+        title="${escapeHtml(path)}"
+        data-path="${escapeHtml(path)}"
+        data-action="click->tabs#select auxclick->tabs#onAuxClick dragstart->tabs#onDragStart dragover->tabs#onDragOver drop->tabs#onDrop dragend->tabs#onDragEnd"
+      >
+        <span class="truncate">${escapeHtml(name)}</span>
+        ${this.renderStatus(status)}
+        <button
+          type="button"
+          class="p-0.5 rounded hover:bg-[var(--theme-bg-hover)] ${isActive ? '' : 'opacity-0 group-hover:opacity-100'}"
+          title="${escapeHtml(window.t("editor.tabs.close"))}"
+          data-path="${escapeHtml(path)}"
+          data-action="click->tabs#close"
+        >
+          <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+    `
+  }
+
+  renderStatus(status) {
+    const styles = {
+      unsaved: { color: "bg-[var(--theme-text-muted)]", title: "editor.tabs.unsaved" },
+      saving: { color: "bg-[var(--theme-accent)] animate-pulse", title: "editor.tabs.saving" },
+      error: { color: "bg-red-500", title: "editor.tabs.save_error" }
+    }
+    const style = styles[status]
+    if (!style) return ""
+
+    return `<span class="w-2 h-2 shrink-0 rounded-full ${style.color}" data-status="${status}" title="${escapeHtml(window.t(style.title))}"></span>`
+  }
+}
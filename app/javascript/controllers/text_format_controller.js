@@ -1,7 +1,10 @@
 import { Controller } from "@hotwired/stimulus"
+import { buildFootnoteInsertion } from "lib/footnotes"
 
 // Text Format Controller
 // Handles text formatting context menu for inline markdown formatting
+// and GitHub-style alert callouts (block formats that quote the selected lines)
+// Provides insertFootnote() to add the next free [^n] footnote at the cursor
 // Provides openAtCursor() and openAtPosition() for menu positioning
 // Provides applyFormatById() for direct formatting (keyboard shortcuts)
 // Dispatches text-format:applied event with { format, prefix, suffix, selectionData }
@@ -16,7 +19,13 @@ export default class extends Controller {
     { id: "highlight", label: "Highlight", hotkey: "H", prefix: "==", suffix: "==" },
     { id: "subscript", label: "Subscript", hotkey: "U", prefix: "~", suffix: "~" },
     { id: "superscript", label: "Superscript", hotkey: "P", prefix: "^", suffix: "^" },
-    { id: "link", label: "Link", hotkey: "L", prefix: "[", suffix: "](url)" }
+    { id: "link", label: "Link", hotkey: "L", prefix: "[", suffix: "](url)" },
+    { id: "footnote", label: "Footnote", hotkey: "F", prefix: "", suffix: "", footnote: true },
+    { id: "note", label: "Note callout", hotkey: "N", prefix: "> [!NOTE]\n", suffix: "", block: true },
+    { id: "tip", label: "Tip callout", hotkey: "T", prefix: "> [!TIP]\n", suffix: "", block: true },
+    { id: "important", label: "Important callout", hotkey: "M", prefix: "> [!IMPORTANT]\n", suffix: "", block: true },
+    { id: "warning", label: "Warning callout", hotkey: "W", prefix: "> [!WARNING]\n", suffix: "", block: true },
+    { id: "caution", label: "Caution callout", hotkey: "C", prefix: "> [!CAUTION]\n", suffix: "", block: true }
   ]
 
   connect() {
@@ -337,6 +346,14 @@ export default class extends Controller {
     const start = textarea.selectionStart
     const end = textarea.selectionEnd
 
+    // Block formats (callouts) quote the selected lines, or start an empty callout;
+    // footnotes are referenced from the end of the selection
+    if (format.block || format.footnote) {
+      const text = textarea.value.substring(start, end)
+      this.applyFormatToTextarea(format, { start, end, text }, textarea)
+      return true
+    }
+
     // If no selection, just insert the format markers and place cursor between them
     if (start === end) {
       const { prefix, suffix } = format
@@ -373,10 +390,48 @@ export default class extends Controller {
     return true
   }
 
+  // Build a block format (callout) around the selected lines
+  // The callout must start and end on its own lines, so line breaks are added
+  // when the selection starts or ends mid-line
+  buildBlockFormat(format, selectionData, fullText) {
+    const { start, end, text } = selectionData
+    const lines = text.replace(/\n$/, "").split("\n")
+    const quoted = lines.map(line => (line ? `> ${line}` : ">")).join("\n")
+
+    const before = start > 0 && fullText[start - 1] !== "\n" ? "\n\n" : ""
+    const body = format.prefix + (text ? quoted : "> ")
+    const after = end < fullText.length && fullText[end] !== "\n" ? "\n\n" : ""
+
+    return {
+      insert: before + body + after,
+      cursor: start + before.length + body.length
+    }
+  }
+
   // Apply format to textarea and update its value
   applyFormatToTextarea(format, selectionData, textarea) {
     if (!format || !selectionData || !textarea) return
 
+    if (format.footnote) {
+      const { reference, definition } = buildFootnoteInsertion(textarea.value)
+      const { end } = selectionData
+      textarea.value = textarea.value.substring(0, end) + reference + textarea.value.substring(end) + definition
+      textarea.setSelectionRange(textarea.value.length, textarea.value.length)
+      textarea.focus()
+      textarea.dispatchEvent(new Event("input", { bubbles: true }))
+      return
+    }
+
+    if (format.block) {
+      const { insert, cursor } = this.buildBlockFormat(format, selectionData, textarea.value)
+      const { start, end } = selectionData
+      textarea.value = textarea.value.substring(0, start) + insert + textarea.value.substring(end)
+      textarea.setSelectionRange(cursor, cursor)
+      textarea.focus()
+      textarea.dispatchEvent(new Event("input", { bubbles: true }))
+      return
+    }
+
     const { start, end, text } = selectionData
     const { prefix, suffix } = format
 
@@ -413,6 +468,20 @@ export default class extends Controller {
     const { start, end, text } = selectionData
     const fullText = codemirrorController.getValue()
 
+    if (format.block) {
+      const { insert, cursor } = this.buildBlockFormat(format, selectionData, fullText)
+      codemirrorController.replaceRange(insert, start, end)
+      codemirrorController.setSelection(cursor, cursor)
+      codemirrorController.focus()
+      return
+    }
+
+    // Footnotes keep the selection and reference it from its end
+    if (format.footnote) {
+      this.insertFootnote(codemirrorController, end)
+      return
+    }
+
     // Check for toggle (unwrap) if format is symmetric
     const isToggleable = prefix === suffix
     if (isToggleable) {
@@ -461,6 +530,26 @@ export default class extends Controller {
     codemirrorController.focus()
   }
 
+  // Insert the next free footnote: a [^n] reference at the position (default:
+  // the end of the selection) and its definition at the end of the note.
+  // The cursor moves to the new definition so its text can be typed right away
+  insertFootnote(codemirrorController, position = null) {
+    if (!codemirrorController) return false
+
+    const text = codemirrorController.getValue()
+    const at = position ?? codemirrorController.getSelection().to
+    const { reference, definition } = buildFootnoteInsertion(text)
+
+    // Append the definition first so the reference position stays valid
+    codemirrorController.replaceRange(definition, text.length, text.length)
+    codemirrorController.replaceRange(reference, at, at)
+
+    const cursor = text.length + definition.length + reference.length
+    codemirrorController.setSelection(cursor, cursor)
+    codemirrorController.focus()
+    return true
+  }
+
   // Handle context menu with CodeMirror selection check
   onContextMenu(event, codemirrorController, isMarkdown) {
     if (!isMarkdown || !codemirrorController) return
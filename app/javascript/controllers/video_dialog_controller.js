@@ -2,6 +2,7 @@ import { Controller } from "@hotwired/stimulus"
 import { get } from "@rails/request.js"
 import { escapeHtml } from "lib/text_utils"
 import { extractYouTubeId } from "lib/url_utils"
+import { videoFileEmbedCode } from "lib/codemirror_content_insertion"
 
 // Video Dialog Controller
 // Handles video embedding from URLs and YouTube search
@@ -278,23 +279,7 @@ export default class extends Controller {
     if (this.detectedVideoType === "youtube") {
       embedCode = this.youtubeEmbedCode(this.detectedVideoData.id)
     } else if (this.detectedVideoType === "file") {
-      const url = this.detectedVideoData.url
-      const ext = url.split(".").pop().toLowerCase()
-      const mimeTypes = {
-        mp4: "video/mp4",
-        webm: "video/webm",
-        mkv: "video/x-matroska",
-        mov: "video/quicktime",
-        avi: "video/x-msvideo",
-        m4v: "video/x-m4v",
-        ogv: "video/ogg"
-      }
-      const mimeType = mimeTypes[ext] || "video/mp4"
-
-      embedCode = `<video controls class="video-player">
-  <source src="${escapeHtml(url)}" type="${mimeType}">
-  Your browser does not support the video tag.
-</video>`
+      embedCode = videoFileEmbedCode(this.detectedVideoData.url)
     }
 
     this.dispatch("video-selected", { detail: { embedCode } })
@@ -0,0 +1,93 @@
+// Languages for fenced code blocks in the editor
+// The markdown parser matches a block's info string (```ruby) against these
+// names and aliases, and loads the language's parser the first time a note
+// uses it. Lezer parsers come from the @codemirror/lang-* packages; the rest
+// are CodeMirror 5 modes from @codemirror/legacy-modes, run as stream parsers.
+// Token colors are set in lib/codemirror_theme (createSyntaxHighlighting)
+
+import { LanguageDescription, LanguageSupport, StreamLanguage } from "@codemirror/language"
+
+// Wrap a legacy mode as a language the markdown parser can nest
+function legacyMode(mode) {
+  return new LanguageSupport(StreamLanguage.define(mode))
+}
+
+function language(name, alias, load) {
+  return LanguageDescription.of({ name, alias, load })
+}
+
+export const codeLanguages = [
+  // Lezer parsers
+  language("JavaScript", ["js", "javascript", "mjs", "cjs", "node"], () =>
+    import("@codemirror/lang-javascript").then(m => m.javascript())),
+  language("JSX", ["jsx"], () =>
+    import("@codemirror/lang-javascript").then(m => m.javascript({ jsx: true }))),
+  language("TypeScript", ["ts", "typescript"], () =>
+    import("@codemirror/lang-javascript").then(m => m.javascript({ typescript: true }))),
+  language("TSX", ["tsx"], () =>
+    import("@codemirror/lang-javascript").then(m => m.javascript({ jsx: true, typescript: true }))),
+  language("CSS", ["css"], () =>
+    import("@codemirror/lang-css").then(m => m.css())),
+  language("HTML", ["html", "htm", "xhtml", "erb"], () =>
+    import("@codemirror/lang-html").then(m => m.html())),
+  language("JSON", ["json", "jsonc", "json5", "geojson"], () =>
+    import("@codemirror/lang-json").then(m => m.json())),
+  language("Python", ["py", "python", "python3"], () =>
+    import("@codemirror/lang-python").then(m => m.python())),
+  language("YAML", ["yml", "yaml"], () =>
+    import("@codemirror/lang-yaml").then(m => m.yaml())),
+  language("SQL", ["sql", "sqlite"], () =>
+    import("@codemirror/lang-sql").then(m => m.sql())),
+  language("PostgreSQL", ["postgresql", "postgres", "psql", "pgsql"], () =>
+    import("@codemirror/lang-sql").then(m => m.sql({ dialect: m.PostgreSQL }))),
+  language("MySQL", ["mysql", "mariadb"], () =>
+    import("@codemirror/lang-sql").then(m => m.sql({ dialect: m.MySQL }))),
+
+  // Legacy modes
+  language("Ruby", ["rb", "ruby", "rake", "gemspec", "podspec"], () =>
+    import("@codemirror/legacy-modes/mode/ruby").then(m => legacyMode(m.ruby))),
+  language("Shell", ["sh", "bash", "zsh", "shell", "console", "shellsession"], () =>
+    import("@codemirror/legacy-modes/mode/shell").then(m => legacyMode(m.shell))),
+  language("PowerShell", ["powershell", "ps1", "pwsh"], () =>
+    import("@codemirror/legacy-modes/mode/powershell").then(m => legacyMode(m.powerShell))),
+  language("TOML", ["toml"], () =>
+    import("@codemirror/legacy-modes/mode/toml").then(m => legacyMode(m.toml))),
+  language("XML", ["xml", "svg", "xsl", "plist", "rss"], () =>
+    import("@codemirror/legacy-modes/mode/xml").then(m => legacyMode(m.xml))),
+  language("Go", ["go", "golang"], () =>
+    import("@codemirror/legacy-modes/mode/go").then(m => legacyMode(m.go))),
+  language("Rust", ["rs", "rust"], () =>
+    import("@codemirror/legacy-modes/mode/rust").then(m => legacyMode(m.rust))),
+  language("C", ["c", "h"], () =>
+    import("@codemirror/legacy-modes/mode/clike").then(m => legacyMode(m.c))),
+  language("C++", ["cpp", "c++", "cc", "cxx", "hpp"], () =>
+    import("@codemirror/legacy-modes/mode/clike").then(m => legacyMode(m.cpp))),
+  language("C#", ["cs", "csharp", "c#"], () =>
+    import("@codemirror/legacy-modes/mode/clike").then(m => legacyMode(m.csharp))),
+  language("Java", ["java"], () =>
+    import("@codemirror/legacy-modes/mode/clike").then(m => legacyMode(m.java))),
+  language("Kotlin", ["kt", "kotlin", "kts"], () =>
+    import("@codemirror/legacy-modes/mode/clike").then(m => legacyMode(m.kotlin))),
+  language("Scala", ["scala", "sc"], () =>
+    import("@codemirror/legacy-modes/mode/clike").then(m => legacyMode(m.scala))),
+  language("Dart", ["dart"], () =>
+    import("@codemirror/legacy-modes/mode/clike").then(m => legacyMode(m.dart))),
+  language("Swift", ["swift"], () =>
+    import("@codemirror/legacy-modes/mode/swift").then(m => legacyMode(m.swift))),
+  language("Lua", ["lua"], () =>
+    import("@codemirror/legacy-modes/mode/lua").then(m => legacyMode(m.lua))),
+  language("Perl", ["pl", "perl", "pm"], () =>
+    import("@codemirror/legacy-modes/mode/perl").then(m => legacyMode(m.perl))),
+  language("Haskell", ["hs", "haskell"], () =>
+    import("@codemirror/legacy-modes/mode/haskell").then(m => legacyMode(m.haskell))),
+  language("Erlang", ["erl", "erlang"], () =>
+    import("@codemirror/legacy-modes/mode/erlang").then(m => legacyMode(m.erlang))),
+  language("Clojure", ["clj", "clojure", "cljs", "edn"], () =>
+    import("@codemirror/legacy-modes/mode/clojure").then(m => legacyMode(m.clojure))),
+  language("Diff", ["diff", "patch"], () =>
+    import("@codemirror/legacy-modes/mode/diff").then(m => legacyMode(m.diff))),
+  language("Dockerfile", ["dockerfile", "docker", "containerfile"], () =>
+    import("@codemirror/legacy-modes/mode/dockerfile").then(m => legacyMode(m.dockerFile))),
+  language("Nginx", ["nginx", "nginxconf"], () =>
+    import("@codemirror/legacy-modes/mode/nginx").then(m => legacyMode(m.nginx)))
+]
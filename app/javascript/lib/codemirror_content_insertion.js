@@ -1,6 +1,18 @@
 // CodeMirror Content Insertion - Unified content insertion utilities
 // Consolidates the repeated insertion patterns for table, code, image, video, emoji
 
+import { escapeHtmlString } from "lib/text_utils"
+
+const VIDEO_MIME_TYPES = {
+  mp4: "video/mp4",
+  webm: "video/webm",
+  mkv: "video/x-matroska",
+  mov: "video/quicktime",
+  avi: "video/x-msvideo",
+  m4v: "video/x-m4v",
+  ogv: "video/ogg"
+}
+
 /**
  * Calculate newline prefix needed before insertion
  * @param {string} textBefore - Text before cursor
@@ -153,6 +165,21 @@ export function insertCodeBlock(controller, codeBlock, language = "", options =
   return insertBlockContent(controller, codeBlock, { ...options, cursorOffset })
 }
 
+/**
+ * Embed code for a video file, its type taken from the extension
+ * @param {string} url - Video URL
+ * @returns {string} - <video> element
+ */
+export function videoFileEmbedCode(url) {
+  const ext = url.split(/[?#]/)[0].split(".").pop().toLowerCase()
+  const mimeType = VIDEO_MIME_TYPES[ext] || "video/mp4"
+
+  return `<video controls class="video-player">
+  <source src="${escapeHtmlString(url)}" type="${mimeType}">
+  Your browser does not support the video tag.
+</video>`
+}
+
 /**
  * Insert video embed at cursor
  * @param {Object} controller - CodeMirror controller
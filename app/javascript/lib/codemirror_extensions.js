@@ -5,10 +5,22 @@ import { EditorView, keymap, placeholder, lineNumbers, highlightActiveLineGutter
 import { EditorState, Compartment, Prec } from "@codemirror/state"
 import { history, defaultKeymap, historyKeymap, indentWithTab } from "@codemirror/commands"
 import { markdown, markdownLanguage } from "@codemirror/lang-markdown"
-import { bracketMatching } from "@codemirror/language"
+import { bracketMatching, indentUnit } from "@codemirror/language"
 import { searchKeymap, highlightSelectionMatches } from "@codemirror/search"
+import { autocompletion } from "@codemirror/autocomplete"
 import { createTheme } from "lib/codemirror_theme"
 import { LINE_NUMBER_MODES } from "lib/line_numbers"
+import { wikiLinkCompletionSource } from "lib/wiki_links"
+import { markdownCompletionSources } from "lib/markdown_completions"
+import { markdownLinter } from "lib/markdown_lint"
+import { codeLanguages } from "lib/code_languages"
+import { markdownLists } from "lib/markdown_lists"
+import { markdownTables } from "lib/codemirror_tables"
+import { markdownPaste } from "lib/codemirror_paste"
+import { markdownFileDrop } from "lib/codemirror_file_drop"
+import { uploadPlaceholders } from "lib/codemirror_uploads"
+import { markdownFolding, foldPersistence } from "lib/codemirror_folding"
+import { parseIndentSetting } from "lib/indent_utils"
 
 // Re-export for convenience
 export { LINE_NUMBER_MODES }
@@ -17,6 +29,11 @@ export { LINE_NUMBER_MODES }
 export const themeCompartment = new Compartment()
 export const lineNumbersCompartment = new Compartment()
 export const readOnlyCompartment = new Compartment()
+export const lintCompartment = new Compartment()
+export const completionCompartment = new Compartment()
+export const indentCompartment = new Compartment()
+export const uploadCompartment = new Compartment()
+export const foldCompartment = new Compartment()
 
 /**
  * Create line numbers extension based on mode
@@ -51,6 +68,55 @@ export function createLineNumbers(mode) {
   ]
 }
 
+/**
+ * Create the lint extension for the open note (broken links, images and anchors)
+ * @param {string|null} notePath - Path of the note, or null to turn linting off
+ * @returns {Extension} - Linter extension or empty array
+ */
+export function createMarkdownLint(notePath) {
+  return notePath ? markdownLinter({ notePath }) : []
+}
+
+/**
+ * Create the indent unit used by Tab and list indentation
+ * @param {number} indent - Indent setting: 0 = tab, 1-6 = spaces
+ * @returns {Extension} - Indent unit facet
+ */
+export function createIndentUnit(indent) {
+  return indentUnit.of(parseIndentSetting(indent))
+}
+
+/**
+ * Create the autocomplete extension for the open note: note names after [[,
+ * link and image targets, headings after # and emoji shortcodes
+ * @param {string|null} notePath - Path of the note, or null for files that aren't notes
+ * @returns {Extension} - Autocompletion extension
+ */
+export function createCompletions(notePath) {
+  return autocompletion({ override: [wikiLinkCompletionSource, ...markdownCompletionSources({ notePath })] })
+}
+
+/**
+ * Create the paste and file drop handling for the open note: uploaded files are
+ * linked relative to it, and dropped attachments saved next to it
+ * @param {string|null} notePath - Path of the note, or null for files that aren't notes
+ * @param {string} dropResize - Resize ratio for dropped images ("" keeps their size)
+ * @returns {Extension[]}
+ */
+export function createUploads(notePath, dropResize = "") {
+  return [markdownPaste({ notePath }), markdownFileDrop({ notePath, resize: dropResize })]
+}
+
+/**
+ * Create the fold persistence for the open note: its folds are remembered
+ * across reloads
+ * @param {string|null} notePath - Path of the note, or null for files that aren't notes
+ * @returns {Extension}
+ */
+export function createFoldPersistence(notePath) {
+  return foldPersistence(notePath)
+}
+
 /**
  * Custom keymap for markdown editing
  * Provides bold, italic, and other formatting shortcuts
@@ -154,6 +220,9 @@ const markdownKeymap = Prec.highest(keymap.of([
  * @param {string} options.fontSize - Font size
  * @param {string} options.lineHeight - Line height
  * @param {number} options.lineNumberMode - Line number display mode
+ * @param {number} options.indent - Indent setting (see parseIndentSetting)
+ * @param {string} options.lintNotePath - Path of the note to lint (null: no linting)
+ * @param {string} options.dropResize - Resize ratio for images dropped on the editor
  * @param {Function} options.onUpdate - Callback for document updates
  * @param {Function} options.onSelectionChange - Callback for selection changes
  * @param {Function} options.onScroll - Callback for scroll events
@@ -166,6 +235,9 @@ export function createExtensions(options = {}) {
     fontSize = "14px",
     lineHeight = "1.6",
     lineNumberMode = LINE_NUMBER_MODES.OFF,
+    indent = 2,
+    lintNotePath = null,
+    dropResize = "",
     onUpdate = null,
     onSelectionChange = null,
     onScroll = null
@@ -178,14 +250,26 @@ export function createExtensions(options = {}) {
     // Line numbers (in compartment for toggling)
     lineNumbersCompartment.of(createLineNumbers(lineNumberMode)),
 
+    // Fold markers (next to the line numbers, whatever their mode) and commands
+    markdownFolding(),
+
+    // Fold persistence (in compartment, reconfigured when another note is opened)
+    foldCompartment.of(createFoldPersistence(lintNotePath)),
+
     // Read-only state (in compartment for toggling)
     readOnlyCompartment.of(EditorState.readOnly.of(false)),
 
+    // Lint (in compartment, reconfigured when another note is opened)
+    lintCompartment.of(createMarkdownLint(lintNotePath)),
+
+    // Indent unit (in compartment, follows the indent setting)
+    indentCompartment.of(createIndentUnit(indent)),
+
     // History (undo/redo)
     history(),
 
-    // Markdown language support
-    markdown({ base: markdownLanguage }),
+    // Markdown language support, highlighting fenced code by its language
+    markdown({ base: markdownLanguage, codeLanguages }),
 
     // Visual features
     drawSelection(),
@@ -194,6 +278,19 @@ export function createExtensions(options = {}) {
     highlightSelectionMatches(),
     bracketMatching(),
 
+    // Autocomplete (in compartment, reconfigured when another note is opened)
+    completionCompartment.of(createCompletions(lintNotePath)),
+
+    // List continuation, indentation and renumbering, and table editing (after
+    // autocomplete, whose Enter accepts a suggestion)
+    markdownLists(),
+    markdownTables(),
+
+    // Pasting HTML as markdown, and uploading pasted images and dropped files
+    // (in compartment, reconfigured when another note is opened)
+    uploadPlaceholders(),
+    uploadCompartment.of(createUploads(lintNotePath, dropResize)),
+
     // Line wrapping
     EditorView.lineWrapping,
 
@@ -0,0 +1,145 @@
+// CodeMirror File Drop Extension
+// Files dropped from the desktop onto the editor are uploaded and inserted where
+// they were dropped, with an inline progress placeholder meanwhile. Images and
+// videos go through the image upload (to S3 when it is configured, images
+// resized as set by editor_drop_resize) and are inserted as markdown images and
+// video embeds. Other files (PDFs, archives...) are saved next to the note and
+// inserted as links
+
+import { EditorView } from "@codemirror/view"
+import { uploadFiles, s3Enabled, noteFileUrl } from "lib/codemirror_uploads"
+import { videoFileEmbedCode } from "lib/codemirror_content_insertion"
+import { isNoteDrag } from "lib/note_drag"
+import { encodePath } from "lib/url_utils"
+
+// The extensions the image upload takes (ImagesService)
+const IMAGE_EXTENSIONS = ["jpg", "jpeg", "png", "gif", "webp", "svg", "bmp"]
+const VIDEO_EXTENSIONS = ["mp4", "webm", "mov", "m4v", "ogv"]
+
+function extension(name) {
+  const match = name.match(/\.([^.]+)$/)
+  return match ? match[1].toLowerCase() : ""
+}
+
+/**
+ * How a dropped file is inserted
+ * @param {File} file
+ * @returns {"image"|"video"|"attachment"}
+ */
+export function droppedFileKind(file) {
+  const ext = extension(file.name)
+  if (IMAGE_EXTENSIONS.includes(ext)) return "image"
+  if (VIDEO_EXTENSIONS.includes(ext)) return "video"
+  return "attachment"
+}
+
+// Link text and alt text can't hold brackets
+function label(name) {
+  return name.replace(/[[\]]/g, "\\$&")
+}
+
+function markdownUrl(url) {
+  return /[\s()]/.test(url) ? `<${url}>` : url
+}
+
+/**
+ * POST a form, reporting the upload's progress (fetch can't)
+ * @param {string} url
+ * @param {FormData} formData
+ * @param {Function} onProgress - Called with 0 to 1
+ * @returns {Promise<Object>} - JSON response
+ */
+export function postWithProgress(url, formData, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    xhr.open("POST", url)
+    xhr.responseType = "json"
+    xhr.setRequestHeader("Accept", "application/json")
+
+    const token = document.querySelector('meta[name="csrf-token"]')?.content
+    if (token) xhr.setRequestHeader("X-CSRF-Token", token)
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) onProgress(event.loaded / event.total)
+    }
+    xhr.onload = () => {
+      const data = xhr.response || {}
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(data)
+      } else {
+        reject(new Error(data.error || `HTTP ${xhr.status}`))
+      }
+    }
+    xhr.onerror = () => reject(new Error(window.t("connection.disconnected")))
+    xhr.send(formData)
+  })
+}
+
+/**
+ * Upload a dropped file
+ * @param {File} file
+ * @param {Function} onProgress - Called with 0 to 1
+ * @param {Object} options
+ * @param {string|null} options.notePath - Path of the note the file is dropped on
+ * @param {string} options.resize - Resize ratio for images ("" keeps their size)
+ * @returns {Promise<string>} - Markdown for the file
+ */
+export async function uploadDroppedFile(file, onProgress, { notePath = null, resize = "" } = {}) {
+  const kind = droppedFileKind(file)
+  const formData = new FormData()
+  formData.append("file", file)
+
+  if (kind === "attachment") {
+    if (!notePath) throw new Error(window.t("editor.upload.needs_note"))
+
+    const data = await postWithProgress(`/notes/${encodePath(notePath)}/attachments`, formData, onProgress)
+    return `[${label(file.name)}](${markdownUrl(noteFileUrl(data.path, notePath))})`
+  }
+
+  if (kind === "image" && resize) formData.append("resize", resize)
+  if (await s3Enabled()) formData.append("upload_to_s3", "true")
+
+  const data = await postWithProgress("/images/upload", formData, onProgress)
+  if (!data.url) throw new Error(data.error || "Upload failed")
+
+  const url = noteFileUrl(data.url, notePath)
+  if (kind === "video") return videoFileEmbedCode(url)
+  return `![${label(file.name.replace(/\.[^.]*$/, ""))}](${markdownUrl(url)})`
+}
+
+function hasFiles(event) {
+  return Array.from(event.dataTransfer?.types || []).includes("Files")
+}
+
+/**
+ * Upload files dropped from the desktop and insert them where they were dropped
+ * @param {Object} options
+ * @param {string|null} options.notePath - Path of the note, for attachments and relative URLs
+ * @param {string} options.resize - Resize ratio for dropped images
+ * @param {Function} options.upload - (file, onProgress) resolving to the markdown (overridable in tests)
+ * @returns {Extension}
+ */
+export function markdownFileDrop({ notePath = null, resize = "", upload = null } = {}) {
+  const uploadFile = upload || ((file, onProgress) => uploadDroppedFile(file, onProgress, { notePath, resize }))
+
+  return EditorView.domEventHandlers({
+    dragover(event, view) {
+      // Notes dragged from the tree are opened by the app, not uploaded
+      if (!hasFiles(event) || isNoteDrag(event) || view.state.readOnly) return false
+      event.preventDefault()
+      event.dataTransfer.dropEffect = "copy"
+      return false
+    },
+
+    drop(event, view) {
+      if (isNoteDrag(event) || view.state.readOnly) return false
+      const files = Array.from(event.dataTransfer?.files || [])
+      if (files.length === 0) return false
+
+      event.preventDefault()
+      const pos = view.posAtCoords({ x: event.clientX, y: event.clientY }) ?? view.state.selection.main.head
+      uploadFiles(view, pos, files, uploadFile)
+      return true
+    }
+  })
+}
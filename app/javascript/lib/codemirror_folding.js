@@ -0,0 +1,256 @@
+// CodeMirror Folding Extension
+// Fold markers in the gutter: a heading folds its section (up to the next
+// heading of the same or a higher level), frontmatter and long lists fold
+// whole, and fenced code, quotes and tables fold through the markdown syntax.
+// Commands fold everything, unfold everything and fold the headings from a
+// level down. Folds are remembered per note in localStorage
+
+import { Prec } from "@codemirror/state"
+import { EditorView, keymap } from "@codemirror/view"
+import {
+  foldService,
+  foldGutter,
+  foldKeymap,
+  foldEffect,
+  unfoldEffect,
+  foldedRanges,
+  syntaxTree,
+  ensureSyntaxTree
+} from "@codemirror/language"
+
+export const FOLD_STORAGE_PREFIX = "frankmd:folds:"
+
+// Lists fold whole from this many lines
+const LONG_LIST_LINES = 5
+const FRONTMATTER_DELIMITERS = ["---", "+++"]
+const HEADING_PATTERN = /^(?:ATX|Setext)Heading(\d)$/
+
+function headingLevel(node) {
+  const match = HEADING_PATTERN.exec(node.name)
+  return match ? Number(match[1]) : null
+}
+
+function isList(node) {
+  return node.name === "BulletList" || node.name === "OrderedList"
+}
+
+// Frontmatter range per document (the delimiters are looked for once)
+const frontmatterCache = new WeakMap()
+
+/**
+ * Frontmatter at the top of the note, folded down to its closing delimiter
+ * @param {EditorState} state
+ * @returns {{from: number, to: number}|null}
+ */
+export function frontmatterRange(state) {
+  const { doc } = state
+  if (frontmatterCache.has(doc)) return frontmatterCache.get(doc)
+
+  let range = null
+  const first = doc.line(1)
+  if (FRONTMATTER_DELIMITERS.includes(first.text)) {
+    for (let number = 2; number <= doc.lines; number++) {
+      const line = doc.line(number)
+      if (line.text === first.text) {
+        range = { from: first.to, to: line.to }
+        break
+      }
+    }
+  }
+
+  frontmatterCache.set(doc, range)
+  return range
+}
+
+// A heading's section: the blocks after it up to the next heading of the same or a higher level
+function sectionRange(node, level) {
+  let to = node.to
+  for (let next = node.nextSibling; next; next = next.nextSibling) {
+    const nextLevel = headingLevel(next)
+    if (nextLevel !== null && nextLevel <= level) break
+    to = next.to
+  }
+  return to > node.to ? { from: node.to, to } : null
+}
+
+/**
+ * Fold range starting on a line: frontmatter, heading sections, long lists and
+ * list items with content under them. Other blocks are left to the syntax folding
+ * @param {EditorState} state
+ * @param {number} lineStart
+ * @param {number} lineEnd
+ * @returns {{from: number, to: number}|null}
+ */
+export function markdownFoldRange(state, lineStart, lineEnd) {
+  if (lineStart === 0) {
+    const frontmatter = frontmatterRange(state)
+    if (frontmatter) return frontmatter
+  }
+
+  let range = null
+  for (let node = syntaxTree(state).resolveInner(lineEnd, -1); node; node = node.parent) {
+    if (node.from < lineStart) break
+
+    const level = headingLevel(node)
+    if (level !== null) return sectionRange(node, level)
+
+    // The outermost list or item starting on the line wins
+    if (node.name === "ListItem" && node.to > lineEnd) {
+      range = { from: lineEnd, to: node.to }
+    } else if (isList(node) && state.doc.lineAt(node.to).number - state.doc.lineAt(node.from).number + 1 >= LONG_LIST_LINES) {
+      range = { from: lineEnd, to: node.to }
+    }
+  }
+  return range
+}
+
+/**
+ * Headings of the note, with their level, not nested in quotes or lists. The
+ * frontmatter's closing "---" reads as a heading underline: it is skipped
+ * @param {EditorState} state
+ * @returns {{node: SyntaxNode, level: number}[]}
+ */
+export function noteHeadings(state) {
+  // Folding to a level needs the headings of the whole note, not just the part parsed so far
+  const tree = ensureSyntaxTree(state, state.doc.length, 1000) || syntaxTree(state)
+  const frontmatter = frontmatterRange(state)
+  const headings = []
+
+  for (let node = tree.topNode.firstChild; node; node = node.nextSibling) {
+    const level = headingLevel(node)
+    if (level === null || (frontmatter && node.from < frontmatter.to)) continue
+    headings.push({ node, level })
+  }
+  return headings
+}
+
+function unfoldEffects(state) {
+  const effects = []
+  foldedRanges(state).between(0, state.doc.length, (from, to) => {
+    effects.push(unfoldEffect.of({ from, to }))
+  })
+  return effects
+}
+
+/**
+ * Fold the headings from a level down, leaving the ones above open: at level 2,
+ * level 1 sections show their level 2 headings with their content folded
+ * @param {EditorView} view
+ * @param {number} level - 1 to 6
+ * @returns {boolean} - False when there is no heading to fold
+ */
+export function foldToLevel(view, level) {
+  const { state } = view
+  const effects = []
+  let foldedTo = -1
+
+  for (const heading of noteHeadings(state)) {
+    if (heading.level < level || heading.node.from < foldedTo) continue
+    const range = sectionRange(heading.node, heading.level)
+    if (!range) continue
+
+    effects.push(foldEffect.of(range))
+    foldedTo = range.to
+  }
+
+  if (effects.length === 0) return false
+  view.dispatch({ effects: [...unfoldEffects(state), ...effects] })
+  return true
+}
+
+// === Persistence ===
+
+/**
+ * Folded ranges as line pairs, which survive reloads better than offsets
+ * @param {EditorState} state
+ * @returns {number[][]} - [first line, last line] of each fold
+ */
+export function foldedLines(state) {
+  const lines = []
+  foldedRanges(state).between(0, state.doc.length, (from, to) => {
+    lines.push([state.doc.lineAt(from).number, state.doc.lineAt(to).number])
+  })
+  return lines
+}
+
+/**
+ * Remember a note's folds
+ * @param {string} notePath
+ * @param {EditorState} state
+ */
+export function saveFolds(notePath, state) {
+  const key = FOLD_STORAGE_PREFIX + notePath
+  const lines = foldedLines(state)
+  try {
+    if (lines.length > 0) {
+      localStorage.setItem(key, JSON.stringify(lines))
+    } else {
+      localStorage.removeItem(key)
+    }
+  } catch (e) {
+    console.warn("Failed to save folds:", e)
+  }
+}
+
+/**
+ * A note's remembered folds
+ * @param {string} notePath
+ * @returns {number[][]} - [first line, last line] of each fold
+ */
+export function loadFolds(notePath) {
+  try {
+    const lines = JSON.parse(localStorage.getItem(FOLD_STORAGE_PREFIX + notePath))
+    return Array.isArray(lines) ? lines.filter(pair => Array.isArray(pair) && pair.every(Number.isInteger)) : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Fold a note opened in the editor as it was left. Folds beyond the end of a
+ * note changed elsewhere are dropped
+ * @param {EditorView} view
+ * @param {string} notePath
+ */
+export function restoreFolds(view, notePath) {
+  const { doc } = view.state
+  const effects = loadFolds(notePath)
+    .filter(([first, last]) => first >= 1 && first < last && last <= doc.lines)
+    .map(([first, last]) => foldEffect.of({ from: doc.line(first).to, to: doc.line(last).to }))
+
+  if (effects.length > 0) view.dispatch({ effects })
+}
+
+/**
+ * Save the note's folds when they change, or move with edits
+ * @param {string|null} notePath - Path of the note, or null for files that aren't notes
+ * @returns {Extension}
+ */
+export function foldPersistence(notePath) {
+  if (!notePath) return []
+
+  return EditorView.updateListener.of((update) => {
+    const folding = update.transactions.some(tr => tr.effects.some(effect => effect.is(foldEffect) || effect.is(unfoldEffect)))
+    const moved = update.docChanged && foldedRanges(update.startState).size > 0
+    if (folding || moved) saveFolds(notePath, update.state)
+  })
+}
+
+const levelKeymap = [1, 2, 3, 4, 5, 6].map(level => ({
+  key: `Mod-Alt-${level}`,
+  run: view => foldToLevel(view, level)
+}))
+
+/**
+ * Fold gutter, markdown fold ranges and the fold commands: Ctrl+Shift+[ / ]
+ * fold and unfold at the cursor, Ctrl+Alt+[ / ] fold and unfold everything,
+ * Ctrl+Alt+1 to 6 fold to a heading level
+ * @returns {Extension[]}
+ */
+export function markdownFolding() {
+  return [
+    Prec.high(foldService.of(markdownFoldRange)),
+    foldGutter(),
+    keymap.of([...foldKeymap, ...levelKeymap])
+  ]
+}
@@ -0,0 +1,51 @@
+// CodeMirror Linked Editors Extension
+// Two editors showing the same note (split view): every change made in one is
+// replayed in the other, outside of its undo history, so both stay identical
+// and each undoes only its own edits
+
+import { EditorView } from "@codemirror/view"
+import { Annotation, Compartment, Transaction } from "@codemirror/state"
+
+// Compartment for linking and unlinking an editor
+export const linkCompartment = new Compartment()
+
+// Marks changes replayed from the linked editor, so they aren't sent back
+const linkedChange = Annotation.define()
+
+/**
+ * Create the extension that replays this editor's changes in another one
+ * @param {EditorView|null} target - The linked editor, null to unlink
+ * @returns {Extension} - Update listener or empty array
+ */
+export function createLinkExtension(target) {
+  if (!target) return []
+
+  return EditorView.updateListener.of(update => {
+    for (const tr of update.transactions) {
+      if (!tr.docChanged || tr.annotation(linkedChange)) continue
+
+      target.dispatch({
+        changes: tr.changes,
+        annotations: [linkedChange.of(true), Transaction.addToHistory.of(false)]
+      })
+    }
+  })
+}
+
+/**
+ * Link two editors, which must show the same document, both ways
+ * @param {EditorView} a - First editor
+ * @param {EditorView} b - Second editor
+ */
+export function linkEditors(a, b) {
+  a.dispatch({ effects: linkCompartment.reconfigure(createLinkExtension(b)) })
+  b.dispatch({ effects: linkCompartment.reconfigure(createLinkExtension(a)) })
+}
+
+/**
+ * Stop replaying an editor's changes
+ * @param {EditorView} view - The editor view
+ */
+export function unlinkEditor(view) {
+  view.dispatch({ effects: linkCompartment.reconfigure([]) })
+}
@@ -0,0 +1,156 @@
+// CodeMirror Paste Extension
+// Pasting HTML (from a browser, Google Docs or Word) inserts it as markdown.
+// Pasting an image (a screenshot, a copied image) uploads it, to S3 when it is
+// configured, and inserts it at the cursor once uploaded. Mod-Alt-V pastes the
+// clipboard's plain text as is
+
+import { Prec } from "@codemirror/state"
+import { EditorView, keymap } from "@codemirror/view"
+import { syntaxTree } from "@codemirror/language"
+import { post } from "@rails/request.js"
+import { htmlToMarkdown } from "lib/html_to_markdown"
+import { uploadFiles, s3Enabled, noteFileUrl } from "lib/codemirror_uploads"
+
+const CODE_NODE_PATTERN = /^(FencedCode|CodeBlock|CodeText)$/
+// Copies from code editors come with HTML for their highlighting: the text is what's wanted
+const CODE_EDITOR_TYPES = ["vscode-editor-data"]
+
+function inCode(state, pos) {
+  for (let node = syntaxTree(state).resolveInner(pos, -1); node; node = node.parent) {
+    if (CODE_NODE_PATTERN.test(node.name)) return true
+  }
+  return false
+}
+
+/**
+ * Images pasted on their own (screenshots, "Copy image"). Office apps put a
+ * picture of the copied text next to it: that text is pasted instead
+ * @param {DataTransfer} data - Clipboard data
+ * @returns {File[]}
+ */
+export function pastedImages(data) {
+  if (data.getData("text/plain").trim()) return []
+  return Array.from(data.files || []).filter(file => file.type.startsWith("image/"))
+}
+
+/**
+ * Markdown for pasted HTML
+ * @param {EditorState} state - Editor state (HTML pasted into code is left as text)
+ * @param {DataTransfer} data - Clipboard data
+ * @returns {string|null} - Markdown, or null to paste the plain text
+ */
+export function pastedMarkdown(state, data) {
+  const html = data.getData("text/html")
+  if (!html) return null
+
+  const types = Array.from(data.types || [])
+  if (CODE_EDITOR_TYPES.some(type => types.includes(type))) return null
+  if (inCode(state, state.selection.main.from)) return null
+
+  const markdown = htmlToMarkdown(html)
+  return markdown || null
+}
+
+function insertText(view, text) {
+  view.dispatch(view.state.update(view.state.replaceSelection(text), {
+    scrollIntoView: true,
+    userEvent: "input.paste"
+  }))
+}
+
+function readAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ""))
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(file)
+  })
+}
+
+/**
+ * Upload a pasted image through /images/upload_base64
+ * @param {File} file - Image from the clipboard
+ * @returns {Promise<string>} - URL of the uploaded image
+ */
+export async function uploadPastedImage(file) {
+  const response = await post("/images/upload_base64", {
+    body: {
+      data: await readAsBase64(file),
+      mime_type: file.type,
+      // Clipboard images are all called image.png: a timestamp keeps them apart
+      filename: `pasted_${Date.now()}`,
+      upload_to_s3: await s3Enabled()
+    },
+    responseKind: "json"
+  })
+
+  const data = await response.json
+  if (!response.ok || !data.url) throw new Error(data.error || "Upload failed")
+  return data.url
+}
+
+/**
+ * Upload pasted images and insert them at the cursor, each on its own line
+ * @param {EditorView} view
+ * @param {File[]} files - Images
+ * @param {Object} options
+ * @param {string|null} options.notePath - Path of the note, for relative image URLs
+ * @param {Function} options.upload - Resolves a file to its URL
+ * @returns {Promise<void>}
+ */
+export function pasteImages(view, files, { notePath = null, upload = uploadPastedImage } = {}) {
+  // The images take the selection's place
+  if (!view.state.selection.main.empty) insertText(view, "")
+
+  return uploadFiles(view, view.state.selection.main.head, files, async file => {
+    const url = noteFileUrl(await upload(file), notePath)
+    return `![${file.name.replace(/\.[^.]*$/, "") || "image"}](${url})`
+  })
+}
+
+/**
+ * Mod-Alt-V: paste the clipboard's text without converting it
+ * @param {EditorView} view
+ * @returns {boolean} - False when the clipboard can't be read
+ */
+export function pasteAsPlainText(view) {
+  if (view.state.readOnly || !navigator.clipboard?.readText) return false
+
+  navigator.clipboard.readText()
+    .then(text => { if (text) insertText(view, text) })
+    .catch(error => console.error("Error reading the clipboard:", error))
+  return true
+}
+
+/**
+ * Paste handling: HTML as markdown, images as uploads, Mod-Alt-V for plain text
+ * @param {Object} options
+ * @param {string|null} options.notePath - Path of the note, for relative image URLs
+ * @param {Function} options.upload - Resolves an image file to its URL (overridable in tests)
+ * @returns {Extension[]}
+ */
+export function markdownPaste({ notePath = null, upload = uploadPastedImage } = {}) {
+  return [
+    EditorView.domEventHandlers({
+      paste(event, view) {
+        const data = event.clipboardData
+        if (!data || view.state.readOnly) return false
+
+        const images = pastedImages(data)
+        if (images.length > 0) {
+          event.preventDefault()
+          pasteImages(view, images, { notePath, upload })
+          return true
+        }
+
+        const markdown = pastedMarkdown(view.state, data)
+        if (markdown === null) return false
+
+        event.preventDefault()
+        insertText(view, markdown)
+        return true
+      }
+    }),
+    Prec.high(keymap.of([{ key: "Mod-Alt-v", run: pasteAsPlainText }]))
+  ]
+}
@@ -0,0 +1,336 @@
+// CodeMirror Table Editing Extension
+// Edits markdown tables in place: Tab and Shift-Tab move between cells, Enter
+// adds a row (and leaves the table on an empty last row), and the pipes are
+// aligned whenever the cursor leaves a cell. Commands insert and delete rows
+// and columns at the cursor
+
+import { EditorState, Prec } from "@codemirror/state"
+import { keymap } from "@codemirror/view"
+import { syntaxTree } from "@codemirror/language"
+import { findTableAtPosition } from "lib/markdown_utils"
+import { formatTableRows, parseTableAlignment } from "lib/table_utils"
+
+const CODE_NODE_PATTERN = /^(FencedCode|CodeBlock|CodeText|HTMLBlock)$/
+const SEPARATOR_CELL_PATTERN = /^\s*:?-+:?\s*$/
+
+function inCode(state, pos) {
+  for (let node = syntaxTree(state).resolveInner(pos, 1); node; node = node.parent) {
+    if (CODE_NODE_PATTERN.test(node.name)) return true
+  }
+  return false
+}
+
+/**
+ * Split a table row into cells at its unescaped pipes
+ * @param {string} text - Row line
+ * @returns {Array<{from: number, to: number, text: string}>} - Cells with their
+ *   offsets in the line (between the pipes) and trimmed text
+ */
+export function splitTableRow(text) {
+  const pipes = []
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\\") i++
+    else if (text[i] === "|") pipes.push(i)
+  }
+
+  // A row may leave out its closing pipe
+  if (text.slice(pipes[pipes.length - 1] + 1).trim() !== "") pipes.push(text.length)
+
+  const cells = []
+  for (let i = 0; i + 1 < pipes.length; i++) {
+    const from = pipes[i] + 1
+    cells.push({ from, to: pipes[i + 1], text: text.slice(from, pipes[i + 1]).trim() })
+  }
+  return cells
+}
+
+/**
+ * The table at a position, read from the document
+ * @param {EditorState} state
+ * @param {number} pos - Position in the table
+ * @returns {Object|null} - { from, to, firstLine, indent, rows, alignments }: rows hold
+ *   the cell texts of the header and body rows (the separator goes into alignments)
+ */
+export function readTable(state, pos) {
+  const line = state.doc.lineAt(pos)
+  if (!line.text.trimStart().startsWith("|") || inCode(state, line.from)) return null
+
+  const info = findTableAtPosition(state.doc.toString(), pos)
+  if (!info) return null
+
+  const separator = splitTableRow(info.lines[1])
+  if (separator.length === 0 || !separator.every(cell => SEPARATOR_CELL_PATTERN.test(cell.text))) return null
+
+  const rows = info.lines.filter((_, index) => index !== 1).map(text => splitTableRow(text).map(cell => cell.text))
+  return {
+    from: info.startPos,
+    to: info.endPos,
+    firstLine: info.startLine + 1,
+    indent: info.lines[0].match(/^\s*/)[0],
+    rows,
+    alignments: separator.map(cell => parseTableAlignment(cell.text))
+  }
+}
+
+// Row index (in table.rows, the separator counting as the header), column and
+// offset in the cell's text of a position
+function cellAt(state, table, pos) {
+  const line = state.doc.lineAt(pos)
+  const index = line.number - table.firstLine
+  const row = index <= 1 ? 0 : index - 1
+  const cells = splitTableRow(line.text)
+  const column = pos - line.from
+
+  let col = cells.findIndex(cell => column <= cell.to)
+  if (col === -1) col = Math.max(0, cells.length - 1)
+
+  const cell = cells[col]
+  if (!cell || index === 1) return { row, col, offset: 0 }
+
+  const raw = line.text.slice(cell.from, cell.to)
+  const textStart = cell.from + raw.length - raw.trimStart().length
+  const offset = Math.min(Math.max(column - textStart, 0), cell.text.length)
+  return { row, col, offset }
+}
+
+/**
+ * Changes that rewrite a table with aligned pipes, and the position of a cell in the result
+ * Lines that are already formatted are left alone
+ * @param {EditorState} state
+ * @param {Object} table - From readTable(), with rows and alignments possibly edited
+ * @param {Object} cell - { row, col, offset } to find in the result
+ * @returns {{changes: Array, pos: number}}
+ */
+export function tableChanges(state, table, cell = { row: 0, col: 0, offset: 0 }) {
+  const { lines, contentStarts } = formatTableRows(table.rows, table.alignments)
+  const newLines = lines.map(line => table.indent + line)
+  const oldLines = state.sliceDoc(table.from, table.to).split("\n")
+
+  const changes = []
+  if (newLines.length === oldLines.length) {
+    let from = table.from
+    oldLines.forEach((line, index) => {
+      if (line !== newLines[index]) changes.push({ from, to: from + line.length, insert: newLines[index] })
+      from += line.length + 1
+    })
+  } else {
+    changes.push({ from: table.from, to: table.to, insert: newLines.join("\n") })
+  }
+
+  const lineIndex = cell.row === 0 ? 0 : cell.row + 1
+  const lineStart = newLines.slice(0, lineIndex).reduce((sum, line) => sum + line.length + 1, table.from)
+  const col = Math.min(cell.col, contentStarts[lineIndex].length - 1)
+  const text = table.rows[cell.row]?.[col] || ""
+  const pos = lineStart + table.indent.length + contentStarts[lineIndex][col] + Math.min(cell.offset, text.length)
+
+  return { changes, pos }
+}
+
+// Run an edit of the table at the cursor: edit(table, cell) changes the rows
+// and alignments and returns the cell to put the cursor in
+function editTable(view, edit) {
+  const { state } = view
+  if (state.readOnly || state.selection.ranges.length > 1) return false
+
+  const head = state.selection.main.head
+  const table = readTable(state, head)
+  if (!table) return false
+
+  const target = edit(table, cellAt(state, table, head))
+  if (!target) return false
+
+  const { changes, pos } = tableChanges(state, table, target)
+  view.dispatch({ changes, selection: { anchor: pos }, scrollIntoView: true })
+  return true
+}
+
+function columnCount(table) {
+  return Math.max(table.alignments.length, ...table.rows.map(row => row.length))
+}
+
+function emptyRow(table) {
+  return new Array(columnCount(table)).fill("")
+}
+
+/**
+ * Tab: go to the next cell, adding a row after the last one
+ * @param {EditorView} view
+ * @returns {boolean}
+ */
+export function nextCell(view) {
+  return editTable(view, (table, { row, col }) => {
+    if (col + 1 < columnCount(table)) return { row, col: col + 1, offset: 0 }
+    if (row + 1 >= table.rows.length) table.rows.push(emptyRow(table))
+    return { row: row + 1, col: 0, offset: 0 }
+  })
+}
+
+/**
+ * Shift-Tab: go to the previous cell
+ * @param {EditorView} view
+ * @returns {boolean}
+ */
+export function previousCell(view) {
+  return editTable(view, (table, { row, col }) => {
+    if (col > 0) return { row, col: col - 1, offset: 0 }
+    if (row > 0) return { row: row - 1, col: columnCount(table) - 1, offset: 0 }
+    return { row, col, offset: 0 }
+  })
+}
+
+/**
+ * Enter: add a row below, in the same column. On an empty last row, remove it
+ * and leave the table
+ * @param {EditorView} view
+ * @returns {boolean}
+ */
+export function enterInTable(view) {
+  const { state } = view
+  if (state.readOnly || state.selection.ranges.length > 1) return false
+
+  const head = state.selection.main.head
+  const line = state.doc.lineAt(head)
+  const table = readTable(state, head)
+  if (!table || head <= line.from + table.indent.length || line.number === table.firstLine + 1) return false
+
+  const { row } = cellAt(state, table, head)
+  const lastRow = row === table.rows.length - 1
+  if (lastRow && row > 0 && table.rows[row].every(text => text === "")) {
+    view.dispatch({
+      changes: { from: line.from, to: line.to, insert: "" },
+      selection: { anchor: line.from },
+      scrollIntoView: true
+    })
+    return true
+  }
+
+  return editTable(view, (table, cell) => {
+    table.rows.splice(cell.row + 1, 0, emptyRow(table))
+    return { row: cell.row + 1, col: cell.col, offset: 0 }
+  })
+}
+
+/**
+ * Insert a row above the cursor's (below the header at most)
+ * @param {EditorView} view
+ * @returns {boolean}
+ */
+export function insertRowAbove(view) {
+  return editTable(view, (table, cell) => {
+    const row = Math.max(cell.row, 1)
+    table.rows.splice(row, 0, emptyRow(table))
+    return { row, col: cell.col, offset: 0 }
+  })
+}
+
+/**
+ * Insert a row below the cursor's
+ * @param {EditorView} view
+ * @returns {boolean}
+ */
+export function insertRowBelow(view) {
+  return editTable(view, (table, cell) => {
+    table.rows.splice(cell.row + 1, 0, emptyRow(table))
+    return { row: cell.row + 1, col: cell.col, offset: 0 }
+  })
+}
+
+/**
+ * Delete the cursor's row (the header row stays)
+ * @param {EditorView} view
+ * @returns {boolean}
+ */
+export function deleteTableRow(view) {
+  return editTable(view, (table, cell) => {
+    if (cell.row === 0) return null
+    table.rows.splice(cell.row, 1)
+    return { row: Math.min(cell.row, table.rows.length - 1), col: cell.col, offset: 0 }
+  })
+}
+
+/**
+ * Insert a column left of the cursor's
+ * @param {EditorView} view
+ * @returns {boolean}
+ */
+export function insertColumnLeft(view) {
+  return editTable(view, (table, cell) => insertColumn(table, cell.col, cell.row))
+}
+
+/**
+ * Insert a column right of the cursor's
+ * @param {EditorView} view
+ * @returns {boolean}
+ */
+export function insertColumnRight(view) {
+  return editTable(view, (table, cell) => insertColumn(table, cell.col + 1, cell.row))
+}
+
+function insertColumn(table, col, row) {
+  const count = columnCount(table)
+  for (const cells of table.rows) {
+    while (cells.length < count) cells.push("")
+    cells.splice(col, 0, "")
+  }
+  table.alignments.splice(col, 0, null)
+  return { row, col, offset: 0 }
+}
+
+/**
+ * Delete the cursor's column (the last one stays)
+ * @param {EditorView} view
+ * @returns {boolean}
+ */
+export function deleteTableColumn(view) {
+  return editTable(view, (table, cell) => {
+    if (columnCount(table) <= 1) return null
+    for (const cells of table.rows) cells.splice(cell.col, 1)
+    table.alignments.splice(cell.col, 1)
+    return { row: cell.row, col: Math.min(cell.col, columnCount(table) - 1), offset: 0 }
+  })
+}
+
+// Align the pipes of a table when the cursor moves out of the cell it was in
+// (arrow keys, clicks), keeping the cursor where it went
+const alignOnCellExit = EditorState.transactionFilter.of(tr => {
+  if (tr.docChanged || !tr.selection || !tr.selection.main.empty) return tr
+
+  const { startState } = tr
+  if (startState.readOnly || startState.selection.ranges.length > 1) return tr
+  const before = startState.selection.main.head
+  const after = tr.selection.main.head
+  const table = readTable(startState, before)
+  if (!table) return tr
+
+  const from = cellAt(startState, table, before)
+  const inTable = after >= table.from && after <= table.to
+  const to = inTable ? cellAt(startState, table, after) : null
+  if (to && to.row === from.row && to.col === from.col) return tr
+
+  const { changes, pos } = tableChanges(startState, table, to ?? from)
+  if (changes.length === 0) return tr
+
+  const mapped = inTable ? pos : startState.changes(changes).mapPos(after)
+  return [tr, { changes, selection: { anchor: mapped } }]
+})
+
+/**
+ * Table editing keys and commands, and pipe alignment on cell exit
+ * Keys only act inside a table; elsewhere the default bindings run
+ * @returns {Extension[]}
+ */
+export function markdownTables() {
+  return [
+    Prec.highest(keymap.of([
+      { key: "Tab", run: nextCell, shift: previousCell },
+      { key: "Enter", run: enterInTable },
+      { key: "Mod-Enter", run: insertRowBelow },
+      { key: "Mod-Shift-Enter", run: insertRowAbove },
+      { key: "Mod-Shift-Backspace", run: deleteTableRow },
+      { key: "Alt-Shift-ArrowLeft", run: insertColumnLeft },
+      { key: "Alt-Shift-ArrowRight", run: insertColumnRight },
+      { key: "Alt-Shift-Backspace", run: deleteTableColumn }
+    ])),
+    alignOnCellExit
+  ]
+}
@@ -87,9 +87,29 @@ export function createEditorTheme(options = {}) {
       color: "var(--theme-text-muted)"
     },
 
-    // Fold gutter
+    // Fold gutter (next to the line numbers, or on its own when they're off)
     ".cm-foldGutter": {
-      width: "1rem"
+      width: "1rem",
+      minWidth: "1rem"
+    },
+
+    ".cm-foldGutter .cm-gutterElement": {
+      textAlign: "center",
+      cursor: "pointer"
+    },
+
+    ".cm-foldGutter .cm-gutterElement:hover": {
+      color: "var(--theme-accent)"
+    },
+
+    // Folded text
+    ".cm-foldPlaceholder": {
+      backgroundColor: "var(--theme-bg-hover)",
+      color: "var(--theme-text-muted)",
+      border: "1px solid var(--theme-border)",
+      borderRadius: "0.25rem",
+      padding: "0 0.4em",
+      margin: "0 0.25em"
     },
 
     // Placeholder text
@@ -157,7 +177,83 @@ export function createEditorTheme(options = {}) {
       backgroundColor: "var(--theme-bg-secondary)"
     },
 
-    // Fat cursor (for vim mode if added later)
+    ".cm-tooltip-autocomplete ul li[aria-selected]": {
+      backgroundColor: "var(--theme-accent)",
+      color: "var(--theme-accent-text)"
+    },
+
+    ".cm-completionDetail": {
+      color: "var(--theme-text-faint)",
+      fontStyle: "normal",
+      marginLeft: "0.75em"
+    },
+
+    // Previews of notes and images next to the suggestions
+    ".cm-completion-preview": {
+      maxWidth: "24rem",
+      maxHeight: "10rem",
+      overflow: "hidden",
+      whiteSpace: "pre-wrap",
+      fontSize: "0.85em",
+      color: "var(--theme-text-muted)"
+    },
+
+    ".cm-completion-image": {
+      display: "block",
+      maxWidth: "12rem",
+      maxHeight: "9rem"
+    },
+
+    // Lint diagnostics (underline colors come from the lint package)
+    ".cm-diagnostic": {
+      color: "var(--theme-text-primary)"
+    },
+
+    ".cm-diagnosticAction": {
+      backgroundColor: "var(--theme-accent)",
+      color: "var(--theme-accent-text)",
+      borderRadius: "0.25rem"
+    },
+
+    // Placeholders of pasted and dropped files being uploaded
+    ".cm-upload-placeholder": {
+      display: "inline-flex",
+      alignItems: "center",
+      gap: "0.5em",
+      padding: "0 0.5em",
+      border: "1px dashed var(--theme-border)",
+      borderRadius: "0.25rem",
+      color: "var(--theme-text-muted)",
+      fontSize: "0.9em"
+    },
+
+    ".cm-upload-progress": {
+      display: "inline-block",
+      width: "5em",
+      height: "0.4em",
+      borderRadius: "0.2em",
+      overflow: "hidden",
+      backgroundColor: "var(--theme-bg-hover)"
+    },
+
+    ".cm-upload-progress > span": {
+      display: "block",
+      height: "100%",
+      backgroundColor: "var(--theme-accent)",
+      transition: "width 0.2s"
+    },
+
+    ".cm-upload-progress-pending > span": {
+      width: "100%",
+      animation: "cm-upload-pulse 1.2s ease-in-out infinite"
+    },
+
+    "@keyframes cm-upload-pulse": {
+      "0%, 100%": { opacity: "0.3" },
+      "50%": { opacity: "1" }
+    },
+
+    // Fat cursor (Vim normal and visual mode)
     ".cm-fat-cursor": {
       backgroundColor: "var(--theme-accent)",
       color: "var(--theme-accent-text)"
@@ -227,7 +323,17 @@ export function createSyntaxHighlighting() {
     { tag: tags.deleted, color: "var(--theme-text-muted)", textDecoration: "line-through" },
 
     // Escape sequences
-    { tag: tags.escape, color: "var(--theme-text-muted)" }
+    { tag: tags.escape, color: "var(--theme-text-muted)" },
+
+    // Fenced code - same palette as the preview's highlight.js colors
+    { tag: [tags.keyword, tags.bool, tags.null, tags.atom, tags.self], color: "var(--theme-heading-2)" },
+    { tag: [tags.string, tags.regexp], color: "var(--theme-success)" },
+    { tag: [tags.number, tags.constant(tags.variableName)], color: "var(--theme-warning)" },
+    { tag: [tags.function(tags.variableName), tags.function(tags.propertyName), tags.className, tags.macroName], color: "var(--theme-heading-1)" },
+    { tag: [tags.typeName, tags.standard(tags.variableName), tags.namespace], color: "var(--theme-heading-3)" },
+    { tag: [tags.propertyName, tags.special(tags.variableName)], color: "var(--theme-accent)" },
+    { tag: tags.variableName, color: "var(--theme-text-primary)" },
+    { tag: [tags.operator, tags.punctuation], color: "var(--theme-text-secondary)" }
   ])
 
   return syntaxHighlighting(highlightStyle)
@@ -0,0 +1,254 @@
+// CodeMirror Upload Placeholders
+// Files uploaded from the editor (pasted images, files dropped on it) show an
+// inline placeholder with the upload's progress where they will go. The
+// placeholder moves with the edits made meanwhile and gives way to the file's
+// markdown when the upload is done. Placeholders aren't part of the document,
+// so an autosave during an upload doesn't save them. An upload that finishes
+// while its note is in a background tab is applied when the tab comes back
+
+import { StateEffect, StateField } from "@codemirror/state"
+import { EditorView, Decoration, WidgetType } from "@codemirror/view"
+import { get } from "@rails/request.js"
+import { relativeNotePath } from "lib/markdown_lint"
+
+const addUpload = StateEffect.define({
+  map: (value, mapping) => ({ ...value, pos: mapping.mapPos(value.pos) })
+})
+const updateUpload = StateEffect.define()
+const removeUpload = StateEffect.define()
+
+let nextUploadId = 1
+// Ids of the uploads in progress
+const runningUploads = new Set()
+// Markdown of the uploads that finished while their placeholder wasn't in the
+// editor (a tab in the background), by id
+const finishedUploads = new Map()
+
+class UploadWidget extends WidgetType {
+  constructor(name, progress) {
+    super()
+    this.name = name
+    this.progress = progress
+  }
+
+  eq(other) {
+    return other.name === this.name && other.progress === this.progress
+  }
+
+  toDOM() {
+    const element = document.createElement("span")
+    element.className = "cm-upload-placeholder"
+    element.setAttribute("role", "status")
+
+    const label = document.createElement("span")
+    label.textContent = window.t("editor.upload.uploading", { name: this.name })
+
+    // Without progress events (base64 uploads) the bar just pulses
+    const bar = document.createElement("span")
+    bar.className = "cm-upload-progress"
+    const fill = document.createElement("span")
+    if (this.progress === null) {
+      bar.classList.add("cm-upload-progress-pending")
+    } else {
+      fill.style.width = `${Math.round(this.progress * 100)}%`
+    }
+    bar.appendChild(fill)
+
+    element.append(label, bar)
+    return element
+  }
+}
+
+function placeholder({ id, name, progress = null }) {
+  return Decoration.widget({ widget: new UploadWidget(name, progress), side: 1, id, name })
+}
+
+const uploadField = StateField.define({
+  create: () => Decoration.none,
+
+  update(uploads, tr) {
+    uploads = uploads.map(tr.changes)
+
+    for (const effect of tr.effects) {
+      if (effect.is(addUpload)) {
+        uploads = uploads.update({ add: [placeholder(effect.value).range(effect.value.pos)] })
+      } else if (effect.is(updateUpload)) {
+        const { id, progress } = effect.value
+        const pos = findUpload(uploads, id)
+        if (pos === null) continue
+
+        let name = ""
+        uploads = uploads.update({
+          filter: (from, to, decoration) => {
+            if (decoration.spec.id !== id) return true
+            name = decoration.spec.name
+            return false
+          }
+        })
+        uploads = uploads.update({ add: [placeholder({ id, name, progress }).range(pos)] })
+      } else if (effect.is(removeUpload)) {
+        uploads = uploads.update({ filter: (from, to, decoration) => decoration.spec.id !== effect.value })
+      }
+    }
+    return uploads
+  },
+
+  provide: field => EditorView.decorations.from(field)
+})
+
+function findUpload(uploads, id) {
+  let found = null
+  uploads.between(0, Number.MAX_SAFE_INTEGER, (from, to, decoration) => {
+    if (decoration.spec.id !== id) return
+    found = from
+    return false
+  })
+  return found
+}
+
+/**
+ * Position of an upload's placeholder
+ * @param {EditorState} state
+ * @param {number} id - From startUpload()
+ * @returns {number|null} - Null when the upload is done, or belongs to another document
+ */
+export function uploadPosition(state, id) {
+  const uploads = state.field(uploadField, false)
+  return uploads ? findUpload(uploads, id) : null
+}
+
+/**
+ * Show a placeholder for an upload
+ * @param {EditorView} view
+ * @param {number} pos - Where the file goes
+ * @param {string} name - File name
+ * @returns {number} - Upload id
+ */
+export function startUpload(view, pos, name) {
+  const id = nextUploadId++
+  runningUploads.add(id)
+  view.dispatch({ effects: addUpload.of({ id, pos, name }) })
+  return id
+}
+
+/**
+ * Show an upload's progress
+ * @param {EditorView} view
+ * @param {number} id - From startUpload()
+ * @param {number} progress - 0 to 1
+ */
+export function updateUploadProgress(view, id, progress) {
+  view.dispatch({ effects: updateUpload.of({ id, progress }) })
+}
+
+/**
+ * Replace an upload's placeholder with the file's markdown, on a line of its
+ * own (blocks like video embeds get blank lines around them)
+ * @param {EditorView} view
+ * @param {number} id - From startUpload()
+ * @param {string} text - Markdown to insert, or "" when the upload failed
+ */
+export function finishUpload(view, id, text) {
+  if (!runningUploads.delete(id)) return
+
+  const pos = uploadPosition(view.state, id)
+  if (pos === null) {
+    finishedUploads.set(id, text)
+    return
+  }
+  insertUpload(view, id, pos, text)
+}
+
+/**
+ * Apply the uploads that finished while the editor showed another document,
+ * once their document is back (see restoreState in the codemirror controller)
+ * @param {EditorView} view
+ */
+export function applyFinishedUploads(view) {
+  for (const [id, text] of finishedUploads) {
+    const pos = uploadPosition(view.state, id)
+    if (pos === null) continue
+
+    finishedUploads.delete(id)
+    insertUpload(view, id, pos, text)
+  }
+}
+
+function insertUpload(view, id, pos, text) {
+  const effects = removeUpload.of(id)
+  if (!text) {
+    view.dispatch({ effects })
+    return
+  }
+
+  const { doc } = view.state
+  const block = text.includes("\n")
+  const before = doc.sliceString(Math.max(0, pos - 2), pos)
+  const after = doc.sliceString(pos, pos + 2)
+  let prefix = pos === 0 || before.endsWith("\n") ? "" : "\n"
+  let suffix = pos === doc.length || after.startsWith("\n") ? "" : "\n"
+  if (block && pos > 0 && !before.endsWith("\n\n")) prefix += "\n"
+  if (block && pos < doc.length && !after.startsWith("\n\n")) suffix += "\n"
+
+  view.dispatch({
+    changes: { from: pos, insert: prefix + text + suffix },
+    effects,
+    userEvent: "input.paste"
+  })
+}
+
+/**
+ * Upload files to a position, each with its placeholder. Failed uploads are
+ * reported and their placeholder removed
+ * @param {EditorView} view
+ * @param {number} pos - Where the files go
+ * @param {File[]} files
+ * @param {Function} upload - (file, onProgress) resolving to the markdown for the file
+ * @returns {Promise<void>}
+ */
+export function uploadFiles(view, pos, files, upload) {
+  return Promise.all(files.map(async file => {
+    const id = startUpload(view, pos, file.name)
+    let text = ""
+    try {
+      text = await upload(file, progress => updateUploadProgress(view, id, progress))
+    } catch (error) {
+      console.error("Error uploading file:", error)
+      alert(`${window.t("errors.upload_failed")}: ${error.message}`)
+    }
+    finishUpload(view, id, text)
+  }))
+}
+
+let s3EnabledRequest = null
+
+/**
+ * Whether uploads go to S3 (asked once)
+ * @returns {Promise<boolean>}
+ */
+export function s3Enabled() {
+  s3EnabledRequest ||= get("/images/config", { responseKind: "json" })
+    .then(async response => response.ok ? Boolean((await response.json).s3_enabled) : false)
+    .catch(() => false)
+  return s3EnabledRequest
+}
+
+/**
+ * URL of an uploaded file as written in a note: local uploads come back
+ * relative to the notes directory and are made relative to the note
+ * @param {string} url - URL from the upload
+ * @param {string|null} notePath - Path of the note
+ * @returns {string}
+ */
+export function noteFileUrl(url, notePath) {
+  if (!notePath || /^(?:[a-z][a-z0-9+.-]*:|\/)/i.test(url)) return url
+  return relativeNotePath(notePath, url)
+}
+
+/**
+ * Upload placeholders
+ * @returns {Extension}
+ */
+export function uploadPlaceholders() {
+  return uploadField
+}
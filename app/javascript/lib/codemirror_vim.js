@@ -0,0 +1,137 @@
+// CodeMirror Vim Mode Extension
+// Vim keybindings from @replit/codemirror-vim: normal, insert and visual modes,
+// / search and : commands. Vim handles (and stops) every key it knows, so the
+// app's global shortcuts and Escape are let through to keyboard_shortcuts first
+
+import { EditorView, ViewPlugin } from "@codemirror/view"
+import { Compartment, Facet, Prec } from "@codemirror/state"
+import { vim, Vim, getCM } from "@replit/codemirror-vim"
+import { DEFAULT_SHORTCUTS, findMatchingAction } from "lib/keyboard_shortcuts"
+
+// Compartment for turning Vim mode on and off
+export const vimCompartment = new Compartment()
+
+// Labels for the mode indicator, like Vim's own
+export const VIM_MODE_LABELS = {
+  normal: "NORMAL",
+  insert: "INSERT",
+  replace: "REPLACE",
+  visual: "VISUAL",
+  visual_line: "V-LINE",
+  visual_block: "V-BLOCK"
+}
+
+// Callbacks of the editor: { onWrite, onModeChange }
+const vimHandlers = Facet.define({
+  combine: values => values.length > 0 ? values[values.length - 1] : {}
+})
+
+// Ex commands are global to the Vim emulation, so they look up the callbacks
+// of the editor they run in
+let exCommandsDefined = false
+
+function defineExCommands() {
+  if (exCommandsDefined) return
+  exCommandsDefined = true
+
+  Vim.defineEx("write", "w", (cm) => {
+    cm.cm6.state.facet(vimHandlers).onWrite?.()
+  })
+}
+
+/**
+ * Name of a Vim mode from a vim-mode-change event
+ * @param {Object} event - { mode, subMode }
+ * @returns {string} - A key of VIM_MODE_LABELS
+ */
+export function vimModeName(event) {
+  if (event.mode === "visual" && event.subMode === "linewise") return "visual_line"
+  if (event.mode === "visual" && event.subMode === "blockwise") return "visual_block"
+  return VIM_MODE_LABELS[event.mode] ? event.mode : "normal"
+}
+
+// Runs before Vim: global shortcuts (Ctrl+S, Ctrl+P...) skip CodeMirror and
+// Vim and bubble to the app's handler. Escape still leaves insert and visual
+// mode, but isn't stopped, so it also closes menus
+function shortcutPassthrough(shortcuts) {
+  return Prec.highest(EditorView.domEventHandlers({
+    keydown(event, view) {
+      const action = findMatchingAction(event, shortcuts)
+      if (!action) return false
+
+      if (event.key === "Escape") {
+        const cm = getCM(view)
+        if (cm) Vim.handleKey(cm, "<Esc>", "user")
+      }
+      return true
+    }
+  }))
+}
+
+// Reports mode changes, starting in normal mode, and no mode once Vim is off
+const modeReporter = ViewPlugin.fromClass(class {
+  constructor(view) {
+    this.handlers = view.state.facet(vimHandlers)
+    this.cm = getCM(view)
+    this.onModeChange = (event) => this.report(vimModeName(event))
+    this.cm?.on("vim-mode-change", this.onModeChange)
+    this.report("normal")
+  }
+
+  update(update) {
+    this.handlers = update.state.facet(vimHandlers)
+  }
+
+  // Uses the last handlers seen: the state no longer has them once Vim is off
+  report(mode) {
+    this.handlers.onModeChange?.(mode)
+  }
+
+  destroy() {
+    this.cm?.off("vim-mode-change", this.onModeChange)
+    this.report(null)
+  }
+})
+
+/**
+ * Create the Vim mode extension
+ * @param {boolean} enabled - Whether Vim mode is on
+ * @param {Object} handlers
+ * @param {Function} handlers.onWrite - Called for :w
+ * @param {Function} handlers.onModeChange - Called with the mode name (null when Vim is turned off)
+ * @param {Object} shortcuts - Global shortcuts to let through (see keyboard_shortcuts)
+ * @returns {Extension} - Vim extensions or empty array
+ */
+export function createVimExtension(enabled, handlers = {}, shortcuts = DEFAULT_SHORTCUTS) {
+  if (!enabled) return []
+
+  defineExCommands()
+  return [
+    vimHandlers.of(handlers),
+    shortcutPassthrough(shortcuts),
+    // Ahead of the editor keymaps, as the package asks
+    Prec.high(vim()),
+    modeReporter
+  ]
+}
+
+/**
+ * Turn Vim mode on or off
+ * @param {EditorView} view - The editor view
+ * @param {boolean} enabled - Enable or disable
+ * @param {Object} handlers - See createVimExtension
+ */
+export function toggleVim(view, enabled, handlers = {}) {
+  view.dispatch({
+    effects: vimCompartment.reconfigure(createVimExtension(enabled, handlers))
+  })
+}
+
+/**
+ * Check if Vim mode is enabled
+ * @param {EditorView} view - The editor view
+ * @returns {boolean}
+ */
+export function isVimEnabled(view) {
+  return view.plugin(modeReporter) !== null
+}
@@ -0,0 +1,154 @@
+// Footnotes: [^id] references and [^id]: text definitions
+// marked_extensions tokenizes both; this module numbers the references of a
+// document, renders the footnote section that follows it in the preview, and
+// builds the edits for inserting a new footnote in the editor
+
+import { escapeHtmlString } from "lib/text_utils"
+
+const DEFINITION_LINE_PATTERN = /^\[\^[^\]\s]+\]:/
+const REFERENCE_ID_PATTERN = /\[\^([^\]\s]+)\]/g
+
+// Visit tokens depth-first in document order, including list items and table cells
+function walkTokens(tokens, callback) {
+  for (const token of tokens) {
+    callback(token)
+
+    // Definitions are rendered in the footnote section, not where they appear
+    if (token.type === "footnoteDefinition") continue
+
+    if (token.tokens) walkTokens(token.tokens, callback)
+    if (token.items) walkTokens(token.items, callback)
+    // Table cells (each cell also has a boolean "header" flag)
+    if (Array.isArray(token.header)) walkTokens(token.header, callback)
+    if (token.rows) token.rows.forEach(row => walkTokens(row, callback))
+  }
+}
+
+/**
+ * Number the footnotes of a document by the order of their first reference
+ * Annotates each footnoteRef token with its number and occurrence (so the
+ * renderer can link to it); references without a definition stay unnumbered
+ * @param {Array} tokens - Top-level tokens from marked.lexer()
+ * @returns {Array<{id: string, number: number, refCount: number, tokens: Array}>} - Referenced footnotes in order
+ */
+export function collectFootnotes(tokens) {
+  const definitions = new Map()
+  walkTokens(tokens, token => {
+    if (token.type === "footnoteDefinition" && !definitions.has(token.id)) {
+      definitions.set(token.id, token)
+    }
+  })
+
+  const footnotes = new Map()
+  walkTokens(tokens, token => {
+    if (token.type !== "footnoteRef") return
+
+    const definition = definitions.get(token.id)
+    if (!definition) return
+
+    let footnote = footnotes.get(token.id)
+    if (!footnote) {
+      footnote = { id: token.id, number: footnotes.size + 1, refCount: 0, tokens: definition.tokens }
+      footnotes.set(token.id, footnote)
+    }
+
+    footnote.refCount++
+    token.number = footnote.number
+    token.occurrence = footnote.refCount
+  })
+
+  return [...footnotes.values()]
+}
+
+/**
+ * Numbers collectFootnotes() gave to the references in a token, e.g. "1.1,2.1"
+ * The rendered HTML of a block depends on them as well as on its source
+ * @param {Object} token - Top-level token
+ * @returns {string}
+ */
+export function footnoteRefNumbers(token) {
+  const numbers = []
+  walkTokens([token], child => {
+    if (child.type === "footnoteRef" && child.number) numbers.push(`${child.number}.${child.occurrence}`)
+  })
+  return numbers.join(",")
+}
+
+/**
+ * Element id of a footnote or of one of its references
+ * @param {string} id - Footnote id
+ * @param {number} occurrence - 1-based reference occurrence (omit for the footnote itself)
+ * @returns {string}
+ */
+export function footnoteElementId(id, occurrence = null) {
+  if (occurrence === null) return `fn-${id}`
+  return occurrence > 1 ? `fnref-${id}-${occurrence}` : `fnref-${id}`
+}
+
+/**
+ * Render the numbered footnote section, with a back-reference to every reference
+ * @param {Array} footnotes - Footnotes from collectFootnotes()
+ * @param {Function} parse - Renders block tokens to HTML (marked.parser)
+ * @returns {string} - HTML string, empty when there are no footnotes
+ */
+export function renderFootnoteSection(footnotes, parse) {
+  if (footnotes.length === 0) return ""
+
+  const items = footnotes.map(footnote => {
+    const backrefs = Array.from({ length: footnote.refCount }, (_, i) => {
+      const href = `#${encodeURIComponent(footnoteElementId(footnote.id, i + 1))}`
+      const mark = i === 0 ? "↩" : `↩<sup>${i + 1}</sup>`
+      return `<a href="${href}" class="footnote-backref">${mark}</a>`
+    }).join(" ")
+
+    // Back-references go at the end of the last paragraph, like GitHub
+    const content = parse(footnote.tokens).trim()
+    const body = content.endsWith("</p>")
+      ? `${content.slice(0, -4)} ${backrefs}</p>`
+      : `${content}\n<p>${backrefs}</p>`
+
+    return `<li id="${escapeHtmlString(footnoteElementId(footnote.id))}">\n${body}\n</li>`
+  })
+
+  return `<section class="footnotes">\n<ol>\n${items.join("\n")}\n</ol>\n</section>\n`
+}
+
+/**
+ * Next free numeric footnote id: one past the highest number in use
+ * @param {string} markdown - Note content
+ * @returns {string}
+ */
+export function nextFootnoteId(markdown) {
+  let highest = 0
+  for (const match of markdown.matchAll(REFERENCE_ID_PATTERN)) {
+    if (/^\d+$/.test(match[1])) highest = Math.max(highest, parseInt(match[1], 10))
+  }
+  return String(highest + 1)
+}
+
+/**
+ * Build the edits that add a new footnote: a reference at the cursor and an
+ * empty definition at the end of the note (after any existing definitions)
+ * @param {string} markdown - Note content
+ * @returns {{id: string, reference: string, definition: string}} - Texts to insert at the cursor and at the end
+ */
+export function buildFootnoteInsertion(markdown) {
+  const id = nextFootnoteId(markdown)
+  const lastLine = markdown.slice(markdown.lastIndexOf("\n", markdown.length - 2) + 1).trim()
+
+  // Keep consecutive definitions together, separate them from the note body
+  let separator
+  if (markdown.length === 0 || markdown.endsWith("\n\n")) {
+    separator = ""
+  } else if (DEFINITION_LINE_PATTERN.test(lastLine)) {
+    separator = markdown.endsWith("\n") ? "" : "\n"
+  } else {
+    separator = markdown.endsWith("\n") ? "\n" : "\n\n"
+  }
+
+  return {
+    id,
+    reference: `[^${id}]`,
+    definition: `${separator}[^${id}]: `
+  }
+}
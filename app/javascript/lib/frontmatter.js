@@ -0,0 +1,167 @@
+// Frontmatter: YAML (---) or TOML (+++) metadata at the top of a note
+// The preview strips it from the markdown before rendering (keeping its line
+// count for scroll sync) and shows the parsed fields in a collapsible card
+
+import yaml from "js-yaml"
+import { parse as parseToml } from "smol-toml"
+import { escapeHtmlString } from "lib/text_utils"
+
+const DELIMITERS = { yaml: "---", toml: "+++" }
+
+// Shown in the card header rather than in the field list
+const HEADER_KEYS = ["title", "date", "draft", "tags"]
+
+/**
+ * Strip frontmatter (YAML or TOML) from markdown content
+ * YAML: starts with --- and ends with ---
+ * TOML: starts with +++ and ends with +++
+ * @param {string} content - Note content
+ * @returns {{content: string, frontmatterLines: number, frontmatter: {format: string, source: string}|null}}
+ *   frontmatterLines is the count of lines stripped; frontmatter holds the text between the delimiters
+ */
+export function stripFrontmatter(content) {
+  if (!content) return { content, frontmatterLines: 0, frontmatter: null }
+
+  for (const [format, delimiter] of Object.entries(DELIMITERS)) {
+    if (!content.startsWith(delimiter)) continue
+
+    const endMatch = content.indexOf(`\n${delimiter}`, 3)
+    if (endMatch === -1) continue
+
+    const frontmatter = { format, source: content.slice(content.indexOf("\n") + 1, endMatch) }
+
+    // Find the end of the closing delimiter line
+    const afterFrontmatter = content.indexOf("\n", endMatch + 4)
+    if (afterFrontmatter !== -1) {
+      const body = content.slice(afterFrontmatter + 1).trimStart()
+      // The lines before the body: the frontmatter's and the blank ones trimmed after it
+      const stripped = content.slice(0, content.length - body.length)
+      return {
+        content: body,
+        frontmatterLines: stripped.split("\n").length - 1,
+        frontmatter
+      }
+    }
+
+    // Closing delimiter is at end of file
+    return { content: "", frontmatterLines: content.split("\n").length, frontmatter }
+  }
+
+  return { content, frontmatterLines: 0, frontmatter: null }
+}
+
+/**
+ * Parse the fields of stripped frontmatter
+ * Dates are kept as written (YAML core schema) so Hugo timestamps aren't shifted to UTC
+ * @param {{format: string, source: string}} frontmatter - From stripFrontmatter()
+ * @returns {{data: Object|null, error: {message: string, line: number|null}|null}}
+ *   line is the 1-based line of the error in the note
+ */
+export function parseFrontmatter({ format, source }) {
+  try {
+    const data = format === "toml"
+      ? parseToml(source)
+      : yaml.load(source, { schema: yaml.CORE_SCHEMA })
+
+    if (data === null || data === undefined) return { data: {}, error: null }
+    if (typeof data !== "object" || Array.isArray(data)) {
+      return { data: null, error: { message: window.t("preview.frontmatter_not_a_map"), line: null } }
+    }
+    return { data, error: null }
+  } catch (error) {
+    return { data: null, error: describeError(format, error) }
+  }
+}
+
+// Error message without the code excerpt, and its line in the note
+// (the opening delimiter is line 1)
+function describeError(format, error) {
+  if (format === "toml") {
+    const message = error.message.split("\n")[0].replace(/^Invalid TOML document: /, "")
+    return { message, line: error.line ? error.line + 1 : null }
+  }
+
+  const message = error.reason || error.message.split("\n")[0]
+  return { message, line: error.mark ? error.mark.line + 2 : null }
+}
+
+/**
+ * Render frontmatter as a collapsible metadata card, or an error box if it doesn't parse
+ * The card is tagged with data-source-line="1" so scroll sync maps the top of the note to it
+ * @param {{format: string, source: string}} frontmatter - From stripFrontmatter()
+ * @param {Object} options
+ * @param {boolean} options.open - Whether the card is expanded
+ * @returns {string} - HTML string, empty when the frontmatter has no fields
+ */
+export function renderFrontmatterCard(frontmatter, { open = true } = {}) {
+  const { data, error } = parseFrontmatter(frontmatter)
+
+  if (error) {
+    const title = error.line
+      ? window.t("preview.frontmatter_error_line", { line: error.line })
+      : window.t("preview.frontmatter_error")
+    return `<div class="frontmatter-card frontmatter-error" data-source-line="1" role="alert"><strong>${escapeHtmlString(title)}</strong><pre>${escapeHtmlString(error.message)}</pre></div>\n`
+  }
+
+  const keys = Object.keys(data)
+  if (keys.length === 0) return ""
+
+  const title = headerValue(data.title) || window.t("preview.frontmatter")
+  const draft = data.draft === true || data.draft === "true"
+    ? `<span class="frontmatter-draft">${escapeHtmlString(window.t("preview.frontmatter_draft"))}</span>`
+    : ""
+  const date = headerValue(data.date) ? `<time class="frontmatter-date">${escapeHtmlString(headerValue(data.date))}</time>` : ""
+
+  const tags = toList(data.tags)
+  const tagChips = tags.length > 0 ? renderChips(tags, "frontmatter-tags") : ""
+
+  const fields = keys.filter(key => !HEADER_KEYS.includes(key))
+  const fieldList = fields.length > 0 ? renderFields(data, fields) : ""
+
+  return `<details class="frontmatter-card" data-source-line="1"${open ? " open" : ""}>` +
+    `<summary class="frontmatter-summary"><span class="frontmatter-title">${escapeHtmlString(title)}</span>${draft}${date}</summary>` +
+    `${tagChips}${fieldList}</details>\n`
+}
+
+function renderFields(data, keys) {
+  const rows = keys.map(key => `<dt>${escapeHtmlString(key)}</dt><dd>${renderValue(data[key])}</dd>`)
+  return `<dl class="frontmatter-fields">${rows.join("")}</dl>`
+}
+
+// Lists of plain values become chips, tables become nested field lists
+function renderValue(value) {
+  if (Array.isArray(value)) {
+    if (value.every(isScalar)) return renderChips(value.map(formatScalar), "frontmatter-list")
+    return escapeHtmlString(JSON.stringify(value))
+  }
+  if (isScalar(value)) return escapeHtmlString(formatScalar(value))
+
+  const keys = Object.keys(value)
+  return keys.length > 0 ? renderFields(value, keys) : ""
+}
+
+function renderChips(values, className) {
+  const chips = values.map(value => `<li class="frontmatter-chip">${escapeHtmlString(value)}</li>`)
+  return `<ul class="${className}">${chips.join("")}</ul>`
+}
+
+function isScalar(value) {
+  return value === null || value instanceof Date || typeof value !== "object"
+}
+
+// TOML dates keep their original form in toISOString()
+function formatScalar(value) {
+  if (value === null) return ""
+  if (value instanceof Date) return value.toISOString()
+  return String(value)
+}
+
+function headerValue(value) {
+  return value !== undefined && isScalar(value) ? formatScalar(value) : ""
+}
+
+// Hugo accepts "tags: a" as well as a list; new posts start with an empty "-" item
+function toList(value) {
+  if (value === undefined) return []
+  return (Array.isArray(value) ? value : [value]).filter(isScalar).map(formatScalar).filter(Boolean)
+}
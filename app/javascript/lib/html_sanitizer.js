@@ -0,0 +1,84 @@
+// Preview HTML sanitization
+// Notes may come from other people's repositories, so rendered markdown is
+// untrusted: it goes through DOMPurify's allowlist (HTML, SVG and MathML without
+// scripts, event handlers or javascript: URLs) before reaching the preview.
+// On top of that allowlist we keep what FrankMD renders itself (KaTeX MathML,
+// YouTube and Vimeo embeds); .fed can allow more tags, attributes
+// and iframe hosts
+
+import DOMPurify from "dompurify"
+
+// Hosts of the YouTube embeds inserted by the video dialog, and of the
+// youtube and vimeo shortcodes
+export const DEFAULT_IFRAME_HOSTS = ["www.youtube.com", "youtube.com", "www.youtube-nocookie.com", "player.vimeo.com"]
+
+const PREVIEW_CONFIG = {
+  // KaTeX keeps the TeX source in a MathML annotation
+  ADD_TAGS: ["iframe", "semantics", "annotation"],
+  ADD_ATTR: ["encoding", "allow", "allowfullscreen", "frameborder", "referrerpolicy"],
+  // A <style> element would restyle the whole app, not just the note, and a style
+  // attribute can cover it (position: fixed); both only when allowed in .fed
+  FORBID_TAGS: ["style"],
+  FORBID_ATTR: ["style"],
+  // Parse as body content so a leading <style> (when allowed) isn't hoisted into <head> and lost
+  FORCE_BODY: true
+}
+
+// Never allowed, even when listed in .fed (a cloned notes folder can ship its own .fed)
+const BLOCKED_TAGS = ["script", "iframe", "frame", "frameset", "object", "embed", "applet", "base", "meta", "link"]
+const BLOCKED_ATTRIBUTE_PATTERN = /^(?:on|srcdoc$|formaction$)/
+
+/**
+ * Parse a comma- or space-separated allowlist setting from .fed
+ * @param {string} value - e.g. "details, summary kbd"
+ * @returns {string[]} - Lowercased entries
+ */
+export function parseAllowlist(value) {
+  return (value || "")
+    .split(/[\s,]+/)
+    .map(entry => entry.toLowerCase())
+    .filter(Boolean)
+}
+
+function iframeSourceAllowed(src, hosts) {
+  try {
+    const url = new URL(src, window.location.href)
+    return url.protocol === "https:" && hosts.includes(url.hostname.toLowerCase())
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Sanitize rendered preview HTML against the allowlist
+ * @param {string} html - HTML rendered from the note
+ * @param {Object} allowlist - Extra entries from .fed
+ * @param {string[]} allowlist.tags - Additional tags to allow
+ * @param {string[]} allowlist.attributes - Additional attributes to allow on any tag
+ * @param {string[]} allowlist.iframeHosts - Additional hosts iframes may embed
+ * @returns {string} - Safe HTML
+ */
+export function sanitizePreviewHtml(html, { tags = [], attributes = [], iframeHosts = [] } = {}) {
+  if (!html) return ""
+
+  const hosts = [...DEFAULT_IFRAME_HOSTS, ...iframeHosts]
+
+  // Iframes are only kept when they embed an allowed host over https
+  DOMPurify.addHook("afterSanitizeAttributes", node => {
+    if (node.nodeName === "IFRAME" && !iframeSourceAllowed(node.getAttribute("src"), hosts)) {
+      node.remove()
+    }
+  })
+
+  try {
+    return DOMPurify.sanitize(html, {
+      ...PREVIEW_CONFIG,
+      ADD_TAGS: [...PREVIEW_CONFIG.ADD_TAGS, ...tags.filter(tag => !BLOCKED_TAGS.includes(tag))],
+      ADD_ATTR: [...PREVIEW_CONFIG.ADD_ATTR, ...attributes.filter(attr => !BLOCKED_ATTRIBUTE_PATTERN.test(attr))],
+      FORBID_TAGS: PREVIEW_CONFIG.FORBID_TAGS.filter(tag => !tags.includes(tag)),
+      FORBID_ATTR: PREVIEW_CONFIG.FORBID_ATTR.filter(attr => !attributes.includes(attr))
+    })
+  } finally {
+    DOMPurify.removeHook("afterSanitizeAttributes")
+  }
+}
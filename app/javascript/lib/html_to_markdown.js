@@ -0,0 +1,281 @@
+// HTML to Markdown conversion for pasted content
+// Clipboard HTML from browsers, Google Docs and Word becomes clean markdown:
+// headings, paragraphs, lists (with task checkboxes), blockquotes, tables,
+// code and emphasis. Styling, scripts and editor-specific markup are dropped
+
+import { formatTableRows } from "lib/table_utils"
+
+const BLOCK_TAGS = new Set([
+  "ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "DD", "DETAILS", "DIV", "DL", "DT", "FIGCAPTION", "FIGURE",
+  "FOOTER", "H1", "H2", "H3", "H4", "H5", "H6", "HEADER", "HR", "LI", "MAIN", "NAV", "OL", "P", "PRE",
+  "SECTION", "SUMMARY", "TABLE", "UL"
+])
+const SKIPPED_TAGS = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "HEAD", "TITLE", "META", "LINK", "BUTTON", "SELECT", "TEXTAREA"])
+const BLOCK_SELECTOR = [...BLOCK_TAGS].join(",").toLowerCase()
+
+// Line break inside a paragraph (two trailing spaces)
+const HARD_BREAK = "  \n"
+
+/**
+ * Convert HTML to markdown
+ * @param {string} html - HTML from the clipboard
+ * @returns {string} - Markdown (empty when the HTML holds no content)
+ */
+export function htmlToMarkdown(html) {
+  if (!html) return ""
+
+  const doc = new DOMParser().parseFromString(html, "text/html")
+  return blocks(doc.body, { tight: false })
+}
+
+function isBlock(node) {
+  return node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.has(node.tagName)
+}
+
+// Inline elements wrapping blocks: Google Docs puts the whole selection in a <b>
+function containsBlocks(node) {
+  return node.nodeType === Node.ELEMENT_NODE && node.querySelector(BLOCK_SELECTOR) !== null
+}
+
+// Markdown of an element's children: runs of inline content become paragraphs,
+// separated from the blocks around them by a blank line (a line break when tight)
+function blocks(node, context) {
+  const parts = []
+  let run = ""
+
+  const flush = () => {
+    const text = run
+      .replace(/ {2,}(?=\S)/g, " ")
+      .replace(/^[ \t]+/gm, "")
+      .replace(/^\n+|\s+$/g, "")
+    if (text) parts.push(text)
+    run = ""
+  }
+
+  for (const child of node.childNodes) {
+    if (child.nodeType === Node.ELEMENT_NODE && SKIPPED_TAGS.has(child.tagName)) continue
+
+    if (isBlock(child) || containsBlocks(child)) {
+      flush()
+      const markdown = isBlock(child) ? block(child, context) : blocks(child, context)
+      if (markdown) parts.push(markdown)
+    } else {
+      run += inline(child, context)
+    }
+  }
+  flush()
+
+  return parts.join(context.tight ? "\n" : "\n\n")
+}
+
+function block(element, context) {
+  const tag = element.tagName
+
+  if (/^H[1-6]$/.test(tag)) {
+    const text = flatInline(element, context)
+    return text ? `${"#".repeat(Number(tag[1]))} ${text}` : ""
+  }
+
+  switch (tag) {
+    case "HR":
+      return "---"
+    case "PRE":
+      return codeBlock(element)
+    case "UL":
+    case "OL":
+      return list(element, context)
+    case "BLOCKQUOTE":
+      return prefixLines(blocks(element, { ...context, tight: false }), "> ", ">")
+    case "TABLE":
+      return table(element, context)
+    case "LI":
+      // An item outside a list
+      return `- ${blocks(element, { ...context, tight: true })}`
+    default:
+      return blocks(element, context)
+  }
+}
+
+function prefixLines(text, prefix, emptyPrefix = prefix.trimEnd()) {
+  return text.split("\n").map(line => line ? prefix + line : emptyPrefix).join("\n")
+}
+
+// Fence longer than any backtick run in the code
+function fenceFor(code, minimum) {
+  const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length))
+  return "`".repeat(Math.max(minimum, longest + 1))
+}
+
+function codeLanguage(element) {
+  const code = element.querySelector("code")
+  const classes = `${element.className || ""} ${code?.className || ""}`
+  const match = classes.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/)
+  return match ? match[1] : ""
+}
+
+function codeBlock(element) {
+  const code = element.textContent.replace(/\n$/, "")
+  const fence = fenceFor(code, 3)
+  return `${fence}${codeLanguage(element)}\n${code}\n${fence}`
+}
+
+// Items of a list, and lists nested right in it (invalid, but Google Docs and
+// Word paste them) under the item before
+function list(element, context) {
+  const ordered = element.tagName === "OL"
+  let number = parseInt(element.getAttribute("start"), 10)
+  if (Number.isNaN(number)) number = 1
+
+  const items = []
+  for (const child of element.children) {
+    if (child.tagName === "LI") {
+      const marker = ordered ? `${number++}. ` : "- "
+      const content = blocks(child, { ...context, tight: true }) || ""
+      const indent = " ".repeat(marker.length)
+      items.push(marker + content.split("\n").map((line, index) => index === 0 || !line ? line : indent + line).join("\n"))
+    } else if ((child.tagName === "UL" || child.tagName === "OL") && items.length > 0) {
+      const indent = " ".repeat(ordered ? String(number - 1).length + 2 : 2)
+      items[items.length - 1] += "\n" + prefixLines(list(child, context), indent, "")
+    }
+  }
+  return items.join("\n")
+}
+
+function table(element, context) {
+  const rows = []
+  const alignments = []
+
+  for (const row of element.rows) {
+    const cells = []
+    for (const cell of row.cells) {
+      const text = flatInline(cell, context).replace(/\|/g, "\\|")
+      cells.push(text)
+      if (rows.length === 0) alignments.push(cellAlignment(cell))
+      for (let span = 1; span < cell.colSpan; span++) cells.push("")
+    }
+    rows.push(cells)
+  }
+
+  // The first row is the header, <th> or not (Google Docs and Word only use <td>)
+  if (rows.length === 0) return ""
+  return formatTableRows(rows, alignments).lines.join("\n")
+}
+
+function cellAlignment(cell) {
+  const alignment = (cell.getAttribute("align") || cell.style.textAlign || "").toLowerCase()
+  return ["left", "center", "right"].includes(alignment) ? alignment : null
+}
+
+// Inline content on one line (headings, table cells)
+function flatInline(element, context) {
+  return [...element.childNodes]
+    .map(child => isBlock(child) || containsBlocks(child) ? ` ${flatInline(child, context)} ` : inline(child, context))
+    .join("")
+    .replace(/\s*\n\s*/g, " ")
+    .replace(/[ \t]+/g, " ")
+    .trim()
+}
+
+function inlineChildren(element, context) {
+  return [...element.childNodes].map(child => inline(child, context)).join("")
+}
+
+function inline(node, context) {
+  if (node.nodeType === Node.TEXT_NODE) return escapeText(node.textContent.replace(/\s+/g, " "))
+  if (node.nodeType !== Node.ELEMENT_NODE || SKIPPED_TAGS.has(node.tagName)) return ""
+
+  switch (node.tagName) {
+    case "BR":
+      return HARD_BREAK
+    case "STRONG":
+      return wrap(inlineChildren(node, context), "**")
+    case "B":
+      // Google Docs wraps plain text in <b style="font-weight:normal">
+      return fontWeightNormal(node) ? inlineChildren(node, context) : wrap(inlineChildren(node, context), "**")
+    case "EM":
+    case "I":
+    case "CITE":
+      return wrap(inlineChildren(node, context), "*")
+    case "DEL":
+    case "S":
+    case "STRIKE":
+      return wrap(inlineChildren(node, context), "~~")
+    case "CODE":
+    case "KBD":
+    case "SAMP":
+      return inlineCode(node.textContent)
+    case "A":
+      return link(node, context)
+    case "IMG":
+      return image(node)
+    case "INPUT":
+      return node.type === "checkbox" ? (node.checked ? "[x] " : "[ ] ") : ""
+    case "SPAN":
+      return styledSpan(node, context)
+    default:
+      return inlineChildren(node, context)
+  }
+}
+
+function fontWeightNormal(element) {
+  return /^(normal|[1-5]00)$/.test(element.style.fontWeight)
+}
+
+// Google Docs and Word style spans instead of using <strong> and <em>
+function styledSpan(element, context) {
+  let text = inlineChildren(element, context)
+  const { fontWeight, fontStyle, textDecoration, textDecorationLine } = element.style
+
+  if (/^(bold|bolder|[6-9]00)$/.test(fontWeight)) text = wrap(text, "**")
+  if (fontStyle === "italic") text = wrap(text, "*")
+  if (`${textDecoration} ${textDecorationLine}`.includes("line-through")) text = wrap(text, "~~")
+  return text
+}
+
+// Markers hug the text: spaces inside them move outside
+function wrap(text, marker) {
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/)
+  if (!match[2]) return text
+  return `${match[1]}${marker}${match[2]}${marker}${match[3]}`
+}
+
+function inlineCode(text) {
+  const code = text.replace(/\s*\n\s*/g, " ")
+  if (!code) return ""
+
+  const fence = fenceFor(code, 1)
+  const padding = code.startsWith("`") || code.endsWith("`") ? " " : ""
+  return `${fence}${padding}${code}${padding}${fence}`
+}
+
+function link(element, context) {
+  const text = inlineChildren(element, context).trim()
+  const href = element.getAttribute("href") || ""
+  if (!href || /^\s*javascript:/i.test(href) || href.startsWith("#")) return text
+  if (!text) return ""
+
+  const url = /[\s()]/.test(href) ? `<${href}>` : href
+  const title = element.getAttribute("title")
+  return `[${text}](${url}${title ? ` "${title.replace(/"/g, "\\\"")}"` : ""})`
+}
+
+function image(element) {
+  const src = element.getAttribute("src") || ""
+  // Inline image data would bury the note in base64
+  if (!src || src.startsWith("data:")) return ""
+
+  const alt = (element.getAttribute("alt") || "").replace(/[[\]]/g, "\\$&")
+  const url = /[\s()]/.test(src) ? `<${src}>` : src
+  return `![${alt}](${url})`
+}
+
+// Backslash-escape the characters markdown would take as formatting (underscores
+// only where they could start or end emphasis, not inside words like snake_case)
+function escapeText(text) {
+  return text
+    .replace(/[\\`*[\]]/g, "\\$&")
+    .replace(/_/g, (underscore, offset, escaped) => {
+      const inWord = /\w/.test(escaped[offset - 1] || "") && /\w/.test(escaped[offset + 1] || "")
+      return inWord ? underscore : "\\_"
+    })
+}
@@ -0,0 +1,377 @@
+// Hugo shortcodes: {{< name args >}} and {{% name args %}}, optionally paired
+// with a {{< /name >}} closing tag around inner content
+// marked_extensions tokenizes them; this module parses tags and arguments,
+// renders Hugo's built-in shortcodes and the HTML templates registered in .fed,
+// and falls back to a labelled placeholder for anything else
+
+import { escapeHtmlString } from "lib/text_utils"
+import { resolveWikiLink } from "lib/wiki_links"
+
+const NAME_PATTERN = /^[A-Za-z0-9_][\w.-]*(?:\/[\w.-]+)*/
+const ARGUMENT_PATTERN = /(?:([\w-]+)=)?("(?:[^"\\]|\\.)*"|`[^`]*`|[^\s"`]+)/g
+const TEMPLATE_ACTION_PATTERN = /\{\{-?\s*([\s\S]*?)\s*-?\}\}/g
+
+// Shortcode templates from .fed (name -> HTML)
+let templates = new Map()
+
+// Front matter of the note being rendered, for the param shortcode
+let pageParams = {}
+
+/**
+ * Read a shortcode tag at the start of the source
+ * Quoted arguments may contain ">}}"; a tag never spans a blank line
+ * @param {string} src - Markdown source starting with "{{<" or "{{%"
+ * @returns {Object|null} - { raw, delimiter, name, args, closing, selfClosing }, or
+ *   { raw, literal } for a commented-out tag that Hugo shows as text, or null
+ */
+export function readShortcodeTag(src) {
+  const open = src.match(/^\{\{([<%])/)
+  if (!open) return null
+
+  const delimiter = open[1]
+  const close = delimiter === "<" ? ">}}" : "%}}"
+
+  for (let i = 3; i < src.length; i++) {
+    const char = src[i]
+    if (char === '"' || char === "`") {
+      const end = findQuoteEnd(src, i)
+      if (end === -1) return null
+      i = end
+    } else if (char === "\n" && src[i + 1] === "\n") {
+      return null
+    } else if (src.startsWith(close, i)) {
+      return parseTag(src.slice(0, i + 3), delimiter, src.slice(3, i).trim())
+    }
+  }
+
+  return null
+}
+
+function findQuoteEnd(src, start) {
+  const quote = src[start]
+  for (let i = start + 1; i < src.length; i++) {
+    if (quote === '"' && src[i] === "\\") {
+      i++
+    } else if (src[i] === quote) {
+      return i
+    } else if (src[i] === "\n" && src[i + 1] === "\n") {
+      return -1
+    }
+  }
+  return -1
+}
+
+function parseTag(raw, delimiter, body) {
+  // Hugo's escape for showing a shortcode as text: {{</* name */>}}
+  const comment = body.match(/^\/\*([\s\S]*)\*\/$/)
+  if (comment) {
+    const close = delimiter === "<" ? ">" : "%"
+    return { raw, literal: `{{${delimiter} ${comment[1].trim()} ${close}}}` }
+  }
+
+  const closing = body.startsWith("/")
+  if (closing) body = body.slice(1).trim()
+
+  const selfClosing = !closing && body.endsWith("/")
+  if (selfClosing) body = body.slice(0, -1).trim()
+
+  const name = body.match(NAME_PATTERN)?.[0]
+  if (!name) return null
+
+  return {
+    raw,
+    delimiter,
+    name,
+    args: parseShortcodeArgs(body.slice(name.length)),
+    closing,
+    selfClosing
+  }
+}
+
+/**
+ * Parse shortcode arguments: positional ("a" b) or named (key="a" key=b)
+ * @param {string} text - Arguments after the shortcode name
+ * @returns {{positional: string[], named: Object}}
+ */
+export function parseShortcodeArgs(text) {
+  const positional = []
+  const named = {}
+
+  for (const match of (text || "").matchAll(ARGUMENT_PATTERN)) {
+    const value = unquote(match[2])
+    if (match[1]) {
+      named[match[1]] = value
+    } else {
+      positional.push(value)
+    }
+  }
+
+  return { positional, named }
+}
+
+function unquote(value) {
+  if (value.startsWith('"')) return value.slice(1, -1).replace(/\\(.)/g, "$1")
+  if (value.startsWith("`")) return value.slice(1, -1)
+  return value
+}
+
+/**
+ * Find the closing tag of a paired shortcode
+ * @param {string} src - Source after the opening tag
+ * @param {string} name - Shortcode name
+ * @returns {{index: number, raw: string}|null}
+ */
+export function findClosingTag(src, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&")
+  const match = src.match(new RegExp(`\\{\\{[<%]\\s*/\\s*${escaped}\\s*[>%]\\}\\}`))
+  return match ? { index: match.index, raw: match[0] } : null
+}
+
+/**
+ * Value of a shortcode argument, by name or position
+ * Like Hugo's built-ins, a named argument wins over its positional fallback
+ * @param {Object} shortcode - Tag from readShortcodeTag()
+ * @param {string} name - Argument name
+ * @param {number} position - Position when passed without a name
+ * @returns {string|undefined}
+ */
+export function shortcodeArg(shortcode, name, position = null) {
+  const { named, positional } = shortcode.args
+  if (name !== null && named[name] !== undefined) return named[name]
+  return position === null ? undefined : positional[position]
+}
+
+/**
+ * Replace the shortcode templates registered in .fed
+ * @param {Object} map - Shortcode name -> HTML template
+ */
+export function setShortcodeTemplates(map) {
+  templates = new Map(Object.entries(map || {}))
+}
+
+/**
+ * Template registered in .fed for a shortcode
+ * @param {string} name - Shortcode name
+ * @returns {string|null}
+ */
+export function getShortcodeTemplate(name) {
+  return templates.get(name) ?? null
+}
+
+/**
+ * Fill a .fed shortcode template
+ * Supports {{ .Get 0 }}, {{ .Get "name" }}, {{ .Name }}, {{ .Inner }} and
+ * {{ .Inner | markdownify }}; other actions render as nothing. Like Hugo,
+ * .Inner is markdown-rendered for {{% %}} shortcodes and raw for {{< >}}
+ * @param {string} template - HTML template
+ * @param {Object} shortcode - Tag from readShortcodeTag()
+ * @param {Object} inner - Inner content of a paired shortcode
+ * @param {string} inner.raw - Source between the tags
+ * @param {Function} inner.render - Renders the inner markdown to HTML
+ * @returns {string}
+ */
+export function renderShortcodeTemplate(template, shortcode, inner = { raw: "", render: () => "" }) {
+  return template.replace(TEMPLATE_ACTION_PATTERN, (_, action) => {
+    const [expression, ...pipes] = action.split("|").map(part => part.trim())
+
+    if (expression === ".Inner") {
+      return pipes.includes("markdownify") || shortcode.delimiter === "%" ? inner.render() : inner.raw
+    }
+    if (expression === ".Name") return escapeHtmlString(shortcode.name)
+
+    const get = expression.match(/^\.Get\s+(?:(\d+)|"([^"]*)"|`([^`]*)`)$/)
+    if (get) {
+      const value = get[1] !== undefined
+        ? shortcode.args.positional[parseInt(get[1], 10)]
+        : shortcode.args.named[get[2] ?? get[3]]
+      return escapeHtmlString(value ?? "")
+    }
+
+    return ""
+  })
+}
+
+/**
+ * Set the front matter of the note being rendered
+ * @param {Object} params - Parsed front matter
+ */
+export function setShortcodePageParams(params) {
+  pageParams = params || {}
+}
+
+/**
+ * Hugo's param shortcode: {{< param title >}} or {{< param "author.name" >}}
+ * Like Hugo, keys are case-insensitive and are also looked up under the front
+ * matter's params. Site parameters aren't known to the preview
+ * @param {Object} shortcode - Tag from readShortcodeTag()
+ * @returns {string|null} - Escaped value, or null when the note doesn't set it
+ */
+export function renderParamShortcode(shortcode) {
+  const key = shortcodeArg(shortcode, null, 0)
+  if (!key) return null
+
+  let value = lookupParam(pageParams, key)
+  if (value === undefined) value = lookupParam(lookupParam(pageParams, "params"), key)
+
+  if (Array.isArray(value) && value.every(item => item === null || typeof item !== "object")) {
+    return escapeHtmlString(value.join(", "))
+  }
+  if (value === undefined || value === null || typeof value === "object") return null
+  return escapeHtmlString(String(value))
+}
+
+function lookupParam(params, key) {
+  return key.split(".").reduce((node, part) => {
+    if (!node || typeof node !== "object" || Array.isArray(node)) return undefined
+    const match = Object.keys(node).find(name => name.toLowerCase() === part.toLowerCase())
+    return match === undefined ? undefined : node[match]
+  }, params)
+}
+
+/**
+ * Resolve the target of a ref/relref shortcode to a note
+ * Accepts paths with or without .md, and page bundles by their folder
+ * @param {string} ref - e.g. "posts/my-post.md", "/about#team" or "#team"
+ * @returns {{target: string, heading: string, path: string|null}}
+ */
+export function resolveShortcodeRef(ref) {
+  const hashIndex = ref.indexOf("#")
+  const target = (hashIndex === -1 ? ref : ref.slice(0, hashIndex)).trim()
+  const heading = hashIndex === -1 ? "" : ref.slice(hashIndex + 1).trim()
+  if (!target) return { target, heading, path: null }
+
+  const base = target.replace(/^\/+|\/+$/g, "").replace(/\.md$/i, "")
+  for (const candidate of [base, `${base}/index`, `${base}/_index`]) {
+    const path = resolveWikiLink(candidate)
+    if (path) return { target, heading, path }
+  }
+
+  return { target, heading, path: null }
+}
+
+/**
+ * Hugo's youtube shortcode: {{< youtube id >}} or {{< youtube id="..." title="..." >}}
+ * Uses the same embed markup as the video dialog
+ * @param {Object} shortcode - Tag from readShortcodeTag()
+ * @returns {string|null} - HTML, or null without a video id
+ */
+export function renderYoutubeShortcode(shortcode) {
+  const id = shortcodeArg(shortcode, "id", 0)
+  if (!id) return null
+
+  const params = new URLSearchParams()
+  for (const name of ["autoplay", "controls", "end", "loop", "mute", "start"]) {
+    const value = shortcodeArg(shortcode, name)
+    if (value === undefined) continue
+    params.set(name, value === "true" ? "1" : value === "false" ? "0" : value)
+  }
+
+  const query = params.toString()
+  const src = `https://www.youtube.com/embed/${encodeURIComponent(id)}${query ? `?${query}` : ""}`
+  const title = shortcodeArg(shortcode, "title") || "YouTube video"
+  const className = shortcodeArg(shortcode, "class")
+
+  return `<div class="embed-container${className ? ` ${escapeHtmlString(className)}` : ""}">` +
+    `<iframe src="${escapeHtmlString(src)}" title="${escapeHtmlString(title)}" frameborder="0" ` +
+    'allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share" ' +
+    'referrerpolicy="strict-origin-when-cross-origin" allowfullscreen></iframe></div>'
+}
+
+/**
+ * Hugo's vimeo shortcode: {{< vimeo id >}} or {{< vimeo id="..." title="..." >}}
+ * @param {Object} shortcode - Tag from readShortcodeTag()
+ * @returns {string|null} - HTML, or null without a video id
+ */
+export function renderVimeoShortcode(shortcode) {
+  const id = shortcodeArg(shortcode, "id", 0)
+  if (!id) return null
+
+  const src = `https://player.vimeo.com/video/${encodeURIComponent(id)}`
+  const title = shortcodeArg(shortcode, "title") || "Vimeo video"
+  const className = shortcodeArg(shortcode, "class")
+
+  return `<div class="embed-container${className ? ` ${escapeHtmlString(className)}` : ""}">` +
+    `<iframe src="${escapeHtmlString(src)}" title="${escapeHtmlString(title)}" frameborder="0" ` +
+    'allow="autoplay; fullscreen; picture-in-picture" referrerpolicy="strict-origin-when-cross-origin" allowfullscreen></iframe></div>'
+}
+
+/**
+ * Hugo's gist shortcode: {{< gist user id [file] >}}
+ * Hugo embeds GitHub's script, which the preview never runs: it links to the gist
+ * @param {Object} shortcode - Tag from readShortcodeTag()
+ * @returns {string|null} - HTML, or null without a user and gist id
+ */
+export function renderGistShortcode(shortcode) {
+  const [user, id, file] = shortcode.args.positional
+  if (!user || !id) return null
+
+  const href = `https://gist.github.com/${encodeURIComponent(user)}/${encodeURIComponent(id)}`
+  const label = `${user}/${id}${file ? ` (${file})` : ""}`
+  return `<p class="hugo-gist"><a href="${escapeHtmlString(href)}">${escapeHtmlString(label)}</a></p>`
+}
+
+/**
+ * Hugo's figure shortcode, following its embedded template
+ * @param {Object} shortcode - Tag from readShortcodeTag()
+ * @param {Object} rendered - Markdown-rendered arguments
+ * @param {string} rendered.caption - Caption HTML
+ * @param {string} rendered.attr - Attribution HTML
+ * @returns {string}
+ */
+export function renderFigureShortcode(shortcode, { caption = "", attr = "" } = {}) {
+  const get = name => shortcodeArg(shortcode, name)
+  const attribute = (name, value) => value ? ` ${name}="${escapeHtmlString(value)}"` : ""
+
+  // Without alt text, Hugo uses the caption as plain text (already escaped by marked)
+  const alt = get("alt") !== undefined ? escapeHtmlString(get("alt")) : caption.replace(/<[^>]*>/g, "").replace(/"/g, "&quot;")
+  let image = `<img src="${escapeHtmlString(get("src") || "")}" alt="${alt}"` +
+    `${attribute("width", get("width"))}${attribute("height", get("height"))}${attribute("loading", get("loading"))}>`
+
+  if (get("link")) {
+    image = `<a href="${escapeHtmlString(get("link"))}"${attribute("target", get("target"))}${attribute("rel", get("rel"))}>${image}</a>`
+  }
+
+  let figcaption = ""
+  if (get("title") || caption || attr) {
+    const title = get("title") ? `<h4>${escapeHtmlString(get("title"))}</h4>` : ""
+    const attribution = get("attrlink") && attr ? `<a href="${escapeHtmlString(get("attrlink"))}">${attr}</a>` : attr
+    const text = caption || attr ? `<p>${caption}${attribution}</p>` : ""
+    figcaption = `<figcaption>${title}${text}</figcaption>`
+  }
+
+  return `<figure${attribute("class", get("class"))}>${image}${figcaption}</figure>`
+}
+
+/**
+ * Hugo's details shortcode: a collapsible section around the inner content
+ * @param {Object} shortcode - Tag from readShortcodeTag()
+ * @param {Object} rendered - Markdown-rendered parts
+ * @param {string} rendered.summary - Summary HTML (defaults to "Details", like Hugo)
+ * @param {string} rendered.inner - Inner content HTML
+ * @returns {string}
+ */
+export function renderDetailsShortcode(shortcode, { summary = "", inner = "" } = {}) {
+  const get = name => shortcodeArg(shortcode, name)
+  const attribute = (name, value) => value ? ` ${name}="${escapeHtmlString(value)}"` : ""
+  const open = get("open") === "true" ? " open" : ""
+
+  return `<details${attribute("class", get("class"))}${attribute("name", get("name"))}${attribute("title", get("title"))}${open}>` +
+    `<summary>${summary || "Details"}</summary>${inner}</details>`
+}
+
+/**
+ * Labelled box for shortcodes the preview can't render: custom ones without
+ * a .fed template, and the built-ins that need Hugo's site or a network
+ * request (instagram, x, twitter, qr)
+ * @param {Object} shortcode - Tag from readShortcodeTag()
+ * @param {Object} options
+ * @param {boolean} options.block - Render as a block (with the inner content) or inline
+ * @param {string} options.inner - Rendered inner content of a paired shortcode
+ * @returns {string}
+ */
+export function renderShortcodePlaceholder(shortcode, { block = true, inner = "" } = {}) {
+  const label = `<code class="hugo-shortcode-label">${escapeHtmlString(shortcode.raw)}</code>`
+  if (!block) return `<span class="hugo-shortcode hugo-shortcode-inline" data-shortcode="${escapeHtmlString(shortcode.name)}">${label}</span>`
+
+  return `<div class="hugo-shortcode" data-shortcode="${escapeHtmlString(shortcode.name)}">${label}${inner}</div>`
+}
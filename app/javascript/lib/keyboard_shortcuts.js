@@ -23,6 +23,7 @@ export const DEFAULT_SHORTCUTS = {
   toggleSidebar:  { key: "e", ctrl: true },
   typewriterMode: { key: "\\", ctrl: true },
   textFormat:     { key: "m", ctrl: true },
+  footnote:       { key: "^", ctrl: true, shift: true },  // Ctrl+Shift+^ (insert footnote)
   emojiPicker:    { key: "E", ctrl: true, shift: true },
   increaseWidth:  { key: "+", ctrl: true, shift: true },  // Ctrl+Shift++ (increase editor width)
   decreaseWidth:  { key: "_", ctrl: true, shift: true },  // Ctrl+Shift+- (decrease editor width)
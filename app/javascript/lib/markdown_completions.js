@@ -0,0 +1,236 @@
+// Markdown completions for link targets and emoji
+// After ]( the notes in the file tree (as links relative to the open note),
+// after ![]( the images of the images directory, after # in a link target the
+// headings of the linked note, and after : emoji shortcodes. Each suggestion
+// shows a preview: the emoji, the heading, or the note's text or the image
+// next to the list
+
+import { EditorState } from "@codemirror/state"
+import { syntaxTree } from "@codemirror/language"
+import { markdown, markdownLanguage } from "@codemirror/lang-markdown"
+import { get } from "@rails/request.js"
+import { getWikiLinkNotes } from "lib/wiki_links"
+import { collectReferences, relativeNotePath } from "lib/markdown_lint"
+import { resolveNoteAssetPath } from "lib/note_assets"
+import { stripFrontmatter } from "lib/frontmatter"
+import { getEmojiMap } from "lib/emoji_data"
+import { encodePath } from "lib/url_utils"
+
+const IMAGE_ROUTE = "/images/preview/"
+const CODE_NODE_PATTERN = /^(InlineCode|FencedCode|CodeBlock|CodeText)$/
+const TARGET_PATTERN = /^[^()\s]*$/
+const PREVIEW_LINES = 8
+
+let emojiOptions = null
+
+/**
+ * Find the link or image target being typed before a position
+ * @param {EditorState} state
+ * @param {number} pos - Cursor position
+ * @returns {{from: number, target: string, image: boolean}|null} - Start and text of the
+ *   target typed so far, and whether it's an image's
+ */
+export function linkTargetBefore(state, pos) {
+  const line = state.doc.lineAt(pos)
+  const before = line.text.slice(0, pos - line.from)
+  const match = before.match(/\]\(([^()\s]*)$/)
+  if (!match) return null
+
+  // The [ that opens the link text, which may hold an image: [![alt](src)](
+  let depth = 0
+  for (let i = match.index; i >= 0; i--) {
+    if (before[i] === "]") depth++
+    else if (before[i] === "[" && --depth === 0) {
+      return { from: line.from + match.index + 2, target: match[1], image: before[i - 1] === "!" }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Headings of a note with their anchors, numbered like the preview does when repeated
+ * The closing --- of YAML frontmatter isn't taken for a setext heading
+ * @param {EditorState} state - State of the note (see noteState)
+ * @returns {Array<{anchor: string, text: string}>}
+ */
+export function noteHeadings(state) {
+  const { frontmatterLines } = stripFrontmatter(state.doc.toString())
+  const counts = new Map()
+
+  return collectReferences(state).headings
+    .filter(heading => heading.anchor && heading.line >= frontmatterLines)
+    .map(heading => {
+      const count = counts.get(heading.anchor) || 0
+      counts.set(heading.anchor, count + 1)
+      return {
+        anchor: count === 0 ? heading.anchor : `${heading.anchor}-${count}`,
+        text: state.doc.line(heading.line).text.trim()
+      }
+    })
+}
+
+function noteState(content) {
+  return EditorState.create({ doc: content, extensions: markdown({ base: markdownLanguage }) })
+}
+
+function inCode(state, pos) {
+  for (let node = syntaxTree(state).resolveInner(pos, -1); node; node = node.parent) {
+    if (CODE_NODE_PATTERN.test(node.name)) return true
+  }
+  return false
+}
+
+async function fetchNote(path) {
+  try {
+    const response = await get(`/notes/${encodePath(path)}`, { responseKind: "json" })
+    if (!response.ok) return null
+
+    const { content } = await response.json
+    return content ?? null
+  } catch (error) {
+    console.error("Error loading note:", error)
+    return null
+  }
+}
+
+async function fetchImages(search) {
+  try {
+    const url = search ? `/images?search=${encodeURIComponent(search)}` : "/images"
+    const response = await get(url, { responseKind: "json" })
+    return response.ok ? await response.json : []
+  } catch (error) {
+    console.error("Error loading images:", error)
+    return []
+  }
+}
+
+// First lines of a note's text, without its frontmatter
+function notePreview(content) {
+  const element = document.createElement("div")
+  element.className = "cm-completion-preview"
+  element.textContent = stripFrontmatter(content).content.split("\n").slice(0, PREVIEW_LINES).join("\n").trim()
+  return element
+}
+
+function imagePreview(src, alt) {
+  const element = document.createElement("img")
+  element.className = "cm-completion-image"
+  element.src = src
+  element.alt = alt
+  return element
+}
+
+function noteCompletions(link, { notePath, loadNote }) {
+  const options = getWikiLinkNotes()
+    .filter(path => path !== notePath)
+    .map(path => {
+      const target = relativeNotePath(notePath, path)
+      return {
+        label: decodeURI(target),
+        apply: target,
+        type: "text",
+        info: async () => {
+          const content = await loadNote(path)
+          return content === null ? null : notePreview(content)
+        }
+      }
+    })
+
+  return options.length > 0 ? { from: link.from, options, validFor: TARGET_PATTERN } : null
+}
+
+async function imageCompletions(link, { loadImages }) {
+  const images = await loadImages(link.target)
+  if (!Array.isArray(images) || images.length === 0) return null
+
+  return {
+    from: link.from,
+    options: images.map(image => {
+      const url = `${IMAGE_ROUTE}${encodePath(image.path)}`
+      return {
+        label: image.path,
+        apply: url,
+        detail: image.width && image.height ? `${image.width}×${image.height}` : undefined,
+        type: "text",
+        info: () => imagePreview(url, image.name)
+      }
+    }),
+    // Only the latest images come back: search again as the name is typed
+    filter: false
+  }
+}
+
+async function headingCompletions(link, hash, state, { notePath, loadNote }) {
+  const target = link.target.slice(0, hash)
+  let headings
+
+  if (target === "") {
+    headings = noteHeadings(state)
+  } else {
+    const resolved = resolveNoteAssetPath(notePath, target)
+    if (!resolved || !getWikiLinkNotes().includes(resolved.path)) return null
+
+    const content = await loadNote(resolved.path)
+    if (content === null) return null
+    headings = noteHeadings(noteState(content))
+  }
+
+  if (headings.length === 0) return null
+
+  return {
+    from: link.from + hash + 1,
+    options: headings.map(({ anchor, text }) => ({ label: anchor, detail: text, type: "text" })),
+    validFor: /^[^()\s#]*$/
+  }
+}
+
+function getEmojiOptions() {
+  emojiOptions ||= Object.entries(getEmojiMap()).map(([shortcode, emoji]) => ({
+    label: `:${shortcode}:`,
+    detail: emoji,
+    type: "text"
+  }))
+  return emojiOptions
+}
+
+/**
+ * CodeMirror completion source: emoji shortcodes after :
+ * The colon must start a word, and be followed by a letter unless completion was asked for
+ * @param {CompletionContext} context
+ * @returns {CompletionResult|null}
+ */
+export function emojiCompletionSource(context) {
+  const match = context.matchBefore(/:[a-z0-9_+-]*$/i)
+  if (!match || (match.text.length < 2 && !context.explicit)) return null
+  if (/\w/.test(context.state.sliceDoc(match.from - 1, match.from))) return null
+  if (inCode(context.state, context.pos)) return null
+
+  return { from: match.from, options: getEmojiOptions(), validFor: /^:[a-z0-9_+-]*$/i }
+}
+
+/**
+ * CodeMirror completion sources for a note: link and image targets, and emoji
+ * @param {Object} options
+ * @param {string|null} options.notePath - Path of the note; links to notes and
+ *   their headings are only completed in notes
+ * @param {Function} options.loadNote - Resolves a note path to its content or null (overridable in tests)
+ * @param {Function} options.loadImages - Resolves a search to images from /images (overridable in tests)
+ * @returns {Array<Function>}
+ */
+export function markdownCompletionSources({ notePath = null, loadNote = fetchNote, loadImages = fetchImages } = {}) {
+  const linkTargetCompletionSource = (context) => {
+    const link = linkTargetBefore(context.state, context.pos)
+    if (!link || inCode(context.state, context.pos)) return null
+
+    if (link.image) return imageCompletions(link, { loadImages })
+
+    const hash = link.target.indexOf("#")
+    if (hash >= 0) {
+      return notePath || hash === 0 ? headingCompletions(link, hash, context.state, { notePath, loadNote }) : null
+    }
+    return notePath ? noteCompletions(link, { notePath, loadNote }) : null
+  }
+
+  return [linkTargetCompletionSource, emojiCompletionSource]
+}
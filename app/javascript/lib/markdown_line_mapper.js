@@ -4,22 +4,97 @@
 // images, videos, or other elements that render with different heights
 
 import { marked } from "marked"
+import { collectFootnotes, footnoteRefNumbers, renderFootnoteSection } from "lib/footnotes"
+import { escapeRegexChars } from "lib/find_utils"
+
+// Tags that don't need closing, for matching up raw HTML blocks
+const VOID_TAGS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"])
 
 /**
  * Parse markdown and return HTML with source line annotations
- * Uses standard marked.parse() then post-processes to add line attributes
+ * Renders each top-level token separately and tags its first element with the
+ * token's starting line, so custom block extensions (math, etc.) stay in sync.
+ * Footnotes are numbered across the whole document and rendered after it
  * @param {string} markdown - The markdown content
  * @param {number} lineOffset - Line offset (e.g., for stripped frontmatter)
  * @returns {string} - HTML with data-source-line attributes on block elements
  */
 export function parseWithLineNumbers(markdown, lineOffset = 0) {
-  if (!markdown) return ""
+  return renderBlocks(markdown, lineOffset).blocks.map(block => block.html).join("")
+}
+
+/**
+ * Render markdown as a list of top-level blocks, for incremental preview updates
+ * A block is the annotated HTML of one top-level token; raw HTML that opens a tag
+ * in one token and closes it in a later one (e.g. <details> around markdown) is
+ * kept in a single block so it still nests. The key identifies what a block
+ * renders to (its source, footnote numbers and the link definitions it may use):
+ * blocks whose key is in the cache are not rendered again.
+ * The footnote section is the last block
+ * @param {string} markdown - The markdown content
+ * @param {number} lineOffset - Line offset (e.g., for stripped frontmatter)
+ * @param {Map} cache - Rendered HTML by key, from the previous call
+ * @returns {{blocks: Array<{key: string, line: number|null, html: string}>, cache: Map}}
+ *   cache holds only the keys used by this call, to pass to the next one
+ */
+export function renderBlocks(markdown, lineOffset = 0, cache = new Map()) {
+  const used = new Map()
+  if (!markdown) return { blocks: [], cache: used }
 
-  // First, get tokens to know line positions
   const tokens = marked.lexer(markdown)
+  const footnotes = collectFootnotes(tokens)
+  const links = JSON.stringify(tokens.links || {})
+
+  const blocks = []
+  let openTags = 0
+
+  for (const { token, line } of mapTokenLines(markdown, tokens, lineOffset)) {
+    // Footnote reference numbers and reference link definitions depend on the
+    // rest of the document; only a token with a bracket can use a definition
+    const key = `${token.raw}\u0000${footnoteRefNumbers(token)}\u0000${token.raw.includes("[") ? links : ""}`
+    const html = used.get(key) ?? cache.get(key) ?? marked.parser([token])
+    used.set(key, html)
+
+    const block = { key, line, html: annotateBlock(html, line) }
+    if (openTags > 0) {
+      const group = blocks[blocks.length - 1]
+      // Inner lines are relative to the group, so a group that moves keeps its key
+      const offset = line === null || group.line === null ? line : line - group.line
+      group.key += `\u0001${offset}\u0001${block.key}`
+      group.html += block.html
+    } else {
+      blocks.push(block)
+    }
+
+    if (token.type === "html") openTags = Math.max(0, openTags + unclosedTagCount(token.raw))
+  }
 
-  // Calculate line numbers for each token
-  const tokenLines = []
+  const section = renderFootnoteSection(footnotes, blockTokens => marked.parser(blockTokens))
+  if (section) blocks.push({ key: section, line: null, html: section })
+
+  return { blocks, cache: used }
+}
+
+// Opening tags minus closing tags in a raw HTML block
+function unclosedTagCount(html) {
+  let count = 0
+  for (const [, closing, name, selfClosing] of html.matchAll(/<(\/?)([a-z][a-z0-9-]*)\b[^>]*?(\/?)>/gi)) {
+    if (VOID_TAGS.has(name.toLowerCase())) continue
+    if (closing) count--
+    else if (!selfClosing) count++
+  }
+  return count
+}
+
+/**
+ * Pair each non-whitespace top-level token with its 1-based source line
+ * @param {string} markdown - The markdown the tokens were lexed from
+ * @param {Array} tokens - Top-level tokens from marked.lexer()
+ * @param {number} lineOffset - Line offset (e.g., for stripped frontmatter)
+ * @returns {Array<{token: Object, line: number|null}>} - line is null if the token could not be located
+ */
+export function mapTokenLines(markdown, tokens, lineOffset = 0) {
+  const blocks = []
   let currentLine = 0
   let currentPos = 0
 
@@ -34,36 +109,23 @@ export function parseWithLineNumbers(markdown, lineOffset = 0) {
       const textBefore = markdown.slice(currentPos, tokenStart)
       currentLine += (textBefore.match(/\n/g) || []).length
 
-      tokenLines.push({
-        type: token.type,
-        line: currentLine + lineOffset + 1 // 1-based line numbers
-      })
+      blocks.push({ token, line: currentLine + lineOffset + 1 }) // 1-based line numbers
 
       // Move position past this token
       currentPos = tokenStart + tokenText.length
       currentLine += (tokenText.match(/\n/g) || []).length
+    } else {
+      blocks.push({ token, line: null })
     }
   }
 
-  // Parse with standard marked
-  const html = marked.parse(markdown)
-
-  // Post-process: add data-source-line to block elements
-  // This is a simple approach that adds line numbers sequentially to block elements
-  const blockTags = ["h1", "h2", "h3", "h4", "h5", "h6", "p", "ul", "ol", "blockquote", "pre", "hr", "table"]
-  const blockRegex = new RegExp(`<(${blockTags.join("|")})(\\s|>)`, "gi")
-
-  let tokenIndex = 0
-  const result = html.replace(blockRegex, (match, tag, after) => {
-    if (tokenIndex < tokenLines.length) {
-      const line = tokenLines[tokenIndex].line
-      tokenIndex++
-      return `<${tag} data-source-line="${line}"${after}`
-    }
-    return match
-  })
+  return blocks
+}
 
-  return result
+// Add data-source-line to the first element of a rendered block
+function annotateBlock(html, line) {
+  if (line === null) return html
+  return html.replace(/^(\s*<[a-z][a-z0-9-]*)(?=[\s>/])/i, `$1 data-source-line="${line}"`)
 }
 
 /**
@@ -95,6 +157,53 @@ export function findElementByLine(container, targetLine) {
   return closest
 }
 
+/**
+ * Find the line where the next block after a given source line starts
+ * @param {HTMLElement} container - The preview container element
+ * @param {number} line - Source line of a block
+ * @returns {number|null} - The next annotated line, or null if the block is the last one
+ */
+export function findNextBlockLine(container, line) {
+  let next = null
+  for (const el of container.querySelectorAll("[data-source-line]")) {
+    const elLine = parseInt(el.dataset.sourceLine, 10)
+    if (elLine > line && (next === null || elLine < next)) next = elLine
+  }
+  return next
+}
+
+/**
+ * Find a word clicked in the preview in the source of its block
+ * Counts the whole-word matches in the rendered text before the click to pick
+ * the same occurrence in the source; falls back to the first match (markup such
+ * as link URLs can add matches) and then to the start of the block
+ * @param {string} markdown - The markdown content
+ * @param {Object} target
+ * @param {number} target.line - First source line of the block
+ * @param {number|null} target.endLine - Line where the next block starts (null: end of the note)
+ * @param {string} target.word - The clicked word
+ * @param {string} target.textBefore - Rendered text of the block before the word
+ * @returns {{line: number, column: number}} - 1-based position
+ */
+export function findSourcePosition(markdown, { line, endLine = null, word = "", textBefore = "" }) {
+  const lines = markdown.split("\n")
+  const start = Math.max(1, Math.min(line, lines.length))
+  if (!word) return { line: start, column: 1 }
+
+  const end = Math.min(endLine ?? lines.length + 1, lines.length + 1)
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegexChars(word)}(?![\\p{L}\\p{N}_])`, "gu")
+  const occurrence = [...textBefore.matchAll(pattern)].length
+
+  const matches = []
+  for (let n = start; n < end; n++) {
+    for (const match of lines[n - 1].matchAll(pattern)) {
+      matches.push({ line: n, column: match.index + 1 })
+    }
+  }
+
+  return matches[occurrence] || matches[0] || { line: start, column: 1 }
+}
+
 /**
  * Find the source line for a given scroll position in the preview
  * @param {HTMLElement} container - The preview container element
@@ -0,0 +1,257 @@
+// Markdown lint for the open note
+// Underlines relative links to notes that don't exist, images that can't be
+// loaded, #anchor links without a matching heading and headings that share an
+// anchor. Broken note links and anchors offer the closest matches as quick fixes
+
+import { ensureSyntaxTree, syntaxTree } from "@codemirror/language"
+import { linter } from "@codemirror/lint"
+import { getWikiLinkNotes, slugifyHeading } from "lib/wiki_links"
+import { resolveNoteAssetPath, noteAssetUrl } from "lib/note_assets"
+import { levenshteinDistance } from "lib/text_utils"
+import { encodePath } from "lib/url_utils"
+
+const IMAGE_ROUTE = "/images/preview/"
+const NOTE_PATH_PATTERN = /\.(md|markdown)$/i
+const HEADING_NODE_PATTERN = /^(ATX|Setext)Heading\d$/
+// Hugo-style custom heading id: ## Heading {#id}
+const CUSTOM_ID_PATTERN = /\s*\{#([^}\s]+)\}\s*$/
+// Ids the preview gives footnotes, not headings
+const FOOTNOTE_ANCHOR_PATTERN = /^fn(ref)?-/
+const MAX_SUGGESTIONS = 3
+const LINT_DELAY = 750
+
+/**
+ * Collect the links, images and headings of a note from its syntax tree
+ * Code blocks and inline code are skipped by the markdown parser
+ * @param {EditorState} state
+ * @returns {{links: Array<{url: string, from: number, to: number, image: boolean}>,
+ *   headings: Array<{anchor: string, from: number, to: number, line: number}>}}
+ */
+export function collectReferences(state) {
+  const tree = ensureSyntaxTree(state, state.doc.length, 200) || syntaxTree(state)
+  const links = []
+  const headings = []
+
+  tree.iterate({
+    enter: (node) => {
+      if (node.name === "Link" || node.name === "Image" || node.name === "LinkReference") {
+        const url = node.node.getChild("URL")
+        if (!url) return
+
+        // <url> with spaces: the brackets aren't part of the URL
+        const text = state.sliceDoc(url.from, url.to)
+        const bracketed = text.length > 1 && text.startsWith("<") && text.endsWith(">")
+        links.push({
+          url: bracketed ? text.slice(1, -1) : text,
+          from: bracketed ? url.from + 1 : url.from,
+          to: bracketed ? url.to - 1 : url.to,
+          image: node.name === "Image"
+        })
+        return
+      }
+
+      if (HEADING_NODE_PATTERN.test(node.name)) {
+        const line = state.doc.lineAt(node.from)
+        headings.push({ anchor: headingAnchor(line.text), from: line.from, to: line.to, line: line.number })
+        return false
+      }
+    }
+  })
+
+  return { links, headings }
+}
+
+// Anchor of an ATX heading line (or the text line of a setext heading)
+function headingAnchor(text) {
+  const content = text.replace(/^\s{0,3}#{1,6}(\s+|$)/, "").replace(/\s+#+\s*$/, "")
+  const customId = content.match(CUSTOM_ID_PATTERN)
+  if (customId) return customId[1]
+
+  // Link text only: [label](url) -> label
+  return slugifyHeading(content.replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1"))
+}
+
+/**
+ * URL to request to find out whether an image loads, for local images only
+ * @param {string} url - Image URL as written in the note
+ * @param {string} notePath - Path of the note
+ * @returns {string|null} - /images/preview/... or /note_assets/... URL, or null for remote images
+ */
+export function imageCheckUrl(url, notePath) {
+  const path = url.replace(/[?#].*$/, "")
+  if (path.startsWith(IMAGE_ROUTE)) return path
+
+  const resolved = resolveNoteAssetPath(notePath, url)
+  return resolved ? noteAssetUrl(resolved.path) : null
+}
+
+/**
+ * Relative link from one note to another
+ * @param {string} fromPath - Path of the linking note
+ * @param {string} toPath - Path of the linked note
+ * @returns {string} - URL-encoded relative path
+ */
+export function relativeNotePath(fromPath, toPath) {
+  const from = fromPath.split("/").slice(0, -1)
+  const to = toPath.split("/")
+
+  let common = 0
+  while (common < from.length && common < to.length - 1 && from[common] === to[common]) common++
+
+  return encodePath([...Array(from.length - common).fill(".."), ...to.slice(common)].join("/"))
+}
+
+/**
+ * Find the problems in a note
+ * @param {Object} references - From collectReferences()
+ * @param {Object} context
+ * @param {string} context.notePath - Path of the note
+ * @param {string[]} context.notes - Paths of all notes
+ * @param {Set<string>} context.missingImages - Check URLs (see imageCheckUrl) that didn't load
+ * @returns {Array<Diagnostic>} - CodeMirror diagnostics
+ */
+export function lintReferences({ links, headings }, { notePath, notes = [], missingImages = new Set() }) {
+  const diagnostics = []
+  const noteSet = new Set(notes)
+
+  // Repeated anchors are numbered like GitHub does: intro, intro-1, intro-2...
+  const anchors = new Map()
+  const anchorCounts = new Map()
+  for (const heading of headings) {
+    if (!heading.anchor) continue
+
+    const count = anchorCounts.get(heading.anchor) || 0
+    anchorCounts.set(heading.anchor, count + 1)
+    if (count === 0) {
+      anchors.set(heading.anchor, heading)
+      continue
+    }
+
+    const first = anchors.get(heading.anchor)
+    diagnostics.push({
+      from: heading.from,
+      to: heading.to,
+      severity: "info",
+      message: window.t("editor.lint.duplicate_anchor", { anchor: heading.anchor, line: first.line })
+    })
+    if (!anchors.has(`${heading.anchor}-${count}`)) anchors.set(`${heading.anchor}-${count}`, heading)
+  }
+
+  for (const { url, from, to, image } of links) {
+    if (url.startsWith("#")) {
+      const anchor = decodeAnchor(url.slice(1))
+      if (!anchor || anchors.has(anchor) || FOOTNOTE_ANCHOR_PATTERN.test(anchor)) continue
+
+      diagnostics.push({
+        from,
+        to,
+        severity: "warning",
+        message: window.t("editor.lint.missing_anchor", { anchor }),
+        actions: closest(anchor, [...anchors.keys()], key => key).map(key => ({
+          name: window.t("editor.lint.change_to", { anchor: key }),
+          apply: (view, from, to) => view.dispatch({ changes: { from, to, insert: `#${key}` } })
+        }))
+      })
+      continue
+    }
+
+    if (image) {
+      const checkUrl = imageCheckUrl(url, notePath)
+      if (checkUrl && missingImages.has(checkUrl)) {
+        diagnostics.push({
+          from,
+          to,
+          severity: "warning",
+          message: window.t("editor.lint.missing_image", { path: url })
+        })
+      }
+      continue
+    }
+
+    const resolved = resolveNoteAssetPath(notePath, url)
+    if (!resolved || !NOTE_PATH_PATTERN.test(resolved.path) || noteSet.has(resolved.path)) continue
+
+    const fragment = resolved.suffix.match(/#.*$/)?.[0] || ""
+    diagnostics.push({
+      from,
+      to,
+      severity: "warning",
+      message: window.t("editor.lint.missing_note", { path: resolved.path }),
+      actions: closest(noteName(resolved.path), notes, noteName).map(path => ({
+        name: window.t("editor.lint.link_to", { path }),
+        apply: (view, from, to) => view.dispatch({ changes: { from, to, insert: relativeNotePath(notePath, path) + fragment } })
+      }))
+    })
+  }
+
+  return diagnostics.sort((a, b) => a.from - b.from)
+}
+
+function decodeAnchor(anchor) {
+  try {
+    return decodeURIComponent(anchor)
+  } catch {
+    return anchor
+  }
+}
+
+function noteName(path) {
+  return path.split("/").pop().replace(NOTE_PATH_PATTERN, "").toLowerCase()
+}
+
+// Candidates closest to a name, leaving out ones that are nothing like it
+function closest(name, candidates, nameOf) {
+  const maxDistance = Math.max(2, Math.floor(name.length / 2))
+
+  return candidates
+    .map(candidate => ({ candidate, distance: levenshteinDistance(name, nameOf(candidate)) }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ candidate }) => candidate)
+}
+
+// HEAD request: true if the URL loads, false if it doesn't, null if unknown
+async function urlExists(url) {
+  try {
+    const response = await fetch(url, { method: "HEAD" })
+    return response.ok
+  } catch {
+    return null
+  }
+}
+
+/**
+ * CodeMirror linter for a note
+ * Local images are checked once per URL with a HEAD request
+ * @param {Object} options
+ * @param {string} options.notePath - Path of the note
+ * @param {Function} options.checkUrl - Resolves to true/false/null for a URL (overridable in tests)
+ * @returns {Extension}
+ */
+export function markdownLinter({ notePath, checkUrl = urlExists }) {
+  const checks = new Map() // URL -> Promise<boolean|null>
+
+  const check = (url) => {
+    if (!checks.has(url)) {
+      // Try again next time if the server couldn't be reached
+      checks.set(url, checkUrl(url).then(result => {
+        if (result === null) checks.delete(url)
+        return result
+      }))
+    }
+    return checks.get(url)
+  }
+
+  return linter(async (view) => {
+    const references = collectReferences(view.state)
+
+    const urls = new Set(references.links.filter(link => link.image).map(link => imageCheckUrl(link.url, notePath)).filter(Boolean))
+    const missingImages = new Set()
+    await Promise.all([...urls].map(async url => {
+      if (await check(url) === false) missingImages.add(url)
+    }))
+
+    return lintReferences(references, { notePath, notes: getWikiLinkNotes(), missingImages })
+  }, { delay: LINT_DELAY })
+}
@@ -0,0 +1,347 @@
+// Markdown list editing
+// Enter continues the list item or blockquote the cursor is in (bullet, number,
+// task checkbox and > prefix), and ends the list on an empty item. Tab and
+// Shift-Tab indent and outdent list items by the indent setting, or to the text
+// of a numbered parent item. Ordered lists are renumbered after every edit that
+// inserts, deletes, moves or indents items
+
+import { EditorState, Prec } from "@codemirror/state"
+import { keymap } from "@codemirror/view"
+import { syntaxTree, indentUnit } from "@codemirror/language"
+import { unindentLines } from "lib/indent_utils"
+
+// Quote prefix, indentation, marker (- * + or 1. 1)), spacing and task checkbox
+const LIST_ITEM_PATTERN = /^((?:[ \t]*>[ \t]?)*)([ \t]*)(?:([-*+])|(\d{1,9})([.)]))([ \t]+|$)(\[[ xX]\][ \t]+)?/
+const QUOTE_PATTERN = /^((?:[ \t]*>[ \t]?)+)([ \t]*)/
+const CODE_NODE_PATTERN = /^(FencedCode|CodeBlock|CodeText)$/
+// Edits after which ordered lists are renumbered (not undo and redo, which restore numbers)
+const RENUMBER_EVENTS = ["input", "delete", "move"]
+
+/**
+ * Parse the list item or blockquote prefix of a line
+ * @param {string} text - Line text
+ * @returns {Object|null} - { quote, indent, bullet, number, delimiter, spacing, task, prefixLength },
+ *   bullet or number null for blockquote lines; null for other lines
+ */
+export function parseListLine(text) {
+  const item = text.match(LIST_ITEM_PATTERN)
+  if (item) {
+    const [prefix, quote, indent, bullet, number, delimiter, spacing, task] = item
+    return {
+      quote,
+      indent,
+      bullet: bullet || null,
+      number: number === undefined ? null : parseInt(number, 10),
+      delimiter: delimiter || null,
+      spacing: spacing || " ",
+      task: task || null,
+      prefixLength: prefix.length
+    }
+  }
+
+  const quote = text.match(QUOTE_PATTERN)
+  if (quote) {
+    return { quote: quote[1], indent: quote[2], bullet: null, number: null, delimiter: null, spacing: "", task: null, prefixLength: quote[0].length }
+  }
+
+  return null
+}
+
+function isItem(parsed) {
+  return parsed !== null && (parsed.bullet !== null || parsed.number !== null)
+}
+
+// Blockquote markers only, so "> " and ">" are the same quote level
+function quoteKey(quote) {
+  return quote.replace(/[ \t]/g, "")
+}
+
+function indentWidth(indent) {
+  return indent.replace(/\t/g, "    ").length
+}
+
+function inCode(state, pos) {
+  for (let node = syntaxTree(state).resolveInner(pos, 1); node; node = node.parent) {
+    if (CODE_NODE_PATTERN.test(node.name)) return true
+  }
+  return false
+}
+
+// Prefix of the item that follows an item: next number, unchecked task
+function nextItemPrefix(item) {
+  const marker = item.bullet ?? `${item.number + 1}${item.delimiter}`
+  return `${item.quote}${item.indent}${marker}${item.spacing}${item.task ? "[ ] " : ""}`
+}
+
+/**
+ * Enter: continue the list item or blockquote at the cursor, or end the list
+ * when the item is empty
+ * @param {EditorView} view
+ * @returns {boolean} - False outside lists and quotes, for the default Enter
+ */
+export function continueList(view) {
+  const { state } = view
+  const range = state.selection.main
+  if (state.selection.ranges.length > 1 || state.readOnly) return false
+
+  const line = state.doc.lineAt(range.from)
+  const parsed = parseListLine(line.text)
+  if (!parsed || range.from - line.from < parsed.prefixLength || inCode(state, line.from)) return false
+
+  // Empty item or quote line: end the list (or leave one quote level)
+  if (line.text.slice(parsed.prefixLength).trim() === "" && range.to === line.to) {
+    const insert = isItem(parsed) ? parsed.quote.trimEnd() : parsed.quote.replace(/[ \t]*>[ \t]?$/, "")
+    view.dispatch({
+      changes: { from: line.from, to: line.to, insert },
+      selection: { anchor: line.from + insert.length },
+      userEvent: "delete"
+    })
+    return true
+  }
+
+  const prefix = isItem(parsed) ? nextItemPrefix(parsed) : `${parsed.quote}${parsed.indent}`
+  view.dispatch(state.update(state.replaceSelection(`${state.lineBreak}${prefix}`), {
+    scrollIntoView: true,
+    userEvent: "input"
+  }))
+  return true
+}
+
+// The list item lines touched by the selection, or null if the cursor line isn't one
+function selectedItemLines(state) {
+  const range = state.selection.main
+  const first = state.doc.lineAt(range.from)
+  if (!isItem(parseListLine(first.text)) || inCode(state, first.from)) return null
+
+  const last = state.doc.lineAt(range.to)
+  const lines = []
+  for (let number = first.number; number <= last.number; number++) {
+    const line = state.doc.line(number)
+    const parsed = parseListLine(line.text)
+    if (isItem(parsed)) lines.push({ line, parsed })
+  }
+  return lines
+}
+
+// Quote level and indentation of a line, and its list item if it is one
+function lineInfo(text) {
+  const parsed = parseListLine(text)
+  if (!parsed) {
+    return { key: "", width: indentWidth(text.match(/^[ \t]*/)[0]), item: null, blank: text.trim() === "" }
+  }
+
+  const item = isItem(parsed) ? parsed : null
+  return {
+    key: quoteKey(parsed.quote),
+    width: indentWidth(parsed.indent),
+    item,
+    blank: !item && text.slice(parsed.prefixLength).trim() === ""
+  }
+}
+
+// Walk the items of one list level from a line (excluded), up or down, until
+// the list ends. Lines nested deeper and blank lines are skipped; visit()
+// returns false to stop
+function walkLevel(doc, lineNumber, step, key, width, visit) {
+  for (let number = lineNumber + step; number >= 1 && number <= doc.lines; number += step) {
+    const info = lineInfo(doc.line(number).text)
+    if (info.blank) continue
+    if (info.key !== key) return
+    if (info.width > width) continue
+    if (info.width < width || !info.item) return
+    if (visit(number, info.item) === false) return
+  }
+}
+
+// Number an ordered item gets at its new level: one more than the item above
+// it at that level, or the fallback when there is none (a new nested list)
+function numberAtLevel(doc, lineNumber, quote, width, fallback) {
+  let result = fallback
+  walkLevel(doc, lineNumber, -1, quoteKey(quote), width, (number, item) => {
+    if (item.number !== null) result = item.number + 1
+    return false
+  })
+  return result
+}
+
+// Column where an item's text starts; its nested items must start there too
+function contentColumn(item) {
+  const marker = item.bullet ?? `${item.number}${item.delimiter}`
+  return indentWidth(item.indent) + marker.length + item.spacing.length
+}
+
+// The item a line is nested in: the nearest one above it that is less indented
+function parentItem(doc, lineNumber, key, width) {
+  for (let number = lineNumber - 1; number >= 1; number--) {
+    const info = lineInfo(doc.line(number).text)
+    if (info.blank) continue
+    if (info.key !== key) return null
+    if (info.width < width) return info.item
+  }
+  return null
+}
+
+// Indentation of an item nested one level deeper, under the item above it.
+// One indent unit can fall short of a numbered item's text ("1. " is 3 wide),
+// which would leave the item in the parent's list
+function indentedItem(doc, lineNumber, parsed, unit) {
+  const indent = parsed.indent + unit
+  let column = 0
+  walkLevel(doc, lineNumber, -1, quoteKey(parsed.quote), indentWidth(parsed.indent), (number, item) => {
+    if (item.number !== null) column = contentColumn(item)
+    return false
+  })
+  return indent + " ".repeat(Math.max(0, column - indentWidth(indent)))
+}
+
+// Indentation of an item moved up one level, next to its numbered parent
+function outdentedItem(doc, lineNumber, parsed, unit) {
+  const parent = parentItem(doc, lineNumber, quoteKey(parsed.quote), indentWidth(parsed.indent))
+  return parent && parent.number !== null ? parent.indent : unindentLines(parsed.indent, unit)
+}
+
+function shiftItems(view, shift) {
+  const { state } = view
+  const lines = selectedItemLines(state)
+  if (!lines || state.readOnly) return false
+
+  const unit = state.facet(indentUnit)
+  const changes = []
+  for (const { line, parsed } of lines) {
+    const indent = shift > 0 ? indentedItem(state.doc, line.number, parsed, unit) : outdentedItem(state.doc, line.number, parsed, unit)
+    if (indent === parsed.indent) continue
+
+    const from = line.from + parsed.quote.length
+    let insert = indent
+    let to = from + parsed.indent.length
+
+    // A nested ordered list starts at 1, an outdented item follows its new siblings
+    if (parsed.number !== null) {
+      const fallback = shift > 0 ? 1 : parsed.number
+      const number = numberAtLevel(state.doc, line.number, parsed.quote, indentWidth(indent), fallback)
+      insert += `${number}${parsed.delimiter}`
+      to += String(parsed.number).length + 1
+    }
+    changes.push({ from, to, insert })
+  }
+
+  if (changes.length > 0) {
+    view.dispatch({ changes, userEvent: shift > 0 ? "input.indent" : "delete.dedent" })
+  }
+  return true
+}
+
+/**
+ * Tab: indent the selected list items
+ * @param {EditorView} view
+ * @returns {boolean} - False outside lists, for the default Tab
+ */
+export function indentListItems(view) {
+  return shiftItems(view, 1)
+}
+
+/**
+ * Shift-Tab: outdent the selected list items
+ * @param {EditorView} view
+ * @returns {boolean} - False outside lists, for the default Shift-Tab
+ */
+export function outdentListItems(view) {
+  return shiftItems(view, -1)
+}
+
+// First item of the ordered list an item belongs to
+function listStart(doc, lineNumber, key, width) {
+  let start = lineNumber
+  walkLevel(doc, lineNumber, -1, key, width, (number, item) => {
+    if (item.number === null) return false
+    start = number
+  })
+  return start
+}
+
+/**
+ * Changes that renumber the ordered lists holding the given lines, counting on
+ * from the first item of each list
+ * @param {Text} doc - Document
+ * @param {Iterable<number>} lineNumbers - Lines that were edited
+ * @param {Object} options
+ * @param {Function} options.skipLine - Returns true for lines that aren't markdown (code)
+ * @param {Function} options.startNumber - Number a list starting at a line had
+ *   before the edit, or null to keep the first item's number
+ * @returns {Array<{from: number, to: number, insert: string}>}
+ */
+export function renumberChanges(doc, lineNumbers, { skipLine = () => false, startNumber = () => null } = {}) {
+  const changes = []
+  const done = new Set()
+
+  for (const lineNumber of lineNumbers) {
+    if (lineNumber < 1 || lineNumber > doc.lines) continue
+
+    const { key, width, item } = lineInfo(doc.line(lineNumber).text)
+    if (!item || item.number === null) continue
+
+    const start = listStart(doc, lineNumber, key, width)
+    if (done.has(start) || skipLine(start)) continue
+    done.add(start)
+
+    let expected = startNumber(start) ?? lineInfo(doc.line(start).text).item.number
+    walkLevel(doc, start - 1, 1, key, width, (number, sibling) => {
+      if (sibling.number === null) return false
+
+      if (sibling.number !== expected) {
+        const from = doc.line(number).from + sibling.quote.length + sibling.indent.length
+        changes.push({ from, to: from + String(sibling.number).length, insert: String(expected) })
+      }
+      expected++
+    })
+  }
+
+  return changes
+}
+
+// Renumber the lists around each edit, in the same transaction (one undo step)
+const listRenumbering = EditorState.transactionFilter.of(tr => {
+  if (!tr.docChanged || !RENUMBER_EVENTS.some(event => tr.isUserEvent(event))) return tr
+
+  const doc = tr.newDoc
+  const lineNumbers = new Set()
+  tr.changes.iterChangedRanges((fromA, toA, fromB, toB) => {
+    const first = doc.lineAt(fromB).number
+    const last = doc.lineAt(toB).number
+    // The item after the edit is the first one whose number may be off
+    for (let number = first; number <= Math.min(last + 1, doc.lines); number++) lineNumbers.add(number)
+  })
+
+  // The first item keeps the number the list started at (when it is moved or deleted)
+  const toOld = tr.changes.invertedDesc
+  const oldLine = (number) => tr.startState.doc.lineAt(toOld.mapPos(doc.line(number).from, -1))
+  const changes = renumberChanges(doc, lineNumbers, {
+    skipLine: (number) => inCode(tr.startState, oldLine(number).from),
+    startNumber: (number) => {
+      if (!lineNumbers.has(number)) return null
+
+      const before = lineInfo(oldLine(number).text)
+      const after = lineInfo(doc.line(number).text)
+      const sameLevel = before.key === after.key && before.width === after.width
+      return sameLevel ? before.item?.number ?? null : null
+    }
+  })
+  if (changes.length === 0) return tr
+
+  return [tr, { changes, sequential: true }]
+})
+
+/**
+ * List continuation, indentation and renumbering
+ * Enter leaves open autocompletion lists to the completion keymap, which comes first
+ * @returns {Extension[]}
+ */
+export function markdownLists() {
+  return [
+    Prec.highest(keymap.of([
+      { key: "Enter", run: continueList },
+      { key: "Tab", run: indentListItems, shift: outdentListItems }
+    ])),
+    listRenumbering
+  ]
+}
@@ -1,9 +1,32 @@
 // Marked extensions for custom markdown syntax
-// Adds support for: superscript, subscript, highlight, and emoji shortcodes
+// Adds support for: superscript, subscript, highlight, emoji shortcodes,
+// syntax-highlighted fenced code blocks, TeX math, mermaid diagrams, [[wiki links]],
+// GitHub-style alert callouts, footnotes and Hugo shortcodes
 
 // Import emoji data from the picker controller
 // We need to extract this to avoid circular dependencies
 import { getEmojiMap } from "lib/emoji_data"
+import hljs from "highlight.js"
+import katex from "katex"
+import { escapeHtmlString } from "lib/text_utils"
+import { encodePath } from "lib/url_utils"
+import { parseWikiLink, resolveWikiLink, slugifyHeading } from "lib/wiki_links"
+import { footnoteElementId } from "lib/footnotes"
+import {
+  readShortcodeTag,
+  findClosingTag,
+  shortcodeArg,
+  getShortcodeTemplate,
+  renderShortcodeTemplate,
+  resolveShortcodeRef,
+  renderYoutubeShortcode,
+  renderVimeoShortcode,
+  renderGistShortcode,
+  renderParamShortcode,
+  renderFigureShortcode,
+  renderDetailsShortcode,
+  renderShortcodePlaceholder
+} from "lib/hugo_shortcodes"
 
 // Superscript extension: ^text^ -> <sup>text</sup>
 export const superscriptExtension = {
@@ -102,10 +125,500 @@ export const emojiExtension = {
   }
 }
 
+// Fence info strings that mean something different to highlight.js
+// (its "shell" grammar expects console prompts, but notes use it for scripts)
+const CODE_LANGUAGE_ALIASES = {
+  shell: "bash",
+  console: "shell"
+}
+
+// First word of a fence info string ("ruby title=x.rb" -> "ruby")
+function fenceLanguage(lang) {
+  return (lang || "").trim().split(/\s+/)[0]
+}
+
+/**
+ * Resolve a fence info string to a highlight.js language name
+ * @param {string} lang - Info string from the opening fence (e.g. "ruby title=x.rb")
+ * @returns {string|null} - Registered language name, or null if unsupported
+ */
+export function resolveCodeLanguage(lang) {
+  const name = fenceLanguage(lang).toLowerCase()
+  if (!name) return null
+
+  const resolved = CODE_LANGUAGE_ALIASES[name] || name
+  return hljs.getLanguage(resolved) ? resolved : null
+}
+
+// Code highlight extension: ```lang fenced blocks -> highlighted <pre><code>
+// Overrides marked's built-in "code" renderer; returning false falls back to
+// the default plain rendering for unknown languages and indented code
+export const codeHighlightExtension = {
+  name: "code",
+  renderer(token) {
+    const language = resolveCodeLanguage(token.lang)
+    if (!language) return false
+
+    const code = token.text.replace(/\n$/, "")
+    const highlighted = hljs.highlight(code, { language, ignoreIllegals: true }).value
+    const langClass = escapeHtmlString(fenceLanguage(token.lang))
+
+    return `<pre><code class="hljs language-${langClass}">${highlighted}\n</code></pre>\n`
+  }
+}
+
+// Mermaid extension: ```mermaid fenced blocks -> diagram placeholder
+// The source is kept in the placeholder; preview_controller swaps in the SVG
+// asynchronously, so the raw definition shows until the diagram is ready
+export const mermaidExtension = {
+  name: "code",
+  renderer(token) {
+    if (fenceLanguage(token.lang).toLowerCase() !== "mermaid") return false
+
+    const source = escapeHtmlString(token.text.replace(/\n$/, ""))
+    return `<div class="mermaid-diagram"><pre class="mermaid-source"><code>${source}</code></pre></div>\n`
+  }
+}
+
+/**
+ * Typeset a TeX formula as MathML (rendered natively by the browser, no fonts needed)
+ * Invalid TeX renders the source in an error style instead of throwing
+ * @param {string} tex - TeX source
+ * @param {boolean} displayMode - Render as a centered display formula
+ * @returns {string} - HTML string
+ */
+export function renderMath(tex, displayMode) {
+  return katex.renderToString(tex, {
+    displayMode,
+    output: "mathml",
+    throwOnError: false
+  })
+}
+
+// Display math extension: $$...$$ on its own lines -> block formula
+export const mathBlockExtension = {
+  name: "mathBlock",
+  level: "block",
+  start(src) {
+    // Only lines that open a complete $$...$$ block, so inline $$x$$ doesn't split paragraphs
+    return src.match(/^\$\$(?:[^$]|\$(?!\$))+\$\$[ \t]*$/m)?.index
+  },
+  tokenizer(src) {
+    const match = src.match(/^\$\$((?:[^$]|\$(?!\$))+)\$\$[ \t]*(?:\n+|$)/)
+    if (match) {
+      return {
+        type: "mathBlock",
+        raw: match[0],
+        text: match[1].trim()
+      }
+    }
+  },
+  renderer(token) {
+    return `<div class="math-display">${renderMath(token.text, true)}</div>\n`
+  }
+}
+
+// Inline math extension: $...$ -> inline formula
+// Like Pandoc, the opening $ must not be followed by whitespace and the closing $
+// must not be preceded by whitespace or followed by a digit, so "$5 and $10" stays text.
+// Escaped dollars (\$) and code spans are consumed by marked before this runs, and
+// formulas never contain backticks, so a $ can't pair with one inside a later code span.
+export const mathInlineExtension = {
+  name: "mathInline",
+  level: "inline",
+  start(src) {
+    return src.match(/(?<!\\)\$/)?.index
+  },
+  tokenizer(src) {
+    const display = src.match(/^\$\$((?:\\[\s\S]|[^\\$`])+?)\$\$/)
+    if (display) {
+      return {
+        type: "mathInline",
+        raw: display[0],
+        text: display[1].trim(),
+        displayMode: true
+      }
+    }
+
+    const match = src.match(/^\$(?![\s$])((?:\\[\s\S]|[^\\$`])+?)(?<!\s)\$(?!\d)/)
+    if (match) {
+      return {
+        type: "mathInline",
+        raw: match[0],
+        text: match[1],
+        displayMode: false
+      }
+    }
+  },
+  renderer(token) {
+    return renderMath(token.text, token.displayMode)
+  }
+}
+
+// Wiki link extension: [[Note]], [[Note|label]], [[Note#Heading]], [[#Heading]]
+// Targets resolve against the notes in the file tree (see lib/wiki_links);
+// preview_controller handles clicks so notes open inside the app
+export const wikiLinkExtension = {
+  name: "wikiLink",
+  level: "inline",
+  start(src) {
+    return src.match(/\[\[/)?.index
+  },
+  tokenizer(src) {
+    const match = src.match(/^\[\[([^[\]\n]+)\]\]/)
+    if (!match) return
+
+    const link = parseWikiLink(match[1])
+    if (link) {
+      return {
+        type: "wikiLink",
+        raw: match[0],
+        ...link
+      }
+    }
+  },
+  renderer(token) {
+    const { target, heading, label } = token
+    const text = escapeHtmlString(label || (heading ? `${target}#${heading}` : target).replace(/^#/, ""))
+    return renderNoteLink(target, target ? resolveWikiLink(target) : null, heading, text)
+  }
+}
+
+// Link to a note, or to a heading in it, that opens inside the app
+// (preview_controller handles the clicks). Links without a target point
+// to a heading in the current note
+function renderNoteLink(target, path, heading, html) {
+  const anchor = heading ? `#${encodeURIComponent(slugifyHeading(heading))}` : ""
+  const headingAttr = heading ? ` data-wiki-heading="${escapeHtmlString(heading)}"` : ""
+
+  if (!target) {
+    return `<a href="${anchor}" class="wiki-link" data-wiki-current="true"${headingAttr}>${html}</a>`
+  }
+
+  if (!path) {
+    return `<a class="wiki-link wiki-link-unresolved" data-wiki-target="${escapeHtmlString(target)}">${html}</a>`
+  }
+
+  const href = `/notes/${encodePath(path)}${anchor}`
+  return `<a href="${escapeHtmlString(href)}" class="wiki-link" data-wiki-path="${escapeHtmlString(path)}"${headingAttr}>${html}</a>`
+}
+
+// Alert types in GitHub's order, with their Octicons (MIT) and English titles
+// (used until translations have loaded)
+const ALERT_TYPES = {
+  note: {
+    title: "Note",
+    icon: "M0 8a8 8 0 1 1 16 0A8 8 0 0 1 0 8Zm8-6.5a6.5 6.5 0 1 0 0 13 6.5 6.5 0 0 0 0-13ZM6.5 7.75A.75.75 0 0 1 7.25 7h1a.75.75 0 0 1 .75.75v2.75h.25a.75.75 0 0 1 0 1.5h-2a.75.75 0 0 1 0-1.5h.25v-2h-.25a.75.75 0 0 1-.75-.75ZM8 6a1 1 0 1 1 0-2 1 1 0 0 1 0 2Z"
+  },
+  tip: {
+    title: "Tip",
+    icon: "M8 1.5c-2.363 0-4 1.69-4 3.75 0 .984.424 1.625.984 2.304l.214.253c.223.264.47.556.673.848.284.411.537.896.621 1.49a.75.75 0 0 1-1.484.211c-.04-.282-.163-.547-.37-.847a8.456 8.456 0 0 0-.542-.68c-.084-.1-.173-.205-.268-.32C3.201 7.75 2.5 6.766 2.5 5.25 2.5 2.31 4.863 0 8 0s5.5 2.31 5.5 5.25c0 1.516-.701 2.5-1.328 3.259-.095.115-.184.22-.268.319-.207.245-.383.453-.541.681-.208.3-.33.565-.37.847a.751.751 0 0 1-1.485-.212c.084-.593.337-1.078.621-1.489.203-.292.45-.584.673-.848.075-.088.147-.173.213-.253.561-.679.985-1.32.985-2.304 0-2.06-1.637-3.75-4-3.75ZM5.75 12h4.5a.75.75 0 0 1 0 1.5h-4.5a.75.75 0 0 1 0-1.5ZM6 15.25a.75.75 0 0 1 .75-.75h2.5a.75.75 0 0 1 0 1.5h-2.5a.75.75 0 0 1-.75-.75Z"
+  },
+  important: {
+    title: "Important",
+    icon: "M0 1.75C0 .784.784 0 1.75 0h12.5C15.216 0 16 .784 16 1.75v9.5A1.75 1.75 0 0 1 14.25 13H8.06l-2.573 2.573A1.458 1.458 0 0 1 3 14.543V13H1.75A1.75 1.75 0 0 1 0 11.25Zm1.75-.25a.25.25 0 0 0-.25.25v9.5c0 .138.112.25.25.25h2a.75.75 0 0 1 .75.75v2.19l2.72-2.72a.749.749 0 0 1 .53-.22h6.5a.25.25 0 0 0 .25-.25v-9.5a.25.25 0 0 0-.25-.25Zm7 2.25v2.5a.75.75 0 0 1-1.5 0v-2.5a.75.75 0 0 1 1.5 0ZM9 9a1 1 0 1 1-2 0 1 1 0 0 1 2 0Z"
+  },
+  warning: {
+    title: "Warning",
+    icon: "M6.457 1.047c.659-1.234 2.427-1.234 3.086 0l6.082 11.378A1.75 1.75 0 0 1 14.082 15H1.918a1.75 1.75 0 0 1-1.543-2.575Zm1.763.707a.25.25 0 0 0-.44 0L1.698 13.132a.25.25 0 0 0 .22.368h12.164a.25.25 0 0 0 .22-.368Zm.53 3.996v2.5a.75.75 0 0 1-1.5 0v-2.5a.75.75 0 0 1 1.5 0ZM9 11a1 1 0 1 1-2 0 1 1 0 0 1 2 0Z"
+  },
+  caution: {
+    title: "Caution",
+    icon: "M4.47.22A.749.749 0 0 1 5 0h6c.199 0 .389.079.53.22l4.25 4.25c.141.14.22.331.22.53v6a.749.749 0 0 1-.22.53l-4.25 4.25A.749.749 0 0 1 11 16H5a.749.749 0 0 1-.53-.22L.22 11.53A.749.749 0 0 1 0 11V5c0-.199.079-.389.22-.53Zm.84 1.28L1.5 5.31v5.38l3.81 3.81h5.38l3.81-3.81V5.31L10.69 1.5ZM8 4a.75.75 0 0 1 .75.75v3.5a.75.75 0 0 1-1.5 0v-3.5A.75.75 0 0 1 8 4Zm0 8a1 1 0 1 1 0-2 1 1 0 0 1 0 2Z"
+  }
+}
+
+// [!TYPE] alone on the first line of the blockquote's first paragraph,
+// followed by a line break (breaks: true), a newline, or the end of the paragraph
+const ALERT_MARKER_PATTERN = /^\s*<p>\[!(note|tip|important|warning|caution)\][ \t]*(?:<br>\n?|\n|(?=<\/p>))/i
+
+/**
+ * Localized title of an alert type, from the translations API (preview.alert_*)
+ * @param {string} type - Alert type (note, tip, important, warning, caution)
+ * @returns {string}
+ */
+export function alertTitle(type) {
+  const key = `preview.alert_${type}`
+  const translated = typeof window !== "undefined" && window.t ? window.t(key) : key
+  return translated === key ? ALERT_TYPES[type].title : translated
+}
+
+// Alert extension: > [!NOTE] blockquotes -> callout box with icon and title
+// Overrides marked's built-in "blockquote" renderer; returning false keeps
+// plain blockquotes unchanged
+export const alertExtension = {
+  name: "blockquote",
+  renderer(token) {
+    const body = this.parser.parse(token.tokens)
+    const match = body.match(ALERT_MARKER_PATTERN)
+    if (!match) return false
+
+    const type = match[1].toLowerCase()
+    const content = `<p>${body.slice(match[0].length)}`.replace(/^<p>\s*<\/p>\n?/, "")
+    const icon = `<svg class="markdown-alert-icon" viewBox="0 0 16 16" width="16" height="16" aria-hidden="true"><path d="${ALERT_TYPES[type].icon}"></path></svg>`
+
+    return `<div class="markdown-alert markdown-alert-${type}"><p class="markdown-alert-title">${icon}${escapeHtmlString(alertTitle(type))}</p>\n${content}</div>\n`
+  }
+}
+
+// Footnote definition extension: [^id]: text, continued by indented lines
+// (or, like a paragraph, by the lines directly after it). Renders nothing in place;
+// markdown_line_mapper collects the definitions into the footnote section (see lib/footnotes)
+const FOOTNOTE_BLOCK_START = /^(?:\[\^[^\]\s]+\]:|#{1,6}\s|>|[-*+]\s|\d+[.)]\s|```|~~~|\||[ \t]*(?:\n|$))/
+
+export const footnoteDefinitionExtension = {
+  name: "footnoteDefinition",
+  level: "block",
+  start(src) {
+    return src.match(/^\[\^[^\]\s]+\]:/m)?.index
+  },
+  tokenizer(src) {
+    const match = src.match(/^\[\^([^\]\s]+)\]:[ \t]*([^\n]*)(?:\n|$)/)
+    if (!match) return
+
+    const lines = [match[2]]
+    let raw = match[0]
+    let rest = src.slice(raw.length)
+    let indented = false
+
+    while (rest) {
+      const continuation = rest.match(/^((?:[ \t]*\n)*)( {4}|\t)([^\n]*)(?:\n|$)/)
+      const lazy = !indented && !FOOTNOTE_BLOCK_START.test(rest) && rest.match(/^([^\n]*)(?:\n|$)/)
+
+      if (continuation) {
+        lines.push(...continuation[1].split("\n").slice(0, -1).map(() => ""), continuation[3])
+        indented = true
+        raw += continuation[0]
+        rest = rest.slice(continuation[0].length)
+      } else if (lazy) {
+        lines.push(lazy[1].trimStart())
+        raw += lazy[0]
+        rest = rest.slice(lazy[0].length)
+      } else {
+        break
+      }
+    }
+
+    return {
+      type: "footnoteDefinition",
+      raw,
+      id: match[1],
+      tokens: this.lexer.blockTokens(lines.join("\n"), [])
+    }
+  },
+  renderer() {
+    return ""
+  }
+}
+
+// Footnote reference extension: [^id] -> numbered superscript link
+// Numbers are assigned per document by collectFootnotes (lib/footnotes);
+// references without a definition render as typed
+export const footnoteRefExtension = {
+  name: "footnoteRef",
+  level: "inline",
+  start(src) {
+    return src.indexOf("[^")
+  },
+  tokenizer(src) {
+    const match = src.match(/^\[\^([^\]\s]+)\]/)
+    if (match) {
+      return {
+        type: "footnoteRef",
+        raw: match[0],
+        id: match[1]
+      }
+    }
+  },
+  renderer(token) {
+    if (!token.number) return escapeHtmlString(token.raw)
+
+    const id = escapeHtmlString(footnoteElementId(token.id, token.occurrence))
+    const href = `#${encodeURIComponent(footnoteElementId(token.id))}`
+    return `<sup class="footnote-ref"><a href="${href}" id="${id}">${token.number}</a></sup>`
+  }
+}
+
+// Hugo shortcodes: {{< name args >}} and {{% name args %}}, alone on a line or
+// wrapping content up to {{< /name >}}. Templates from .fed come first (like
+// Hugo's layouts/shortcodes), then the built-ins Hugo ships; anything else
+// shows as a labelled placeholder (see lib/hugo_shortcodes)
+const REF_SHORTCODES = ["ref", "relref"]
+const LINE_END = /^[ \t]*(?:\n|$)/
+
+// Arguments the built-ins render as markdown (figure caption and attribution,
+// details summary), tokenized alongside the shortcode
+const MARKDOWN_ARGUMENTS = { figure: ["caption", "attr"], details: ["summary"] }
+
+function argumentTokens(shortcode, tokenize) {
+  const names = MARKDOWN_ARGUMENTS[shortcode.name] || []
+  return { argTokens: Object.fromEntries(names.map(name => [name, tokenize(shortcodeArg(shortcode, name) || "")])) }
+}
+
+function renderHugoShortcode(token) {
+  const { shortcode, block } = token
+  if (token.literal) return escapeHtmlString(token.literal)
+
+  const parseInline = tokens => this.parser.parseInline(tokens)
+  const renderArg = name => parseInline(token.argTokens?.[name] || [])
+  const renderInner = () => block ? this.parser.parse(token.tokens) : parseInline(token.tokens)
+  const template = getShortcodeTemplate(shortcode.name)
+
+  let html = null
+  if (template) {
+    html = renderShortcodeTemplate(template, shortcode, { raw: token.inner ?? "", render: renderInner })
+  } else if (shortcode.name === "youtube") {
+    html = renderYoutubeShortcode(shortcode)
+  } else if (shortcode.name === "vimeo") {
+    html = renderVimeoShortcode(shortcode)
+  } else if (shortcode.name === "gist") {
+    html = renderGistShortcode(shortcode)
+  } else if (shortcode.name === "param") {
+    html = renderParamShortcode(shortcode)
+    if (html !== null && block) html = `<p>${html}</p>`
+  } else if (shortcode.name === "figure") {
+    html = renderFigureShortcode(shortcode, { caption: renderArg("caption"), attr: renderArg("attr") })
+  } else if (shortcode.name === "details" && block) {
+    html = renderDetailsShortcode(shortcode, { summary: renderArg("summary"), inner: token.inner === null ? "" : renderInner() })
+  } else if (REF_SHORTCODES.includes(shortcode.name)) {
+    const ref = shortcodeArg(shortcode, "path", 0) || ""
+    const { target, heading, path } = resolveShortcodeRef(ref)
+    const text = token.label ? parseInline(token.tokens) : escapeHtmlString(ref)
+    html = renderNoteLink(target, path, heading, text)
+    if (block) html = `<p>${html}</p>`
+  } else if (shortcode.name === "highlight" && token.inner !== null) {
+    // Block-level highlight shortcodes become code tokens; this is the inline form
+    html = `<code>${escapeHtmlString(token.inner)}</code>`
+  }
+
+  if (html === null) {
+    html = renderShortcodePlaceholder(shortcode, { block, inner: token.inner === null ? "" : renderInner() })
+  }
+  return block ? `${html}\n` : html
+}
+
+export const hugoShortcodeBlockExtension = {
+  name: "hugoShortcode",
+  level: "block",
+  start(src) {
+    return src.match(/^ {0,3}\{\{[<%]/m)?.index
+  },
+  tokenizer(src) {
+    const indent = src.match(/^ {0,3}/)[0]
+    const tag = readShortcodeTag(src.slice(indent.length))
+    if (!tag || tag.literal || tag.closing) return
+
+    let raw = indent + tag.raw
+    let inner = null
+    const rest = src.slice(raw.length)
+    const closing = tag.selfClosing ? null : findClosingTag(rest, tag.name)
+
+    if (closing) {
+      const lineEnd = rest.slice(closing.index + closing.raw.length).match(LINE_END)
+      if (!lineEnd) return
+      inner = rest.slice(0, closing.index).replace(/^[ \t]*\n/, "").replace(/\n[ \t]*$/, "")
+      raw += rest.slice(0, closing.index) + closing.raw + lineEnd[0]
+    } else {
+      // Shortcodes inside a line of text are left to the inline extension
+      const lineEnd = rest.match(LINE_END)
+      if (!lineEnd) return
+      raw += lineEnd[0]
+    }
+
+    if (tag.name === "highlight" && inner !== null && !getShortcodeTemplate("highlight")) {
+      return { type: "code", raw, lang: shortcodeArg(tag, null, 0) || "", text: inner }
+    }
+
+    return {
+      type: "hugoShortcode",
+      raw,
+      block: true,
+      shortcode: tag,
+      inner,
+      tokens: inner === null ? [] : this.lexer.blockTokens(inner, []),
+      ...argumentTokens(tag, text => this.lexer.inline(text))
+    }
+  },
+  renderer(token) {
+    return renderHugoShortcode.call(this, token)
+  }
+}
+
+export const hugoShortcodeInlineExtension = {
+  name: "hugoShortcodeInline",
+  level: "inline",
+  start(src) {
+    return src.match(/\{\{[<%]|\[(?=(?:\\.|[^[\]\\])*\]\(\s*\{\{[<%])/)?.index
+  },
+  tokenizer(src) {
+    // [label]({{< ref "note" >}})
+    const link = src.match(/^\[((?:\\.|[^[\]\\])*)\]\(\s*(?=\{\{[<%])/)
+    if (link) {
+      const tag = readShortcodeTag(src.slice(link[0].length))
+      if (!tag || !REF_SHORTCODES.includes(tag.name)) return
+
+      const close = src.slice(link[0].length + tag.raw.length).match(/^\s*\)/)
+      if (!close) return
+
+      return {
+        type: "hugoShortcodeInline",
+        raw: link[0] + tag.raw + close[0],
+        block: false,
+        shortcode: tag,
+        inner: null,
+        label: true,
+        tokens: this.lexer.inlineTokens(link[1])
+      }
+    }
+
+    const tag = readShortcodeTag(src)
+    if (!tag || tag.closing) return
+    if (tag.literal) return { type: "hugoShortcodeInline", raw: tag.raw, literal: tag.literal }
+
+    let raw = tag.raw
+    let inner = null
+    const closing = tag.selfClosing ? null : findClosingTag(src.slice(raw.length), tag.name)
+    if (closing) {
+      inner = src.slice(raw.length, raw.length + closing.index)
+      raw += inner + closing.raw
+    }
+
+    return {
+      type: "hugoShortcodeInline",
+      raw,
+      block: false,
+      shortcode: tag,
+      inner,
+      tokens: inner === null ? [] : this.lexer.inlineTokens(inner),
+      ...argumentTokens(tag, text => this.lexer.inlineTokens(text))
+    }
+  },
+  renderer(token) {
+    return renderHugoShortcode.call(this, token)
+  }
+}
+
 // Export all extensions as an array for easy use with marked.use()
 export const allExtensions = [
   superscriptExtension,
   subscriptExtension,
   highlightExtension,
-  emojiExtension
+  emojiExtension,
+  codeHighlightExtension,
+  mermaidExtension,
+  mathBlockExtension,
+  mathInlineExtension,
+  wikiLinkExtension,
+  alertExtension,
+  footnoteDefinitionExtension,
+  footnoteRefExtension,
+  hugoShortcodeBlockExtension,
+  hugoShortcodeInlineExtension
 ]
+
+// Options for marked.use(), shared by the page and the preview worker
+export const markedOptions = {
+  breaks: true,
+  gfm: true,
+  extensions: allExtensions
+}
@@ -0,0 +1,69 @@
+// Mermaid diagram helpers for the preview panel
+// The library is large, so it is only loaded the first time a note contains a diagram
+
+let mermaidPromise = null
+let diagramCounter = 0
+
+/**
+ * Lazily import mermaid (once per page)
+ * @returns {Promise<Object>} - The mermaid API
+ */
+export function loadMermaid() {
+  if (!mermaidPromise) {
+    mermaidPromise = import("mermaid").then(module => module.default || module)
+  }
+  return mermaidPromise
+}
+
+/**
+ * Build mermaid theme variables from the active theme's CSS custom properties
+ * so diagrams match the preview colors
+ * @param {CSSStyleDeclaration} style - Computed style of the themed root element
+ * @returns {Object} - mermaid themeVariables
+ */
+export function buildMermaidThemeVariables(style) {
+  const read = (name) => style.getPropertyValue(name).trim()
+
+  return {
+    background: read("--theme-bg-primary"),
+    primaryColor: read("--theme-bg-tertiary"),
+    primaryTextColor: read("--theme-text-primary"),
+    primaryBorderColor: read("--theme-accent"),
+    secondaryColor: read("--theme-bg-secondary"),
+    tertiaryColor: read("--theme-bg-hover"),
+    lineColor: read("--theme-text-muted"),
+    textColor: read("--theme-text-primary"),
+    noteBkgColor: read("--theme-bg-secondary"),
+    noteTextColor: read("--theme-text-secondary"),
+    fontFamily: "inherit"
+  }
+}
+
+/**
+ * Render one diagram to SVG
+ * Parse errors are returned instead of thrown so one bad diagram doesn't break the preview
+ * @param {Object} mermaid - The mermaid API (from loadMermaid)
+ * @param {string} source - Diagram definition
+ * @param {Object} options - { darkMode, themeVariables }
+ * @returns {Promise<{svg: string}|{error: string}>}
+ */
+export async function renderMermaidDiagram(mermaid, source, options = {}) {
+  const { darkMode = false, themeVariables = {} } = options
+
+  mermaid.initialize({
+    startOnLoad: false,
+    securityLevel: "strict",
+    suppressErrorRendering: true,
+    theme: "base",
+    darkMode,
+    themeVariables
+  })
+
+  diagramCounter++
+  try {
+    const { svg } = await mermaid.render(`mermaid-diagram-${diagramCounter}`, source)
+    return { svg }
+  } catch (error) {
+    return { error: error?.message || String(error) }
+  }
+}
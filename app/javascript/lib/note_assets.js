@@ -0,0 +1,88 @@
+// Relative image and file URLs in notes
+// Notes refer to files next to them (Hugo page bundles keep images beside
+// index.md), but the preview lives at the app's URL, where those paths don't
+// exist. The preview resolves them against the note's folder and loads them
+// through notes#asset (/note_assets/*path)
+
+import { encodePath } from "lib/url_utils"
+
+const ASSET_ROUTE = "/note_assets"
+
+// Scheme (https:, data:, mailto:...), absolute path, protocol-relative or anchor
+const NON_RELATIVE_URL_PATTERN = /^(?:[a-z][a-z0-9+.-]*:|\/|#)/i
+
+// Links to other notes or folders stay as they are; only files are served
+const FILE_LINK_PATTERN = /\.(?!md$|markdown$)[a-z0-9]+$/i
+
+// Attributes that load a file, and links that open one
+const URL_ATTRIBUTES = [
+  ["img[src], video[src], audio[src], source[src], track[src]", "src"],
+  ["video[poster]", "poster"],
+  ["a[href]:not(.wiki-link)", "href"]
+]
+
+/**
+ * Resolve a relative URL from a note to the notes directory
+ * @param {string} notePath - Path of the note, e.g. "2026/01/02/post/index.md"
+ * @param {string} url - URL as written in the note, e.g. "cover.jpg" or "../shared/a.png#x"
+ * @returns {{path: string, suffix: string}|null} - Path from the notes root and the
+ *   query/fragment, or null for non-relative URLs and paths outside the notes directory
+ */
+export function resolveNoteAssetPath(notePath, url) {
+  const value = (url || "").trim()
+  if (!notePath || !value || NON_RELATIVE_URL_PATTERN.test(value)) return null
+
+  const [, pathPart, suffix] = value.match(/^([^?#]*)(.*)$/)
+  const segments = notePath.split("/").slice(0, -1)
+
+  for (const segment of decodePath(pathPart).split("/")) {
+    if (segment === "" || segment === ".") continue
+    if (segment === "..") {
+      if (segments.length === 0) return null
+      segments.pop()
+    } else {
+      segments.push(segment)
+    }
+  }
+
+  return segments.length > 0 ? { path: segments.join("/"), suffix } : null
+}
+
+function decodePath(path) {
+  try {
+    return decodeURIComponent(path)
+  } catch {
+    return path
+  }
+}
+
+/**
+ * URL that serves a file from the notes directory
+ * @param {string} path - Path from the notes root
+ * @param {string} suffix - Query string and/or fragment to keep
+ * @returns {string}
+ */
+export function noteAssetUrl(path, suffix = "") {
+  return `${ASSET_ROUTE}/${encodePath(path)}${suffix}`
+}
+
+/**
+ * Point relative src/href attributes in rendered preview HTML at the note's folder
+ * Run before the HTML is attached to the page, so the browser never requests
+ * the unresolved URLs
+ * @param {ParentNode} root - Rendered preview content (e.g. a template's content)
+ * @param {string} notePath - Path of the note being previewed
+ */
+export function rewriteNoteAssetUrls(root, notePath) {
+  if (!notePath) return
+
+  for (const [selector, attribute] of URL_ATTRIBUTES) {
+    for (const element of root.querySelectorAll(selector)) {
+      const resolved = resolveNoteAssetPath(notePath, element.getAttribute(attribute))
+      if (!resolved) continue
+      if (attribute === "href" && !FILE_LINK_PATTERN.test(resolved.path)) continue
+
+      element.setAttribute(attribute, noteAssetUrl(resolved.path, resolved.suffix))
+    }
+  }
+}
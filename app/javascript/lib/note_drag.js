@@ -0,0 +1,22 @@
+// Notes dragged from the file tree or the tab strip onto an editor pane
+
+// Not text/plain, so CodeMirror doesn't take the drop as text to insert
+export const NOTE_DRAG_TYPE = "application/x-frankmd-note"
+
+/**
+ * Whether a drag event carries a note (the data itself can only be read on drop)
+ * @param {DragEvent} event - dragenter, dragover or drop event
+ * @returns {boolean}
+ */
+export function isNoteDrag(event) {
+  return Array.from(event.dataTransfer?.types || []).includes(NOTE_DRAG_TYPE)
+}
+
+/**
+ * Path of the note dropped
+ * @param {DragEvent} event - drop event
+ * @returns {string|null}
+ */
+export function draggedNotePath(event) {
+  return event.dataTransfer?.getData(NOTE_DRAG_TYPE) || null
+}
@@ -0,0 +1,46 @@
+// Preview Web Worker
+// Lexes and renders large notes off the main thread, one HTML string per block
+// (see renderBlocks in markdown_line_mapper). Started by preview_worker_client;
+// the page patches the DOM with the result.
+//
+// Messages in:  { type: "context", notes, shortcodeTemplates, pageParams, translations }
+//               { type: "render", id, markdown, lineOffset }
+// Messages out: { type: "ready" }
+//               { type: "rendered", id, blocks }
+
+import { marked } from "marked"
+import { markedOptions } from "lib/marked_extensions"
+import { renderBlocks } from "lib/markdown_line_mapper"
+import { setWikiLinkNotes } from "lib/wiki_links"
+import { setShortcodeTemplates, setShortcodePageParams } from "lib/hugo_shortcodes"
+
+marked.use(markedOptions)
+
+let translations = {}
+let cache = new Map()
+
+// Alert titles are translated through window.t (see alertTitle)
+self.window = {
+  t(key) {
+    const value = key.split(".").reduce((node, k) => (node && typeof node === "object" ? node[k] : undefined), translations)
+    return typeof value === "string" ? value : key
+  }
+}
+
+self.addEventListener("message", (event) => {
+  const message = event.data
+
+  if (message.type === "context") {
+    setWikiLinkNotes(message.notes || [])
+    setShortcodeTemplates(message.shortcodeTemplates)
+    setShortcodePageParams(message.pageParams)
+    translations = message.translations || {}
+    cache = new Map()
+  } else if (message.type === "render") {
+    const result = renderBlocks(message.markdown, message.lineOffset, cache)
+    cache = result.cache
+    self.postMessage({ type: "rendered", id: message.id, blocks: result.blocks })
+  }
+})
+
+self.postMessage({ type: "ready" })
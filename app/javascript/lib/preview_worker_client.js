@@ -0,0 +1,68 @@
+// Starts the preview Web Worker (lib/preview_worker)
+// Module workers don't see the page's import map, so the worker is a classic
+// script that loads es-module-shims and imports its module through a copy of
+// the page's map, with URLs made absolute (the worker runs from a blob: URL)
+
+const WORKER_MODULE = "lib/preview_worker"
+const SHIMS_MODULE = "es-module-shims"
+
+/**
+ * Read the page's import map with absolute URLs
+ * @param {Document} doc
+ * @returns {Object|null} - { imports: {...} }, or null if the page has none
+ */
+export function readImportMap(doc = document) {
+  const script = doc.querySelector('script[type="importmap"]')
+  if (!script) return null
+
+  let map
+  try {
+    map = JSON.parse(script.textContent)
+  } catch {
+    return null
+  }
+
+  const imports = {}
+  for (const [specifier, path] of Object.entries(map.imports || {})) {
+    imports[specifier] = new URL(path, doc.baseURI).href
+  }
+  return { imports }
+}
+
+/**
+ * Source of the classic worker script that boots the worker module
+ * @param {Object} importMap - From readImportMap()
+ * @returns {string}
+ */
+export function workerBootstrapSource(importMap) {
+  return [
+    `importScripts(${JSON.stringify(importMap.imports[SHIMS_MODULE])})`,
+    `importShim.addImportMap(${JSON.stringify(importMap)})`,
+    // Rethrow outside the promise so the page gets an error event
+    `importShim(${JSON.stringify(WORKER_MODULE)}).catch(error => setTimeout(() => { throw error }))`
+  ].join("\n")
+}
+
+/**
+ * Start the preview worker
+ * @returns {Worker|null} - null where workers or the import map aren't available
+ *   (the preview then renders on the main thread)
+ */
+export function createPreviewWorker() {
+  if (typeof Worker === "undefined" || typeof Blob === "undefined") return null
+
+  const importMap = readImportMap()
+  if (!importMap?.imports[SHIMS_MODULE] || !importMap.imports[WORKER_MODULE]) return null
+
+  const url = URL.createObjectURL(new Blob([workerBootstrapSource(importMap)], { type: "text/javascript" }))
+  try {
+    const worker = new Worker(url)
+    worker.addEventListener("message", () => URL.revokeObjectURL(url), { once: true })
+    worker.addEventListener("error", () => URL.revokeObjectURL(url), { once: true })
+    return worker
+  } catch (error) {
+    URL.revokeObjectURL(url)
+    console.warn("Preview worker unavailable:", error)
+    return null
+  }
+}
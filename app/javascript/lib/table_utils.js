@@ -1,6 +1,8 @@
 // Table utility functions - Pure functions for markdown table parsing/generation
 // Extracted for testability
 
+import { displayWidth } from "lib/text_utils"
+
 /**
  * Parse a markdown table into a 2D array
  * @param {string|string[]} lines - Either a string with newlines or an array of lines
@@ -54,14 +56,14 @@ export function generateMarkdownTable(tableData) {
   // Calculate column widths
   const widths = []
   for (let col = 0; col < colCount; col++) {
-    widths[col] = Math.max(3, ...normalizedData.map(row => (row[col] || "").length))
+    widths[col] = Math.max(3, ...normalizedData.map(row => displayWidth(row[col] || "")))
   }
 
   // Build table
   const lines = []
 
   // Header row
-  const headerCells = normalizedData[0].map((cell, i) => cell.padEnd(widths[i]))
+  const headerCells = normalizedData[0].map((cell, i) => padCell(cell, widths[i]))
   lines.push("| " + headerCells.join(" | ") + " |")
 
   // Separator row
@@ -70,13 +72,98 @@ export function generateMarkdownTable(tableData) {
 
   // Data rows
   for (let i = 1; i < normalizedData.length; i++) {
-    const cells = normalizedData[i].map((cell, j) => cell.padEnd(widths[j]))
+    const cells = normalizedData[i].map((cell, j) => padCell(cell, widths[j]))
     lines.push("| " + cells.join(" | ") + " |")
   }
 
   return lines.join("\n")
 }
 
+/**
+ * Pad a cell to a column width, measured in display columns (CJK and emoji take two)
+ * @param {string} text - Cell text
+ * @param {number} width - Column width
+ * @param {string|null} alignment - "left", "center", "right" or null
+ * @returns {{before: string, after: string}} - Spaces to put before and after the text
+ */
+export function cellPadding(text, width, alignment = null) {
+  const space = Math.max(0, width - displayWidth(text))
+  if (alignment === "right") return { before: " ".repeat(space), after: "" }
+  if (alignment === "center") {
+    const before = Math.floor(space / 2)
+    return { before: " ".repeat(before), after: " ".repeat(space - before) }
+  }
+  return { before: "", after: " ".repeat(space) }
+}
+
+function padCell(text, width, alignment = null) {
+  const { before, after } = cellPadding(text, width, alignment)
+  return before + text + after
+}
+
+/**
+ * Alignment of a column from its separator cell (:---, :---:, ---:)
+ * @param {string} cell - Separator cell
+ * @returns {string|null} - "left", "center", "right" or null
+ */
+export function parseTableAlignment(cell) {
+  const trimmed = cell.trim()
+  const left = trimmed.startsWith(":")
+  const right = trimmed.endsWith(":") && trimmed.length > 1
+  if (left && right) return "center"
+  if (left) return "left"
+  if (right) return "right"
+  return null
+}
+
+/**
+ * Format table rows with aligned pipes, keeping column alignments
+ * @param {string[][]} rows - Cell texts: the header row, then the body rows
+ * @param {Array<string|null>} alignments - Column alignments (see parseTableAlignment)
+ * @returns {{lines: string[], contentStarts: number[][]}} - Lines with the separator
+ *   as the second, and where each cell's text starts in its line (none for the separator)
+ */
+export function formatTableRows(rows, alignments = []) {
+  const colCount = Math.max(1, alignments.length, ...rows.map(row => row.length))
+  const widths = []
+  for (let col = 0; col < colCount; col++) {
+    widths[col] = Math.max(3, ...rows.map(row => displayWidth(row[col] || "")))
+  }
+
+  const lines = []
+  const contentStarts = []
+  const addRow = (row) => {
+    let line = "|"
+    const starts = []
+    for (let col = 0; col < colCount; col++) {
+      const text = row[col] || ""
+      const { before, after } = cellPadding(text, widths[col], alignments[col])
+      starts.push(line.length + 1 + before.length)
+      line += ` ${before}${text}${after} |`
+    }
+    lines.push(line)
+    contentStarts.push(starts)
+  }
+
+  rows.forEach((row, index) => {
+    addRow(row)
+    if (index > 0) return
+
+    const separator = widths.map((width, col) => {
+      const alignment = alignments[col]
+      const dashes = "-".repeat(width - (alignment === "center" ? 2 : alignment ? 1 : 0))
+      if (alignment === "center") return `:${dashes}:`
+      if (alignment === "left") return `:${dashes}`
+      if (alignment === "right") return `${dashes}:`
+      return dashes
+    })
+    lines.push(`| ${separator.join(" | ")} |`)
+    contentStarts.push([])
+  })
+
+  return { lines, contentStarts }
+}
+
 /**
  * Swap two columns in a table
  * @param {string[][]} tableData - 2D array
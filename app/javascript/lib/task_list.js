@@ -0,0 +1,58 @@
+// Task lists: GFM "- [ ]" / "- [x]" items
+// The preview only knows the source line of each top-level block
+// (data-source-line from markdown_line_mapper), so a clicked checkbox is located
+// by its position among the task items of its block. These helpers find that
+// item in the source and flip its marker
+
+// List marker (after any blockquote "> " prefixes) followed by the task box.
+// marked requires a space after "]", so "- [ ]" on its own is not a task
+const TASK_ITEM_PATTERN = /^((?:[ \t]*>)*[ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+\[)([ xX])(?=\] )/
+const FENCE_PATTERN = /^(?:[ \t]*>)*[ \t]*(`{3,}|~{3,})/
+
+/**
+ * Find the source line of a task item within a block
+ * @param {string} markdown - Full document text
+ * @param {number} blockLine - 1-based line where the block starts (data-source-line)
+ * @param {number} index - 0-based position of the item among the block's task items
+ * @returns {number|null} - 1-based line of the task item, or null if not found
+ */
+export function findTaskLine(markdown, blockLine, index) {
+  if (!markdown || blockLine < 1 || index < 0) return null
+
+  const lines = markdown.split("\n")
+  let fence = null
+  let count = 0
+
+  for (let i = blockLine - 1; i < lines.length; i++) {
+    const line = lines[i]
+
+    // Task markers inside fenced code are text, not checkboxes
+    const fenceMatch = line.match(FENCE_PATTERN)
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null
+      continue
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1]
+      continue
+    }
+
+    if (TASK_ITEM_PATTERN.test(line)) {
+      if (count === index) return i + 1
+      count++
+    }
+  }
+
+  return null
+}
+
+/**
+ * Set the checked state of a task item line
+ * @param {string} line - Source line containing the task item
+ * @param {boolean} checked - New state
+ * @returns {string|null} - Updated line, or null if the line is not a task item
+ */
+export function setTaskChecked(line, checked) {
+  if (!TASK_ITEM_PATTERN.test(line)) return null
+  return line.replace(TASK_ITEM_PATTERN, `$1${checked ? "x" : " "}`)
+}
@@ -105,3 +105,31 @@ export function levenshteinDistance(a, b) {
   }
   return matrix[b.length][a.length]
 }
+
+// East Asian wide and fullwidth characters (CJK, Hangul, kana, fullwidth forms)
+const WIDE_CHARACTER_PATTERN = /[\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6\u{20000}-\u{3FFFD}]/u
+// Emoji shown as pictures: by default, with the emoji variation selector, or as flags
+const EMOJI_PATTERN = /\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F|\p{Regional_Indicator}/u
+const ZERO_WIDTH_PATTERN = /^[\p{Mn}\p{Me}\p{Cf}\uFE00-\uFE0F]+$/u
+
+/**
+ * Columns a string takes in a monospace font
+ * CJK characters and emoji take two columns, combining marks none; an emoji
+ * sequence (skin tones, ZWJ families, flags) counts once
+ * @param {string} text - Text to measure
+ * @returns {number} - Display width
+ */
+export function displayWidth(text) {
+  if (!text) return 0
+
+  const segments = typeof Intl !== "undefined" && Intl.Segmenter
+    ? Array.from(new Intl.Segmenter(undefined, { granularity: "grapheme" }).segment(text), s => s.segment)
+    : Array.from(text)
+
+  let width = 0
+  for (const segment of segments) {
+    if (ZERO_WIDTH_PATTERN.test(segment)) continue
+    width += EMOJI_PATTERN.test(segment) || WIDE_CHARACTER_PATTERN.test(segment) ? 2 : 1
+  }
+  return width
+}
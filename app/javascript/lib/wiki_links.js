@@ -0,0 +1,205 @@
+// Wiki-style [[Note Name]] links
+// Resolves link targets against the notes in the file tree (loaded from /notes/tree)
+// and provides note-name completions for the editor
+
+let notePaths = []
+let noteIndex = new Map()
+let completionOptions = []
+
+/**
+ * Split the inside of a [[...]] link into its parts
+ * Supports [[target]], [[target|label]], [[target#heading]] and [[#heading]]
+ * @param {string} inner - Text between the brackets
+ * @returns {Object|null} - { target, heading, label } or null if there's nothing to link to
+ */
+export function parseWikiLink(inner) {
+  const [linkPart, ...labelParts] = inner.split(/\\?\|/)
+  const hashIndex = linkPart.indexOf("#")
+  const target = (hashIndex === -1 ? linkPart : linkPart.slice(0, hashIndex)).trim()
+  const heading = hashIndex === -1 ? "" : linkPart.slice(hashIndex + 1).trim()
+  const label = labelParts.join("|").trim()
+
+  if (!target && !heading) return null
+
+  return { target, heading, label }
+}
+
+/**
+ * Display name of a note: its file name without .md
+ * Hugo page bundles (folder/index.md) are named after their folder
+ * @param {string} path - Note path
+ * @returns {string}
+ */
+export function wikiLinkName(path) {
+  const parts = path.replace(/\.md$/i, "").split("/")
+  const name = parts.pop()
+  if ((name === "index" || name === "_index") && parts.length > 0) {
+    return parts.pop()
+  }
+  return name
+}
+
+function normalizeTarget(target) {
+  return target.trim().replace(/^\/+/, "").replace(/\.md$/i, "").toLowerCase()
+}
+
+// Prefer notes closest to the root, then alphabetical, so resolution is stable
+function comparePaths(a, b) {
+  return a.split("/").length - b.split("/").length || a.localeCompare(b)
+}
+
+/**
+ * Build a lookup of link targets (note name or path, case-insensitive) to note paths
+ * @param {string[]} paths - Markdown note paths
+ * @returns {Map<string, string[]>}
+ */
+export function buildWikiLinkIndex(paths) {
+  const index = new Map()
+  const add = (key, path) => {
+    const entries = index.get(key) || []
+    if (!entries.includes(path)) entries.push(path)
+    index.set(key, entries)
+  }
+
+  for (const path of paths) {
+    const withoutExtension = path.replace(/\.md$/i, "")
+    add(withoutExtension.toLowerCase(), path)
+    add(wikiLinkName(path).toLowerCase(), path)
+  }
+
+  for (const entries of index.values()) entries.sort(comparePaths)
+  return index
+}
+
+/**
+ * Resolve a link target to a note path
+ * Targets without a folder match by note name; targets with a folder match
+ * the full path first, then any path ending with it
+ * @param {string} target - Link target (e.g. "Note Name" or "folder/Note Name")
+ * @param {Map<string, string[]>} index - Index from buildWikiLinkIndex (defaults to the current notes)
+ * @returns {string|null} - Note path or null if unresolved
+ */
+export function resolveWikiLink(target, index = noteIndex) {
+  const key = normalizeTarget(target)
+  if (!key) return null
+
+  const exact = index.get(key)
+  if (exact) return exact[0]
+
+  if (key.includes("/")) {
+    const suffix = `/${key}`
+    const matches = [...index.keys()].filter(candidate => candidate.endsWith(suffix))
+    if (matches.length > 0) {
+      return matches.flatMap(candidate => index.get(candidate)).sort(comparePaths)[0]
+    }
+  }
+
+  return null
+}
+
+/**
+ * Replace the notes that links resolve against
+ * @param {string[]} paths - Markdown note paths
+ * @returns {boolean} - True if the set of notes changed
+ */
+export function setWikiLinkNotes(paths) {
+  const sorted = [...paths].sort()
+  if (sorted.length === notePaths.length && sorted.every((path, i) => path === notePaths[i])) {
+    return false
+  }
+
+  notePaths = sorted
+  noteIndex = buildWikiLinkIndex(sorted)
+  completionOptions = buildCompletionOptions(sorted, noteIndex)
+  return true
+}
+
+/**
+ * Get the notes that links currently resolve against
+ * @returns {string[]}
+ */
+export function getWikiLinkNotes() {
+  return notePaths
+}
+
+/**
+ * GitHub-style heading slug, used for [[Note#Heading]] anchors
+ * @param {string} text - Heading text
+ * @returns {string}
+ */
+export function slugifyHeading(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+    .replace(/\s/g, "-")
+}
+
+/**
+ * Find the line of the heading a [[Note#Heading]] link points to
+ * Matches by slug, so "My Heading" and "my-heading" both work
+ * @param {string} markdown - Note content
+ * @param {string} heading - Heading text or slug
+ * @returns {number|null} - 1-based line number or null if not found
+ */
+export function findHeadingLine(markdown, heading) {
+  const slug = slugifyHeading(heading)
+  const lines = markdown.split("\n")
+  let inFence = false
+
+  for (let i = 0; i < lines.length; i++) {
+    if (/^\s*(```|~~~)/.test(lines[i])) {
+      inFence = !inFence
+      continue
+    }
+    if (inFence) continue
+
+    const match = lines[i].match(/^#{1,6}\s+(.*?)\s*#*\s*$/)
+    if (match && slugifyHeading(match[1]) === slug) return i + 1
+  }
+
+  return null
+}
+
+// Notes sharing a name are completed with their path so the link stays unambiguous
+function buildCompletionOptions(paths, index) {
+  return paths.map(path => {
+    const name = wikiLinkName(path)
+    const ambiguous = index.get(name.toLowerCase()).length > 1
+    const folder = path.includes("/") ? path.slice(0, path.lastIndexOf("/")) : ""
+
+    return {
+      label: ambiguous ? path.replace(/\.md$/i, "") : name,
+      detail: ambiguous ? undefined : folder || undefined,
+      type: "text",
+      apply: applyWikiLinkCompletion
+    }
+  })
+}
+
+// Insert the note name and close the link, unless it is already closed
+function applyWikiLinkCompletion(view, completion, from, to) {
+  const closed = view.state.sliceDoc(to, to + 2) === "]]"
+  const insert = closed ? completion.label : `${completion.label}]]`
+
+  view.dispatch({
+    changes: { from, to, insert },
+    selection: { anchor: from + completion.label.length + 2 }
+  })
+}
+
+/**
+ * CodeMirror completion source: note names after [[
+ * @param {CompletionContext} context
+ * @returns {CompletionResult|null}
+ */
+export function wikiLinkCompletionSource(context) {
+  const match = context.matchBefore(/\[\[[^[\]|#\n]*$/)
+  if (!match || completionOptions.length === 0) return null
+
+  return {
+    from: match.from + 2,
+    options: completionOptions,
+    validFor: /^[^[\]|#\n]*$/
+  }
+}
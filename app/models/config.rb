@@ -18,8 +18,18 @@ class Config
     "typewriter_mode" => { default: false, type: :boolean, env: nil },
     "editor_indent" => { default: 2, type: :integer, env: nil },
     "editor_line_numbers" => { default: 0, type: :integer, env: nil },
+    "editor_vim_mode" => { default: false, type: :boolean, env: nil },
+    "editor_drop_resize" => { default: nil, type: :string, env: nil },
     "editor_width" => { default: 72, type: :integer, env: nil },
 
+    # Show frontmatter as a metadata card at the top of the preview
+    "preview_frontmatter" => { default: true, type: :boolean, env: nil },
+
+    # Preview HTML allowlist (extra entries on top of the built-in sanitizer allowlist)
+    "preview_allowed_tags" => { default: nil, type: :string, env: nil },
+    "preview_allowed_attributes" => { default: nil, type: :string, env: nil },
+    "preview_iframe_hosts" => { default: nil, type: :string, env: nil },
+
     # Paths (ENV defaults)
     "images_path" => { default: nil, type: :string, env: "IMAGES_PATH" },
 
@@ -123,17 +133,47 @@ class Config
         "",
         "# editor_font_size = 14",
         "# preview_zoom = 100",
+        "# preview_frontmatter = true",
         "# sidebar_visible = true",
         "# typewriter_mode = false",
         "",
         "# Editor indent: 0 = tab, 1-6 = spaces (default: 2)",
         "# editor_indent = 2",
         "",
+        "# Vim keybindings in the editor (normal, insert and visual modes, :w saves)",
+        "# editor_vim_mode = false",
+        "",
+        "# Resize images dropped into the editor: 0.25, 0.5 or 0.67 (default: original size)",
+        "# editor_drop_resize = 0.5",
+        "",
         "# Editor width in characters (default: 72, minimum: 72)",
         "# Increase for wider text area, e.g., 100, 120, or 150",
         "# editor_width = 72"
       ]
     },
+    {
+      marker: "# Preview HTML",
+      lines: [
+        "",
+        "# Preview HTML",
+        "# Note HTML is sanitized before it is shown in the preview (no scripts,",
+        "# event handlers, javascript: links, <style> tags or style attributes).",
+        "# Allow extra tags, attributes and iframe hosts (YouTube and Vimeo are",
+        "# always allowed) as comma-separated lists.",
+        "",
+        "# preview_allowed_tags = details, summary",
+        "# preview_allowed_attributes = open, style",
+        "# preview_iframe_hosts = www.loom.com",
+        "",
+        "# Hugo shortcodes: the preview renders the built-in ones (youtube, vimeo,",
+        "# gist, figure, details, highlight, param, ref, relref) and shows others",
+        "# as labelled boxes.",
+        "# Define HTML for your own with shortcode.<name> = <template>, using",
+        "# {{ .Get 0 }}, {{ .Get \"name\" }} and {{ .Inner }}.",
+        "",
+        "# shortcode.notice = <div class=\"notice notice-{{ .Get 0 }}\">{{ .Inner }}</div>"
+      ]
+    },
     {
       marker: "# Local Images",
       lines: [
@@ -208,12 +248,16 @@ class Config
     }
   ].freeze
 
-  attr_reader :base_path, :values
+  # Hugo shortcode templates for the preview: shortcode.<name> = <html>
+  SHORTCODE_PATTERN = %r{^shortcode\.([a-z0-9_][\w.-]*(?:/[\w.-]+)*)\s*=\s*(.*)$}i
+
+  attr_reader :base_path, :values, :shortcode_templates
 
   def initialize(base_path: nil)
     @base_path = Pathname.new(base_path || ENV.fetch("NOTES_PATH", Rails.root.join("notes")))
     Rails.logger.debug("[Config] Initializing with base_path: #{@base_path}")
     @values = {}
+    @shortcode_templates = {}
     load_config
   end
 
@@ -398,10 +442,12 @@ class Config
     Rails.logger.error("Failed to load .fed config: #{e.class} - #{e.message}")
     Rails.logger.error(e.backtrace.first(5).join("\n"))
     @values = {}
+    @shortcode_templates = {}
   end
 
   def parse_config(content)
     @values = {}
+    @shortcode_templates = {}
 
     content.each_line do |line|
       line = line.strip
@@ -409,14 +455,17 @@ class Config
       # Skip empty lines and comments
       next if line.empty? || line.start_with?("#")
 
+      # Shortcode templates keep the name's case, like Hugo's layouts/shortcodes files
+      if line =~ SHORTCODE_PATTERN
+        template = unquote($2.strip)
+        @shortcode_templates[$1] = template unless template.empty?
+        next
+      end
+
       # Parse key = value format (keys can contain letters, numbers, and underscores)
       if line =~ /^([a-z0-9_]+)\s*=\s*(.*)$/i
         key = $1.downcase
-        value = $2.strip
-
-        # Remove surrounding quotes if present
-        value = value[1..-2] if value.start_with?('"') && value.end_with?('"')
-        value = value[1..-2] if value.start_with?("'") && value.end_with?("'")
+        value = unquote($2.strip)
 
         # Only accept known keys
         if SCHEMA.key?(key)
@@ -426,6 +475,13 @@ class Config
     end
   end
 
+  # Remove surrounding quotes if present
+  def unquote(value)
+    value = value[1..-2] if value.start_with?('"') && value.end_with?('"')
+    value = value[1..-2] if value.start_with?("'") && value.end_with?("'")
+    value
+  end
+
   def cast_value(value, type)
     return nil if value.nil? || value.to_s.strip.empty?
 
@@ -27,6 +27,10 @@ class Note
       service.search_content(query, **options)
     end
 
+    def backlinks(path, **options)
+      service.backlinks(normalize_path(path), **options)
+    end
+
     def service
       NotesService.new
     end
@@ -2,6 +2,8 @@
 
 class ImagesService
   SUPPORTED_EXTENSIONS = %w[.jpg .jpeg .png .gif .webp .svg .bmp].freeze
+  # Videos dropped into the editor are uploaded like images, but never resized
+  VIDEO_EXTENSIONS = %w[.mp4 .webm .mov .m4v .ogv].freeze
   MAX_RESULTS = 10
 
   class << self
@@ -119,11 +121,13 @@ class ImagesService
       "https://#{bucket}.s3.#{region}.amazonaws.com/#{encoded_key}"
     end
 
-    # Upload a file from browser (local folder picker)
+    # Upload a file from browser (local folder picker, files dropped into the editor)
     # Saves to notes/images/ directory or uploads to S3
     def upload_file(uploaded_file, resize: nil, upload_to_s3: false)
       return { error: "No file provided" } unless uploaded_file
 
+      resize = nil if VIDEO_EXTENSIONS.include?(File.extname(uploaded_file.original_filename.to_s).downcase)
+
       require "securerandom"
       require "fileutils"
 
@@ -303,6 +307,10 @@ class ImagesService
       when ".webp" then "image/webp"
       when ".svg" then "image/svg+xml"
       when ".bmp" then "image/bmp"
+      when ".mp4", ".m4v" then "video/mp4"
+      when ".webm" then "video/webm"
+      when ".mov" then "video/quicktime"
+      when ".ogv" then "video/ogg"
       else "application/octet-stream"
       end
     end
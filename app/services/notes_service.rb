@@ -4,6 +4,12 @@ class NotesService
   class NotFoundError < StandardError; end
   class InvalidPathError < StandardError; end
 
+  # Files next to notes that the preview may load (page bundle images, attachments)
+  ASSET_EXTENSIONS = %w[
+    .jpg .jpeg .png .gif .webp .avif .svg .bmp .mp4 .webm .mov .mp3 .ogg .wav .m4a .pdf
+    .zip .gz .tgz .7z .txt .csv .doc .docx .xls .xlsx .ppt .pptx .odt .ods .odp .epub
+  ].freeze
+
   def initialize(base_path: nil)
     @base_path = Pathname.new(base_path || ENV.fetch("NOTES_PATH", Rails.root.join("notes")))
     FileUtils.mkdir_p(@base_path) unless @base_path.exist?
@@ -79,6 +85,46 @@ class NotesService
     full_path.directory?
   end
 
+  # Full path of a media file in the notes directory, for the preview.
+  # Notes, .fed and other files are never served
+  def asset(path)
+    full_path = safe_path(path)
+    unless full_path.file? && ASSET_EXTENSIONS.include?(full_path.extname.downcase)
+      raise NotFoundError, "Asset not found: #{path}"
+    end
+
+    full_path
+  end
+
+  # Save a file next to a note (an attachment dropped into the editor). An
+  # existing file is never replaced: "report.pdf" becomes "report-1.pdf".
+  # Only files the preview can serve (ASSET_EXTENSIONS) are saved.
+  # Returns the path of the saved file from the notes root
+  def save_attachment(note_path, filename, io)
+    note = safe_path(note_path)
+    raise NotFoundError, "Note not found: #{note_path}" unless note.file?
+
+    # No hidden files (.fed) and no folders
+    name = File.basename(filename.to_s).gsub(/[^\p{L}\p{N}._ -]/, "_").sub(/\A[.\s]+/, "")
+    name = "attachment#{File.extname(filename.to_s)}" if File.basename(name, ".*").blank?
+
+    base = File.basename(name, ".*")
+    extension = File.extname(name)
+    unless ASSET_EXTENSIONS.include?(extension.downcase)
+      raise InvalidPathError, "File type not allowed: #{extension.presence || name}"
+    end
+
+    target = note.dirname.join(name)
+    counter = 0
+    while target.exist?
+      counter += 1
+      target = note.dirname.join("#{base}-#{counter}#{extension}")
+    end
+
+    File.open(target, "wb") { |file| IO.copy_stream(io, file) }
+    target.relative_path_from(@base_path).to_s
+  end
+
   # Search file contents for a pattern (text or regex)
   # Returns an array of matches with context, sorted by file modification time (newest first)
   def search_content(query, context_lines: 3, max_results: 50)
@@ -115,8 +161,56 @@ class NotesService
     results.sort_by { |r| -r[:mtime].to_i }
   end
 
+  # Find notes that link to the given note, by markdown link or [[wiki link]]
+  # Returns one result per linking line, with the same context format as search_content
+  def backlinks(path, context_lines: 1, max_results: 200)
+    target = path.to_s.delete_prefix("/")
+    return [] if target.blank?
+
+    files = []
+    collect_markdown_files_unsorted(@base_path) { |file_path| files << file_path }
+    relative_paths = files.map { |file_path| file_path.relative_path_from(@base_path).to_s }
+    wiki_index = build_wiki_link_index(relative_paths)
+
+    results = []
+    files.zip(relative_paths).sort_by(&:last).each do |file_path, relative_path|
+      break if results.size >= max_results
+      next if relative_path == target
+
+      lines = file_path.readlines(chomp: true)
+      in_fence = false
+
+      lines.each_with_index do |line, index|
+        if line.match?(FENCE_PATTERN)
+          in_fence = !in_fence
+          next
+        end
+        next if in_fence
+        next unless line_links_to?(line, target, relative_path, wiki_index)
+
+        results << {
+          path: relative_path,
+          name: file_path.basename(".md").to_s,
+          line_number: index + 1,
+          match_text: line,
+          context: line_context(lines, index, context_lines)
+        }
+        break if results.size >= max_results
+      end
+    end
+
+    results
+  end
+
   private
 
+  FENCE_PATTERN = /\A\s*(```|~~~)/
+  WIKI_LINK_PATTERN = /\[\[([^\[\]\n]+)\]\]/
+  # [text](target "title") - but not images
+  MARKDOWN_LINK_PATTERN = /(?<!!)\[[^\]]*\]\(\s*(?:<([^>\n]+)>|([^)\s]+))(?:\s+"[^"]*")?\s*\)/
+  # [label]: target
+  LINK_DEFINITION_PATTERN = /\A\s{0,3}\[[^\]]+\]:\s*(?:<([^>\n]+)>|(\S+))/
+
   # Collect files sorted by modification time (for file finder/tree display)
   def collect_markdown_files(dir)
     files = []
@@ -159,25 +253,99 @@ class NotesService
       next unless line.match?(regex)
       break if matches.size >= max_matches
 
-      # Calculate context range
-      start_line = [ 0, index - context_lines ].max
-      end_line = [ lines.size - 1, index + context_lines ].min
-
-      # Extract context with line numbers
-      context = (start_line..end_line).map do |i|
-        { line_number: i + 1, content: lines[i], is_match: i == index }
-      end
-
       matches << {
         line_number: index + 1,
         match_text: line,
-        context: context
+        context: line_context(lines, index, context_lines)
       }
     end
 
     matches
   end
 
+  # Lines around a match, with line numbers
+  def line_context(lines, index, context_lines)
+    start_line = [ 0, index - context_lines ].max
+    end_line = [ lines.size - 1, index + context_lines ].min
+
+    (start_line..end_line).map do |i|
+      { line_number: i + 1, content: lines[i], is_match: i == index }
+    end
+  end
+
+  def line_links_to?(line, target, source_path, wiki_index)
+    if line.include?("[[")
+      linked = line.scan(WIKI_LINK_PATTERN).any? do |(inner)|
+        resolve_wiki_link(inner.split(/\\?\|/).first.to_s.split("#").first.to_s, wiki_index) == target
+      end
+      return true if linked
+    end
+
+    if line.include?("](")
+      linked = line.scan(MARKDOWN_LINK_PATTERN).any? do |hrefs|
+        link_target_paths(hrefs.compact.first, source_path).include?(target)
+      end
+      return true if linked
+    end
+
+    match = line.match(LINK_DEFINITION_PATTERN)
+    match.present? && link_target_paths(match[1] || match[2], source_path).include?(target)
+  end
+
+  # Note paths a markdown link href may point to (relative to the linking note,
+  # or absolute from the notes root / the app's /notes/ URLs)
+  def link_target_paths(href, source_path)
+    return [] if href.match?(/\A([a-z][a-z0-9+.-]*:|#|\/\/)/i)
+
+    href = href.sub(/[?#].*\z/, "")
+    href = begin
+      URI.decode_uri_component(href)
+    rescue ArgumentError
+      href
+    end
+    return [] if href.blank?
+
+    resolved = if href.start_with?("/")
+      href.delete_prefix("/notes/").delete_prefix("/")
+    else
+      Pathname.new(File.dirname(source_path)).join(href).cleanpath.to_s
+    end
+    return [] if resolved.start_with?("..")
+
+    base = resolved.delete_suffix("/")
+    [ base, "#{base}.md", "#{base}/index.md", "#{base}/_index.md" ]
+  end
+
+  # Mirrors lib/wiki_links.js: notes are linked by name (page bundles by folder name)
+  # or by path, case-insensitively; collisions resolve to the note closest to the root
+  def build_wiki_link_index(paths)
+    index = Hash.new { |hash, key| hash[key] = [] }
+
+    paths.each do |path|
+      without_extension = path.delete_suffix(".md")
+      index[without_extension.downcase] |= [ path ]
+      index[wiki_link_name(path).downcase] |= [ path ]
+    end
+
+    index.transform_values { |entries| entries.sort_by { |p| [ p.count("/"), p ] } }
+  end
+
+  def wiki_link_name(path)
+    parts = path.delete_suffix(".md").split("/")
+    name = parts.pop
+    (%w[index _index].include?(name) && parts.any?) ? parts.last : name
+  end
+
+  def resolve_wiki_link(target, index)
+    key = target.strip.delete_prefix("/").delete_suffix(".md").downcase
+    return nil if key.empty?
+    return index[key].first if index.key?(key)
+    return nil unless key.include?("/")
+
+    index.select { |candidate, _| candidate.end_with?("/#{key}") }
+      .values.flatten.min_by { |p| [ p.count("/"), p ] }
+  end
+
   def safe_path(path, must_exist: true)
     normalized = Pathname.new(path.to_s.gsub(/\.\./, "")).cleanpath
     full_path = @base_path.join(normalized)
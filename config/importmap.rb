@@ -10,6 +10,25 @@ pin_all_from "app/javascript/lib", under: "lib"
 # Markdown parsing
 pin "marked", to: "marked.js" # @15.0.6 - vendored from esm.sh
 
+# Frontmatter parsing for the preview metadata card
+pin "js-yaml", to: "js-yaml.js" # @4.3.2
+pin "smol-toml", to: "smol-toml.js" # @1.9.0
+
+# Allowlist sanitization of the rendered preview HTML
+pin "dompurify", to: "dompurify.js" # @3.4.16
+
+# Syntax highlighting for fenced code blocks in the preview
+pin "highlight.js", to: "highlight.js.js" # @11.11.1 - common languages bundle from @highlightjs/cdn-assets
+
+# TeX math typesetting in the preview (MathML output, no fonts or CSS needed)
+pin "katex", to: "katex.js" # @0.19.0
+
+# Import maps inside the preview Web Worker, which doesn't see the page's import map
+pin "es-module-shims", to: "es-module-shims.js", preload: false # @2.8.4 - wasm build, loaded with importScripts()
+
+# Mermaid diagrams in the preview (large, so only loaded when a note has a diagram)
+pin "mermaid", to: "mermaid.js", preload: false # @11.17.2 - single-file esbuild bundle
+
 # CodeMirror 6
 pin "@codemirror/view", to: "@codemirror--view.js" # @6.39.11
 pin "@codemirror/state", to: "@codemirror--state.js" # @6.5.4
@@ -20,6 +39,8 @@ pin "@codemirror/search", to: "@codemirror--search.js" # @6.6.0
 pin "@lezer/highlight", to: "@lezer--highlight.js" # @1.2.3
 pin "@lezer/markdown", to: "@lezer--markdown.js" # @1.6.3
 pin "@codemirror/autocomplete", to: "@codemirror--autocomplete.js" # @6.20.0
+pin "@codemirror/lint", to: "@codemirror--lint.js" # @6.9.5
+pin "@replit/codemirror-vim", to: "@replit--codemirror-vim.js" # @6.3.0
 pin "@codemirror/lang-css", to: "@codemirror--lang-css.js" # @6.3.1
 pin "@codemirror/lang-html", to: "@codemirror--lang-html.js" # @6.4.11
 pin "@codemirror/lang-javascript", to: "@codemirror--lang-javascript.js" # @6.2.4
@@ -29,6 +50,32 @@ pin "@lezer/html", to: "@lezer--html.js" # @1.3.13
 pin "@lezer/javascript", to: "@lezer--javascript.js" # @1.5.4
 pin "@lezer/lr", to: "@lezer--lr.js" # @1.4.8
 pin "@marijn/find-cluster-break", to: "@marijn--find-cluster-break.js" # @1.0.2
+
+# Fenced code languages in the editor (loaded when a note has a block in one of them)
+pin "@codemirror/lang-json", to: "@codemirror--lang-json.js", preload: false # @6.0.2
+pin "@codemirror/lang-python", to: "@codemirror--lang-python.js", preload: false # @6.2.1
+pin "@codemirror/lang-sql", to: "@codemirror--lang-sql.js", preload: false # @6.10.0
+pin "@codemirror/lang-yaml", to: "@codemirror--lang-yaml.js", preload: false # @6.1.3
+pin "@lezer/json", to: "@lezer--json.js", preload: false # @1.0.3
+pin "@lezer/python", to: "@lezer--python.js", preload: false # @1.1.19
+pin "@lezer/yaml", to: "@lezer--yaml.js", preload: false # @1.0.4
+pin "@codemirror/legacy-modes/mode/clike", to: "@codemirror--legacy-modes--mode--clike.js", preload: false # @6.5.4
+pin "@codemirror/legacy-modes/mode/clojure", to: "@codemirror--legacy-modes--mode--clojure.js", preload: false # @6.5.4
+pin "@codemirror/legacy-modes/mode/diff", to: "@codemirror--legacy-modes--mode--diff.js", preload: false # @6.5.4
+pin "@codemirror/legacy-modes/mode/dockerfile", to: "@codemirror--legacy-modes--mode--dockerfile.js", preload: false # @6.5.4
+pin "@codemirror/legacy-modes/mode/erlang", to: "@codemirror--legacy-modes--mode--erlang.js", preload: false # @6.5.4
+pin "@codemirror/legacy-modes/mode/go", to: "@codemirror--legacy-modes--mode--go.js", preload: false # @6.5.4
+pin "@codemirror/legacy-modes/mode/haskell", to: "@codemirror--legacy-modes--mode--haskell.js", preload: false # @6.5.4
+pin "@codemirror/legacy-modes/mode/lua", to: "@codemirror--legacy-modes--mode--lua.js", preload: false # @6.5.4
+pin "@codemirror/legacy-modes/mode/nginx", to: "@codemirror--legacy-modes--mode--nginx.js", preload: false # @6.5.4
+pin "@codemirror/legacy-modes/mode/perl", to: "@codemirror--legacy-modes--mode--perl.js", preload: false # @6.5.4
+pin "@codemirror/legacy-modes/mode/powershell", to: "@codemirror--legacy-modes--mode--powershell.js", preload: false # @6.5.4
+pin "@codemirror/legacy-modes/mode/ruby", to: "@codemirror--legacy-modes--mode--ruby.js", preload: false # @6.5.4
+pin "@codemirror/legacy-modes/mode/rust", to: "@codemirror--legacy-modes--mode--rust.js", preload: false # @6.5.4
+pin "@codemirror/legacy-modes/mode/shell", to: "@codemirror--legacy-modes--mode--shell.js", preload: false # @6.5.4
+pin "@codemirror/legacy-modes/mode/swift", to: "@codemirror--legacy-modes--mode--swift.js", preload: false # @6.5.4
+pin "@codemirror/legacy-modes/mode/toml", to: "@codemirror--legacy-modes--mode--toml.js", preload: false # @6.5.4
+pin "@codemirror/legacy-modes/mode/xml", to: "@codemirror--legacy-modes--mode--xml.js", preload: false # @6.5.4
 pin "crelt" # @1.0.6
 pin "style-mod" # @4.1.3
 pin "w3c-keyname" # @2.2.8
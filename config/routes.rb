@@ -4,13 +4,18 @@ Rails.application.routes.draw do
   # Notes API
   get "notes/tree", to: "notes#tree"
   get "notes/search", to: "notes#search"
+  get "notes/backlinks", to: "notes#backlinks"
   post "notes", to: "notes#create"  # For Hugo template creation (no path in URL)
   post "notes/*path/rename", to: "notes#rename", as: :rename_note, format: false
+  post "notes/*path/attachments", to: "notes#attach", as: :note_attachments, format: false
   get "notes/*path", to: "notes#show", as: :note, format: false
   post "notes/*path", to: "notes#create", as: :create_note, format: false
   patch "notes/*path", to: "notes#update", as: :update_note, format: false
   delete "notes/*path", to: "notes#destroy", as: :destroy_note, format: false
 
+  # Files next to notes (page bundle images), for the preview
+  get "note_assets/*path", to: "notes#asset", as: :note_asset, format: false
+
   # Folders API
   post "folders/*path/rename", to: "folders#rename", as: :rename_folder
   post "folders/*path", to: "folders#create", as: :create_folder
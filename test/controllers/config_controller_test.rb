@@ -179,6 +179,36 @@ class ConfigControllerTest < ActionDispatch::IntegrationTest
     assert_includes response.body, "data-editor-config-editor-width-value"
     assert_includes response.body, "data-editor-config-preview-zoom-value"
     assert_includes response.body, "data-editor-config-theme-value"
+    assert_includes response.body, "data-editor-config-preview-frontmatter-value"
+    assert_includes response.body, "data-editor-config-preview-allowed-tags-value"
+    assert_includes response.body, "data-editor-config-preview-allowed-attributes-value"
+    assert_includes response.body, "data-editor-config-preview-iframe-hosts-value"
+    assert_includes response.body, "data-editor-config-preview-shortcodes-value"
+  end
+
+  test "editor partial reflects preview allowlist from config" do
+    @test_notes_dir.join(".fed").write(<<~CONFIG)
+      preview_allowed_tags = details, summary
+      preview_iframe_hosts = player.vimeo.com
+    CONFIG
+
+    get "/config/editor"
+    assert_response :success
+
+    assert_includes response.body, 'data-editor-config-preview-allowed-tags-value="details, summary"'
+    assert_includes response.body, 'data-editor-config-preview-iframe-hosts-value="player.vimeo.com"'
+  end
+
+  test "editor partial includes shortcode templates from config" do
+    @test_notes_dir.join(".fed").write(<<~CONFIG)
+      shortcode.notice = <aside class="{{ .Get 0 }}">{{ .Inner }}</aside>
+    CONFIG
+
+    get "/config/editor"
+    assert_response :success
+
+    templates = { "notice" => '<aside class="{{ .Get 0 }}">{{ .Inner }}</aside>' }
+    assert_includes response.body, %(data-editor-config-preview-shortcodes-value="#{ERB::Util.html_escape(templates.to_json)}")
   end
 
   test "editor partial reflects configured values" do
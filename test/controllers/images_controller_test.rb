@@ -180,6 +180,27 @@ class ImagesControllerTest < ActionDispatch::IntegrationTest
       FileUtils.rm_f(created_file) if created_file.exist?
     end
 
+    test "upload saves videos as they are, even with a resize ratio" do
+      file = Rack::Test::UploadedFile.new(
+        StringIO.new("not really a video"),
+        "video/mp4",
+        original_filename: "clip.mp4"
+      )
+
+      post "/images/upload", params: { file: file, resize: "0.5" }
+      assert_response :success
+
+      data = JSON.parse(response.body)
+      assert data["url"].end_with?("clip.mp4")
+
+      notes_path = Pathname.new(ENV.fetch("NOTES_PATH", Rails.root.join("notes")))
+      created_file = notes_path.join(data["url"])
+      assert_equal "not really a video", File.read(created_file)
+
+      # Clean up
+      FileUtils.rm_f(created_file) if created_file.exist?
+    end
+
     test "upload returns error for S3 when not configured" do
       png_data = [
         0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D,
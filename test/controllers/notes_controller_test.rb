@@ -304,6 +304,112 @@ class NotesControllerTest < ActionDispatch::IntegrationTest
     assert results.first["context"].length > 1
   end
 
+  # === backlinks ===
+
+  test "backlinks returns notes linking to the path" do
+    create_test_note("target.md", "# Target")
+    create_test_note("linker.md", "Intro\nSee [[target]]\nOutro")
+    create_test_note("other.md", "No links here")
+
+    get "/notes/backlinks", params: { path: "target.md" }, as: :json
+    assert_response :success
+
+    results = JSON.parse(response.body)
+    assert_equal 1, results.length
+    assert_equal "linker.md", results.first["path"]
+    assert_equal 2, results.first["line_number"]
+    assert_equal 3, results.first["context"].length
+  end
+
+  test "backlinks accepts paths without the .md extension" do
+    create_test_note("target.md", "# Target")
+    create_test_note("linker.md", "[t](target.md)")
+
+    get "/notes/backlinks", params: { path: "target" }, as: :json
+    assert_response :success
+    assert_equal 1, JSON.parse(response.body).length
+  end
+
+  test "backlinks renders html entries for the sidebar panel" do
+    create_test_note("target.md", "# Target")
+    create_test_note("linker.md", "[[target]]")
+
+    get "/notes/backlinks", params: { path: "target.md" }
+    assert_response :success
+    assert_select "button[data-path='linker.md'][data-line='1']"
+  end
+
+  test "backlinks renders empty message when nothing links to the path" do
+    create_test_note("target.md", "# Target")
+
+    get "/notes/backlinks", params: { path: "target.md" }
+    assert_response :success
+    assert_match I18n.t("sidebar.no_backlinks"), response.body
+  end
+
+  # === asset ===
+
+  test "asset serves images from page bundles" do
+    create_test_note("2026/01/02/post/index.md")
+    create_test_note("2026/01/02/post/cover.png", "png")
+
+    get note_asset_url(path: "2026/01/02/post/cover.png")
+    assert_response :success
+    assert_equal "image/png", response.media_type
+    assert_equal "png", response.body
+  end
+
+  test "asset returns 404 for notes, missing files and paths outside the notes directory" do
+    create_test_note("post.md")
+
+    get note_asset_url(path: "post.md")
+    assert_response :not_found
+
+    get note_asset_url(path: "missing.png")
+    assert_response :not_found
+
+    get "/note_assets/..%2F..%2Fetc%2Fhosts.png"
+    assert_response :not_found
+  end
+
+  test "asset serves SVG without letting it run scripts" do
+    create_test_note("diagram.svg", "<svg xmlns=\"http://www.w3.org/2000/svg\"></svg>")
+
+    get note_asset_url(path: "diagram.svg")
+    assert_response :success
+    assert_includes response.headers["Content-Security-Policy"], "default-src 'none'"
+  end
+
+  # === attach ===
+
+  test "attach saves a dropped file next to the note" do
+    create_test_note("trips/rome.md")
+    file = Rack::Test::UploadedFile.new(StringIO.new("zip"), "application/zip", original_filename: "photos.zip")
+
+    post note_attachments_url(path: "trips/rome.md"), params: { file: file }
+    assert_response :created
+    assert_equal "trips/photos.zip", JSON.parse(response.body)["path"]
+    assert_equal "zip", @test_notes_dir.join("trips/photos.zip").read
+  end
+
+  test "attach returns errors without a file or a note" do
+    post note_attachments_url(path: "missing.md"), params: { file: Rack::Test::UploadedFile.new(StringIO.new("x"), "text/plain", original_filename: "a.txt") }
+    assert_response :not_found
+
+    create_test_note("note.md")
+    post note_attachments_url(path: "note.md")
+    assert_response :unprocessable_entity
+  end
+
+  test "attach rejects files the preview doesn't serve" do
+    create_test_note("note.md")
+    file = Rack::Test::UploadedFile.new(StringIO.new("<script></script>"), "text/html", original_filename: "page.html")
+
+    post note_attachments_url(path: "note.md"), params: { file: file }
+    assert_response :unprocessable_entity
+    assert_not @test_notes_dir.join("page.html").exist?
+  end
+
   # === bookmarkable URLs ===
 
   test "show with HTML request renders SPA with initial note data" do
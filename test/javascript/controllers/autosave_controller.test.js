@@ -444,6 +444,17 @@ describe("AutosaveController — Content Loss Detection", () => {
       expect(controller._lastSavedContent).toBeNull()
       expect(controller.hasUnsavedChanges).toBe(true)
     })
+
+    it("onRecoveryResolved ignores a dialog about another file", () => {
+      controller.currentFile = "test.md"
+
+      controller.onRecoveryResolved({
+        detail: { path: "other.md", source: "backup", content: "backup content" }
+      })
+
+      expect(mockBackupController.clear).not.toHaveBeenCalled()
+      expect(mockCodemirrorController.setValue).not.toHaveBeenCalled()
+    })
   })
 
   describe("offline → in-flight save → online flow", () => {
@@ -553,4 +564,202 @@ describe("AutosaveController — Content Loss Detection", () => {
       expect(saveNowSpy).not.toHaveBeenCalled()
     })
   })
+
+  describe("tabs", () => {
+    let mockBackupController, statusHandler
+
+    beforeEach(() => {
+      mockBackupController = { save: vi.fn(), check: vi.fn(), clear: vi.fn(), clearAll: vi.fn() }
+      controller.getOfflineBackupController = () => mockBackupController
+      statusHandler = vi.fn()
+      container.addEventListener("autosave:file-status", statusHandler)
+    })
+
+    const statuses = () => statusHandler.mock.calls.map(([event]) => [event.detail.path, event.detail.status])
+
+    it("stashFile saves unsaved changes in the background", async () => {
+      controller.setFile("a.md", "old")
+      mockCodemirrorValue = "new"
+      controller.scheduleAutoSave()
+
+      controller.stashFile()
+      expect(controller.currentFile).toBeNull()
+      expect(controller.saveTimeout).toBeNull()
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ content: "new" })
+
+      await new Promise((resolve) => setTimeout(resolve, 10))
+      expect(controller.backgroundFiles.get("a.md")).toMatchObject({ lastSavedContent: "new", hasUnsavedChanges: false })
+      expect(mockBackupController.clear).toHaveBeenCalledWith("a.md")
+      expect(statuses()).toEqual([["a.md", "unsaved"], ["a.md", "saving"], ["a.md", "saved"]])
+    })
+
+    it("applies a save that finishes after a tab switch to the saved file, not the shown one", async () => {
+      const responses = []
+      global.fetch = vi.fn().mockImplementation(() => new Promise((resolve) => responses.push(resolve)))
+
+      controller.setFile("a.md", "old")
+      mockCodemirrorValue = "a1"
+      controller.scheduleAutoSave()
+      const savePromise = controller.saveNow()
+
+      // More typing, then another tab is shown while the save is in flight
+      mockCodemirrorValue = "a2"
+      controller.stashFile()
+      controller.setFile("b.md", "b")
+      mockCodemirrorValue = "b"
+
+      responses[0]({ ok: true })
+      await savePromise
+
+      expect(controller._lastSavedContent).toBe("b")
+      expect(controller.hasUnsavedChanges).toBe(false)
+      expect(controller.saveTimeout).toBeNull()
+      expect(controller.backgroundFiles.get("a.md")).toMatchObject({ lastSavedContent: "old", hasUnsavedChanges: true })
+
+      responses[1]({ ok: true })
+      await new Promise((resolve) => setTimeout(resolve, 10))
+      expect(controller.backgroundFiles.get("a.md")).toMatchObject({ lastSavedContent: "a2", hasUnsavedChanges: false })
+    })
+
+    it("updates a background file when its last save finishes", async () => {
+      let resolveFetch
+      global.fetch = vi.fn().mockImplementation(() => new Promise((resolve) => { resolveFetch = resolve }))
+
+      controller.setFile("a.md", "old")
+      mockCodemirrorValue = "a1"
+      controller.scheduleAutoSave()
+      const savePromise = controller.saveNow()
+
+      // Offline: the tab is backed up instead of saved again
+      controller.isOffline = true
+      controller.stashFile()
+      controller.isOffline = false
+      controller.setFile("b.md", "b")
+
+      resolveFetch({ ok: true })
+      await savePromise
+
+      expect(controller.backgroundFiles.get("a.md")).toMatchObject({ lastSavedContent: "a1", hasUnsavedChanges: false })
+      expect(statuses()).toContainEqual(["a.md", "saved"])
+      expect(controller._lastSavedContent).toBe("b")
+    })
+
+    it("stashFile does not save a file without changes", () => {
+      controller.setFile("a.md", "same")
+      mockCodemirrorValue = "same"
+
+      controller.stashFile()
+      expect(global.fetch).not.toHaveBeenCalled()
+    })
+
+    it("stashFile backs up instead of saving while offline or deleting a lot", () => {
+      controller.setFile("a.md", "old")
+      controller.isOffline = true
+      mockCodemirrorValue = "offline edit"
+      controller.scheduleAutoSave()
+      controller.stashFile()
+
+      controller.isOffline = false
+      controller.setFile("b.md", makeContent(200))
+      mockCodemirrorValue = makeContent(10)
+      controller.scheduleAutoSave()
+      controller.stashFile()
+
+      expect(global.fetch).not.toHaveBeenCalled()
+      expect(mockBackupController.save).toHaveBeenCalledWith("a.md", "offline edit")
+      expect(mockBackupController.save).toHaveBeenCalledWith("b.md", makeContent(10))
+      expect(controller._contentLossWarningActive).toBe(false)
+    })
+
+    it("restoreFile brings back a background file and its pending save", () => {
+      controller.setFile("a.md", makeContent(200))
+      mockCodemirrorValue = makeContent(10)
+      controller.scheduleAutoSave()
+      controller.stashFile()
+      controller.setFile("b.md", "b")
+
+      expect(controller.restoreFile("c.md")).toBe(false)
+      expect(controller.restoreFile("a.md")).toBe(true)
+      expect(controller.currentFile).toBe("a.md")
+      expect(controller._lastSavedContent).toBe(makeContent(200))
+      expect(controller.hasUnsavedChanges).toBe(true)
+      expect(controller.saveTimeout).not.toBeNull()
+      expect(controller.backgroundFiles.has("a.md")).toBe(false)
+    })
+
+    it("onConnectionRestored saves background files", () => {
+      controller.isOffline = true
+      controller.setFile("a.md", "old")
+      mockCodemirrorValue = "offline edit"
+      controller.scheduleAutoSave()
+      controller.stashFile()
+
+      controller.onConnectionRestored()
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+      expect(global.fetch.mock.calls[0][0]).toContain("/notes/a.md")
+    })
+
+    it("closeFile saves and forgets the file, unless it was deleted", () => {
+      controller.setFile("a.md", "old")
+      mockCodemirrorValue = "new"
+      controller.scheduleAutoSave()
+      controller.closeFile("a.md")
+
+      expect(controller.currentFile).toBeNull()
+      expect(controller.backgroundFiles.has("a.md")).toBe(false)
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+
+      controller.setFile("b.md", "old")
+      controller.scheduleAutoSave()
+      controller.closeFile("b.md", { save: false })
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+    })
+
+    it("renameFile follows the open and background files", () => {
+      controller.setFile("a.md", "a")
+      controller.stashFile()
+      controller.setFile("b.md", "b")
+
+      controller.renameFile("a.md", "docs/a.md")
+      controller.renameFile("b.md", "docs/b.md")
+
+      expect(controller.currentFile).toBe("docs/b.md")
+      expect(controller.backgroundFiles.has("docs/a.md")).toBe(true)
+      expect(controller.backgroundFiles.has("a.md")).toBe(false)
+    })
+  })
+
+  describe("split view", () => {
+    it("releaseFile hands over the open file without saving it", () => {
+      controller.setFile("a.md", "old")
+      mockCodemirrorValue = "new"
+      controller.scheduleAutoSave()
+
+      expect(controller.releaseFile("a.md")).toEqual({ content: "new", lastSavedContent: "old", hasUnsavedChanges: true })
+      expect(controller.currentFile).toBeNull()
+      expect(controller.saveTimeout).toBeNull()
+      expect(controller.backgroundFiles.has("a.md")).toBe(false)
+      expect(controller.releaseFile("a.md")).toBeNull()
+      expect(global.fetch).not.toHaveBeenCalled()
+    })
+
+    it("releaseFile hands over a background file", () => {
+      controller.setFile("a.md", "a")
+      controller.stashFile()
+      controller.setFile("b.md", "b")
+
+      expect(controller.releaseFile("a.md")).toEqual({ content: "", lastSavedContent: "a", hasUnsavedChanges: false })
+      expect(controller.currentFile).toBe("b.md")
+    })
+
+    it("adoptFile carries on saving the released changes", () => {
+      controller.adoptFile("a.md", { lastSavedContent: "old", hasUnsavedChanges: true })
+
+      expect(controller.currentFile).toBe("a.md")
+      expect(controller._lastSavedContent).toBe("old")
+      expect(controller.hasUnsavedChanges).toBe(true)
+      expect(controller.saveTimeout).not.toBeNull()
+    })
+  })
 })
@@ -0,0 +1,135 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
+import { Application } from "@hotwired/stimulus"
+import BacklinksController from "../../../app/javascript/controllers/backlinks_controller.js"
+
+const RESULTS_HTML = `
+  <button type="button" data-path="journal.md" data-line="4" data-action="click->backlinks#select">journal</button>
+  <button type="button" data-path="projects/plan.md" data-line="12" data-action="click->backlinks#select">plan</button>
+`
+
+describe("BacklinksController", () => {
+  let application, controller, element
+
+  const htmlResponse = (html) => ({ ok: true, text: () => Promise.resolve(html) })
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div data-controller="backlinks" data-backlinks-target="panel" class="hidden">
+        <button type="button" data-action="click->backlinks#toggle">
+          <svg data-backlinks-target="chevron" class="rotate-90"></svg>
+          <span data-backlinks-target="count"></span>
+        </button>
+        <div data-backlinks-target="list"></div>
+      </div>
+    `
+
+    global.fetch = vi.fn().mockResolvedValue(htmlResponse(RESULTS_HTML))
+
+    element = document.querySelector('[data-controller="backlinks"]')
+    application = Application.start()
+    application.register("backlinks", BacklinksController)
+
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        controller = application.getControllerForElementAndIdentifier(element, "backlinks")
+        resolve()
+      }, 0)
+    })
+  })
+
+  afterEach(() => {
+    application.stop()
+    vi.restoreAllMocks()
+  })
+
+  describe("load()", () => {
+    it("fetches backlinks for the note", async () => {
+      await controller.load("notes/Road Map.md")
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "/notes/backlinks?path=notes%2FRoad%20Map.md",
+        expect.objectContaining({ method: "GET" })
+      )
+    })
+
+    it("shows the panel with the results and their count", async () => {
+      await controller.load("target.md")
+
+      expect(controller.panelTarget.classList.contains("hidden")).toBe(false)
+      expect(controller.listTarget.querySelectorAll("[data-path]").length).toBe(2)
+      expect(controller.countTarget.textContent).toBe("2")
+    })
+
+    it("leaves the count empty when nothing links to the note", async () => {
+      global.fetch.mockResolvedValue(htmlResponse("<div>No notes link here</div>"))
+
+      await controller.load("target.md")
+
+      expect(controller.countTarget.textContent).toBe("")
+      expect(controller.listTarget.textContent).toContain("No notes link here")
+    })
+
+    it("hides the panel when no note is open", async () => {
+      await controller.load("target.md")
+      await controller.load(null)
+
+      expect(controller.panelTarget.classList.contains("hidden")).toBe(true)
+      expect(controller.listTarget.innerHTML).toBe("")
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+    })
+
+    it("ignores responses for a note that is no longer open", async () => {
+      let resolveFirst
+      global.fetch
+        .mockReturnValueOnce(new Promise(resolve => { resolveFirst = resolve }))
+        .mockResolvedValueOnce(htmlResponse('<button data-path="second.md" data-line="1"></button>'))
+
+      const first = controller.load("first.md")
+      await controller.load("second.md")
+      resolveFirst(htmlResponse(RESULTS_HTML))
+      await first
+
+      expect(controller.listTarget.querySelector("[data-path]").dataset.path).toBe("second.md")
+      expect(controller.countTarget.textContent).toBe("1")
+    })
+
+    it("clears the list when the request fails", async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 500, text: () => Promise.resolve("") })
+
+      await controller.load("target.md")
+
+      expect(console.error).toHaveBeenCalledWith("Error loading backlinks:", expect.any(Error))
+      expect(controller.listTarget.innerHTML).toBe("")
+    })
+  })
+
+  describe("toggle()", () => {
+    it("collapses and expands the list", () => {
+      controller.toggle()
+
+      expect(controller.listTarget.classList.contains("hidden")).toBe(true)
+      expect(controller.chevronTarget.classList.contains("rotate-90")).toBe(false)
+
+      controller.toggle()
+
+      expect(controller.listTarget.classList.contains("hidden")).toBe(false)
+      expect(controller.chevronTarget.classList.contains("rotate-90")).toBe(true)
+    })
+  })
+
+  describe("select()", () => {
+    it("dispatches selected with the note path and line", async () => {
+      await controller.load("target.md")
+      const handler = vi.fn()
+      element.addEventListener("backlinks:selected", handler)
+
+      controller.listTarget.querySelector('[data-path="projects/plan.md"]').click()
+
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(handler.mock.calls[0][0].detail).toEqual({ path: "projects/plan.md", lineNumber: 12 })
+    })
+  })
+})
@@ -3,7 +3,11 @@
  */
 import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
 import { Application } from "@hotwired/stimulus"
+import { Vim, getCM } from "@replit/codemirror-vim"
+import { undo } from "@codemirror/commands"
+import { getIndentUnit, indentUnit, foldedRanges } from "@codemirror/language"
 import CodemirrorController from "../../../app/javascript/controllers/codemirror_controller.js"
+import { startUpload, finishUpload } from "../../../app/javascript/lib/codemirror_uploads.js"
 
 describe("CodemirrorController", () => {
   let application, controller, element
@@ -330,6 +334,143 @@ describe("CodemirrorController", () => {
     })
   })
 
+  describe("setIndent()", () => {
+    it("uses the indent setting as the indent unit", () => {
+      expect(getIndentUnit(controller.editor.state)).toBe(2)
+
+      controller.setIndent(4)
+      expect(controller.indentValue).toBe(4)
+      expect(getIndentUnit(controller.editor.state)).toBe(4)
+
+      controller.setIndent(0)
+      expect(controller.editor.state.facet(indentUnit)).toBe("\t")
+    })
+  })
+
+  describe("setDropResize()", () => {
+    it("keeps the resize ratio for dropped images", () => {
+      const dispatch = vi.spyOn(controller.editor, "dispatch")
+
+      controller.setDropResize("0.5")
+      expect(controller.dropResizeValue).toBe("0.5")
+      expect(dispatch).toHaveBeenCalledTimes(1)
+
+      controller.setDropResize(null)
+      expect(controller.dropResizeValue).toBe("")
+    })
+  })
+
+  describe("setLintNote()", () => {
+    it("reconfigures the linter only when the note changes", () => {
+      const dispatch = vi.spyOn(controller.editor, "dispatch")
+
+      controller.setLintNote("notes/a.md")
+      controller.setLintNote("notes/a.md")
+      expect(controller.lintNotePath).toBe("notes/a.md")
+      expect(dispatch).toHaveBeenCalledTimes(1)
+
+      controller.setLintNote(null)
+      expect(controller.lintNotePath).toBeNull()
+      expect(dispatch).toHaveBeenCalledTimes(2)
+    })
+
+    it("folds the note as it was left", () => {
+      localStorage.setItem("frankmd:folds:notes/a.md", JSON.stringify([[1, 2]]))
+      controller.openDocument("# Title\nText")
+
+      controller.setLintNote("notes/a.md")
+      expect(foldedRanges(controller.editor.state).size).toBe(1)
+      localStorage.clear()
+    })
+
+    it("refreshLint() does nothing without a note", () => {
+      expect(() => controller.refreshLint()).not.toThrow()
+    })
+  })
+
+  describe("setVimMode()", () => {
+    it("turns Vim mode on and off", () => {
+      expect(controller.isVimMode()).toBe(false)
+
+      controller.setVimMode(true)
+      expect(controller.isVimMode()).toBe(true)
+      expect(controller.vimModeValue).toBe(true)
+
+      controller.setVimMode(false)
+      expect(controller.isVimMode()).toBe(false)
+    })
+
+    it("dispatches mode changes and :w", () => {
+      const modeHandler = vi.fn()
+      const writeHandler = vi.fn()
+      element.addEventListener("codemirror:vim-mode-change", modeHandler)
+      element.addEventListener("codemirror:vim-write", writeHandler)
+
+      controller.setVimMode(true)
+      Vim.handleEx(getCM(controller.editor), "w")
+
+      expect(modeHandler.mock.calls[0][0].detail.mode).toBe("normal")
+      expect(writeHandler).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe("tabs", () => {
+    it("openDocument() starts a new undo history", () => {
+      controller.setValue("edited")
+      controller.openDocument("Other note")
+
+      expect(controller.getValue()).toBe("Other note")
+      expect(undo(controller.editor)).toBe(false)
+    })
+
+    it("restoreState() brings back the document, selection and undo history", () => {
+      controller.setValue("First note, edited")
+      controller.setSelection(3, 5)
+      const saved = controller.saveState()
+
+      controller.openDocument("Second note")
+      controller.restoreState(saved)
+
+      expect(controller.getValue()).toBe("First note, edited")
+      expect(controller.getSelection()).toMatchObject({ from: 3, to: 5 })
+      expect(undo(controller.editor)).toBe(true)
+      expect(controller.getValue()).toBe("Hello World")
+    })
+
+    it("restoreState() applies settings changed while the tab was away", () => {
+      const saved = controller.saveState()
+      controller.openDocument("Second note")
+      controller.setVimMode(true)
+      controller.setReadOnly(true)
+
+      controller.restoreState(saved)
+
+      expect(controller.isVimMode()).toBe(true)
+      expect(controller.editor.state.readOnly).toBe(true)
+    })
+
+    it("restoreState() inserts the tab's uploads that finished while it was away", () => {
+      window.t = vi.fn(key => key)
+      const id = startUpload(controller.editor, 0, "a.png")
+      const saved = controller.saveState()
+      controller.openDocument("Second note")
+      finishUpload(controller.editor, id, "![a](a.png)")
+
+      controller.restoreState(saved)
+      expect(controller.getValue()).toBe("![a](a.png)\nHello World")
+    })
+
+    it("restoreState() keeps the tab's lint note", () => {
+      controller.setLintNote("notes/a.md")
+      const saved = controller.saveState()
+      controller.openDocument("Second note")
+      expect(controller.lintNotePath).toBeNull()
+
+      controller.restoreState(saved)
+      expect(controller.lintNotePath).toBe("notes/a.md")
+    })
+  })
+
   describe("getEditorView()", () => {
     it("returns the EditorView instance", () => {
       const view = controller.getEditorView()
@@ -4,6 +4,7 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
 import { Application } from "@hotwired/stimulus"
 import DragDropController from "../../../app/javascript/controllers/drag_drop_controller.js"
+import { NOTE_DRAG_TYPE } from "../../../app/javascript/lib/note_drag.js"
 
 // Mock window.t translation function
 global.window = global.window || {}
@@ -89,6 +90,19 @@ describe("DragDropController", () => {
       expect(setDataMock).toHaveBeenCalledWith("text/plain", "folder1/file1.md")
     })
 
+    it("marks notes, but not folders, for dropping onto an editor pane", () => {
+      const setDataMock = vi.fn()
+      for (const path of ["folder1/file1.md", "folder1"]) {
+        controller.onDragStart({
+          currentTarget: element.querySelector(`[data-path="${path}"]`),
+          dataTransfer: { effectAllowed: null, setData: setDataMock }
+        })
+      }
+
+      expect(setDataMock).toHaveBeenCalledWith(NOTE_DRAG_TYPE, "folder1/file1.md")
+      expect(setDataMock).not.toHaveBeenCalledWith(NOTE_DRAG_TYPE, "folder1")
+    })
+
     it("adds dragging class", () => {
       const item = element.querySelector('[data-path="folder1/file1.md"]')
       const event = {
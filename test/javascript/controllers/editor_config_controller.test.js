@@ -98,6 +98,24 @@ describe("EditorConfigController", () => {
       expect(spy).not.toHaveBeenCalled()
     })
 
+    it("vimModeValueChanged skips applyVimMode when codemirror not ready", () => {
+      const spy = vi.spyOn(controller, "applyVimMode")
+      controller.vimModeValueChanged()
+      expect(spy).not.toHaveBeenCalled()
+    })
+
+    it("indentValueChanged skips applyIndent when codemirror not ready", () => {
+      const spy = vi.spyOn(controller, "applyIndent")
+      controller.indentValueChanged()
+      expect(spy).not.toHaveBeenCalled()
+    })
+
+    it("dropResizeValueChanged skips applyDropResize when codemirror not ready", () => {
+      const spy = vi.spyOn(controller, "applyDropResize")
+      controller.dropResizeValueChanged()
+      expect(spy).not.toHaveBeenCalled()
+    })
+
     it("previewZoomValueChanged skips applyPreviewZoom when preview not ready", () => {
       const spy = vi.spyOn(controller, "applyPreviewZoom")
       controller.previewZoomValueChanged()
@@ -164,6 +182,102 @@ describe("EditorConfigController", () => {
 
       expect(spy).toHaveBeenCalled()
     })
+
+    it("previewAllowedTagsValueChanged skips applyPreviewAllowlist when preview not ready", () => {
+      const spy = vi.spyOn(controller, "applyPreviewAllowlist")
+      controller.previewAllowedTagsValueChanged()
+
+      expect(spy).not.toHaveBeenCalled()
+    })
+
+    it("previewIframeHostsValueChanged calls applyPreviewAllowlist AFTER preview is ready", () => {
+      controller.previewOutletConnected()
+
+      const spy = vi.spyOn(controller, "applyPreviewAllowlist")
+      controller.previewIframeHostsValueChanged()
+
+      expect(spy).toHaveBeenCalled()
+    })
+    it("previewShortcodesValueChanged calls applyPreviewShortcodes AFTER preview is ready", () => {
+      const spy = vi.spyOn(controller, "applyPreviewShortcodes")
+      controller.previewShortcodesValueChanged()
+      expect(spy).not.toHaveBeenCalled()
+
+      controller.previewOutletConnected()
+      controller.previewShortcodesValueChanged()
+
+      expect(spy).toHaveBeenCalled()
+    })
+  })
+
+  describe("applyPreviewFrontmatter()", () => {
+    it("passes the frontmatter card setting to the preview controller", () => {
+      const preview = {}
+      vi.spyOn(controller, "getPreviewController").mockReturnValue(preview)
+      controller.previewFrontmatterValue = false
+
+      controller.applyPreviewFrontmatter()
+
+      expect(preview.frontmatterValue).toBe(false)
+    })
+  })
+
+  describe("applyPreviewAllowlist()", () => {
+    it("passes the .fed allowlist to the preview controller", () => {
+      const preview = {}
+      vi.spyOn(controller, "getPreviewController").mockReturnValue(preview)
+      controller.previewAllowedTagsValue = "details, summary"
+      controller.previewAllowedAttributesValue = "open"
+      controller.previewIframeHostsValue = "player.vimeo.com"
+
+      controller.applyPreviewAllowlist()
+
+      expect(preview).toEqual({
+        allowedTagsValue: "details, summary",
+        allowedAttributesValue: "open",
+        iframeHostsValue: "player.vimeo.com"
+      })
+    })
+  })
+
+  describe("applyPreviewShortcodes()", () => {
+    it("passes the .fed shortcode templates to the preview controller", () => {
+      const preview = {}
+      vi.spyOn(controller, "getPreviewController").mockReturnValue(preview)
+      controller.previewShortcodesValue = { notice: "<aside>{{ .Inner }}</aside>" }
+
+      controller.applyPreviewShortcodes()
+
+      expect(preview.shortcodeTemplatesValue).toEqual({ notice: "<aside>{{ .Inner }}</aside>" })
+    })
+  })
+
+  describe("applying editor settings", () => {
+    it("applies font, line numbers, Vim mode, indent and drop resizing to every editor pane", () => {
+      const editors = [1, 2].map(() => ({ setFontFamily: vi.fn(), setFontSize: vi.fn(), setLineNumberMode: vi.fn(), setVimMode: vi.fn(), setIndent: vi.fn(), setDropResize: vi.fn() }))
+      vi.spyOn(controller, "getCodemirrorControllers").mockReturnValue(editors)
+      controller.fontValue = "hack"
+      controller.fontSizeValue = 16
+      controller.lineNumbersValue = 1
+      controller.vimModeValue = true
+      controller.indentValue = 4
+      controller.dropResizeValue = "0.5"
+
+      controller.applyFont()
+      controller.applyLineNumbers()
+      controller.applyVimMode()
+      controller.applyIndent()
+      controller.applyDropResize()
+
+      editors.forEach(editor => {
+        expect(editor.setFontFamily).toHaveBeenCalledWith("Hack, monospace")
+        expect(editor.setFontSize).toHaveBeenCalledWith(16)
+        expect(editor.setLineNumberMode).toHaveBeenCalledWith(1)
+        expect(editor.setVimMode).toHaveBeenCalledWith(true)
+        expect(editor.setIndent).toHaveBeenCalledWith(4)
+        expect(editor.setDropResize).toHaveBeenCalledWith("0.5")
+      })
+    })
   })
 
   describe("applyEditorWidth()", () => {
@@ -223,6 +337,10 @@ describe("EditorConfigController", () => {
       expect(controller.typewriterModeEnabled).toBe(false)
     })
 
+    it("exposes vimModeEnabled", () => {
+      expect(controller.vimModeEnabled).toBe(false)
+    })
+
     it("exposes fonts list", () => {
       expect(controller.fonts).toBe(EditorConfigController.editorFonts)
     })
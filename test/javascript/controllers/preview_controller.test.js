@@ -4,6 +4,7 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
 import { Application } from "@hotwired/stimulus"
 import PreviewController from "../../../app/javascript/controllers/preview_controller.js"
+import { getShortcodeTemplate } from "../../../app/javascript/lib/hugo_shortcodes.js"
 
 describe("PreviewController", () => {
   let application, controller, element
@@ -13,7 +14,7 @@ describe("PreviewController", () => {
       <div data-controller="preview" data-preview-zoom-value="100">
         <aside data-preview-target="panel" class="hidden">
           <span data-preview-target="zoomLevel">100%</span>
-          <div data-preview-target="content"></div>
+          <div data-preview-target="content" data-action="click->preview#onContentClick dblclick->preview#onContentDoubleClick"></div>
         </aside>
       </div>
     `
@@ -159,6 +160,13 @@ describe("PreviewController", () => {
       expect(controller.contentTarget.innerHTML).toContain("World</p>")
     })
 
+    it("offsets source lines by the frontmatter and the blank lines after it", () => {
+      for (const [note, lines] of [["---\ntitle: x\n---\n- [ ] a", 3], ["---\ntitle: x\n---\n\n- [ ] a", 4], ["+++\ntitle = 1\n+++\n\n\n\n- [ ] a", 6]]) {
+        controller.render(note)
+        expect(controller.frontmatterLines).toBe(lines)
+      }
+    })
+
     it("does nothing when hidden", () => {
       controller.panelTarget.classList.add("hidden")
       controller.render("# Test")
@@ -188,6 +196,581 @@ describe("PreviewController", () => {
       await new Promise(resolve => setTimeout(resolve, 110))
       expect(controller._isUpdatingContent).toBe(false)
     })
+
+    it("sanitizes scripts and event handlers from note HTML", () => {
+      controller.render('Text <img src="x.png" onerror="alert(1)">\n\n<script>alert(2)</script>')
+
+      const html = controller.contentTarget.innerHTML
+      expect(html).toContain('src="x.png"')
+      expect(html).not.toContain("onerror")
+      expect(html).not.toContain("<script")
+    })
+
+    it("applies the extra allowlist from .fed", () => {
+      controller.render("<details><summary>More</summary>Hidden</details>")
+      expect(controller.contentTarget.querySelector("details")).not.toBeNull()
+
+      controller.render('<iframe src="https://www.loom.com/embed/1"></iframe>')
+      expect(controller.contentTarget.querySelector("iframe")).toBeNull()
+
+      controller.iframeHostsValue = "www.loom.com"
+      controller.render('<iframe src="https://www.loom.com/embed/1"></iframe>')
+      expect(controller.contentTarget.querySelector("iframe")).not.toBeNull()
+    })
+  })
+
+  describe("relative image paths", () => {
+    beforeEach(() => {
+      controller.panelTarget.classList.remove("hidden")
+    })
+
+    it("loads relative images from the note's folder", () => {
+      controller.notePathValue = "2026/01/02/my-post/index.md"
+      controller.render('<img src="cover.jpg" alt="Cover">')
+
+      expect(controller.contentTarget.querySelector("img").getAttribute("src")).toBe("/note_assets/2026/01/02/my-post/cover.jpg")
+    })
+
+    it("leaves image URLs alone when no note is open", () => {
+      controller.render('<img src="cover.jpg" alt="Cover">')
+
+      expect(controller.contentTarget.querySelector("img").getAttribute("src")).toBe("cover.jpg")
+    })
+  })
+
+  describe("incremental rendering", () => {
+    const IFRAME = '<iframe src="https://www.youtube.com/embed/abc"></iframe>'
+
+    beforeEach(() => {
+      controller.panelTarget.classList.remove("hidden")
+    })
+
+    it("keeps the elements of blocks that did not change", () => {
+      controller.render(`# Title\n\n${IFRAME}\n\nEnd\n\n`)
+      const iframe = controller.contentTarget.querySelector("iframe")
+
+      controller.render(`# New title\n\n${IFRAME}\n\nThe end\n\n`)
+
+      expect(controller.contentTarget.querySelector("iframe")).toBe(iframe)
+      expect(controller.contentTarget.querySelector("h1").textContent).toBe("New title")
+      expect(controller.contentTarget.textContent).toContain("The end")
+      expect(controller.contentTarget.textContent).not.toContain("End")
+    })
+
+    it("updates the source lines of blocks that moved", () => {
+      controller.render("One\n\nTwo\n\n")
+      const two = controller.contentTarget.querySelector('[data-source-line="3"]')
+
+      controller.render("Zero\n\nOne\n\nTwo\n\n")
+
+      expect(two.isConnected).toBe(true)
+      expect(two.dataset.sourceLine).toBe("5")
+      expect([...controller.contentTarget.querySelectorAll("[data-source-line]")].map(el => el.textContent)).toEqual(["Zero", "One", "Two"])
+    })
+
+    it("reorders blocks without rendering them again", () => {
+      controller.render("One\n\nTwo\n\nThree\n\n")
+      const [one, two, three] = controller.contentTarget.querySelectorAll("p")
+
+      controller.render("Three\n\nOne\n\nTwo\n\n")
+
+      expect([...controller.contentTarget.querySelectorAll("p")]).toEqual([three, one, two])
+    })
+
+    it("starts over when the preview content was replaced", () => {
+      controller.render("One\n\n")
+      controller.contentTarget.innerHTML = ""
+
+      controller.render("One\n\n")
+
+      expect(controller.contentTarget.textContent).toBe("One")
+    })
+
+    it("renders a toggled task block again even if its source did not change", () => {
+      controller.render("One\n\n")
+      const paragraph = controller.contentTarget.querySelector("p")
+      paragraph.innerHTML = '<input type="checkbox" class="task-list-checkbox">'
+
+      controller.toggleTask(paragraph.querySelector("input"))
+      controller.render("One\n\n")
+
+      expect(paragraph.isConnected).toBe(false)
+      expect(controller.contentTarget.textContent).toBe("One")
+    })
+  })
+
+  describe("preview worker", () => {
+    const LARGE = `Intro\n\n${"a".repeat(50000)}\n\n`
+
+    class FakeWorker extends EventTarget {
+      postMessage = vi.fn()
+      terminate = vi.fn()
+
+      reply(data) {
+        this.dispatchEvent(new MessageEvent("message", { data }))
+      }
+    }
+
+    let worker
+    const renders = () => worker.postMessage.mock.calls.map(([message]) => message).filter(message => message.type === "render")
+
+    beforeEach(() => {
+      controller.panelTarget.classList.remove("hidden")
+      worker = new FakeWorker()
+      vi.spyOn(controller, "createWorker").mockReturnValue(worker)
+    })
+
+    it("renders small notes on the main thread", () => {
+      controller.render("Small\n\n")
+
+      expect(controller.createWorker).not.toHaveBeenCalled()
+      expect(controller.contentTarget.textContent).toBe("Small")
+    })
+
+    it("renders large notes on the main thread until the worker has loaded", () => {
+      controller.render(LARGE)
+
+      expect(controller.createWorker).toHaveBeenCalledTimes(1)
+      expect(worker.postMessage).not.toHaveBeenCalled()
+      expect(controller.contentTarget.textContent).toContain("Intro")
+    })
+
+    it("sends the render context, then the note, and applies the blocks it returns", () => {
+      controller.render(LARGE)
+      worker.reply({ type: "ready" })
+
+      controller.render(LARGE)
+
+      expect(worker.postMessage.mock.calls[0][0]).toMatchObject({ type: "context", notes: expect.any(Array) })
+      expect(renders()).toEqual([{ type: "render", id: controller._renderId, markdown: LARGE, lineOffset: 0 }])
+
+      worker.reply({ type: "rendered", id: controller._renderId, blocks: [{ key: "k", line: 1, html: '<p data-source-line="1">From worker</p>' }] })
+
+      expect(controller.contentTarget.innerHTML).toBe('<p data-source-line="1">From worker</p>')
+    })
+
+    it("sends the note's frontmatter to the worker for the param shortcode", () => {
+      controller.render(LARGE)
+      worker.reply({ type: "ready" })
+
+      controller.render(`---\ntitle: Post\n---\n${LARGE}`)
+      worker.reply({ type: "rendered", id: controller._renderId, blocks: [] })
+      controller.render(`---\ntitle: Renamed\n---\n${LARGE}`)
+
+      const contexts = worker.postMessage.mock.calls.map(([message]) => message).filter(message => message.type === "context")
+      expect(contexts.map(context => context.pageParams)).toEqual([{ title: "Post" }, { title: "Renamed" }])
+    })
+
+    it("only queues the latest render while the worker is busy", () => {
+      controller.render(LARGE)
+      worker.reply({ type: "ready" })
+
+      controller.render(LARGE)
+      controller.render(`${LARGE}b`)
+      controller.render(`${LARGE}c`)
+      expect(renders()).toHaveLength(1)
+
+      worker.reply({ type: "rendered", id: renders()[0].id, blocks: [{ key: "old", line: 1, html: "<p>Old</p>" }] })
+
+      expect(controller.contentTarget.innerHTML).not.toContain("Old")
+      expect(renders()).toHaveLength(2)
+      expect(renders()[1].markdown).toBe(`${LARGE}c`)
+    })
+
+    it("falls back to the main thread when the worker fails", () => {
+      vi.spyOn(console, "error").mockImplementation(() => {})
+      controller.render(LARGE)
+      worker.reply({ type: "ready" })
+      controller.render("Intro\n\nChanged\n\n" + "a".repeat(50000))
+
+      worker.dispatchEvent(new ErrorEvent("error", { message: "boom" }))
+
+      expect(worker.terminate).toHaveBeenCalled()
+      expect(controller.contentTarget.textContent).toContain("Changed")
+
+      controller.render(`${LARGE}d`)
+      expect(renders()).toHaveLength(1)
+    })
+  })
+
+  describe("frontmatter card", () => {
+    const NOTE = "---\ntitle: Post\ntags: [a]\n---\n\n# Body\n\nText"
+    const card = () => controller.contentTarget.querySelector(".frontmatter-card")
+
+    beforeEach(() => {
+      controller.panelTarget.classList.remove("hidden")
+      window.t = vi.fn((key) => key)
+    })
+
+    it("renders the frontmatter as a card before the content", () => {
+      controller.render(NOTE)
+
+      expect(card().tagName).toBe("DETAILS")
+      expect(card().open).toBe(true)
+      expect(card().querySelector(".frontmatter-title").textContent).toBe("Post")
+      expect(controller.contentTarget.firstElementChild).toBe(card())
+      expect(controller.contentTarget.innerHTML).toContain("Body</h1>")
+    })
+
+    it("keeps the frontmatter line offset for scroll sync", () => {
+      controller.render(NOTE)
+
+      expect(controller.frontmatterLines).toBe(5)
+      expect(card().dataset.sourceLine).toBe("1")
+      expect(controller.contentTarget.querySelector("h1").dataset.sourceLine).toBe("6")
+    })
+
+    it("maps the content right after the frontmatter to its own lines", () => {
+      controller.render("---\ntitle: x\n---\n# Tasks\n\nText")
+
+      expect(controller.frontmatterLines).toBe(3)
+      expect(controller.contentTarget.querySelector("h1").dataset.sourceLine).toBe("4")
+    })
+
+    it("shows an error for invalid frontmatter and still renders the note", () => {
+      controller.render("---\ntitle: [oops\n---\n\n# Body")
+
+      expect(card().classList.contains("frontmatter-error")).toBe(true)
+      expect(controller.contentTarget.innerHTML).toContain("Body</h1>")
+    })
+
+    it("stays collapsed across re-renders", () => {
+      controller.render(NOTE)
+      card().querySelector("summary").click()
+      expect(card().open).toBe(false)
+
+      controller.render(NOTE + "\n\nMore")
+
+      expect(card().open).toBe(false)
+    })
+
+    it("can be turned off", () => {
+      controller.frontmatterValue = false
+      controller.render(NOTE)
+
+      expect(card()).toBeNull()
+      expect(controller.contentTarget.innerHTML).not.toContain("title: Post")
+    })
+  })
+
+  describe("renderDiagrams()", () => {
+    let mermaid
+
+    const diagram = (source) =>
+      `<div class="mermaid-diagram"><pre class="mermaid-source"><code>${source}</code></pre></div>`
+
+    const showDiagrams = (...sources) => {
+      controller.contentTarget.innerHTML = sources.map(diagram).join("")
+      controller.renderDiagrams()
+    }
+
+    const blocks = () => controller.contentTarget.querySelectorAll(".mermaid-diagram")
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+      window.t = vi.fn((key) => key)
+      mermaid = {
+        initialize: vi.fn(),
+        render: vi.fn(async (id, source) => {
+          if (source.includes("bad")) throw new Error("Parse error")
+          return { svg: `<svg data-src="${source}"></svg>` }
+        })
+      }
+      vi.spyOn(controller, "loadMermaid").mockResolvedValue(mermaid)
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it("renders diagrams after the debounce delay", async () => {
+      showDiagrams("graph A")
+
+      expect(mermaid.render).not.toHaveBeenCalled()
+      expect(blocks()[0].querySelector(".mermaid-source")).not.toBeNull()
+
+      await vi.advanceTimersByTimeAsync(500)
+
+      expect(mermaid.render).toHaveBeenCalledTimes(1)
+      expect(blocks()[0].innerHTML).toBe('<svg data-src="graph A"></svg>')
+    })
+
+    it("debounces repeated renders into one pass", async () => {
+      showDiagrams("graph A")
+      await vi.advanceTimersByTimeAsync(200)
+      showDiagrams("graph AB")
+      await vi.advanceTimersByTimeAsync(500)
+
+      expect(mermaid.render).toHaveBeenCalledTimes(1)
+      expect(mermaid.render).toHaveBeenCalledWith(expect.any(String), "graph AB")
+    })
+
+    it("fills unchanged diagrams from the cache immediately", async () => {
+      showDiagrams("graph A")
+      await vi.advanceTimersByTimeAsync(500)
+
+      showDiagrams("graph A")
+
+      expect(blocks()[0].innerHTML).toBe('<svg data-src="graph A"></svg>')
+      await vi.advanceTimersByTimeAsync(500)
+      expect(mermaid.render).toHaveBeenCalledTimes(1)
+    })
+
+    it("keeps showing the previous diagram while an edited one is pending", async () => {
+      showDiagrams("graph A")
+      await vi.advanceTimersByTimeAsync(500)
+
+      showDiagrams("graph AB")
+
+      expect(blocks()[0].innerHTML).toBe('<svg data-src="graph A"></svg>')
+      expect(blocks()[0].classList.contains("mermaid-stale")).toBe(true)
+
+      await vi.advanceTimersByTimeAsync(500)
+
+      expect(blocks()[0].innerHTML).toBe('<svg data-src="graph AB"></svg>')
+      expect(blocks()[0].classList.contains("mermaid-stale")).toBe(false)
+    })
+
+    it("shows parse errors inline", async () => {
+      showDiagrams("graph bad", "graph B")
+      await vi.advanceTimersByTimeAsync(500)
+
+      const error = blocks()[0].querySelector(".mermaid-error")
+      expect(error).not.toBeNull()
+      expect(error.textContent).toContain("preview.diagram_error")
+      expect(error.textContent).toContain("Parse error")
+      expect(blocks()[1].innerHTML).toBe('<svg data-src="graph B"></svg>')
+    })
+
+    it("re-renders diagrams when the theme changes", async () => {
+      showDiagrams("graph A")
+      await vi.advanceTimersByTimeAsync(500)
+
+      document.documentElement.setAttribute("data-theme", "nord")
+      showDiagrams("graph A")
+      await vi.advanceTimersByTimeAsync(500)
+      document.documentElement.removeAttribute("data-theme")
+
+      expect(mermaid.render).toHaveBeenCalledTimes(2)
+    })
+
+    it("drops cached diagrams that are no longer in the note", async () => {
+      showDiagrams("graph A", "graph B")
+      await vi.advanceTimersByTimeAsync(500)
+
+      showDiagrams("graph A", "graph C")
+      await vi.advanceTimersByTimeAsync(500)
+
+      expect(controller._diagramCache.size).toBe(2)
+      expect([...controller._diagramCache.keys()].some(key => key.endsWith("graph B"))).toBe(false)
+    })
+
+    it("does not load mermaid for notes without diagrams", async () => {
+      controller.contentTarget.innerHTML = "<p>Text</p>"
+      controller.renderDiagrams()
+      await vi.advanceTimersByTimeAsync(500)
+
+      expect(controller.loadMermaid).not.toHaveBeenCalled()
+    })
+
+    it("logs and leaves the source visible when mermaid fails to load", async () => {
+      controller.loadMermaid.mockRejectedValue(new Error("offline"))
+
+      showDiagrams("graph A")
+      await vi.advanceTimersByTimeAsync(500)
+
+      expect(console.error).toHaveBeenCalledWith("Failed to load mermaid:", expect.any(Error))
+      expect(blocks()[0].querySelector(".mermaid-source")).not.toBeNull()
+    })
+  })
+
+  describe("onContentClick()", () => {
+    const click = (html) => {
+      controller.contentTarget.innerHTML = html
+      const link = controller.contentTarget.querySelector("a")
+      const event = new MouseEvent("click", { bubbles: true, cancelable: true })
+      link.dispatchEvent(event)
+      return event
+    }
+
+    beforeEach(() => {
+      vi.spyOn(controller, "dispatch")
+    })
+
+    it("opens resolved wiki links in the app", () => {
+      const event = click('<a href="/notes/a.md" class="wiki-link" data-wiki-path="a.md">A</a>')
+
+      expect(event.defaultPrevented).toBe(true)
+      expect(controller.dispatch).toHaveBeenCalledWith("note-selected", { detail: { path: "a.md", heading: null } })
+    })
+
+    it("passes the heading of the link", () => {
+      click('<a href="#setup" class="wiki-link" data-wiki-current="true" data-wiki-heading="Setup">Setup</a>')
+
+      expect(controller.dispatch).toHaveBeenCalledWith("note-selected", { detail: { path: null, heading: "Setup" } })
+    })
+
+    it("ignores unresolved wiki links", () => {
+      const event = click('<a class="wiki-link wiki-link-unresolved" data-wiki-target="Nope">Nope</a>')
+
+      expect(event.defaultPrevented).toBe(true)
+      expect(controller.dispatch).not.toHaveBeenCalled()
+    })
+
+    it("leaves modifier clicks to the browser", () => {
+      controller.contentTarget.innerHTML = '<a href="/notes/a.md" class="wiki-link" data-wiki-path="a.md">A</a>'
+      const event = { target: controller.contentTarget.querySelector("a"), ctrlKey: true, button: 0, preventDefault: vi.fn() }
+
+      controller.onContentClick(event)
+
+      expect(event.preventDefault).not.toHaveBeenCalled()
+      expect(controller.dispatch).not.toHaveBeenCalled()
+    })
+
+    it("ignores regular links", () => {
+      const event = click('<a href="#footnote">x</a>')
+
+      expect(event.defaultPrevented).toBe(false)
+      expect(controller.dispatch).not.toHaveBeenCalled()
+    })
+
+    it("scrolls footnote references to their footnote inside the preview", () => {
+      controller.contentTarget.scrollTo = vi.fn()
+      const event = click('<sup class="footnote-ref"><a href="#fn-1" id="fnref-1">1</a></sup><section class="footnotes"><ol><li id="fn-1"><p>Note</p></li></ol></section>')
+
+      expect(event.defaultPrevented).toBe(true)
+      expect(controller.contentTarget.scrollTo).toHaveBeenCalledWith(expect.objectContaining({ behavior: "smooth" }))
+      expect(controller.dispatch).not.toHaveBeenCalled()
+    })
+
+    it("scrolls back-references to the footnote reference", () => {
+      controller.contentTarget.scrollTo = vi.fn()
+      controller.contentTarget.innerHTML = '<p><sup class="footnote-ref"><a href="#fn-a%20b" id="fnref-a b">1</a></sup></p><ol><li id="fn-a b"><a href="#fnref-a%20b" class="footnote-backref">↩</a></li></ol>'
+      const event = new MouseEvent("click", { bubbles: true, cancelable: true })
+      controller.contentTarget.querySelector(".footnote-backref").dispatchEvent(event)
+
+      expect(event.defaultPrevented).toBe(true)
+      expect(controller.contentTarget.scrollTo).toHaveBeenCalled()
+    })
+  })
+
+  describe("task lists", () => {
+    const TASKS = [
+      '<ul data-source-line="3">',
+      '<li><input disabled="" type="checkbox"> One</li>',
+      '<li><input checked="" disabled="" type="checkbox"> Two',
+      '<ul><li><p><input disabled="" type="checkbox"> Nested</p></li></ul></li>',
+      "</ul>",
+      '<blockquote data-source-line="8"><ul><li><input disabled="" type="checkbox"> Quoted</li></ul></blockquote>',
+      '<section class="footnotes"><ol><li id="fn-1"><input disabled="" type="checkbox"> In footnote</li></ol></section>'
+    ].join("")
+
+    const checkboxes = () => [...controller.contentTarget.querySelectorAll('input[type="checkbox"]')]
+
+    beforeEach(() => {
+      controller.contentTarget.innerHTML = TASKS
+      controller.enableTaskCheckboxes()
+      vi.spyOn(controller, "dispatch")
+    })
+
+    it("enables task checkboxes that map to a source block", () => {
+      expect(checkboxes().map(box => box.disabled)).toEqual([false, false, false, false, true])
+      expect(controller.contentTarget.querySelectorAll(".task-list-checkbox")).toHaveLength(4)
+    })
+
+    it("leaves other checkboxes alone", () => {
+      controller.contentTarget.innerHTML = '<p data-source-line="1">Agree <input type="checkbox" disabled=""></p>'
+      controller.enableTaskCheckboxes()
+
+      expect(checkboxes()[0].disabled).toBe(true)
+    })
+
+    it("enables checkboxes on render", () => {
+      const spy = vi.spyOn(controller, "enableTaskCheckboxes")
+      controller.panelTarget.classList.remove("hidden")
+
+      controller.render("# Test")
+
+      expect(spy).toHaveBeenCalled()
+    })
+
+    it("dispatches the block line, item index and new state when clicked", () => {
+      checkboxes()[2].click()
+
+      expect(checkboxes()[2].checked).toBe(true)
+      expect(controller.dispatch).toHaveBeenCalledWith("task-toggled", {
+        detail: { blockLine: 3, index: 2, checked: true }
+      })
+    })
+
+    it("counts items from the start of their own block", () => {
+      checkboxes()[3].click()
+
+      expect(controller.dispatch).toHaveBeenCalledWith("task-toggled", {
+        detail: { blockLine: 8, index: 0, checked: true }
+      })
+    })
+
+    it("reports unchecking", () => {
+      checkboxes()[1].click()
+
+      expect(controller.dispatch).toHaveBeenCalledWith("task-toggled", {
+        detail: { blockLine: 3, index: 1, checked: false }
+      })
+    })
+  })
+
+  describe("onContentDoubleClick()", () => {
+    const doubleClick = (target) => {
+      target.dispatchEvent(new MouseEvent("dblclick", { bubbles: true, cancelable: true }))
+    }
+
+    // Select a word like a double-click does
+    const selectWord = (textNode, start, end) => {
+      const range = document.createRange()
+      range.setStart(textNode, start)
+      range.setEnd(textNode, end)
+      window.getSelection().removeAllRanges()
+      window.getSelection().addRange(range)
+    }
+
+    beforeEach(() => {
+      controller.contentTarget.innerHTML = '<h1 data-source-line="1">Title</h1><p data-source-line="3">The <strong>cat</strong> and the cat</p><p data-source-line="7">End <a href="/x">link</a></p>'
+      vi.spyOn(controller, "dispatch")
+    })
+
+    afterEach(() => {
+      window.getSelection().removeAllRanges()
+    })
+
+    it("dispatches the block's lines and the selected word", () => {
+      const text = controller.contentTarget.querySelectorAll("p")[0].lastChild
+      selectWord(text, 9, 12)
+
+      doubleClick(text.parentElement)
+
+      expect(controller.dispatch).toHaveBeenCalledWith("source-selected", {
+        detail: { line: 3, endLine: 7, word: "cat", textBefore: "The cat and the " }
+      })
+    })
+
+    it("dispatches only the line when no word is selected", () => {
+      window.getSelection().removeAllRanges()
+
+      doubleClick(controller.contentTarget.querySelector("h1"))
+
+      expect(controller.dispatch).toHaveBeenCalledWith("source-selected", {
+        detail: { line: 1, endLine: 3, word: "", textBefore: "" }
+      })
+    })
+
+    it("ignores links and content outside annotated blocks", () => {
+      doubleClick(controller.contentTarget.querySelector("a"))
+      controller.contentTarget.insertAdjacentHTML("beforeend", '<section class="footnotes"><p>Note</p></section>')
+      doubleClick(controller.contentTarget.querySelector("section p"))
+
+      expect(controller.dispatch).not.toHaveBeenCalled()
+    })
   })
 
   describe("update()", () => {
@@ -298,6 +881,18 @@ describe("PreviewController", () => {
     })
   })
 
+  describe("shortcodeTemplatesValueChanged()", () => {
+    it("registers the .fed shortcode templates for rendering", async () => {
+      controller.shortcodeTemplatesValue = { notice: "<aside>{{ .Inner }}</aside>" }
+      await Promise.resolve()
+      expect(getShortcodeTemplate("notice")).toBe("<aside>{{ .Inner }}</aside>")
+
+      controller.shortcodeTemplatesValue = {}
+      await Promise.resolve()
+      expect(getShortcodeTemplate("notice")).toBeNull()
+    })
+  })
+
   describe("syncScrollRatio()", () => {
     beforeEach(() => {
       controller.panelTarget.classList.remove("hidden")
@@ -97,7 +97,7 @@ describe("RecoveryDiffController", () => {
   })
 
   describe("acceptServer()", () => {
-    it("dispatches resolved event with source server and closes dialog", () => {
+    it("dispatches resolved event with the path and source server and closes dialog", () => {
       const dialog = container.querySelector("dialog")
       const dispatchSpy = vi.spyOn(controller, "dispatch")
 
@@ -111,7 +111,7 @@ describe("RecoveryDiffController", () => {
       controller.acceptServer()
 
       expect(dispatchSpy).toHaveBeenCalledWith("resolved", {
-        detail: { source: "server" }
+        detail: { path: "test.md", source: "server" }
       })
       expect(dialog.close).toHaveBeenCalled()
     })
@@ -132,7 +132,7 @@ describe("RecoveryDiffController", () => {
       controller.acceptBackup()
 
       expect(dispatchSpy).toHaveBeenCalledWith("resolved", {
-        detail: { source: "backup", content: "my backup content" }
+        detail: { path: "test.md", source: "backup", content: "my backup content" }
       })
       expect(dialog.close).toHaveBeenCalled()
     })
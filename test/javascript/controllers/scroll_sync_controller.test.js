@@ -29,6 +29,8 @@ describe("ScrollSyncController", () => {
     getScrollRatio: vi.fn(() => 0.5),
     getScrollInfo: vi.fn(() => ({ top: 0, height: 1000, clientHeight: 500 })),
     scrollTo: vi.fn(),
+    setCursorPosition: vi.fn(),
+    focus: vi.fn(),
   }
 
   beforeEach(async () => {
@@ -256,6 +258,26 @@ describe("ScrollSyncController", () => {
     })
   })
 
+  describe("onPreviewSourceSelected()", () => {
+    beforeEach(() => {
+      mockCodemirrorController.getValue.mockReturnValue("# Hello\n\nA cat and a cat")
+    })
+
+    it("places the editor cursor on the selected word and focuses it", () => {
+      controller.onPreviewSourceSelected({ detail: { line: 3, endLine: null, word: "cat", textBefore: "A cat and a " } })
+
+      expect(mockCodemirrorController.setCursorPosition).toHaveBeenCalledWith(3, 13)
+      expect(mockCodemirrorController.focus).toHaveBeenCalled()
+    })
+
+    it("keeps the preview from syncing back to the editor", () => {
+      controller.onPreviewSourceSelected({ detail: { line: 1, endLine: 3, word: "", textBefore: "" } })
+
+      expect(mockCodemirrorController.setCursorPosition).toHaveBeenCalledWith(1, 1)
+      expect(controller._scrollSource).toBe("preview")
+    })
+  })
+
   describe("onTypewriterToggled()", () => {
     it("tracks typewriter mode state", () => {
       controller.onTypewriterToggled({ detail: { enabled: true } })
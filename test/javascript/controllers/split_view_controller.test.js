@@ -0,0 +1,202 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
+import { Application } from "@hotwired/stimulus"
+import { undo } from "@codemirror/commands"
+import SplitViewController from "../../../app/javascript/controllers/split_view_controller.js"
+import CodemirrorController from "../../../app/javascript/controllers/codemirror_controller.js"
+import AutosaveController from "../../../app/javascript/controllers/autosave_controller.js"
+import { NOTE_DRAG_TYPE } from "../../../app/javascript/lib/note_drag.js"
+
+describe("SplitViewController", () => {
+  let application, controller, element, main, pane, autosave
+
+  const jsonResponse = (data) => ({ ok: true, json: () => Promise.resolve(data) })
+
+  const type = (codemirror, text) => {
+    const view = codemirror.getEditorView()
+    view.dispatch({ changes: { from: view.state.doc.length, insert: text }, userEvent: "input.type" })
+  }
+
+  const dragEvent = (name, types, data = {}) => {
+    const event = new Event(name, { bubbles: true, cancelable: true })
+    event.dataTransfer = { types, getData: (key) => data[key] ?? "", dropEffect: "none" }
+    return event
+  }
+
+  beforeEach(async () => {
+    window.t = vi.fn((key) => key)
+    global.fetch = vi.fn().mockResolvedValue(jsonResponse({ content: "Other note" }))
+
+    document.body.innerHTML = `
+      <div id="main" data-controller="codemirror" data-codemirror-content-value="Main note">
+        <div data-codemirror-target="container"></div>
+      </div>
+      <div id="pane" class="hidden"
+           data-controller="split-view codemirror autosave"
+           data-action="codemirror:change->split-view#onEditorChange dragover->split-view#onDragOver:capture drop->split-view#onDrop:capture">
+        <span class="hidden" data-split-view-target="linkedIcon"></span>
+        <span data-split-view-target="title"></span>
+        <span class="hidden" data-autosave-target="saveStatus"></span>
+        <div data-codemirror-target="container"></div>
+      </div>
+    `
+
+    element = document.getElementById("pane")
+    application = Application.start()
+    application.register("codemirror", CodemirrorController)
+    application.register("autosave", AutosaveController)
+    application.register("split-view", SplitViewController)
+
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    controller = application.getControllerForElementAndIdentifier(element, "split-view")
+    main = application.getControllerForElementAndIdentifier(document.getElementById("main"), "codemirror")
+    pane = controller.getCodemirrorController()
+    autosave = controller.getAutosaveController()
+    autosave.getCodemirrorController = () => pane
+  })
+
+  afterEach(() => {
+    // Pending saves of the pane's autosave
+    clearTimeout(autosave.saveTimeout)
+    clearTimeout(autosave.saveMaxIntervalTimeout)
+    application.stop()
+    document.body.innerHTML = ""
+    vi.restoreAllMocks()
+  })
+
+  describe("link()", () => {
+    it("shows the main editor's note, with edits made in both editors", () => {
+      controller.link("notes/draft.md", main)
+
+      expect(element.classList.contains("hidden")).toBe(false)
+      expect(controller.targets.find("title").textContent).toBe("draft")
+      expect(controller.targets.find("linkedIcon").classList.contains("hidden")).toBe(false)
+      expect(pane.getValue()).toBe("Main note")
+
+      type(pane, " from the pane")
+      expect(main.getValue()).toBe("Main note from the pane")
+
+      type(main, ", and the main editor")
+      expect(pane.getValue()).toBe("Main note from the pane, and the main editor")
+    })
+
+    it("leaves saving to the main editor", () => {
+      controller.link("notes/draft.md", main)
+      type(pane, "!")
+
+      expect(autosave.currentFile).toBeNull()
+      expect(autosave.hasUnsavedChanges).toBe(false)
+    })
+
+    it("undoes only the pane's own edits", () => {
+      controller.link("notes/draft.md", main)
+      type(main, " one")
+      type(pane, " two")
+
+      undo(pane.getEditorView())
+      expect(main.getValue()).toBe("Main note one")
+    })
+  })
+
+  describe("open()", () => {
+    it("loads a note of its own, saved by the pane's autosave", async () => {
+      await controller.open("other.md")
+
+      expect(global.fetch.mock.calls[0][0]).toBe("/notes/other.md")
+      expect(pane.getValue()).toBe("Other note")
+      expect(controller.linked).toBe(false)
+      expect(autosave.currentFile).toBe("other.md")
+
+      type(pane, "!")
+      expect(autosave.hasUnsavedChanges).toBe(true)
+      expect(main.getValue()).toBe("Main note")
+    })
+
+    it("carries on with unsaved changes handed over by the main editor", async () => {
+      await controller.open("other.md", { content: "Edited", lastSavedContent: "Saved", hasUnsavedChanges: true })
+
+      expect(global.fetch).not.toHaveBeenCalled()
+      expect(pane.getValue()).toBe("Edited")
+      expect(autosave._lastSavedContent).toBe("Saved")
+      expect(autosave.hasUnsavedChanges).toBe(true)
+    })
+
+    it("unlinks the main editor", async () => {
+      controller.link("notes/draft.md", main)
+      await controller.open("other.md")
+
+      type(main, "!")
+      expect(pane.getValue()).toBe("Other note")
+    })
+  })
+
+  describe("release()", () => {
+    it("hands the pane's own note over and stays on it", async () => {
+      await controller.open("other.md")
+      type(pane, "!")
+
+      expect(controller.release("notes/draft.md")).toBeNull()
+      expect(controller.release("other.md")).toEqual({ content: "Other note!", lastSavedContent: "Other note", hasUnsavedChanges: true })
+      expect(controller.linked).toBe(true)
+      expect(autosave.currentFile).toBeNull()
+    })
+  })
+
+  describe("close()", () => {
+    it("saves the pane's own note and hides the pane", async () => {
+      await controller.open("other.md")
+      type(pane, "!")
+
+      controller.close()
+
+      expect(element.classList.contains("hidden")).toBe(true)
+      expect(controller.isOpen).toBe(false)
+      expect(global.fetch).toHaveBeenLastCalledWith("/notes/other.md", expect.objectContaining({ method: "PATCH" }))
+    })
+
+    it("does not save deleted notes", async () => {
+      await controller.open("other.md")
+      type(pane, "!")
+
+      controller.close({ save: false })
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe("rename()", () => {
+    it("follows a renamed folder", async () => {
+      await controller.open("notes/other.md")
+
+      controller.rename("notes", "archive")
+
+      expect(controller.path).toBe("archive/other.md")
+      expect(autosave.currentFile).toBe("archive/other.md")
+      expect(controller.targets.find("title").title).toBe("archive/other.md")
+    })
+  })
+
+  describe("dropping notes", () => {
+    it("asks to open a note dropped on the pane", () => {
+      const handler = vi.fn()
+      element.addEventListener("split-view:open-requested", handler)
+
+      const over = dragEvent("dragover", [NOTE_DRAG_TYPE])
+      pane.editor.contentDOM.dispatchEvent(over)
+      pane.editor.contentDOM.dispatchEvent(dragEvent("drop", [NOTE_DRAG_TYPE], { [NOTE_DRAG_TYPE]: "ideas.md" }))
+
+      expect(over.defaultPrevented).toBe(true)
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(handler.mock.calls[0][0].detail.path).toBe("ideas.md")
+    })
+
+    it("leaves other drops to the editor", () => {
+      const handler = vi.fn()
+      element.addEventListener("split-view:open-requested", handler)
+
+      pane.editor.contentDOM.dispatchEvent(dragEvent("drop", ["text/plain"], { "text/plain": "text" }))
+      expect(handler).not.toHaveBeenCalled()
+    })
+  })
+})
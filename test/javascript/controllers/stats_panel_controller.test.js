@@ -16,6 +16,9 @@ describe("StatsPanelController", () => {
           <span data-stats-panel-target="chars">0</span>
           <span data-stats-panel-target="size">0 B</span>
           <span data-stats-panel-target="readTime">0 min</span>
+          <div data-stats-panel-target="vimModeRow" class="hidden">
+            <span data-stats-panel-target="vimMode"></span>
+          </div>
         </div>
       </div>
     `
@@ -151,6 +154,22 @@ describe("StatsPanelController", () => {
     })
   })
 
+  describe("updateVimMode()", () => {
+    it("shows the mode label", () => {
+      controller.updateVimMode("visual_line")
+
+      expect(controller.vimModeRowTarget.classList.contains("hidden")).toBe(false)
+      expect(controller.vimModeTarget.textContent).toBe("V-LINE")
+    })
+
+    it("hides the row when Vim mode is off", () => {
+      controller.updateVimMode("insert")
+      controller.updateVimMode(null)
+
+      expect(controller.vimModeRowTarget.classList.contains("hidden")).toBe(true)
+    })
+  })
+
   describe("disconnect()", () => {
     it("clears update timeout", () => {
       controller.scheduleUpdate("test")
@@ -0,0 +1,197 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
+import { Application } from "@hotwired/stimulus"
+import TabsController from "../../../app/javascript/controllers/tabs_controller.js"
+
+describe("TabsController", () => {
+  let application, controller, element
+
+  const start = async () => {
+    document.body.innerHTML = `
+      <div data-controller="tabs" class="hidden">
+        <div data-tabs-target="list"></div>
+      </div>
+    `
+    element = document.querySelector('[data-controller="tabs"]')
+    application = Application.start()
+    application.register("tabs", TabsController)
+
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    controller = application.getControllerForElementAndIdentifier(element, "tabs")
+  }
+
+  const tabNames = () => [...element.querySelectorAll('[role="tab"]')].map(tab => tab.textContent.trim())
+  const tab = (path) => element.querySelector(`[role="tab"][data-path="${path}"]`)
+
+  beforeEach(async () => {
+    window.t = vi.fn((key) => key)
+    localStorage.clear()
+    await start()
+  })
+
+  afterEach(() => {
+    application.stop()
+    localStorage.clear()
+    vi.restoreAllMocks()
+  })
+
+  describe("open()", () => {
+    it("shows the strip with the file name as the tab label", () => {
+      expect(element.classList.contains("hidden")).toBe(true)
+
+      controller.open("notes/draft.md")
+
+      expect(element.classList.contains("hidden")).toBe(false)
+      expect(tabNames()).toEqual(["draft"])
+      expect(tab("notes/draft.md").getAttribute("aria-selected")).toBe("true")
+      expect(tab("notes/draft.md").title).toBe("notes/draft.md")
+    })
+
+    it("adds new tabs next to the active one", () => {
+      controller.open("a.md")
+      controller.open("b.md")
+      controller.activate("a.md")
+      controller.open("c.md")
+
+      expect(controller.paths).toEqual(["a.md", "c.md", "b.md"])
+    })
+
+    it("activates a tab that is already open", () => {
+      controller.open("a.md")
+      controller.open("b.md")
+      controller.open("a.md")
+
+      expect(controller.paths).toEqual(["a.md", "b.md"])
+      expect(controller.activePath).toBe("a.md")
+    })
+  })
+
+  describe("remove()", () => {
+    it("returns the tab to show when the active tab is closed", () => {
+      controller.open("a.md")
+      controller.open("b.md")
+      controller.open("c.md")
+      controller.activate("b.md")
+
+      expect(controller.remove("b.md")).toBe("c.md")
+      expect(controller.remove("c.md")).toBe(null)
+      controller.activate("a.md")
+      expect(controller.remove("a.md")).toBe(null)
+      expect(element.classList.contains("hidden")).toBe(true)
+    })
+
+    it("falls back to the previous tab when the last one is closed", () => {
+      controller.open("a.md")
+      controller.open("b.md")
+
+      expect(controller.remove("b.md")).toBe("a.md")
+    })
+  })
+
+  describe("rename()", () => {
+    it("follows a renamed file, keeping its place and status", () => {
+      controller.open("a.md")
+      controller.open("b.md")
+      controller.setStatus("a.md", "unsaved")
+
+      controller.rename("a.md", "docs/a.md")
+
+      expect(controller.paths).toEqual(["docs/a.md", "b.md"])
+      expect(tab("docs/a.md").querySelector('[data-status="unsaved"]')).not.toBeNull()
+    })
+  })
+
+  describe("setStatus()", () => {
+    it("marks unsaved, saving and failed tabs", () => {
+      controller.open("a.md")
+
+      controller.setStatus("a.md", "unsaved")
+      expect(tab("a.md").querySelector('[data-status="unsaved"]')).not.toBeNull()
+
+      controller.setStatus("a.md", "saving")
+      expect(tab("a.md").querySelector('[data-status="saving"]').className).toContain("animate-pulse")
+
+      controller.setStatus("a.md", "error")
+      expect(tab("a.md").querySelector('[data-status="error"]')).not.toBeNull()
+
+      controller.setStatus("a.md", "saved")
+      expect(tab("a.md").querySelector("[data-status]")).toBeNull()
+    })
+
+    it("ignores files without a tab", () => {
+      controller.setStatus("a.md", "unsaved")
+      expect(controller.statuses.size).toBe(0)
+    })
+  })
+
+  describe("events", () => {
+    it("dispatches selected for other tabs only", async () => {
+      const handler = vi.fn()
+      element.addEventListener("tabs:selected", handler)
+      controller.open("a.md")
+      controller.open("b.md")
+      await Promise.resolve()
+
+      tab("b.md").click()
+      tab("a.md").click()
+
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(handler.mock.calls[0][0].detail.path).toBe("a.md")
+    })
+
+    it("dispatches close from the close button and middle click", async () => {
+      const closeHandler = vi.fn()
+      const selectHandler = vi.fn()
+      element.addEventListener("tabs:close", closeHandler)
+      element.addEventListener("tabs:selected", selectHandler)
+      controller.open("a.md")
+      controller.open("b.md")
+      await Promise.resolve()
+
+      tab("a.md").querySelector("button").click()
+      tab("b.md").dispatchEvent(new MouseEvent("auxclick", { button: 1, bubbles: true }))
+
+      expect(closeHandler.mock.calls.map(([event]) => event.detail.path)).toEqual(["a.md", "b.md"])
+      expect(selectHandler).not.toHaveBeenCalled()
+    })
+  })
+
+  describe("reordering", () => {
+    it("moves a dragged tab to the drop target's place", () => {
+      controller.open("a.md")
+      controller.open("b.md")
+      controller.open("c.md")
+
+      controller.onDragStart({ currentTarget: tab("c.md"), dataTransfer: { setData: vi.fn() } })
+      controller.onDrop({ currentTarget: tab("a.md"), preventDefault: vi.fn() })
+
+      expect(controller.paths).toEqual(["c.md", "a.md", "b.md"])
+    })
+  })
+
+  describe("persistence", () => {
+    it("keeps the tab order across reloads", async () => {
+      controller.open("a.md")
+      controller.open("b.md")
+      controller.remove("a.md")
+      controller.open("c.md")
+      application.stop()
+
+      await start()
+
+      expect(controller.paths).toEqual(["b.md", "c.md"])
+      expect(controller.activePath).toBeNull()
+    })
+
+    it("ignores invalid saved tabs", async () => {
+      localStorage.setItem(TabsController.STORAGE_KEY, "{not json")
+      application.stop()
+
+      await start()
+
+      expect(controller.paths).toEqual([])
+    })
+  })
+})
@@ -37,8 +37,8 @@ describe("TextFormatController", () => {
   })
 
   describe("static formats", () => {
-    it("has 7 format options", () => {
-      expect(TextFormatController.formats).toHaveLength(7)
+    it("has 13 format options", () => {
+      expect(TextFormatController.formats).toHaveLength(13)
     })
 
     it("includes bold format", () => {
@@ -96,6 +96,14 @@ describe("TextFormatController", () => {
       expect(link.suffix).toBe("](url)")
       expect(link.hotkey).toBe("L")
     })
+
+    it("includes a block format for each callout type", () => {
+      const callouts = TextFormatController.formats.filter(f => f.block)
+      expect(callouts.map(f => f.id)).toEqual(["note", "tip", "important", "warning", "caution"])
+      expect(callouts.map(f => f.prefix)).toEqual([
+        "> [!NOTE]\n", "> [!TIP]\n", "> [!IMPORTANT]\n", "> [!WARNING]\n", "> [!CAUTION]\n"
+      ])
+    })
   })
 
   describe("connect()", () => {
@@ -136,7 +144,7 @@ describe("TextFormatController", () => {
       controller.open(selectionData, 100, 100)
 
       const buttons = controller.menuTarget.querySelectorAll("button")
-      expect(buttons).toHaveLength(7)
+      expect(buttons).toHaveLength(13)
     })
 
     it("does not open if no selection data provided", () => {
@@ -179,7 +187,7 @@ describe("TextFormatController", () => {
 
     it("renders a button for each format", () => {
       const buttons = controller.menuTarget.querySelectorAll("button")
-      expect(buttons).toHaveLength(7)
+      expect(buttons).toHaveLength(13)
     })
 
     it("highlights selected item with accent color", () => {
@@ -194,7 +202,7 @@ describe("TextFormatController", () => {
       const buttons = controller.menuTarget.querySelectorAll("button")
       const hotkeys = Array.from(buttons).map(b => b.querySelector("span:last-child").textContent)
 
-      expect(hotkeys).toEqual(["B", "I", "S", "H", "U", "P", "L"])
+      expect(hotkeys).toEqual(["B", "I", "S", "H", "U", "P", "L", "F", "N", "T", "M", "W", "C"])
     })
 
     it("underlines hotkey character in label", () => {
@@ -244,7 +252,7 @@ describe("TextFormatController", () => {
     })
 
     it("ArrowDown wraps to top", () => {
-      controller.selectedIndex = 6
+      controller.selectedIndex = 12
       controller.renderMenu()
 
       const event = new KeyboardEvent("keydown", { key: "ArrowDown" })
@@ -269,7 +277,7 @@ describe("TextFormatController", () => {
       const event = new KeyboardEvent("keydown", { key: "ArrowUp" })
       controller.onMenuKeydown(event)
 
-      expect(controller.selectedIndex).toBe(6)
+      expect(controller.selectedIndex).toBe(12)
     })
 
     it("Enter applies selected format", () => {
@@ -787,6 +795,129 @@ describe("TextFormatController", () => {
     })
   })
 
+  describe("callout formats", () => {
+    let mockCm
+
+    beforeEach(() => {
+      mockCm = {
+        getValue: vi.fn(() => "First line\nSecond line\n\nAfter"),
+        replaceRange: vi.fn(),
+        setSelection: vi.fn(),
+        focus: vi.fn()
+      }
+    })
+
+    it("quotes each selected line under the callout marker", () => {
+      const format = controller.getFormat("warning")
+      const selectionData = { start: 0, end: 22, text: "First line\nSecond line" }
+
+      controller.applyFormatToEditor(format, selectionData, mockCm)
+
+      const expected = "> [!WARNING]\n> First line\n> Second line"
+      expect(mockCm.replaceRange).toHaveBeenCalledWith(expected, 0, 22)
+      expect(mockCm.setSelection).toHaveBeenCalledWith(expected.length, expected.length)
+    })
+
+    it("keeps blank lines inside the callout", () => {
+      const format = controller.getFormat("note")
+      const selectionData = { start: 0, end: 29, text: "First line\nSecond line\n\nAfter" }
+
+      controller.applyFormatToEditor(format, selectionData, mockCm)
+
+      expect(mockCm.replaceRange).toHaveBeenCalledWith("> [!NOTE]\n> First line\n> Second line\n>\n> After", 0, 29)
+    })
+
+    it("moves a mid-line selection onto its own lines", () => {
+      const format = controller.getFormat("tip")
+      const selectionData = { start: 6, end: 10, text: "line" }
+      mockCm.getValue.mockReturnValue("First line rest")
+
+      controller.applyFormatToEditor(format, selectionData, mockCm)
+
+      expect(mockCm.replaceRange).toHaveBeenCalledWith("\n\n> [!TIP]\n> line\n\n", 6, 10)
+      expect(mockCm.setSelection).toHaveBeenCalledWith(6 + 17, 6 + 17)
+    })
+
+    it("inserts an empty callout into a textarea without a selection", () => {
+      const textarea = document.createElement("textarea")
+      textarea.value = ""
+      document.body.appendChild(textarea)
+
+      const result = controller.applyFormatById("caution", textarea)
+
+      expect(result).toBe(true)
+      expect(textarea.value).toBe("> [!CAUTION]\n> ")
+      expect(textarea.selectionStart).toBe(textarea.value.length)
+      textarea.remove()
+    })
+
+    it("applies from the menu hotkey", () => {
+      controller._getCodemirrorController = () => mockCm
+      controller.open({ start: 0, end: 10, text: "First line" }, 100, 100)
+
+      controller.onMenuKeydown(new KeyboardEvent("keydown", { key: "m" }))
+
+      expect(mockCm.replaceRange).toHaveBeenCalledWith("> [!IMPORTANT]\n> First line", 0, 10)
+      expect(controller.menuTarget.classList.contains("hidden")).toBe(true)
+    })
+  })
+
+  describe("insertFootnote()", () => {
+    let mockCm
+    let doc
+
+    beforeEach(() => {
+      doc = "Some text.\n"
+      mockCm = {
+        getValue: vi.fn(() => doc),
+        getSelection: vi.fn(() => ({ from: 9, to: 9, text: "" })),
+        replaceRange: vi.fn((text, from, to) => { doc = doc.slice(0, from) + text + doc.slice(to) }),
+        setSelection: vi.fn(),
+        focus: vi.fn()
+      }
+    })
+
+    it("inserts the reference at the cursor and the definition at the end", () => {
+      const result = controller.insertFootnote(mockCm)
+
+      expect(result).toBe(true)
+      expect(doc).toBe("Some text[^1].\n\n[^1]: ")
+      expect(mockCm.setSelection).toHaveBeenCalledWith(doc.length, doc.length)
+      expect(mockCm.focus).toHaveBeenCalled()
+    })
+
+    it("uses the next free id and groups definitions", () => {
+      doc = "One[^1] two.\n\n[^1]: First\n"
+      mockCm.getSelection.mockReturnValue({ from: 11, to: 11, text: "" })
+
+      controller.insertFootnote(mockCm)
+
+      expect(doc).toBe("One[^1] two[^2].\n\n[^1]: First\n[^2]: ")
+    })
+
+    it("works at the end of the note", () => {
+      doc = "End"
+      mockCm.getSelection.mockReturnValue({ from: 3, to: 3, text: "" })
+
+      controller.insertFootnote(mockCm)
+
+      expect(doc).toBe("End[^1]\n\n[^1]: ")
+    })
+
+    it("references the selection from the format menu", () => {
+      controller._getCodemirrorController = () => mockCm
+      controller.open({ start: 0, end: 4, text: "Some" }, 100, 100)
+
+      controller.onMenuKeydown(new KeyboardEvent("keydown", { key: "f" }))
+
+      expect(doc).toBe("Some[^1] text.\n\n[^1]: ")
+    })
+
+    it("returns false without an editor", () => {
+      expect(controller.insertFootnote(null)).toBe(false)
+    })
+  })
+
   describe("onContextMenu()", () => {
     let mockCm
 
@@ -0,0 +1,58 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from "vitest"
+import { EditorState } from "@codemirror/state"
+import { LanguageDescription, LanguageSupport, ensureSyntaxTree } from "@codemirror/language"
+import { markdown, markdownLanguage } from "@codemirror/lang-markdown"
+import { highlightTree, classHighlighter } from "@lezer/highlight"
+import { codeLanguages } from "../../../app/javascript/lib/code_languages.js"
+
+const match = (info) => LanguageDescription.matchLanguageName(codeLanguages, info, true)
+
+// Highlight classes in a note, once the language of its code block has loaded
+async function highlightClasses(doc) {
+  await match(doc.match(/^```(\S+)/m)[1]).load()
+
+  const state = EditorState.create({ doc, extensions: [markdown({ base: markdownLanguage, codeLanguages })] })
+  const classes = new Set()
+  highlightTree(ensureSyntaxTree(state, state.doc.length, 5000), classHighlighter, (from, to, names) => {
+    names.split(" ").forEach(name => classes.add(name))
+  })
+  return classes
+}
+
+describe("code_languages", () => {
+  it("matches fenced code info strings by name and alias", () => {
+    expect(match("ruby").name).toBe("Ruby")
+    expect(match("rb").name).toBe("Ruby")
+    expect(match("bash").name).toBe("Shell")
+    expect(match("yml").name).toBe("YAML")
+    expect(match("JSON").name).toBe("JSON")
+    expect(match("c++").name).toBe("C++")
+    expect(match("python title=app.py").name).toBe("Python")
+    expect(match("brainfuck")).toBeNull()
+  })
+
+  it("starts with no parser loaded", () => {
+    expect(codeLanguages.filter(language => language.support).map(language => language.name)).toEqual([])
+  })
+
+  it("loads each language as a LanguageSupport", async () => {
+    for (const info of ["js", "tsx", "css", "html", "json", "python", "yaml", "sql", "postgres", "ruby", "sh", "toml", "go", "java", "diff", "dockerfile"]) {
+      expect(await match(info).load(), info).toBeInstanceOf(LanguageSupport)
+    }
+  })
+
+  it("parses fenced code with the block's language", async () => {
+    const classes = await highlightClasses("# Title\n\n```python\ndef hello():\n    return 'hi'\n```\n")
+    expect(classes.has("tok-keyword")).toBe(true)
+    expect(classes.has("tok-string")).toBe(true)
+  })
+
+  it("parses legacy modes as stream languages", async () => {
+    const classes = await highlightClasses("```ruby\nclass Greeter\n  def hi = \"hi\"\nend\n```\n")
+    expect(classes.has("tok-keyword")).toBe(true)
+    expect(classes.has("tok-string")).toBe(true)
+  })
+})
@@ -5,7 +5,8 @@ import {
   insertImage,
   insertTable,
   insertCodeBlock,
-  insertVideoEmbed
+  insertVideoEmbed,
+  videoFileEmbedCode
 } from "lib/codemirror_content_insertion"
 
 describe("codemirror_content_insertion", () => {
@@ -291,4 +292,17 @@ describe("codemirror_content_insertion", () => {
       expect(mockController.insertAt).toHaveBeenCalledWith(4, "\n\n{{< youtube abc123 >}}")
     })
   })
+
+  describe("videoFileEmbedCode", () => {
+    it("embeds the video with the type of its extension", () => {
+      expect(videoFileEmbedCode("images/clip.WEBM?v=1")).toBe(`<video controls class="video-player">
+  <source src="images/clip.WEBM?v=1" type="video/webm">
+  Your browser does not support the video tag.
+</video>`)
+    })
+
+    it("falls back to mp4 and escapes the URL", () => {
+      expect(videoFileEmbedCode("a\"b")).toContain('<source src="a&quot;b" type="video/mp4">')
+    })
+  })
 })
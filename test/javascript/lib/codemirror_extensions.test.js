@@ -2,14 +2,18 @@
  * @vitest-environment jsdom
  */
 import { describe, it, expect, vi } from "vitest"
+import { EditorState } from "@codemirror/state"
+import { EditorView } from "@codemirror/view"
 import {
   createExtensions,
   createLineNumbers,
+  createMarkdownLint,
   createReadOnlyExtensions,
   LINE_NUMBER_MODES,
   themeCompartment,
   lineNumbersCompartment,
-  readOnlyCompartment
+  readOnlyCompartment,
+  lintCompartment
 } from "../../../app/javascript/lib/codemirror_extensions.js"
 
 describe("codemirror_extensions", () => {
@@ -77,6 +81,19 @@ describe("codemirror_extensions", () => {
       expect(extensionsOn).toBeDefined()
     })
 
+    it("shows the fold gutter next to the line numbers, in every mode", () => {
+      for (const mode of Object.values(LINE_NUMBER_MODES)) {
+        const view = new EditorView({
+          state: EditorState.create({ doc: "# Title\nText", extensions: createExtensions({ lineNumberMode: mode }) }),
+          parent: document.body
+        })
+        const gutters = [...view.dom.querySelectorAll(".cm-gutter")].map(gutter => gutter.classList[1])
+
+        expect(gutters).toEqual(mode === LINE_NUMBER_MODES.OFF ? ["cm-foldGutter"] : ["cm-lineNumbers", "cm-foldGutter"])
+        view.destroy()
+      }
+    })
+
     it("accepts onUpdate callback", () => {
       const onUpdate = vi.fn()
       const extensions = createExtensions({ onUpdate })
@@ -111,6 +128,18 @@ describe("codemirror_extensions", () => {
     })
   })
 
+  describe("createMarkdownLint()", () => {
+    it("returns empty array without a note", () => {
+      expect(createMarkdownLint(null)).toEqual([])
+    })
+
+    it("returns the linter for a note", () => {
+      const result = createMarkdownLint("notes/a.md")
+      expect(result).toBeDefined()
+      expect(result).not.toEqual([])
+    })
+  })
+
   describe("compartments", () => {
     it("exports themeCompartment", () => {
       expect(themeCompartment).toBeDefined()
@@ -126,5 +155,10 @@ describe("codemirror_extensions", () => {
       expect(readOnlyCompartment).toBeDefined()
       expect(typeof readOnlyCompartment.of).toBe("function")
     })
+
+    it("exports lintCompartment", () => {
+      expect(lintCompartment).toBeDefined()
+      expect(typeof lintCompartment.of).toBe("function")
+    })
   })
 })
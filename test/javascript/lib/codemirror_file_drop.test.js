@@ -0,0 +1,145 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
+import { EditorState } from "@codemirror/state"
+import { EditorView } from "@codemirror/view"
+import { uploadPlaceholders } from "../../../app/javascript/lib/codemirror_uploads.js"
+import { NOTE_DRAG_TYPE } from "../../../app/javascript/lib/note_drag.js"
+import {
+  droppedFileKind,
+  uploadDroppedFile,
+  markdownFileDrop
+} from "../../../app/javascript/lib/codemirror_file_drop.js"
+
+describe("codemirror_file_drop", () => {
+  let view, requests
+
+  // Records requests and answers them with the next response
+  class FakeXHR {
+    constructor() {
+      this.headers = {}
+      this.upload = {}
+      requests.push(this)
+    }
+
+    open(method, url) { this.url = url }
+    setRequestHeader(name, value) { this.headers[name] = value }
+
+    send(body) {
+      this.body = body
+      const { status, response } = FakeXHR.responses.shift()
+      queueMicrotask(() => {
+        this.upload.onprogress?.({ lengthComputable: true, loaded: 1, total: 4 })
+        this.status = status
+        this.response = response
+        this.onload()
+      })
+    }
+  }
+
+  const respond = (...responses) => { FakeXHR.responses = responses }
+
+  const drop = (dataTransfer) => {
+    const event = new Event("drop", { bubbles: true, cancelable: true })
+    event.dataTransfer = dataTransfer
+    view.contentDOM.dispatchEvent(event)
+    return event
+  }
+
+  beforeEach(() => {
+    requests = []
+    vi.stubGlobal("XMLHttpRequest", FakeXHR)
+    global.fetch = vi.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ s3_enabled: false }) }))
+    window.t = vi.fn(key => key)
+  })
+
+  afterEach(() => {
+    view?.destroy()
+    view = null
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it("droppedFileKind() tells images and videos from attachments", () => {
+    expect(droppedFileKind(new File([""], "Photo.JPG"))).toBe("image")
+    expect(droppedFileKind(new File([""], "clip.webm"))).toBe("video")
+    expect(droppedFileKind(new File([""], "report.pdf"))).toBe("attachment")
+    expect(droppedFileKind(new File([""], "README"))).toBe("attachment")
+  })
+
+  describe("uploadDroppedFile", () => {
+    it("uploads images with the resize ratio, linked relative to the note", async () => {
+      respond({ status: 200, response: { url: "images/1_cat [1].png" } })
+      const onProgress = vi.fn()
+
+      const markdown = await uploadDroppedFile(new File(["x"], "cat [1].png"), onProgress, { notePath: "pets/cats.md", resize: "0.5" })
+
+      expect(markdown).toBe("![cat \\[1\\]](../images/1_cat%20%5B1%5D.png)")
+      expect(requests[0].url).toBe("/images/upload")
+      expect(requests[0].body.get("resize")).toBe("0.5")
+      expect(requests[0].body.get("upload_to_s3")).toBeNull()
+      expect(onProgress).toHaveBeenCalledWith(0.25)
+    })
+
+    it("embeds videos, never resized", async () => {
+      respond({ status: 200, response: { url: "images/1_clip.mov" } })
+
+      const markdown = await uploadDroppedFile(new File(["x"], "clip.mov"), () => {}, { notePath: "a.md", resize: "0.5" })
+
+      expect(markdown).toContain('<source src="images/1_clip.mov" type="video/quicktime">')
+      expect(requests[0].body.get("resize")).toBeNull()
+    })
+
+    it("saves other files next to the note and links them", async () => {
+      respond({ status: 201, response: { path: "projects/plan.pdf" } })
+
+      const markdown = await uploadDroppedFile(new File(["x"], "plan.pdf"), () => {}, { notePath: "projects/My Plan.md" })
+
+      expect(markdown).toBe("[plan.pdf](plan.pdf)")
+      expect(requests[0].url).toBe("/notes/projects/My%20Plan.md/attachments")
+    })
+
+    it("rejects with the server's error, and attachments without a note", async () => {
+      respond({ status: 422, response: { error: "Note not found" } })
+
+      await expect(uploadDroppedFile(new File(["x"], "a.zip"), () => {}, { notePath: "gone.md" })).rejects.toThrow("Note not found")
+      await expect(uploadDroppedFile(new File(["x"], "a.zip"), () => {}, {})).rejects.toThrow("editor.upload.needs_note")
+    })
+  })
+
+  describe("dropping", () => {
+    const createView = (doc, upload) => {
+      view = new EditorView({
+        state: EditorState.create({
+          doc,
+          selection: { anchor: doc.length },
+          extensions: [uploadPlaceholders(), markdownFileDrop({ upload })]
+        }),
+        parent: document.body
+      })
+      vi.spyOn(view, "posAtCoords").mockReturnValue(null)
+    }
+
+    it("uploads dropped files and inserts them", async () => {
+      const upload = vi.fn(async file => `[${file.name}](${file.name})`)
+      createView("Files:", upload)
+
+      const event = drop({ types: ["Files"], files: [new File(["x"], "a.pdf")] })
+
+      expect(event.defaultPrevented).toBe(true)
+      await vi.waitFor(() => expect(view.state.doc.toString()).toBe("Files:\n[a.pdf](a.pdf)"))
+      expect(upload).toHaveBeenCalledWith(expect.any(File), expect.any(Function))
+    })
+
+    it("leaves notes dragged from the tree to the app", () => {
+      const upload = vi.fn()
+      createView("", upload)
+
+      const event = drop({ types: [NOTE_DRAG_TYPE], files: [], getData: () => "" })
+
+      expect(upload).not.toHaveBeenCalled()
+      expect(event.defaultPrevented).toBe(false)
+    })
+  })
+})
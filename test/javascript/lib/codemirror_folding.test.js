@@ -0,0 +1,144 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, afterEach } from "vitest"
+import { EditorState } from "@codemirror/state"
+import { EditorView } from "@codemirror/view"
+import { markdown, markdownLanguage } from "@codemirror/lang-markdown"
+import { foldable, foldAll, unfoldAll, foldEffect, ensureSyntaxTree } from "@codemirror/language"
+import {
+  FOLD_STORAGE_PREFIX,
+  frontmatterRange,
+  foldToLevel,
+  foldedLines,
+  restoreFolds,
+  foldPersistence,
+  markdownFolding
+} from "../../../app/javascript/lib/codemirror_folding.js"
+
+const NOTE = [
+  "---",          // 1
+  "title: Plan",  // 2
+  "---",          // 3
+  "# Intro",      // 4
+  "Text",         // 5
+  "## Details",   // 6
+  "More",         // 7
+  "### Deep",     // 8
+  "Deeper",       // 9
+  "## Other",     // 10
+  "```js",        // 11
+  "code()",       // 12
+  "```",          // 13
+  "# Next",       // 14
+  "- a",          // 15
+  "- b",          // 16
+  "  - b1",       // 17
+  "- c",          // 18
+  "- d"           // 19
+].join("\n")
+
+describe("codemirror_folding", () => {
+  let view
+
+  const createView = (doc, notePath = null) => {
+    view = new EditorView({
+      state: EditorState.create({
+        doc,
+        extensions: [markdown({ base: markdownLanguage }), markdownFolding(), foldPersistence(notePath)]
+      }),
+      parent: document.body
+    })
+    ensureSyntaxTree(view.state, view.state.doc.length, 1000)
+    return view
+  }
+
+  // Fold range starting on a line, as line numbers
+  const foldAt = (number) => {
+    const { state } = view
+    const line = state.doc.line(number)
+    const range = foldable(state, line.from, line.to)
+    return range && [state.doc.lineAt(range.from).number, state.doc.lineAt(range.to).number]
+  }
+
+  beforeEach(() => localStorage.clear())
+
+  afterEach(() => {
+    view?.destroy()
+    view = null
+  })
+
+  it("folds headings up to the next heading of the same or a higher level", () => {
+    createView(NOTE)
+
+    expect(foldAt(4)).toEqual([4, 13])
+    expect(foldAt(6)).toEqual([6, 9])
+    expect(foldAt(8)).toEqual([8, 9])
+    expect(foldAt(14)).toEqual([14, 19])
+  })
+
+  it("folds frontmatter, fenced code, long lists and items with nested content", () => {
+    createView(NOTE)
+
+    expect(foldAt(1)).toEqual([1, 3])
+    expect(foldAt(11)).toEqual([11, 13])
+    expect(foldAt(15)).toEqual([15, 19])
+    expect(foldAt(16)).toEqual([16, 17])
+  })
+
+  it("leaves short lists and a lone delimiter alone", () => {
+    createView("---\n- a\n- b\n- c")
+
+    expect(frontmatterRange(view.state)).toBeNull()
+    expect(foldAt(2)).toBeNull()
+  })
+
+  it("folds to a heading level", () => {
+    createView(NOTE)
+
+    expect(foldToLevel(view, 2)).toBe(true)
+    expect(foldedLines(view.state)).toEqual([[6, 9], [10, 13]])
+
+    foldToLevel(view, 1)
+    expect(foldedLines(view.state)).toEqual([[4, 13], [14, 19]])
+
+    expect(foldToLevel(view, 6)).toBe(false)
+  })
+
+  it("folds and unfolds everything", () => {
+    createView(NOTE)
+
+    foldAll(view)
+    expect(foldedLines(view.state)).toEqual([[1, 3], [4, 13], [14, 19]])
+
+    unfoldAll(view)
+    expect(foldedLines(view.state)).toEqual([])
+  })
+
+  it("remembers a note's folds, moved by edits", () => {
+    createView(NOTE, "plan.md")
+    foldToLevel(view, 1)
+    expect(JSON.parse(localStorage.getItem(`${FOLD_STORAGE_PREFIX}plan.md`))).toEqual([[4, 13], [14, 19]])
+
+    view.dispatch({ changes: { from: 0, insert: "\n" } })
+    expect(JSON.parse(localStorage.getItem(`${FOLD_STORAGE_PREFIX}plan.md`))).toEqual([[5, 14], [15, 20]])
+
+    unfoldAll(view)
+    expect(localStorage.getItem(`${FOLD_STORAGE_PREFIX}plan.md`)).toBeNull()
+  })
+
+  it("restores a note's folds, dropping the ones past its end", () => {
+    localStorage.setItem(`${FOLD_STORAGE_PREFIX}plan.md`, JSON.stringify([[6, 9], [14, 40], "bad"]))
+    createView(NOTE)
+
+    restoreFolds(view, "plan.md")
+    expect(foldedLines(view.state)).toEqual([[6, 9]])
+  })
+
+  it("doesn't save folds of files that aren't notes", () => {
+    createView(NOTE)
+    view.dispatch({ effects: foldEffect.of({ from: view.state.doc.line(4).to, to: view.state.doc.line(13).to }) })
+
+    expect(localStorage.length).toBe(0)
+  })
+})
@@ -0,0 +1,71 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, afterEach } from "vitest"
+import { EditorState } from "@codemirror/state"
+import { EditorView } from "@codemirror/view"
+import { history, undo } from "@codemirror/commands"
+import {
+  linkCompartment,
+  createLinkExtension,
+  linkEditors,
+  unlinkEditor
+} from "../../../app/javascript/lib/codemirror_link.js"
+
+describe("codemirror_link", () => {
+  let a, b
+
+  const createView = (doc) => new EditorView({
+    state: EditorState.create({ doc, extensions: [history(), linkCompartment.of([])] }),
+    parent: document.body
+  })
+
+  const insert = (view, from, text) => view.dispatch({ changes: { from, insert: text } })
+
+  beforeEach(() => {
+    a = createView("one two")
+    b = createView("one two")
+  })
+
+  afterEach(() => {
+    a.destroy()
+    b.destroy()
+  })
+
+  it("createLinkExtension returns empty array without an editor", () => {
+    expect(createLinkExtension(null)).toEqual([])
+  })
+
+  it("replays changes in the linked editor, both ways", () => {
+    linkEditors(a, b)
+
+    insert(a, 0, "zero ")
+    expect(b.state.doc.toString()).toBe("zero one two")
+
+    insert(b, b.state.doc.length, " three")
+    expect(a.state.doc.toString()).toBe("zero one two three")
+  })
+
+  it("leaves replayed changes out of the undo history", () => {
+    linkEditors(a, b)
+    insert(a, 0, "zero ")
+    insert(b, b.state.doc.length, " three")
+
+    undo(b)
+    expect(b.state.doc.toString()).toBe("zero one two")
+    expect(a.state.doc.toString()).toBe("zero one two")
+
+    expect(undo(b)).toBe(false)
+    undo(a)
+    expect(a.state.doc.toString()).toBe("one two")
+    expect(b.state.doc.toString()).toBe("one two")
+  })
+
+  it("stops replaying once unlinked", () => {
+    linkEditors(a, b)
+    unlinkEditor(a)
+
+    insert(a, 0, "zero ")
+    expect(b.state.doc.toString()).toBe("one two")
+  })
+})
@@ -0,0 +1,178 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
+import { EditorState } from "@codemirror/state"
+import { EditorView } from "@codemirror/view"
+import { markdown, markdownLanguage } from "@codemirror/lang-markdown"
+import { uploadPlaceholders } from "../../../app/javascript/lib/codemirror_uploads.js"
+import {
+  pastedImages,
+  pastedMarkdown,
+  pasteImages,
+  pasteAsPlainText,
+  uploadPastedImage,
+  markdownPaste
+} from "../../../app/javascript/lib/codemirror_paste.js"
+
+describe("codemirror_paste", () => {
+  let view, upload
+
+  // "|" marks the cursor
+  const createView = (text) => {
+    view = new EditorView({
+      state: EditorState.create({
+        doc: text.replace("|", ""),
+        selection: { anchor: Math.max(text.indexOf("|"), 0) },
+        extensions: [markdown({ base: markdownLanguage }), uploadPlaceholders(), markdownPaste({ upload })]
+      }),
+      parent: document.body
+    })
+    return view
+  }
+
+  const clipboard = (data, files = []) => ({
+    types: Object.keys(data),
+    files,
+    getData: (type) => data[type] || ""
+  })
+
+  const paste = (data) => {
+    const event = new Event("paste", { bubbles: true, cancelable: true })
+    event.clipboardData = data
+    view.contentDOM.dispatchEvent(event)
+    return event
+  }
+
+  const screenshot = () => new File(["png"], "image.png", { type: "image/png" })
+
+  beforeEach(() => {
+    upload = vi.fn().mockResolvedValue("images/20261019_pasted_1.png")
+    vi.spyOn(console, "error").mockImplementation(() => {})
+    window.t = vi.fn((key, options = {}) => {
+      if (key === "editor.upload.uploading") return `Uploading ${options.name}...`
+      if (key === "errors.upload_failed") return "Upload failed"
+      return key
+    })
+  })
+
+  afterEach(() => {
+    view?.destroy()
+    view = null
+    vi.restoreAllMocks()
+  })
+
+  describe("pastedImages", () => {
+    it("takes images pasted on their own", () => {
+      const image = screenshot()
+      const pdf = new File(["pdf"], "a.pdf", { type: "application/pdf" })
+
+      expect(pastedImages(clipboard({}, [image, pdf]))).toEqual([image])
+    })
+
+    it("leaves the picture Office apps paste next to their text", () => {
+      expect(pastedImages(clipboard({ "text/plain": "cells" }, [screenshot()]))).toEqual([])
+    })
+  })
+
+  describe("pastedMarkdown", () => {
+    it("converts HTML", () => {
+      const state = createView("|").state
+      expect(pastedMarkdown(state, clipboard({ "text/html": "<h2>Hi</h2>", "text/plain": "Hi" }))).toBe("## Hi")
+    })
+
+    it("leaves plain text, code editor copies and code blocks to the plain text", () => {
+      const state = createView("```\n|\n```").state
+      const html = clipboard({ "text/html": "<b>x</b>", "text/plain": "x" })
+
+      expect(pastedMarkdown(state, html)).toBeNull()
+      expect(pastedMarkdown(EditorState.create(), clipboard({ "text/plain": "x" }))).toBeNull()
+      expect(pastedMarkdown(EditorState.create(), clipboard({ "text/html": "<b>x</b>", "vscode-editor-data": "{}" }))).toBeNull()
+    })
+  })
+
+  describe("pasting", () => {
+    it("inserts HTML as markdown at the cursor", () => {
+      createView("Before | after")
+      const event = paste(clipboard({ "text/html": "<ul><li><a href=\"https://a.io\">A</a></li></ul>", "text/plain": "A" }))
+
+      expect(event.defaultPrevented).toBe(true)
+      expect(view.state.doc.toString()).toBe("Before - [A](https://a.io) after")
+    })
+
+    it("leaves plain text to CodeMirror", () => {
+      createView("|")
+      paste(clipboard({ "text/plain": "*text*" }))
+      expect(view.state.doc.toString()).toBe("*text*")
+    })
+
+    it("uploads a pasted image and inserts it where the cursor was", async () => {
+      createView("Look: |")
+      paste(clipboard({}, [screenshot()]))
+
+      expect(view.state.doc.toString()).toBe("Look: ")
+      expect(view.contentDOM.querySelector(".cm-upload-placeholder").textContent).toBe("Uploading image.png...")
+      await vi.waitFor(() => expect(view.state.doc.toString()).toBe("Look: \n![image](images/20261019_pasted_1.png)"))
+      expect(view.contentDOM.querySelector(".cm-upload-placeholder")).toBeNull()
+      expect(upload).toHaveBeenCalledWith(expect.any(File))
+    })
+  })
+
+  describe("pasteImages", () => {
+    it("keeps the image in place when text is typed meanwhile", async () => {
+      createView("|")
+      let finish
+      upload.mockReturnValue(new Promise(resolve => { finish = resolve }))
+
+      const done = pasteImages(view, [screenshot()], { upload })
+      view.dispatch({ changes: { from: 0, insert: "Intro\n" } })
+      finish("images/a.png")
+      await done
+
+      expect(view.state.doc.toString()).toBe("Intro\n![image](images/a.png)")
+    })
+
+    it("removes the placeholder when the upload fails", async () => {
+      createView("|")
+      const alert = vi.spyOn(window, "alert").mockImplementation(() => {})
+      upload.mockRejectedValue(new Error("Disk full"))
+
+      await pasteImages(view, [screenshot()], { upload })
+
+      expect(view.state.doc.toString()).toBe("")
+      expect(alert).toHaveBeenCalledWith("Upload failed: Disk full")
+    })
+
+    it("links local uploads relative to the note", async () => {
+      createView("|")
+      await pasteImages(view, [screenshot()], { notePath: "journal/today.md", upload })
+
+      expect(view.state.doc.toString()).toBe("![image](../images/20261019_pasted_1.png)")
+    })
+  })
+
+  describe("uploadPastedImage", () => {
+    it("posts the image as base64, to S3 when it is configured", async () => {
+      global.fetch = vi.fn((url) => Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve(url === "/images/config" ? { s3_enabled: true } : { url: "https://bucket/x.png" })
+      }))
+
+      const url = await uploadPastedImage(screenshot())
+
+      expect(url).toBe("https://bucket/x.png")
+      const [, request] = global.fetch.mock.calls.find(([path]) => path === "/images/upload_base64")
+      expect(JSON.parse(request.body)).toMatchObject({ data: btoa("png"), mime_type: "image/png", upload_to_s3: true })
+    })
+  })
+
+  describe("pasteAsPlainText", () => {
+    it("inserts the clipboard text unconverted", async () => {
+      createView("|")
+      Object.defineProperty(navigator, "clipboard", { value: { readText: () => Promise.resolve("<b>raw</b>") }, configurable: true })
+
+      expect(pasteAsPlainText(view)).toBe(true)
+      await vi.waitFor(() => expect(view.state.doc.toString()).toBe("<b>raw</b>"))
+    })
+  })
+})
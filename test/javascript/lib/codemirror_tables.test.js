@@ -0,0 +1,234 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, afterEach } from "vitest"
+import { EditorState } from "@codemirror/state"
+import { EditorView } from "@codemirror/view"
+import { history, undo } from "@codemirror/commands"
+import { markdown, markdownLanguage } from "@codemirror/lang-markdown"
+import {
+  splitTableRow,
+  readTable,
+  nextCell,
+  previousCell,
+  enterInTable,
+  insertRowAbove,
+  insertRowBelow,
+  deleteTableRow,
+  insertColumnLeft,
+  insertColumnRight,
+  deleteTableColumn,
+  markdownTables
+} from "../../../app/javascript/lib/codemirror_tables.js"
+
+describe("codemirror_tables", () => {
+  let view
+
+  // "|" can't mark the cursor in a table: "^" does
+  const createView = (text, extensions = []) => {
+    view = new EditorView({
+      state: EditorState.create({
+        doc: text.replace("^", ""),
+        selection: { anchor: Math.max(text.indexOf("^"), 0) },
+        extensions: [markdown({ base: markdownLanguage }), history(), markdownTables(), extensions]
+      }),
+      parent: document.body
+    })
+    return view
+  }
+
+  const content = () => {
+    const doc = view.state.doc.toString()
+    const head = view.state.selection.main.head
+    return doc.slice(0, head) + "^" + doc.slice(head)
+  }
+
+  afterEach(() => {
+    view?.destroy()
+    view = null
+  })
+
+  describe("splitTableRow", () => {
+    it("splits at unescaped pipes", () => {
+      expect(splitTableRow("| a | b \\| c |").map(cell => cell.text)).toEqual(["a", "b \\| c"])
+    })
+
+    it("takes a row without its closing pipe", () => {
+      expect(splitTableRow("| a | b").map(cell => cell.text)).toEqual(["a", "b"])
+    })
+  })
+
+  describe("readTable", () => {
+    it("reads rows and alignments", () => {
+      const state = EditorState.create({ doc: "Intro\n\n| A | B |\n|:--|--:|\n| 1 | 2 |\n\nAfter" })
+
+      expect(readTable(state, 12)).toMatchObject({
+        from: 7,
+        firstLine: 3,
+        rows: [["A", "B"], ["1", "2"]],
+        alignments: ["left", "right"]
+      })
+      expect(readTable(state, 2)).toBeNull()
+    })
+
+    it("ignores pipes without a separator row, and in code", () => {
+      expect(readTable(EditorState.create({ doc: "| a |\n| b |" }), 1)).toBeNull()
+
+      const code = EditorState.create({ doc: "```\n| a |\n| - |\n```", extensions: markdown({ base: markdownLanguage }) })
+      expect(readTable(code, 5)).toBeNull()
+    })
+  })
+
+  describe("moving between cells", () => {
+    it("aligns the table and moves to the next cell with Tab", () => {
+      createView("| Name | Qty |\n|---|---|\n| Apple^ | 3 |")
+      nextCell(view)
+
+      expect(content()).toBe("| Name  | Qty |\n| ----- | --- |\n| Apple | ^3   |")
+    })
+
+    it("adds a row after the last cell", () => {
+      createView("| A | B |\n|---|---|\n| 1 | 2^ |")
+      nextCell(view)
+
+      expect(content()).toBe("| A   | B   |\n| --- | --- |\n| 1   | 2   |\n| ^    |     |")
+    })
+
+    it("goes back with Shift-Tab, across rows", () => {
+      createView("| A | B |\n|---|---|\n| ^1 | 2 |")
+      previousCell(view)
+
+      expect(content()).toBe("| A   | ^B   |\n| --- | --- |\n| 1   | 2   |")
+    })
+
+    it("aligns by display width", () => {
+      createView("| 名前 | 絵 |\n|---|---|\n| 太郎^ | 😀 |")
+      nextCell(view)
+
+      expect(view.state.doc.toString()).toBe("| 名前 | 絵  |\n| ---- | --- |\n| 太郎 | 😀  |")
+    })
+
+    it("keeps alignments and escaped pipes", () => {
+      createView("| A | B |\n|:-:|--:|\n| a\\|b^ | 1 |")
+      nextCell(view)
+
+      expect(view.state.doc.toString()).toBe("|  A   |   B |\n| :--: | --: |\n| a\\|b |   1 |")
+    })
+
+    it("leaves Tab outside tables to the default binding", () => {
+      expect(nextCell(createView("text^"))).toBe(false)
+    })
+  })
+
+  describe("enterInTable", () => {
+    it("adds a row below in the same column", () => {
+      createView("| A | B |\n|---|---|\n| 1 | 2^ |\n| 3 | 4 |")
+      enterInTable(view)
+
+      expect(content()).toBe("| A   | B   |\n| --- | --- |\n| 1   | 2   |\n|     | ^    |\n| 3   | 4   |")
+    })
+
+    it("adds the row under the separator from the header", () => {
+      createView("| A^ | B |\n|---|---|\n| 1 | 2 |")
+      enterInTable(view)
+
+      expect(view.state.doc.line(3).text).toBe("|     |     |")
+    })
+
+    it("leaves the table from an empty last row", () => {
+      createView("| A | B |\n|---|---|\n|  ^ |   |")
+      enterInTable(view)
+
+      expect(content()).toBe("| A | B |\n|---|---|\n^")
+    })
+
+    it("leaves the start of a row to the default Enter", () => {
+      expect(enterInTable(createView("| A | B |\n|---|---|\n^| 1 | 2 |"))).toBe(false)
+    })
+  })
+
+  describe("row and column commands", () => {
+    const table = "| A | B |\n|---|---|\n| 1 | 2^ |\n| 3 | 4 |"
+
+    it("inserts rows above and below", () => {
+      createView(table)
+      insertRowAbove(view)
+      expect(view.state.doc.line(3).text).toBe("|     |     |")
+
+      view.destroy()
+      createView(table)
+      insertRowBelow(view)
+      expect(view.state.doc.line(4).text).toBe("|     |     |")
+    })
+
+    it("deletes the cursor's row, but not the header", () => {
+      createView(table)
+      deleteTableRow(view)
+      expect(view.state.doc.toString()).toBe("| A   | B   |\n| --- | --- |\n| 3   | 4   |")
+
+      view.destroy()
+      expect(deleteTableRow(createView("| A^ | B |\n|---|---|"))).toBe(false)
+    })
+
+    it("inserts columns left and right", () => {
+      createView(table)
+      insertColumnLeft(view)
+      expect(content()).toBe("| A   |     | B   |\n| --- | --- | --- |\n| 1   | ^    | 2   |\n| 3   |     | 4   |")
+
+      view.destroy()
+      createView(table)
+      insertColumnRight(view)
+      expect(view.state.doc.line(1).text).toBe("| A   | B   |     |")
+    })
+
+    it("deletes the cursor's column", () => {
+      createView(table)
+      deleteTableColumn(view)
+      expect(view.state.doc.toString()).toBe("| A   |\n| --- |\n| 1   |\n| 3   |")
+    })
+
+    it("undoes a command in one step", () => {
+      createView(table)
+      insertColumnRight(view)
+      undo(view)
+      expect(view.state.doc.toString()).toBe(table.replace("^", ""))
+    })
+  })
+
+  describe("aligning on cell exit", () => {
+    it("aligns the table when the cursor leaves a cell, keeping it where it went", () => {
+      createView("| A | B |\n|---|---|\n| long text^ | 2 |")
+      view.dispatch({ selection: { anchor: view.state.doc.length - 2 } })
+
+      expect(content()).toBe("| A         | B   |\n| --------- | --- |\n| long text | 2^   |")
+    })
+
+    it("aligns the table when the cursor leaves it", () => {
+      createView("Intro\n\n| A | B |\n|---|---|\n| 1^ | 2 |")
+      view.dispatch({ selection: { anchor: 0 } })
+
+      expect(content()).toBe("^Intro\n\n| A   | B   |\n| --- | --- |\n| 1   | 2   |")
+    })
+
+    it("leaves the table alone while the cursor stays in the cell", () => {
+      createView("| A | B |\n|---|---|\n| 1^ | 2 |")
+      view.dispatch({ selection: { anchor: view.state.selection.main.head - 1 } })
+
+      expect(view.state.doc.toString()).toBe("| A | B |\n|---|---|\n| 1 | 2 |")
+    })
+
+    it("leaves read-only notes alone", () => {
+      createView("| A | B |\n|---|---|\n| long text^ | 2 |", EditorState.readOnly.of(true))
+      view.dispatch({ selection: { anchor: 0 } })
+
+      expect(content()).toBe("^| A | B |\n|---|---|\n| long text | 2 |")
+    })
+
+    it("leaves selections alone", () => {
+      createView("| A | B |\n|---|---|\n| 1^ | 2 |")
+      view.dispatch({ selection: { anchor: 2, head: view.state.doc.length } })
+
+      expect(view.state.doc.toString()).toBe("| A | B |\n|---|---|\n| 1 | 2 |")
+    })
+  })
+})
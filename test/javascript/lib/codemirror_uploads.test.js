@@ -0,0 +1,128 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
+import { EditorState } from "@codemirror/state"
+import { EditorView } from "@codemirror/view"
+import {
+  startUpload,
+  updateUploadProgress,
+  finishUpload,
+  applyFinishedUploads,
+  uploadPosition,
+  uploadFiles,
+  noteFileUrl,
+  uploadPlaceholders
+} from "../../../app/javascript/lib/codemirror_uploads.js"
+
+describe("codemirror_uploads", () => {
+  let view
+
+  const createView = (doc) => {
+    view = new EditorView({
+      state: EditorState.create({ doc, extensions: [uploadPlaceholders()] }),
+      parent: document.body
+    })
+    return view
+  }
+
+  const placeholder = () => view.contentDOM.querySelector(".cm-upload-placeholder")
+
+  beforeEach(() => {
+    window.t = vi.fn((key, options = {}) => {
+      if (key === "editor.upload.uploading") return `Uploading ${options.name}...`
+      if (key === "errors.upload_failed") return "Upload failed"
+      return key
+    })
+  })
+
+  afterEach(() => {
+    view?.destroy()
+    view = null
+    vi.restoreAllMocks()
+  })
+
+  it("shows a placeholder with the upload's progress, outside the document", () => {
+    createView("Text")
+    const id = startUpload(view, 4, "photo.png")
+
+    expect(view.state.doc.toString()).toBe("Text")
+    expect(placeholder().textContent).toBe("Uploading photo.png...")
+    expect(placeholder().querySelector(".cm-upload-progress-pending")).not.toBeNull()
+
+    updateUploadProgress(view, id, 0.42)
+    expect(placeholder().querySelector(".cm-upload-progress span").style.width).toBe("42%")
+    expect(uploadPosition(view.state, id)).toBe(4)
+  })
+
+  it("moves the placeholder with edits made during the upload", () => {
+    createView("ab")
+    const id = startUpload(view, 1, "a.pdf")
+
+    view.dispatch({ changes: { from: 0, insert: "123" } })
+    expect(uploadPosition(view.state, id)).toBe(4)
+  })
+
+  it("inserts the file on a line of its own, blocks between blank lines", () => {
+    createView("before after")
+    finishUpload(view, startUpload(view, 7, "a.png"), "![a](a.png)")
+    expect(view.state.doc.toString()).toBe("before \n![a](a.png)\nafter")
+
+    view.dispatch({ changes: { from: 0, to: view.state.doc.length, insert: "one\ntwo" } })
+    finishUpload(view, startUpload(view, 3, "v.mp4"), "<video>\n</video>")
+    expect(view.state.doc.toString()).toBe("one\n\n<video>\n</video>\n\ntwo")
+    expect(placeholder()).toBeNull()
+  })
+
+  it("does nothing for uploads whose placeholder is gone", () => {
+    createView("")
+    const id = startUpload(view, 0, "a.png")
+    finishUpload(view, id, "")
+    finishUpload(view, id, "![a](a.png)")
+
+    expect(view.state.doc.toString()).toBe("")
+    expect(uploadPosition(view.state, id)).toBeNull()
+  })
+
+  it("applies uploads that finished while their document was away", () => {
+    createView("ab")
+    const done = startUpload(view, 1, "a.png")
+    const failed = startUpload(view, 2, "b.png")
+    const saved = view.state
+    view.setState(EditorState.create({ doc: "other", extensions: [uploadPlaceholders()] }))
+
+    finishUpload(view, done, "![a](a.png)")
+    finishUpload(view, failed, "")
+    applyFinishedUploads(view)
+    expect(view.state.doc.toString()).toBe("other")
+
+    view.setState(saved)
+    applyFinishedUploads(view)
+    expect(view.state.doc.toString()).toBe("a\n![a](a.png)\nb")
+    expect(placeholder()).toBeNull()
+  })
+
+  it("uploadFiles() reports failed uploads and inserts the others", async () => {
+    createView("")
+    vi.spyOn(console, "error").mockImplementation(() => {})
+    const alert = vi.spyOn(window, "alert").mockImplementation(() => {})
+    const files = [new File(["a"], "a.png"), new File(["b"], "b.png")]
+
+    await uploadFiles(view, 0, files, async (file, onProgress) => {
+      onProgress(0.5)
+      if (file.name === "b.png") throw new Error("Too big")
+      return "![a](a.png)"
+    })
+
+    expect(view.state.doc.toString()).toBe("![a](a.png)")
+    expect(alert).toHaveBeenCalledWith("Upload failed: Too big")
+    expect(placeholder()).toBeNull()
+  })
+
+  it("noteFileUrl() makes local uploads relative to the note", () => {
+    expect(noteFileUrl("images/a.png", "notes/day.md")).toBe("../images/a.png")
+    expect(noteFileUrl("images/a.png", "day.md")).toBe("images/a.png")
+    expect(noteFileUrl("https://bucket/a.png", "notes/day.md")).toBe("https://bucket/a.png")
+    expect(noteFileUrl("images/a.png", null)).toBe("images/a.png")
+  })
+})
@@ -0,0 +1,141 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
+import { EditorState } from "@codemirror/state"
+import { EditorView } from "@codemirror/view"
+import { Vim, getCM } from "@replit/codemirror-vim"
+import {
+  vimCompartment,
+  createVimExtension,
+  toggleVim,
+  isVimEnabled,
+  vimModeName,
+  VIM_MODE_LABELS
+} from "../../../app/javascript/lib/codemirror_vim.js"
+
+describe("codemirror_vim", () => {
+  let view, handlers, documentKeydown
+
+  const createView = (enabled) => {
+    view = new EditorView({
+      state: EditorState.create({
+        doc: "hello world\nsecond line",
+        extensions: [vimCompartment.of(createVimExtension(enabled, handlers))]
+      }),
+      parent: document.body
+    })
+  }
+
+  const keydown = (key, options = {}) => {
+    const event = new KeyboardEvent("keydown", { key, bubbles: true, cancelable: true, ...options })
+    view.contentDOM.dispatchEvent(event)
+    return event
+  }
+
+  beforeEach(() => {
+    handlers = { onWrite: vi.fn(), onModeChange: vi.fn() }
+    documentKeydown = vi.fn()
+    document.addEventListener("keydown", documentKeydown)
+  })
+
+  afterEach(() => {
+    document.removeEventListener("keydown", documentKeydown)
+    view?.destroy()
+    view = null
+  })
+
+  describe("vimModeName()", () => {
+    it("names visual sub-modes", () => {
+      expect(vimModeName({ mode: "visual", subMode: "" })).toBe("visual")
+      expect(vimModeName({ mode: "visual", subMode: "linewise" })).toBe("visual_line")
+      expect(vimModeName({ mode: "visual", subMode: "blockwise" })).toBe("visual_block")
+    })
+
+    it("falls back to normal for unknown modes", () => {
+      expect(vimModeName({ mode: "insert" })).toBe("insert")
+      expect(vimModeName({ mode: "something" })).toBe("normal")
+    })
+
+    it("has a label for every mode", () => {
+      expect(VIM_MODE_LABELS.insert).toBe("INSERT")
+      expect(VIM_MODE_LABELS.visual_line).toBe("V-LINE")
+    })
+  })
+
+  describe("createVimExtension()", () => {
+    it("returns empty array when disabled", () => {
+      expect(createVimExtension(false)).toEqual([])
+    })
+
+    it("starts in normal mode", () => {
+      createView(true)
+
+      expect(isVimEnabled(view)).toBe(true)
+      expect(handlers.onModeChange).toHaveBeenCalledWith("normal")
+    })
+
+    it("reports insert and visual modes", () => {
+      createView(true)
+      const cm = getCM(view)
+
+      Vim.handleKey(cm, "i", "user")
+      expect(handlers.onModeChange).toHaveBeenLastCalledWith("insert")
+
+      Vim.handleKey(cm, "<Esc>", "user")
+      Vim.handleKey(cm, "V", "user")
+      expect(handlers.onModeChange).toHaveBeenLastCalledWith("visual_line")
+    })
+
+    it("calls onWrite for :w", () => {
+      createView(true)
+
+      Vim.handleEx(getCM(view), "w")
+      expect(handlers.onWrite).toHaveBeenCalledTimes(1)
+    })
+
+    it("handles normal mode keys itself", () => {
+      createView(true)
+
+      keydown("x")
+      expect(view.state.doc.toString()).toBe("ello world\nsecond line")
+      expect(documentKeydown).not.toHaveBeenCalled()
+    })
+
+    it("lets global Ctrl shortcuts through to the app", () => {
+      createView(true)
+
+      const vimKey = vi.spyOn(Vim, "multiSelectHandleKey")
+
+      // Ctrl+F would scroll a page down in Vim
+      const event = keydown("f", { ctrlKey: true })
+      expect(documentKeydown).toHaveBeenCalledWith(event)
+      expect(vimKey).not.toHaveBeenCalled()
+      vimKey.mockRestore()
+    })
+
+    it("leaves insert mode on Escape without stopping it", () => {
+      createView(true)
+      Vim.handleKey(getCM(view), "i", "user")
+
+      keydown("Escape")
+      expect(handlers.onModeChange).toHaveBeenLastCalledWith("normal")
+      expect(documentKeydown).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe("toggleVim()", () => {
+    it("turns Vim mode on and off, clearing the mode", () => {
+      createView(false)
+      expect(isVimEnabled(view)).toBe(false)
+
+      toggleVim(view, true, handlers)
+      expect(isVimEnabled(view)).toBe(true)
+      expect(handlers.onModeChange).toHaveBeenLastCalledWith("normal")
+
+      toggleVim(view, false, handlers)
+      expect(isVimEnabled(view)).toBe(false)
+      expect(handlers.onModeChange).toHaveBeenLastCalledWith(null)
+    })
+  })
+})
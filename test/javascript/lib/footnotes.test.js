@@ -0,0 +1,152 @@
+import { describe, it, expect } from "vitest"
+import {
+  collectFootnotes,
+  footnoteRefNumbers,
+  footnoteElementId,
+  renderFootnoteSection,
+  nextFootnoteId,
+  buildFootnoteInsertion
+} from "../../../app/javascript/lib/footnotes.js"
+
+const ref = (id) => ({ type: "footnoteRef", raw: `[^${id}]`, id })
+const paragraph = (...tokens) => ({ type: "paragraph", tokens })
+const definition = (id, text) => ({ type: "footnoteDefinition", id, tokens: [{ type: "paragraph", text }] })
+
+// Stands in for marked.parser
+const parse = (tokens) => tokens.map(token => `<p>${token.text}</p>\n`).join("")
+
+describe("footnotes", () => {
+  describe("collectFootnotes", () => {
+    it("numbers footnotes by their first reference, not their definition order", () => {
+      const tokens = [
+        paragraph(ref("b"), ref("a")),
+        definition("a", "First defined"),
+        definition("b", "Second defined")
+      ]
+
+      const footnotes = collectFootnotes(tokens)
+
+      expect(footnotes.map(f => [f.id, f.number])).toEqual([["b", 1], ["a", 2]])
+      expect(tokens[0].tokens.map(t => t.number)).toEqual([1, 2])
+    })
+
+    it("counts repeated references and marks each occurrence", () => {
+      const tokens = [paragraph(ref("n"), ref("n")), definition("n", "Note")]
+
+      const [footnote] = collectFootnotes(tokens)
+
+      expect(footnote.refCount).toBe(2)
+      expect(tokens[0].tokens.map(t => t.occurrence)).toEqual([1, 2])
+    })
+
+    it("finds references in lists and tables", () => {
+      const tokens = [
+        { type: "list", items: [{ type: "list_item", tokens: [paragraph(ref("x"))] }] },
+        { type: "table", header: [{ text: "h", header: true, tokens: [ref("y")] }], rows: [[{ text: "c", header: false, tokens: [ref("x")] }]] },
+        definition("x", "X"),
+        definition("y", "Y")
+      ]
+
+      expect(collectFootnotes(tokens).map(f => [f.id, f.refCount])).toEqual([["x", 2], ["y", 1]])
+    })
+
+    it("leaves references without a definition unnumbered", () => {
+      const tokens = [paragraph(ref("missing"))]
+
+      expect(collectFootnotes(tokens)).toEqual([])
+      expect(tokens[0].tokens[0].number).toBeUndefined()
+    })
+
+    it("omits definitions that are never referenced and keeps the first duplicate", () => {
+      const tokens = [paragraph(ref("a")), definition("a", "First"), definition("a", "Second"), definition("unused", "Unused")]
+
+      const footnotes = collectFootnotes(tokens)
+
+      expect(footnotes).toHaveLength(1)
+      expect(footnotes[0].tokens[0].text).toBe("First")
+    })
+  })
+
+  describe("footnoteRefNumbers", () => {
+    it("lists the numbers given to the references in a token", () => {
+      const tokens = [paragraph(ref("a")), paragraph(ref("b"), ref("a"), ref("missing")), definition("a", "A"), definition("b", "B")]
+      collectFootnotes(tokens)
+
+      expect(footnoteRefNumbers(tokens[0])).toBe("1.1")
+      expect(footnoteRefNumbers(tokens[1])).toBe("2.1,1.2")
+      expect(footnoteRefNumbers(tokens[2])).toBe("")
+    })
+  })
+
+  describe("footnoteElementId", () => {
+    it("builds ids for footnotes and their references", () => {
+      expect(footnoteElementId("1")).toBe("fn-1")
+      expect(footnoteElementId("1", 1)).toBe("fnref-1")
+      expect(footnoteElementId("1", 3)).toBe("fnref-1-3")
+    })
+  })
+
+  describe("renderFootnoteSection", () => {
+    it("renders nothing without footnotes", () => {
+      expect(renderFootnoteSection([], parse)).toBe("")
+    })
+
+    it("renders a numbered list with back-references in the last paragraph", () => {
+      const html = renderFootnoteSection([
+        { id: "a", number: 1, refCount: 2, tokens: [{ text: "Note" }] }
+      ], parse)
+
+      expect(html).toContain('<section class="footnotes">')
+      expect(html).toContain('<li id="fn-a">')
+      expect(html).toContain('<p>Note <a href="#fnref-a" class="footnote-backref">↩</a> <a href="#fnref-a-2" class="footnote-backref">↩<sup>2</sup></a></p>')
+    })
+
+    it("adds a paragraph for back-references after non-paragraph content", () => {
+      const html = renderFootnoteSection([
+        { id: "c", number: 1, refCount: 1, tokens: [] }
+      ], () => "<pre><code>x</code></pre>\n")
+
+      expect(html).toContain('</pre>\n<p><a href="#fnref-c" class="footnote-backref">↩</a></p>')
+    })
+
+    it("escapes ids", () => {
+      const html = renderFootnoteSection([
+        { id: 'q"x', number: 1, refCount: 1, tokens: [{ text: "Q" }] }
+      ], parse)
+
+      expect(html).toContain('<li id="fn-q&quot;x">')
+      expect(html).toContain('href="#fnref-q%22x"')
+    })
+  })
+
+  describe("nextFootnoteId", () => {
+    it("starts at 1", () => {
+      expect(nextFootnoteId("No footnotes here")).toBe("1")
+    })
+
+    it("returns one past the highest numeric id", () => {
+      expect(nextFootnoteId("A[^1] b[^3] c[^note]\n\n[^1]: x\n[^3]: y\n[^note]: z")).toBe("4")
+    })
+
+    it("counts definitions without references", () => {
+      expect(nextFootnoteId("[^7]: orphan")).toBe("8")
+    })
+  })
+
+  describe("buildFootnoteInsertion", () => {
+    it("separates the first definition from the note body", () => {
+      expect(buildFootnoteInsertion("Text")).toEqual({ id: "1", reference: "[^1]", definition: "\n\n[^1]: " })
+      expect(buildFootnoteInsertion("Text\n").definition).toBe("\n[^1]: ")
+      expect(buildFootnoteInsertion("Text\n\n").definition).toBe("[^1]: ")
+    })
+
+    it("appends directly after existing definitions", () => {
+      expect(buildFootnoteInsertion("Text[^1]\n\n[^1]: One").definition).toBe("\n[^2]: ")
+      expect(buildFootnoteInsertion("Text[^1]\n\n[^1]: One\n").definition).toBe("[^2]: ")
+    })
+
+    it("handles an empty note", () => {
+      expect(buildFootnoteInsertion("").definition).toBe("[^1]: ")
+    })
+  })
+})
@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest"
+import {
+  stripFrontmatter,
+  parseFrontmatter,
+  renderFrontmatterCard
+} from "../../../app/javascript/lib/frontmatter.js"
+
+const yaml = (source) => ({ format: "yaml", source })
+const toml = (source) => ({ format: "toml", source })
+
+describe("frontmatter", () => {
+  beforeEach(() => {
+    globalThis.window = {
+      t: (key, options = {}) => {
+        if (key === "preview.frontmatter") return "Frontmatter"
+        if (key === "preview.frontmatter_draft") return "Draft"
+        if (key === "preview.frontmatter_error_line") return `Invalid frontmatter (line ${options.line})`
+        return key
+      }
+    }
+  })
+
+  afterEach(() => {
+    delete globalThis.window
+  })
+
+  describe("stripFrontmatter", () => {
+    it("strips YAML frontmatter and counts its lines", () => {
+      const result = stripFrontmatter("---\ntitle: Hi\n---\n\n# Body")
+
+      expect(result.content).toBe("# Body")
+      expect(result.frontmatterLines).toBe(4)
+      expect(result.frontmatter).toEqual({ format: "yaml", source: "title: Hi" })
+    })
+
+    it("counts the blank lines after the frontmatter as stripped", () => {
+      expect(stripFrontmatter("---\ntitle: x\n---\n- [ ] a").frontmatterLines).toBe(3)
+      expect(stripFrontmatter("---\ntitle: x\n---\n\n- [ ] a").frontmatterLines).toBe(4)
+      expect(stripFrontmatter("---\ntitle: x\n---\n\n\n\n- [ ] a").frontmatterLines).toBe(6)
+    })
+
+    it("strips TOML frontmatter", () => {
+      const result = stripFrontmatter('+++\ntitle = "Hi"\ndraft = true\n+++\nBody')
+
+      expect(result.content).toBe("Body")
+      expect(result.frontmatter).toEqual({ format: "toml", source: 'title = "Hi"\ndraft = true' })
+    })
+
+    it("handles frontmatter that ends the file", () => {
+      const result = stripFrontmatter("---\ntitle: Hi\n---")
+
+      expect(result.content).toBe("")
+      expect(result.frontmatterLines).toBe(3)
+      expect(result.frontmatter.source).toBe("title: Hi")
+    })
+
+    it("leaves content without closed frontmatter unchanged", () => {
+      expect(stripFrontmatter("# Title\n---")).toEqual({ content: "# Title\n---", frontmatterLines: 0, frontmatter: null })
+      expect(stripFrontmatter("---\ntitle: Hi")).toEqual({ content: "---\ntitle: Hi", frontmatterLines: 0, frontmatter: null })
+      expect(stripFrontmatter("")).toEqual({ content: "", frontmatterLines: 0, frontmatter: null })
+    })
+  })
+
+  describe("parseFrontmatter", () => {
+    it("parses YAML and keeps dates as written", () => {
+      const { data, error } = parseFrontmatter(yaml("title: Hi\ndate: 2024-01-15T10:00:00+02:00\ntags: [a, b]"))
+
+      expect(error).toBeNull()
+      expect(data).toEqual({ title: "Hi", date: "2024-01-15T10:00:00+02:00", tags: ["a", "b"] })
+    })
+
+    it("parses TOML", () => {
+      const { data } = parseFrontmatter(toml('title = "Hi"\ndraft = true'))
+
+      expect(data).toEqual({ title: "Hi", draft: true })
+    })
+
+    it("treats empty frontmatter as no fields", () => {
+      expect(parseFrontmatter(yaml(""))).toEqual({ data: {}, error: null })
+    })
+
+    it("reports YAML errors with their line in the note", () => {
+      const { data, error } = parseFrontmatter(yaml("title: Hi\ntags: [a, b\ndraft: true"))
+
+      expect(data).toBeNull()
+      expect(error.message).toBeTruthy()
+      expect(error.message).not.toContain("\n")
+      expect(error.line).toBeGreaterThan(1)
+    })
+
+    it("reports TOML errors with their line in the note", () => {
+      const { error } = parseFrontmatter(toml('title = "Hi"\ndraft = yes'))
+
+      expect(error.line).toBe(3)
+      expect(error.message).not.toContain("Invalid TOML document")
+    })
+
+    it("rejects frontmatter that is not a set of fields", () => {
+      expect(parseFrontmatter(yaml("just text")).error).toEqual({ message: "preview.frontmatter_not_a_map", line: null })
+      expect(parseFrontmatter(yaml("- a\n- b")).error).not.toBeNull()
+    })
+  })
+
+  describe("renderFrontmatterCard", () => {
+    it("renders title, date, draft badge and tag chips in a collapsible card", () => {
+      const html = renderFrontmatterCard(yaml("title: My <Post>\ndate: 2024-01-15\ndraft: true\ntags: [go, web]"))
+
+      expect(html).toContain('<details class="frontmatter-card" data-source-line="1" open>')
+      expect(html).toContain('<span class="frontmatter-title">My &lt;Post&gt;</span>')
+      expect(html).toContain('<span class="frontmatter-draft">Draft</span>')
+      expect(html).toContain('<time class="frontmatter-date">2024-01-15</time>')
+      expect(html).toContain('<ul class="frontmatter-tags"><li class="frontmatter-chip">go</li><li class="frontmatter-chip">web</li></ul>')
+      expect(html).not.toContain("<dl")
+    })
+
+    it("renders collapsed", () => {
+      expect(renderFrontmatterCard(yaml("title: Hi"), { open: false })).toContain('<details class="frontmatter-card" data-source-line="1">')
+    })
+
+    it("lists the other fields", () => {
+      const html = renderFrontmatterCard(yaml("title: Hi\nslug: hello\ncategories: [news]\nparams:\n  author: Ana"))
+
+      expect(html).toContain("<dt>slug</dt><dd>hello</dd>")
+      expect(html).toContain('<dt>categories</dt><dd><ul class="frontmatter-list"><li class="frontmatter-chip">news</li></ul></dd>')
+      expect(html).toContain('<dt>params</dt><dd><dl class="frontmatter-fields"><dt>author</dt><dd>Ana</dd></dl></dd>')
+    })
+
+    it("accepts a single tag and falls back to a generic title", () => {
+      const html = renderFrontmatterCard(yaml("tags: solo\ndraft: false"))
+
+      expect(html).toContain('<span class="frontmatter-title">Frontmatter</span>')
+      expect(html).toContain('<li class="frontmatter-chip">solo</li>')
+      expect(html).not.toContain("frontmatter-draft")
+    })
+
+    it("skips the empty tag of a new Hugo post", () => {
+      const html = renderFrontmatterCard(yaml('title: "New"\ndraft: true\ntags:\n-'))
+
+      expect(html).not.toContain("frontmatter-tags")
+    })
+
+    it("shows TOML dates as written", () => {
+      const html = renderFrontmatterCard(toml("date = 2024-01-15T10:00:00+02:00"))
+
+      expect(html).toContain('<time class="frontmatter-date">2024-01-15T10:00:00.000+02:00</time>')
+    })
+
+    it("renders nothing without fields", () => {
+      expect(renderFrontmatterCard(yaml(""))).toBe("")
+    })
+
+    it("renders a visible error for invalid frontmatter", () => {
+      const html = renderFrontmatterCard(toml('title = "Hi"\ndraft = yes'))
+
+      expect(html).toContain('<div class="frontmatter-card frontmatter-error" data-source-line="1" role="alert">')
+      expect(html).toContain("<strong>Invalid frontmatter (line 3)</strong>")
+    })
+  })
+})
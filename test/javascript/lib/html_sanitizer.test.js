@@ -0,0 +1,142 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from "vitest"
+import { sanitizePreviewHtml, parseAllowlist } from "../../../app/javascript/lib/html_sanitizer.js"
+
+const YOUTUBE_EMBED = '<div class="embed-container"><iframe src="https://www.youtube.com/embed/abc123" title="Video" frameborder="0" allow="accelerometer; encrypted-media" allowfullscreen></iframe></div>'
+
+describe("html_sanitizer", () => {
+  describe("parseAllowlist", () => {
+    it("splits on commas and whitespace", () => {
+      expect(parseAllowlist("details, summary kbd")).toEqual(["details", "summary", "kbd"])
+    })
+
+    it("lowercases entries", () => {
+      expect(parseAllowlist("Details,SUMMARY")).toEqual(["details", "summary"])
+    })
+
+    it("returns an empty list for blank values", () => {
+      expect(parseAllowlist("")).toEqual([])
+      expect(parseAllowlist(null)).toEqual([])
+      expect(parseAllowlist(" , ")).toEqual([])
+    })
+  })
+
+  describe("sanitizePreviewHtml", () => {
+    it("returns an empty string for empty input", () => {
+      expect(sanitizePreviewHtml("")).toBe("")
+      expect(sanitizePreviewHtml(null)).toBe("")
+    })
+
+    it("removes scripts, event handlers and javascript: URLs", () => {
+      const html = sanitizePreviewHtml(
+        '<p>Hi<script>alert(1)</script></p><img src="a.png" onerror="alert(2)"><a href="javascript:alert(3)">x</a>'
+      )
+
+      expect(html).not.toContain("<script")
+      expect(html).not.toContain("onerror")
+      expect(html).not.toContain("javascript:")
+      expect(html).toContain('<img src="a.png">')
+    })
+
+    it("removes style elements and attributes", () => {
+      const html = sanitizePreviewHtml('<style>body { display: none }</style><div style="position:fixed;inset:0">Cover</div>')
+
+      expect(html).not.toContain("<style")
+      expect(html).toBe("<div>Cover</div>")
+    })
+
+    it("keeps inline styles when .fed allows the style attribute", () => {
+      expect(sanitizePreviewHtml('<span style="color: red">Red</span>', { attributes: ["style"] })).toBe('<span style="color: red">Red</span>')
+    })
+
+    it("keeps YouTube embeds", () => {
+      const html = sanitizePreviewHtml(YOUTUBE_EMBED)
+
+      expect(html).toContain('<iframe src="https://www.youtube.com/embed/abc123"')
+      expect(html).toContain("allowfullscreen")
+      expect(html).toContain('allow="accelerometer; encrypted-media"')
+    })
+
+    it("keeps Vimeo embeds from the vimeo shortcode", () => {
+      expect(sanitizePreviewHtml('<iframe src="https://player.vimeo.com/video/1"></iframe>')).toContain('<iframe src="https://player.vimeo.com/video/1">')
+    })
+
+    it("drops iframes from other hosts or over plain http", () => {
+      expect(sanitizePreviewHtml('<iframe src="https://evil.example.com/"></iframe>')).not.toContain("<iframe")
+      expect(sanitizePreviewHtml('<iframe src="http://www.youtube.com/embed/abc"></iframe>')).not.toContain("<iframe")
+      expect(sanitizePreviewHtml("<iframe></iframe>")).not.toContain("<iframe")
+      expect(sanitizePreviewHtml('<iframe src="https://www.youtube.com/embed/abc" srcdoc="<script>alert(1)</script>"></iframe>')).not.toContain("srcdoc")
+    })
+
+    it("keeps media and inline formatting tags", () => {
+      const html = sanitizePreviewHtml(
+        '<video controls src="clip.mp4"><source src="clip.webm" type="video/webm"></video><mark>hi</mark> x<sup>2</sup> H<sub>2</sub>O'
+      )
+
+      expect(html).toContain('<video controls="" src="clip.mp4">')
+      expect(html).toContain('<source src="clip.webm" type="video/webm">')
+      expect(html).toContain("<mark>hi</mark>")
+      expect(html).toContain("<sup>2</sup>")
+      expect(html).toContain("<sub>2</sub>")
+    })
+
+    it("keeps KaTeX MathML including the TeX annotation", () => {
+      const html = sanitizePreviewHtml(
+        '<span class="katex"><math xmlns="http://www.w3.org/1998/Math/MathML"><semantics><mrow><mi>x</mi></mrow><annotation encoding="application/x-tex">x</annotation></semantics></math></span>'
+      )
+
+      expect(html).toContain("<semantics>")
+      expect(html).toContain('<annotation encoding="application/x-tex">x</annotation>')
+    })
+
+    it("keeps the attributes the preview relies on", () => {
+      const html = sanitizePreviewHtml([
+        '<h2 id="intro" data-source-line="3">Intro</h2>',
+        '<a href="#" class="wiki-link" data-wiki-target="Other note">Other</a>',
+        '<div class="mermaid-diagram"><pre class="mermaid-source"><code>graph TD</code></pre></div>',
+        '<div class="markdown-alert markdown-alert-note"><p class="markdown-alert-title"><svg class="markdown-alert-icon" viewBox="0 0 16 16" width="16" height="16" aria-hidden="true"><path d="M0 8a8 8 0 1 1 16 0z"></path></svg>Note</p></div>',
+        '<sup class="footnote-ref"><a href="#fn-1" id="fnref-1">1</a></sup>',
+        '<ul><li><input type="checkbox" checked disabled> Done</li></ul>'
+      ].join(""))
+
+      expect(html).toContain('<h2 id="intro" data-source-line="3">')
+      expect(html).toContain('data-wiki-target="Other note"')
+      expect(html).toContain('<pre class="mermaid-source"><code>graph TD</code></pre>')
+      expect(html).toContain('<path d="M0 8a8 8 0 1 1 16 0z"></path>')
+      expect(html).toContain('<a href="#fn-1" id="fnref-1">1</a>')
+      expect(html).toContain('type="checkbox"')
+    })
+
+    it("allows extra tags, attributes and iframe hosts", () => {
+      const html = sanitizePreviewHtml(
+        '<style>.x{}</style><custom-box size="2">Box</custom-box><iframe src="https://www.loom.com/embed/1"></iframe>',
+        { tags: ["style", "custom-box"], attributes: ["size"], iframeHosts: ["www.loom.com"] }
+      )
+
+      expect(html).toContain("<style>.x{}</style>")
+      expect(html).toContain('<custom-box size="2">Box</custom-box>')
+      expect(html).toContain('<iframe src="https://www.loom.com/embed/1">')
+    })
+
+    it("ignores dangerous entries in the extra allowlist", () => {
+      const html = sanitizePreviewHtml(
+        '<script>alert(1)</script><object data="x.swf"></object><img src="a.png" onclick="alert(2)">',
+        { tags: ["script", "object"], attributes: ["onclick"] }
+      )
+
+      expect(html).not.toContain("<script")
+      expect(html).not.toContain("<object")
+      expect(html).not.toContain("onclick")
+    })
+
+    it("does not leak the allowlist between calls", () => {
+      sanitizePreviewHtml("<p>x</p>", { tags: ["style"], attributes: ["style"], iframeHosts: ["www.loom.com"] })
+
+      expect(sanitizePreviewHtml("<style>.x{}</style>")).not.toContain("<style")
+      expect(sanitizePreviewHtml('<p style="color: red">x</p>')).toBe("<p>x</p>")
+      expect(sanitizePreviewHtml('<iframe src="https://www.loom.com/embed/1"></iframe>')).not.toContain("<iframe")
+    })
+  })
+})
@@ -0,0 +1,76 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from "vitest"
+import { htmlToMarkdown } from "../../../app/javascript/lib/html_to_markdown.js"
+
+describe("htmlToMarkdown", () => {
+  it("converts headings, paragraphs and line breaks", () => {
+    expect(htmlToMarkdown("<h1>Title</h1>\n  <p>First line<br>second line</p>\n<h3>More <em>here</em></h3>"))
+      .toBe("# Title\n\nFirst line  \nsecond line\n\n### More *here*")
+  })
+
+  it("converts emphasis, code and links", () => {
+    const html = '<p><strong>bold</strong> <em> italic </em> <del>gone</del> <code>a`b</code> ' +
+      '<a href="https://example.com" title="Site">link</a> <a href="javascript:alert(1)">bad</a></p>'
+
+    expect(htmlToMarkdown(html)).toBe("**bold** *italic* ~~gone~~ ``a`b`` [link](https://example.com \"Site\") bad")
+  })
+
+  it("keeps images, but not inline image data", () => {
+    expect(htmlToMarkdown('<img src="/a b.png" alt="A [cat]"><img src="data:image/png;base64,AAAA">'))
+      .toBe("![A \\[cat\\]](</a b.png>)")
+  })
+
+  it("escapes markdown characters in text, except underscores inside words", () => {
+    expect(htmlToMarkdown("<p>2 * 3 = [six] _maybe_ snake_case</p>")).toBe("2 \\* 3 = \\[six\\] \\_maybe\\_ snake_case")
+  })
+
+  it("converts nested lists, tasks and numbered lists starting elsewhere", () => {
+    const html = "<ul><li>One<ul><li>Nested</li></ul></li><li><input type=\"checkbox\" checked> Done</li></ul>" +
+      "<ol start=\"3\"><li><p>Three</p></li><li>Four</li></ol>"
+
+    expect(htmlToMarkdown(html)).toBe("- One\n  - Nested\n- [x] Done\n\n3. Three\n4. Four")
+  })
+
+  it("nests lists pasted right inside a list under the item before", () => {
+    expect(htmlToMarkdown("<ol><li>a</li><ol><li>b</li></ol></ol>")).toBe("1. a\n   1. b")
+  })
+
+  it("converts blockquotes and fenced code with its language", () => {
+    const html = "<blockquote><p>Quote</p><p>More</p></blockquote>" +
+      "<pre><code class=\"language-ruby\">puts 1\n\n\nputs 2\n</code></pre>"
+
+    expect(htmlToMarkdown(html)).toBe("> Quote\n>\n> More\n\n```ruby\nputs 1\n\n\nputs 2\n```")
+  })
+
+  it("converts tables with aligned pipes, the first row as header", () => {
+    const html = "<table><tr><td>Name</td><td align=\"right\">Qty</td></tr>" +
+      "<tr><td><b>Apple</b></td><td>3</td></tr><tr><td colspan=\"2\">a|b</td></tr></table>"
+
+    expect(htmlToMarkdown(html)).toBe(
+      "| Name      | Qty |\n| --------- | --: |\n| **Apple** |   3 |\n| a\\|b      |     |"
+    )
+  })
+
+  it("reads Google Docs markup", () => {
+    const html = '<meta charset="utf-8"><b style="font-weight:normal;" id="docs-internal-guid-1">' +
+      '<h2 dir="ltr"><span>Plan</span></h2>' +
+      '<p dir="ltr"><span style="font-weight:700;">Bold</span><span> and </span><span style="font-style:italic;">italic</span></p>' +
+      "</b>"
+
+    expect(htmlToMarkdown(html)).toBe("## Plan\n\n**Bold** and *italic*")
+  })
+
+  it("drops styles, scripts and comments", () => {
+    const html = "<html><head><style>p { color: red }</style></head><body>" +
+      "<!--StartFragment--><p class=MsoNormal>Word text<o:p></o:p></p><script>alert(1)</script><!--EndFragment--></body></html>"
+
+    expect(htmlToMarkdown(html)).toBe("Word text")
+  })
+
+  it("returns nothing for empty HTML", () => {
+    expect(htmlToMarkdown("")).toBe("")
+    expect(htmlToMarkdown("<p> </p>")).toBe("")
+  })
+})
@@ -0,0 +1,264 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest"
+import {
+  readShortcodeTag,
+  parseShortcodeArgs,
+  findClosingTag,
+  shortcodeArg,
+  setShortcodeTemplates,
+  getShortcodeTemplate,
+  renderShortcodeTemplate,
+  resolveShortcodeRef,
+  setShortcodePageParams,
+  renderParamShortcode,
+  renderYoutubeShortcode,
+  renderVimeoShortcode,
+  renderGistShortcode,
+  renderFigureShortcode,
+  renderDetailsShortcode,
+  renderShortcodePlaceholder
+} from "../../../app/javascript/lib/hugo_shortcodes.js"
+import { setWikiLinkNotes } from "../../../app/javascript/lib/wiki_links.js"
+
+const tag = (src) => readShortcodeTag(src)
+
+describe("hugo_shortcodes", () => {
+  describe("readShortcodeTag", () => {
+    it("reads the name and arguments of both delimiters", () => {
+      expect(tag('{{< youtube id="abc" >}} rest')).toEqual({
+        raw: '{{< youtube id="abc" >}}',
+        delimiter: "<",
+        name: "youtube",
+        args: { positional: [], named: { id: "abc" } },
+        closing: false,
+        selfClosing: false
+      })
+      expect(tag("{{% notice warning %}}")).toMatchObject({ delimiter: "%", name: "notice", args: { positional: ["warning"] } })
+    })
+
+    it("reads closing and self-closing tags", () => {
+      expect(tag("{{< /notice >}}")).toMatchObject({ name: "notice", closing: true })
+      expect(tag("{{< figure src=a.png />}}")).toMatchObject({ name: "figure", selfClosing: true, args: { named: { src: "a.png" } } })
+    })
+
+    it("reads nested shortcode names", () => {
+      expect(tag("{{< blog/card >}}").name).toBe("blog/card")
+    })
+
+    it("keeps quoted arguments that contain the closing delimiter", () => {
+      expect(tag('{{< figure caption="a >}} b" >}}').args.named.caption).toBe("a >}} b")
+    })
+
+    it("reads commented-out tags as literal text", () => {
+      expect(tag("{{</* youtube abc */>}}")).toEqual({ raw: "{{</* youtube abc */>}}", literal: "{{< youtube abc >}}" })
+      expect(tag("{{%/* notice */%}}").literal).toBe("{{% notice %}}")
+    })
+
+    it("rejects unterminated tags and tags across blank lines", () => {
+      expect(tag("{{< youtube abc")).toBeNull()
+      expect(tag("{{< youtube\n\nabc >}}")).toBeNull()
+      expect(tag('{{< figure caption="open >}}')).toBeNull()
+      expect(tag("{{< >}}")).toBeNull()
+      expect(tag("{{ .Title }}")).toBeNull()
+    })
+  })
+
+  describe("parseShortcodeArgs", () => {
+    it("parses positional and named arguments", () => {
+      expect(parseShortcodeArgs(' go "linenos=table" `raw "x"` class=wide title="A \\"quote\\""')).toEqual({
+        positional: ["go", "linenos=table", 'raw "x"'],
+        named: { class: "wide", title: 'A "quote"' }
+      })
+    })
+  })
+
+  describe("findClosingTag", () => {
+    it("finds the closing tag with either delimiter", () => {
+      expect(findClosingTag("Inner\n{{% /notice %}}\nafter", "notice")).toEqual({ index: 6, raw: "{{% /notice %}}" })
+      expect(findClosingTag("x{{</ blog/card >}}", "blog/card").index).toBe(1)
+      expect(findClosingTag("x {{< /other >}}", "notice")).toBeNull()
+    })
+  })
+
+  describe("shortcodeArg", () => {
+    it("prefers the named argument over its position", () => {
+      expect(shortcodeArg(tag("{{< youtube abc >}}"), "id", 0)).toBe("abc")
+      expect(shortcodeArg(tag("{{< youtube xyz id=abc >}}"), "id", 0)).toBe("abc")
+      expect(shortcodeArg(tag("{{< youtube abc >}}"), "id")).toBeUndefined()
+    })
+  })
+
+  describe("shortcode templates", () => {
+    afterEach(() => {
+      setShortcodeTemplates({})
+    })
+
+    it("registers templates from .fed", () => {
+      setShortcodeTemplates({ notice: "<div>{{ .Inner }}</div>" })
+
+      expect(getShortcodeTemplate("notice")).toBe("<div>{{ .Inner }}</div>")
+      expect(getShortcodeTemplate("other")).toBeNull()
+
+      setShortcodeTemplates(null)
+      expect(getShortcodeTemplate("notice")).toBeNull()
+    })
+
+    it("fills in escaped arguments and the name", () => {
+      const html = renderShortcodeTemplate(
+        '<div class="{{ .Name }} {{ .Get 0 }}" title="{{ .Get "title" }}">{{ .Get 5 }}{{ .Site.Title }}</div>',
+        tag('{{< notice "<b>" title="a&b" >}}')
+      )
+
+      expect(html).toBe('<div class="notice &lt;b&gt;" title="a&amp;b"></div>')
+    })
+
+    it("renders .Inner as markdown for {{% %}} shortcodes and as is for {{< >}}", () => {
+      const inner = { raw: "*hi*", render: () => "<p><em>hi</em></p>" }
+
+      expect(renderShortcodeTemplate("{{ .Inner }}", tag("{{% box %}}"), inner)).toBe("<p><em>hi</em></p>")
+      expect(renderShortcodeTemplate("{{ .Inner }}", tag("{{< box >}}"), inner)).toBe("*hi*")
+      expect(renderShortcodeTemplate("{{- .Inner | markdownify -}}", tag("{{< box >}}"), inner)).toBe("<p><em>hi</em></p>")
+    })
+  })
+
+  describe("resolveShortcodeRef", () => {
+    beforeEach(() => {
+      setWikiLinkNotes(["about.md", "posts/first/index.md", "docs/_index.md"])
+    })
+
+    it("resolves paths with or without the extension", () => {
+      expect(resolveShortcodeRef("about.md")).toEqual({ target: "about.md", heading: "", path: "about.md" })
+      expect(resolveShortcodeRef("/about#team")).toEqual({ target: "/about", heading: "team", path: "about.md" })
+    })
+
+    it("resolves page bundles and sections by their folder", () => {
+      expect(resolveShortcodeRef("posts/first").path).toBe("posts/first/index.md")
+      expect(resolveShortcodeRef("docs/").path).toBe("docs/_index.md")
+    })
+
+    it("leaves anchors in the current note and unknown notes unresolved", () => {
+      expect(resolveShortcodeRef("#intro")).toEqual({ target: "", heading: "intro", path: null })
+      expect(resolveShortcodeRef("missing").path).toBeNull()
+    })
+  })
+
+  describe("renderYoutubeShortcode", () => {
+    it("embeds the video with the same markup as the video dialog", () => {
+      const html = renderYoutubeShortcode(tag("{{< youtube dQw4w9WgXcQ >}}"))
+
+      expect(html).toContain('<div class="embed-container"><iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ"')
+      expect(html).toContain('title="YouTube video"')
+      expect(html).toContain("allowfullscreen")
+    })
+
+    it("passes named options as embed parameters", () => {
+      const html = renderYoutubeShortcode(tag('{{< youtube id="abc" start=30 autoplay=true title="Talk" class="wide" >}}'))
+
+      expect(html).toContain('src="https://www.youtube.com/embed/abc?autoplay=1&amp;start=30"')
+      expect(html).toContain('title="Talk"')
+      expect(html).toContain('class="embed-container wide"')
+    })
+
+    it("returns null without a video id", () => {
+      expect(renderYoutubeShortcode(tag("{{< youtube >}}"))).toBeNull()
+    })
+  })
+
+  describe("renderVimeoShortcode", () => {
+    it("embeds the video from Vimeo's player", () => {
+      const html = renderVimeoShortcode(tag('{{< vimeo id="146022717" title="Talk" class="wide" >}}'))
+
+      expect(html).toContain('<div class="embed-container wide"><iframe src="https://player.vimeo.com/video/146022717"')
+      expect(html).toContain('title="Talk"')
+      expect(renderVimeoShortcode(tag("{{< vimeo 1 >}}"))).toContain('title="Vimeo video"')
+    })
+
+    it("returns null without a video id", () => {
+      expect(renderVimeoShortcode(tag("{{< vimeo >}}"))).toBeNull()
+    })
+  })
+
+  describe("renderGistShortcode", () => {
+    it("links to the gist instead of running GitHub's script", () => {
+      expect(renderGistShortcode(tag("{{< gist spf13 7896402 >}}"))).toBe(
+        '<p class="hugo-gist"><a href="https://gist.github.com/spf13/7896402">spf13/7896402</a></p>'
+      )
+      expect(renderGistShortcode(tag('{{< gist spf13 7896402 "img.html" >}}'))).toContain(">spf13/7896402 (img.html)</a>")
+    })
+
+    it("returns null without a user and gist id", () => {
+      expect(renderGistShortcode(tag("{{< gist spf13 >}}"))).toBeNull()
+    })
+  })
+
+  describe("renderParamShortcode", () => {
+    afterEach(() => {
+      setShortcodePageParams({})
+    })
+
+    it("shows the note's front matter value", () => {
+      setShortcodePageParams({ Title: "A <b>post</b>", tags: ["a", "b"], author: { name: "Ann" }, params: { color: "red" } })
+
+      expect(renderParamShortcode(tag("{{< param title >}}"))).toBe("A &lt;b&gt;post&lt;/b&gt;")
+      expect(renderParamShortcode(tag("{{< param tags >}}"))).toBe("a, b")
+      expect(renderParamShortcode(tag('{{< param "author.name" >}}'))).toBe("Ann")
+      expect(renderParamShortcode(tag("{{< param color >}}"))).toBe("red")
+    })
+
+    it("returns null for values the note doesn't set", () => {
+      setShortcodePageParams({ author: { name: "Ann" } })
+
+      expect(renderParamShortcode(tag("{{< param missing >}}"))).toBeNull()
+      expect(renderParamShortcode(tag("{{< param author >}}"))).toBeNull()
+      expect(renderParamShortcode(tag("{{< param >}}"))).toBeNull()
+    })
+  })
+
+  describe("renderFigureShortcode", () => {
+    it("renders an image with a caption and attribution", () => {
+      const html = renderFigureShortcode(
+        tag('{{< figure src="/a.png" title="Sunset" width=300 attrlink="https://example.com" >}}'),
+        { caption: "A <strong>red</strong> sky", attr: "Jo" }
+      )
+
+      expect(html).toBe(
+        '<figure><img src="/a.png" alt="A red sky" width="300">' +
+        '<figcaption><h4>Sunset</h4><p>A <strong>red</strong> sky<a href="https://example.com">Jo</a></p></figcaption></figure>'
+      )
+    })
+
+    it("links the image and prefers explicit alt text", () => {
+      const html = renderFigureShortcode(tag('{{< figure src="a.png" alt="A \\"cat\\"" link="/big.png" target="_blank" class="wide" >}}'))
+
+      expect(html).toBe('<figure class="wide"><a href="/big.png" target="_blank"><img src="a.png" alt="A &quot;cat&quot;"></a></figure>')
+    })
+  })
+
+  describe("renderDetailsShortcode", () => {
+    it("renders a collapsible section", () => {
+      expect(renderDetailsShortcode(tag('{{< details summary="More" open=true >}}'), { summary: "More", inner: "<p>Hi</p>" }))
+        .toBe("<details open><summary>More</summary><p>Hi</p></details>")
+    })
+
+    it("defaults the summary like Hugo", () => {
+      expect(renderDetailsShortcode(tag("{{< details >}}"))).toBe("<details><summary>Details</summary></details>")
+    })
+  })
+
+  describe("renderShortcodePlaceholder", () => {
+    it("labels unknown shortcodes with their tag", () => {
+      expect(renderShortcodePlaceholder(tag('{{< instagram "<id>" >}}'))).toBe(
+        '<div class="hugo-shortcode" data-shortcode="instagram"><code class="hugo-shortcode-label">{{&lt; instagram &quot;&lt;id&gt;&quot; &gt;}}</code></div>'
+      )
+    })
+
+    it("keeps the inner content of paired shortcodes", () => {
+      expect(renderShortcodePlaceholder(tag("{{% tabs %}}"), { inner: "<p>Tab</p>" })).toContain("</code><p>Tab</p></div>")
+    })
+
+    it("renders inline placeholders", () => {
+      expect(renderShortcodePlaceholder(tag("{{< param x >}}"), { block: false })).toBe(
+        '<span class="hugo-shortcode hugo-shortcode-inline" data-shortcode="param"><code class="hugo-shortcode-label">{{&lt; param x &gt;}}</code></span>'
+      )
+    })
+  })
+})
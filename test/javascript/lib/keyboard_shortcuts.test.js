@@ -53,6 +53,11 @@ describe("matchShortcut", () => {
     expect(matchShortcut(event, SHORTCUTS.togglePreview)).toBe(true)
   })
 
+  it("matches ctrl+shift+symbol shortcuts", () => {
+    const event = createEvent("^", { ctrl: true, shift: true })
+    expect(matchShortcut(event, SHORTCUTS.footnote)).toBe(true)
+  })
+
   it("rejects wrong key", () => {
     const event = createEvent("x", { ctrl: true })
     expect(matchShortcut(event, SHORTCUTS.save)).toBe(false)
@@ -0,0 +1,152 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, vi } from "vitest"
+import { EditorState } from "@codemirror/state"
+import { CompletionContext } from "@codemirror/autocomplete"
+import { markdown, markdownLanguage } from "@codemirror/lang-markdown"
+import { setWikiLinkNotes } from "../../../app/javascript/lib/wiki_links.js"
+import {
+  linkTargetBefore,
+  noteHeadings,
+  emojiCompletionSource,
+  markdownCompletionSources
+} from "../../../app/javascript/lib/markdown_completions.js"
+
+describe("markdown_completions", () => {
+  const createState = (doc) => EditorState.create({ doc, extensions: markdown({ base: markdownLanguage }) })
+  const context = (doc, pos = doc.length, explicit = false) => new CompletionContext(createState(doc), pos, explicit)
+
+  describe("linkTargetBefore", () => {
+    it("finds the target of a link", () => {
+      expect(linkTargetBefore(createState("See [notes](../id"), 17)).toEqual({ from: 12, target: "../id", image: false })
+    })
+
+    it("tells images from links", () => {
+      expect(linkTargetBefore(createState("![cat]("), 7)).toEqual({ from: 7, target: "", image: true })
+    })
+
+    it("finds the link around an image", () => {
+      const doc = "[![cat](cat.png)]("
+      expect(linkTargetBefore(createState(doc), doc.length)).toEqual({ from: doc.length, target: "", image: false })
+    })
+
+    it("ignores parentheses that don't follow link text", () => {
+      expect(linkTargetBefore(createState("call("), 5)).toBeNull()
+      expect(linkTargetBefore(createState("a ](b"), 5)).toBeNull()
+      expect(linkTargetBefore(createState("[a](b c"), 7)).toBeNull()
+    })
+  })
+
+  describe("noteHeadings", () => {
+    it("lists headings with their anchors, numbering repeated ones", () => {
+      const state = createState("# Intro\n\ntext\n\n## Setup {#install}\n\n## Intro\n\n```\n# not a heading\n```")
+
+      expect(noteHeadings(state)).toEqual([
+        { anchor: "intro", text: "# Intro" },
+        { anchor: "install", text: "## Setup {#install}" },
+        { anchor: "intro-1", text: "## Intro" }
+      ])
+    })
+  })
+
+  describe("emojiCompletionSource", () => {
+    it("completes shortcodes after a colon", () => {
+      const result = emojiCompletionSource(context("Nice :sm"))
+
+      expect(result.from).toBe(5)
+      const smile = result.options.find(option => option.label === ":smile:")
+      expect(smile.detail).toBe("😄")
+    })
+
+    it("waits for a letter after the colon unless asked", () => {
+      expect(emojiCompletionSource(context("Note:"))).toBeNull()
+      expect(emojiCompletionSource(context("Note :"))).toBeNull()
+      expect(emojiCompletionSource(context("Note :", 6, true))).not.toBeNull()
+    })
+
+    it("ignores colons inside words and code", () => {
+      expect(emojiCompletionSource(context("at 10:30"))).toBeNull()
+      expect(emojiCompletionSource(context("Run `a :sm"))).not.toBeNull()
+      expect(emojiCompletionSource(context("Run `a :sm` now", 10))).toBeNull()
+    })
+  })
+
+  describe("markdownCompletionSources", () => {
+    let loadNote, loadImages, linkSource
+
+    const complete = (doc, pos = doc.length) => linkSource(context(doc, pos))
+
+    beforeEach(() => {
+      setWikiLinkNotes(["notes/today.md", "notes/ideas.md", "Road Map.md"])
+      loadNote = vi.fn().mockResolvedValue("---\ntitle: Ideas\n---\n# Ideas\n\nFirst idea\n\n## Later")
+      loadImages = vi.fn().mockResolvedValue([
+        { name: "cat.png", path: "pets/cat.png", width: 800, height: 600 }
+      ])
+      linkSource = markdownCompletionSources({ notePath: "notes/today.md", loadNote, loadImages })[0]
+    })
+
+    it("suggests other notes relative to the open one", async () => {
+      const result = await complete("See [it](")
+
+      expect(result.from).toBe(9)
+      expect(result.options.map(option => [option.label, option.apply])).toEqual([
+        ["../Road Map.md", "../Road%20Map.md"],
+        ["ideas.md", "ideas.md"]
+      ])
+    })
+
+    it("previews the note's text without its frontmatter", async () => {
+      const result = await complete("[it](")
+      const info = await result.options[1].info()
+
+      expect(loadNote).toHaveBeenCalledWith("notes/ideas.md")
+      expect(info.textContent).toBe("# Ideas\n\nFirst idea\n\n## Later")
+    })
+
+    it("suggests images searched by the name typed", async () => {
+      const result = await complete("![cat](ca")
+
+      expect(loadImages).toHaveBeenCalledWith("ca")
+      expect(result.from).toBe(7)
+      expect(result.filter).toBe(false)
+      expect(result.options[0]).toMatchObject({ label: "pets/cat.png", apply: "/images/preview/pets/cat.png", detail: "800×600" })
+      expect(result.options[0].info().src).toContain("/images/preview/pets/cat.png")
+    })
+
+    it("suggests the headings of the linked note after #", async () => {
+      const result = await complete("[it](ideas.md#")
+
+      expect(loadNote).toHaveBeenCalledWith("notes/ideas.md")
+      expect(result.from).toBe(14)
+      expect(result.options.map(option => [option.label, option.detail])).toEqual([
+        ["ideas", "# Ideas"],
+        ["later", "## Later"]
+      ])
+    })
+
+    it("suggests the open note's headings after a bare #", async () => {
+      const result = await complete("# Today\n\n[up](#")
+
+      expect(loadNote).not.toHaveBeenCalled()
+      expect(result.options.map(option => option.label)).toEqual(["today"])
+    })
+
+    it("leaves headings of unknown notes alone", async () => {
+      expect(await complete("[it](missing.md#")).toBeNull()
+      expect(loadNote).not.toHaveBeenCalled()
+    })
+
+    it("only completes headings of the open document in files that aren't notes", async () => {
+      const [source] = markdownCompletionSources({ notePath: null, loadNote, loadImages })
+
+      expect(source(context("[it]("))).toBeNull()
+      expect(source(context("[it](ideas.md#"))).toBeNull()
+      expect((await source(context("# Top\n[up](#"))).options[0].label).toBe("top")
+    })
+
+    it("stays out of code", () => {
+      expect(complete("`[it](`", 6)).toBeNull()
+    })
+  })
+})
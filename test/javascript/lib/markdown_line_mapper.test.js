@@ -0,0 +1,204 @@
+import { describe, it, expect, vi, afterEach } from "vitest"
+import { marked } from "marked"
+import { marked as vendoredMarked } from "../../../vendor/javascript/marked.js"
+import {
+  parseWithLineNumbers,
+  renderBlocks,
+  mapTokenLines,
+  findNextBlockLine,
+  findSourcePosition
+} from "../../../app/javascript/lib/markdown_line_mapper.js"
+
+describe("markdown_line_mapper", () => {
+  describe("mapTokenLines", () => {
+    it("assigns 1-based start lines to tokens", () => {
+      const markdown = "# Title\n\nPara\n\n$$\nx\n$$\n\nAfter"
+      const tokens = [
+        { type: "heading", raw: "# Title\n" },
+        { type: "space", raw: "\n" },
+        { type: "paragraph", raw: "Para\n" },
+        { type: "space", raw: "\n" },
+        { type: "mathBlock", raw: "$$\nx\n$$\n\n" },
+        { type: "paragraph", raw: "After" }
+      ]
+
+      const lines = mapTokenLines(markdown, tokens).map(({ token, line }) => [token.type, line])
+
+      expect(lines).toEqual([
+        ["heading", 1],
+        ["paragraph", 3],
+        ["mathBlock", 5],
+        ["paragraph", 9]
+      ])
+    })
+
+    it("applies the line offset", () => {
+      const blocks = mapTokenLines("Para", [{ type: "paragraph", raw: "Para" }], 4)
+      expect(blocks[0].line).toBe(5)
+    })
+
+    it("keeps tokens whose raw text cannot be located, without a line", () => {
+      const blocks = mapTokenLines("abc", [{ type: "paragraph", raw: "xyz" }])
+      expect(blocks).toEqual([{ token: { type: "paragraph", raw: "xyz" }, line: null }])
+    })
+  })
+
+  describe("parseWithLineNumbers", () => {
+    it("returns empty string for empty content", () => {
+      expect(parseWithLineNumbers("")).toBe("")
+    })
+
+    it("annotates the first element of each block", () => {
+      const html = parseWithLineNumbers("# Hello\n\nWorld\n\n", 2)
+
+      expect(html).toContain('<h1 data-source-line="3">Hello</h1>')
+      expect(html).toContain('<p data-source-line="5">World</p>')
+    })
+
+    describe("footnotes", () => {
+      afterEach(() => {
+        vi.restoreAllMocks()
+      })
+
+      it("renders the footnote section after the document", () => {
+        const reference = { type: "footnoteRef", raw: "[^1]", id: "1" }
+        vi.spyOn(marked, "lexer").mockReturnValue([
+          { type: "paragraph", raw: "Text[^1]", text: "Text", tokens: [reference] },
+          { type: "footnoteDefinition", raw: "[^1]: Note", id: "1", tokens: [{ type: "paragraph", raw: "Note", text: "Note" }] }
+        ])
+
+        const html = parseWithLineNumbers("Text[^1]\n\n[^1]: Note")
+
+        expect(reference.number).toBe(1)
+        expect(html.indexOf("<p data-source-line=\"1\">Text</p>")).toBeLessThan(html.indexOf('<section class="footnotes">'))
+        expect(html).toContain('<li id="fn-1">\n<p>Note <a href="#fnref-1" class="footnote-backref">↩</a></p>\n</li>')
+      })
+    })
+  })
+
+  describe("renderBlocks", () => {
+    afterEach(() => {
+      vi.restoreAllMocks()
+    })
+
+    // Paragraph tokens for the blocks of a document
+    const lexBlocks = (...texts) => vi.spyOn(marked, "lexer").mockReturnValue(
+      texts.map(text => ({ type: "paragraph", raw: `${text}\n\n`, text }))
+    )
+
+    it("renders one annotated block per token", () => {
+      lexBlocks("# Hello", "World")
+
+      const { blocks } = renderBlocks("# Hello\n\nWorld\n\n", 2)
+
+      expect(blocks.map(block => [block.line, block.html])).toEqual([
+        [3, '<h1 data-source-line="3">Hello</h1>'],
+        [5, '<p data-source-line="5">World</p>']
+      ])
+    })
+
+    it("only renders blocks that are not in the cache", () => {
+      lexBlocks("One", "Two")
+      const first = renderBlocks("One\n\nTwo\n\n")
+
+      lexBlocks("Zero", "One", "Two")
+      const parser = vi.spyOn(marked, "parser")
+      const second = renderBlocks("Zero\n\nOne\n\nTwo\n\n", 0, first.cache)
+
+      expect(parser).toHaveBeenCalledTimes(1)
+      expect(second.blocks.slice(1).map(block => block.key)).toEqual(first.blocks.map(block => block.key))
+      expect(second.blocks[2].html).toBe('<p data-source-line="5">Two</p>')
+      expect([...second.cache.keys()]).toHaveLength(3)
+    })
+
+    it("keys blocks by their footnote numbers as well as their source", () => {
+      const lex = (first) => [
+        { type: "paragraph", raw: "A[^a]", text: "A", tokens: [{ type: "footnoteRef", raw: "[^a]", id: "a" }] },
+        { type: "paragraph", raw: "B[^b]", text: "B", tokens: [{ type: "footnoteRef", raw: "[^b]", id: "b" }] },
+        { type: "footnoteDefinition", raw: "[^a]: A", id: "a", tokens: [] },
+        { type: "footnoteDefinition", raw: "[^b]: B", id: "b", tokens: [] }
+      ].filter(token => first || token.raw !== "A[^a]")
+      vi.spyOn(marked, "lexer").mockReturnValueOnce(lex(true)).mockReturnValueOnce(lex(false))
+
+      const before = renderBlocks("A[^a]\n\nB[^b]\n\n[^a]: A\n\n[^b]: B")
+      const after = renderBlocks("B[^b]\n\n[^a]: A\n\n[^b]: B", 0, before.cache)
+
+      expect(after.blocks[0].key).not.toBe(before.blocks[1].key)
+    })
+
+    it("renders reference links again when their definition changes", () => {
+      vi.spyOn(marked, "lexer").mockImplementation(markdown => vendoredMarked.lexer(markdown))
+      vi.spyOn(marked, "parser").mockImplementation(tokens => vendoredMarked.parser(tokens))
+
+      const before = renderBlocks("[foo][r]\n\nText\n\n[r]: https://old.example.com\n")
+      const after = renderBlocks("[foo][r]\n\nText\n\n[r]: https://new.example.com\n", 0, before.cache)
+
+      expect(after.blocks[0].html).toContain('href="https://new.example.com"')
+      expect(after.blocks[1].key).toBe(before.blocks[1].key)
+    })
+
+    it("keeps raw HTML that wraps markdown in one block", () => {
+      vi.spyOn(marked, "lexer").mockReturnValue([
+        { type: "html", raw: "<details>\n\n", text: "<details>" },
+        { type: "paragraph", raw: "Inside\n\n", text: "Inside" },
+        { type: "html", raw: "</details>\n\n", text: "</details>" },
+        { type: "paragraph", raw: "After", text: "After" }
+      ])
+
+      const { blocks } = renderBlocks("<details>\n\nInside\n\n</details>\n\nAfter")
+
+      expect(blocks.map(block => block.line)).toEqual([1, 7])
+      expect(blocks[0].html).toContain('<p data-source-line="3">Inside</p>')
+    })
+
+    it("puts the footnote section last, without a line", () => {
+      vi.spyOn(marked, "lexer").mockReturnValue([
+        { type: "paragraph", raw: "Text[^1]", text: "Text", tokens: [{ type: "footnoteRef", raw: "[^1]", id: "1" }] },
+        { type: "footnoteDefinition", raw: "[^1]: Note", id: "1", tokens: [{ type: "paragraph", raw: "Note", text: "Note" }] }
+      ])
+
+      const { blocks } = renderBlocks("Text[^1]\n\n[^1]: Note")
+
+      expect(blocks[blocks.length - 1].line).toBeNull()
+      expect(blocks[blocks.length - 1].html).toContain('<section class="footnotes">')
+    })
+  })
+
+  describe("findNextBlockLine", () => {
+    it("returns the closest annotated line after the given one", () => {
+      // Annotated elements in document order: a heading, <details> wrapping a paragraph, a paragraph
+      const container = {
+        querySelectorAll: () => ["1", "3", "5", "9"].map(sourceLine => ({ dataset: { sourceLine } }))
+      }
+
+      expect(findNextBlockLine(container, 1)).toBe(3)
+      expect(findNextBlockLine(container, 3)).toBe(5)
+      expect(findNextBlockLine(container, 9)).toBeNull()
+    })
+  })
+
+  describe("findSourcePosition", () => {
+    const NOTE = "# Title\n\nThe cat sat on\nthe **cat** mat.\n\nAnother cat"
+
+    it("finds the clicked occurrence of the word in the block", () => {
+      expect(findSourcePosition(NOTE, { line: 3, endLine: 6, word: "cat", textBefore: "" })).toEqual({ line: 3, column: 5 })
+      expect(findSourcePosition(NOTE, { line: 3, endLine: 6, word: "cat", textBefore: "The cat sat on\nthe " })).toEqual({ line: 4, column: 7 })
+    })
+
+    it("only matches whole words", () => {
+      expect(findSourcePosition("concat cat", { line: 1, word: "cat" })).toEqual({ line: 1, column: 8 })
+    })
+
+    it("falls back to the first match, then to the start of the block", () => {
+      expect(findSourcePosition(NOTE, { line: 3, endLine: 6, word: "cat", textBefore: "cat cat cat" })).toEqual({ line: 3, column: 5 })
+      expect(findSourcePosition(NOTE, { line: 3, endLine: 6, word: "dog" })).toEqual({ line: 3, column: 1 })
+      expect(findSourcePosition(NOTE, { line: 3, endLine: 6 })).toEqual({ line: 3, column: 1 })
+    })
+
+    it("stays inside the block and the note", () => {
+      expect(findSourcePosition(NOTE, { line: 1, endLine: 3, word: "cat" })).toEqual({ line: 1, column: 1 })
+      expect(findSourcePosition(NOTE, { line: 6, word: "cat" })).toEqual({ line: 6, column: 9 })
+      expect(findSourcePosition(NOTE, { line: 40 })).toEqual({ line: 6, column: 1 })
+    })
+  })
+})
@@ -0,0 +1,170 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
+import { EditorState } from "@codemirror/state"
+import { EditorView } from "@codemirror/view"
+import { markdown, markdownLanguage } from "@codemirror/lang-markdown"
+import {
+  collectReferences,
+  imageCheckUrl,
+  relativeNotePath,
+  lintReferences
+} from "../../../app/javascript/lib/markdown_lint.js"
+
+function stateFor(doc) {
+  return EditorState.create({ doc, extensions: [markdown({ base: markdownLanguage })] })
+}
+
+function lint(doc, context = {}) {
+  return lintReferences(collectReferences(stateFor(doc)), { notePath: "docs/guide.md", ...context })
+}
+
+describe("markdown_lint", () => {
+  describe("collectReferences", () => {
+    it("collects link, image and reference URLs with their positions", () => {
+      const doc = "See [a](other.md) and ![img](pic.png)\n\n[ref]: <with space.md>"
+      const { links } = collectReferences(stateFor(doc))
+
+      expect(links.map(link => [link.url, link.image])).toEqual([
+        ["other.md", false],
+        ["pic.png", true],
+        ["with space.md", false]
+      ])
+      for (const link of links) {
+        expect(doc.slice(link.from, link.to)).toBe(link.url)
+      }
+    })
+
+    it("skips links in code", () => {
+      const doc = "`[a](inline.md)`\n\n```\n[b](block.md)\n```"
+      expect(collectReferences(stateFor(doc)).links).toEqual([])
+    })
+
+    it("collects heading anchors, including custom ids and setext headings", () => {
+      const doc = "# Getting Started\n\n## Setup {#install}\n\nOverview\n--------\n\n### [Linked](x.md) title"
+      const { headings } = collectReferences(stateFor(doc))
+
+      expect(headings.map(heading => [heading.anchor, heading.line])).toEqual([
+        ["getting-started", 1],
+        ["install", 3],
+        ["overview", 5],
+        ["linked-title", 8]
+      ])
+    })
+  })
+
+  describe("imageCheckUrl", () => {
+    it("checks uploaded images through the preview route", () => {
+      expect(imageCheckUrl("/images/preview/a%20b.png?w=2", "docs/guide.md")).toBe("/images/preview/a%20b.png")
+    })
+
+    it("checks relative images through the note assets route", () => {
+      expect(imageCheckUrl("../img/cover.jpg", "docs/post/index.md")).toBe("/note_assets/docs/img/cover.jpg")
+    })
+
+    it("skips remote images", () => {
+      expect(imageCheckUrl("https://example.com/a.png", "docs/guide.md")).toBeNull()
+      expect(imageCheckUrl("data:image/png;base64,xx", "docs/guide.md")).toBeNull()
+    })
+  })
+
+  describe("relativeNotePath", () => {
+    it("links between notes in the same folder", () => {
+      expect(relativeNotePath("docs/guide.md", "docs/setup.md")).toBe("setup.md")
+    })
+
+    it("walks up and down folders", () => {
+      expect(relativeNotePath("docs/a/guide.md", "notes/my note.md")).toBe("../../notes/my%20note.md")
+      expect(relativeNotePath("guide.md", "docs/setup.md")).toBe("docs/setup.md")
+    })
+  })
+
+  describe("lintReferences", () => {
+    beforeEach(() => {
+      window.t = vi.fn((key, options = {}) => {
+        if (key === "editor.lint.duplicate_anchor") return `Another heading already uses the anchor #${options.anchor} (line ${options.line})`
+        if (key === "editor.lint.missing_anchor") return `No heading with the anchor #${options.anchor}`
+        if (key === "editor.lint.change_to") return `Change to #${options.anchor}`
+        if (key === "editor.lint.missing_image") return `Image not found: ${options.path}`
+        if (key === "editor.lint.missing_note") return `No note at ${options.path}`
+        if (key === "editor.lint.link_to") return `Link to ${options.path}`
+        return key
+      })
+    })
+
+    afterEach(() => {
+      delete window.t
+    })
+
+    it("flags links to notes that don't exist", () => {
+      const doc = "[a](setup.md) [b](missing.md) [c](../readme.md)"
+      const diagnostics = lint(doc, { notes: ["docs/setup.md", "readme.md"] })
+
+      expect(diagnostics).toHaveLength(1)
+      expect(diagnostics[0].severity).toBe("warning")
+      expect(diagnostics[0].message).toBe("No note at docs/missing.md")
+      expect(doc.slice(diagnostics[0].from, diagnostics[0].to)).toBe("missing.md")
+    })
+
+    it("ignores links that aren't to notes", () => {
+      const diagnostics = lint("[a](https://example.com/x.md) [b](file.pdf) [c](folder/)", { notes: [] })
+      expect(diagnostics).toEqual([])
+    })
+
+    it("suggests the closest notes as quick fixes, keeping the fragment", () => {
+      const doc = "[a](setpu.md#usage)"
+      const diagnostics = lint(doc, { notes: ["docs/setup.md", "other/setup.md", "docs/unrelated.md"] })
+      const actions = diagnostics[0].actions
+
+      expect(actions.map(action => action.name)).toEqual(["Link to docs/setup.md", "Link to other/setup.md"])
+
+      const view = new EditorView({ state: stateFor(doc) })
+      const { from, to } = diagnostics[0]
+      actions[1].apply(view, from, to)
+      expect(view.state.doc.toString()).toBe("[a](../other/setup.md#usage)")
+      view.destroy()
+    })
+
+    it("flags #anchor links without a matching heading", () => {
+      const doc = "# Getting Started\n\n[ok](#getting-started) [bad](#getting-stared) [none](#zzz)"
+      const diagnostics = lint(doc)
+
+      expect(diagnostics.map(d => d.message)).toEqual([
+        "No heading with the anchor #getting-stared",
+        "No heading with the anchor #zzz"
+      ])
+      expect(diagnostics[0].actions.map(action => action.name)).toEqual(["Change to #getting-started"])
+      expect(diagnostics[1].actions).toEqual([])
+    })
+
+    it("accepts footnote anchors and encoded anchors", () => {
+      const diagnostics = lint("# Café Menu\n\n[a](#caf%C3%A9-menu) [b](#fn-1)")
+      expect(diagnostics).toEqual([])
+    })
+
+    it("flags headings that share an anchor and accepts their numbered anchors", () => {
+      const doc = "## Intro\n\nText\n\n## Intro\n\n[second](#intro-1)"
+      const diagnostics = lint(doc)
+
+      expect(diagnostics).toHaveLength(1)
+      expect(diagnostics[0].severity).toBe("info")
+      expect(diagnostics[0].message).toBe("Another heading already uses the anchor #intro (line 1)")
+      expect(diagnostics[0].from).toBe(doc.indexOf("## Intro", 1))
+    })
+
+    it("flags images that didn't load", () => {
+      const doc = "![a](/images/preview/gone.png) ![b](cover.jpg) ![c](https://x.test/a.png)"
+      const diagnostics = lint(doc, { missingImages: new Set(["/images/preview/gone.png"]) })
+
+      expect(diagnostics).toHaveLength(1)
+      expect(diagnostics[0].message).toBe("Image not found: /images/preview/gone.png")
+    })
+
+    it("uses translated messages", () => {
+      window.t = vi.fn((key, options) => key === "editor.lint.missing_note" ? `Nota inexistente: ${options.path}` : key)
+
+      expect(lint("[a](x.md)")[0].message).toBe("Nota inexistente: docs/x.md")
+    })
+  })
+})
@@ -0,0 +1,232 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, afterEach } from "vitest"
+import { EditorState, Text } from "@codemirror/state"
+import { EditorView } from "@codemirror/view"
+import { history, undo, moveLineDown } from "@codemirror/commands"
+import { indentUnit } from "@codemirror/language"
+import { markdown, markdownLanguage } from "@codemirror/lang-markdown"
+import {
+  parseListLine,
+  continueList,
+  indentListItems,
+  outdentListItems,
+  renumberChanges,
+  markdownLists
+} from "../../../app/javascript/lib/markdown_lists.js"
+
+describe("markdown_lists", () => {
+  let view
+
+  // "|" marks the cursor
+  const createView = (text, unit = "  ") => {
+    const cursor = Math.max(text.indexOf("|"), 0)
+    view = new EditorView({
+      state: EditorState.create({
+        doc: text.replace("|", ""),
+        selection: { anchor: cursor },
+        extensions: [markdown({ base: markdownLanguage }), history(), indentUnit.of(unit), markdownLists()]
+      }),
+      parent: document.body
+    })
+    return view
+  }
+
+  const content = () => {
+    const doc = view.state.doc.toString()
+    const head = view.state.selection.main.head
+    return doc.slice(0, head) + "|" + doc.slice(head)
+  }
+
+  afterEach(() => {
+    view?.destroy()
+    view = null
+  })
+
+  describe("parseListLine", () => {
+    it("parses bullets, numbers, tasks and quotes", () => {
+      expect(parseListLine("  - item")).toMatchObject({ quote: "", indent: "  ", bullet: "-", number: null, prefixLength: 4 })
+      expect(parseListLine("12) item")).toMatchObject({ number: 12, delimiter: ")", prefixLength: 4 })
+      expect(parseListLine("* [x] done")).toMatchObject({ bullet: "*", task: "[x] ", prefixLength: 6 })
+      expect(parseListLine("> > 1. quoted")).toMatchObject({ quote: "> > ", number: 1, prefixLength: 7 })
+      expect(parseListLine("> text")).toMatchObject({ quote: "> ", bullet: null, number: null, prefixLength: 2 })
+    })
+
+    it("ignores other lines", () => {
+      expect(parseListLine("text")).toBeNull()
+      expect(parseListLine("-not a list")).toBeNull()
+      expect(parseListLine("1.5 apples")).toBeNull()
+    })
+  })
+
+  describe("continueList", () => {
+    it("continues bullets with their indentation", () => {
+      createView("- a\n  * b|")
+      continueList(view)
+      expect(content()).toBe("- a\n  * b\n  * |")
+    })
+
+    it("continues numbers and renumbers the items after", () => {
+      createView("1. a|\n2. b\n3. c")
+      continueList(view)
+      expect(content()).toBe("1. a\n2. |\n3. b\n4. c")
+    })
+
+    it("continues tasks unchecked", () => {
+      createView("- [x] done|")
+      continueList(view)
+      expect(content()).toBe("- [x] done\n- [ ] |")
+    })
+
+    it("continues blockquotes, and lists inside them", () => {
+      createView("> quote|")
+      continueList(view)
+      expect(content()).toBe("> quote\n> |")
+
+      view.destroy()
+      createView("> 1. a|")
+      continueList(view)
+      expect(content()).toBe("> 1. a\n> 2. |")
+    })
+
+    it("splits an item at the cursor", () => {
+      createView("- one |two")
+      continueList(view)
+      expect(content()).toBe("- one \n- |two")
+    })
+
+    it("ends the list on an empty item", () => {
+      createView("- a\n- |")
+      continueList(view)
+      expect(content()).toBe("- a\n|")
+
+      view.destroy()
+      createView("> - a\n> - |")
+      continueList(view)
+      expect(content()).toBe("> - a\n>|")
+    })
+
+    it("leaves one quote level on an empty quote line", () => {
+      createView("> a\n> |")
+      continueList(view)
+      expect(content()).toBe("> a\n|")
+    })
+
+    it("leaves other lines, code and the start of items to the default Enter", () => {
+      expect(continueList(createView("text|"))).toBe(false)
+      view.destroy()
+      expect(continueList(createView("```\n- a|\n```"))).toBe(false)
+      view.destroy()
+      expect(continueList(createView("|- a"))).toBe(false)
+    })
+
+    it("is undone in one step", () => {
+      createView("1. a|\n2. b")
+      continueList(view)
+      undo(view)
+      expect(view.state.doc.toString()).toBe("1. a\n2. b")
+    })
+  })
+
+  describe("indenting items", () => {
+    it("indents by the indent unit and starts a nested ordered list at 1", () => {
+      createView("1. a\n2. b|\n3. c", "    ")
+      indentListItems(view)
+      expect(view.state.doc.toString()).toBe("1. a\n    1. b\n2. c")
+    })
+
+    it("continues a nested list it joins", () => {
+      createView("1. a\n   1. x\n2. b|\n3. c")
+      indentListItems(view)
+      expect(view.state.doc.toString()).toBe("1. a\n   1. x\n   2. b\n2. c")
+    })
+
+    it("nests items under a numbered item at the start of its text", () => {
+      createView("1. a\n2. b|\n3. c")
+      indentListItems(view)
+      expect(view.state.doc.toString()).toBe("1. a\n   1. b\n2. c")
+
+      view.destroy()
+      createView("- a\n  10. x\n  11. y|")
+      indentListItems(view)
+      expect(view.state.doc.toString()).toBe("- a\n  10. x\n      1. y")
+    })
+
+    it("indents with tabs when the indent setting is 0", () => {
+      createView("- a\n- b|", "\t")
+      indentListItems(view)
+      expect(view.state.doc.toString()).toBe("- a\n\t- b")
+    })
+
+    it("outdents items after their new siblings", () => {
+      createView("1. a\n   1. x\n   2. y|\n2. b")
+      outdentListItems(view)
+      expect(view.state.doc.toString()).toBe("1. a\n   1. x\n2. y\n3. b")
+    })
+
+    it("indents every selected item", () => {
+      createView("- a\n- b\n- c")
+      view.dispatch({ selection: { anchor: 4, head: view.state.doc.length } })
+      indentListItems(view)
+      expect(view.state.doc.toString()).toBe("- a\n  - b\n  - c")
+    })
+
+    it("leaves lines that aren't list items to the default Tab", () => {
+      expect(indentListItems(createView("text|"))).toBe(false)
+    })
+  })
+
+  describe("renumbering", () => {
+    it("renumbers after the first item is deleted", () => {
+      createView("1. a\n2. b\n3. c")
+      view.dispatch({ changes: { from: 0, to: 5 }, userEvent: "delete" })
+      expect(view.state.doc.toString()).toBe("1. b\n2. c")
+    })
+
+    it("renumbers after an item is deleted", () => {
+      createView("1. a\n2. b\n3. c\n4. d")
+      view.dispatch({ changes: { from: 5, to: 10 }, userEvent: "delete" })
+      expect(view.state.doc.toString()).toBe("1. a\n2. c\n3. d")
+    })
+
+    it("renumbers after an item is moved", () => {
+      createView("1. a|\n2. b\n3. c")
+      moveLineDown(view)
+      expect(view.state.doc.toString()).toBe("1. b\n2. a\n3. c")
+    })
+
+    it("counts on from the first item's number", () => {
+      createView("3. a\n3. b\n3. c")
+      view.dispatch({ changes: { from: 4, insert: "!" }, userEvent: "input.type" })
+      expect(view.state.doc.toString()).toBe("3. a!\n4. b\n5. c")
+    })
+
+    it("leaves undo and programmatic changes alone", () => {
+      createView("1. a\n1. b")
+      view.dispatch({ changes: { from: 4, insert: "!" } })
+      expect(view.state.doc.toString()).toBe("1. a!\n1. b")
+    })
+  })
+
+  describe("renumberChanges", () => {
+    it("renumbers each list level on its own, across nested items and blank lines", () => {
+      const doc = Text.of(["1. a", "   text", "   1. x", "   5. y", "", "1. b", "- bullet", "1. other"])
+      const changes = renumberChanges(doc, [1, 3])
+
+      expect(changes.map(change => doc.sliceString(change.from, change.to) + ">" + change.insert)).toEqual(["1>2", "5>2"])
+    })
+
+    it("skips lists the caller says are in code", () => {
+      const doc = Text.of(["1. a", "1. b"])
+      expect(renumberChanges(doc, [1], { skipLine: () => true })).toEqual([])
+    })
+
+    it("starts from the number the caller gives", () => {
+      const doc = Text.of(["2. b", "1. a"])
+      const changes = renumberChanges(doc, [1], { startNumber: () => 1 })
+
+      expect(changes.map(change => change.insert)).toEqual(["1", "2"])
+    })
+  })
+})
@@ -0,0 +1,532 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest"
+import {
+  alertExtension,
+  alertTitle,
+  footnoteDefinitionExtension,
+  footnoteRefExtension,
+  hugoShortcodeBlockExtension,
+  hugoShortcodeInlineExtension,
+  codeHighlightExtension,
+  resolveCodeLanguage,
+  mathBlockExtension,
+  mathInlineExtension,
+  mermaidExtension,
+  wikiLinkExtension,
+  renderMath,
+  allExtensions
+} from "../../../app/javascript/lib/marked_extensions.js"
+import { setWikiLinkNotes } from "../../../app/javascript/lib/wiki_links.js"
+import { setShortcodeTemplates, setShortcodePageParams } from "../../../app/javascript/lib/hugo_shortcodes.js"
+
+describe("marked_extensions", () => {
+  describe("resolveCodeLanguage", () => {
+    it("returns null for empty info strings", () => {
+      expect(resolveCodeLanguage("")).toBeNull()
+      expect(resolveCodeLanguage(undefined)).toBeNull()
+    })
+
+    it("resolves registered languages and their aliases", () => {
+      expect(resolveCodeLanguage("ruby")).toBe("ruby")
+      expect(resolveCodeLanguage("js")).toBe("js")
+      expect(resolveCodeLanguage("yml")).toBe("yml")
+    })
+
+    it("uses only the first word of the info string", () => {
+      expect(resolveCodeLanguage("ruby title=app.rb")).toBe("ruby")
+    })
+
+    it("is case-insensitive", () => {
+      expect(resolveCodeLanguage("Python")).toBe("python")
+    })
+
+    it("maps shell to the bash grammar", () => {
+      expect(resolveCodeLanguage("shell")).toBe("bash")
+    })
+
+    it("returns null for unsupported languages", () => {
+      expect(resolveCodeLanguage("not-a-language")).toBeNull()
+    })
+  })
+
+  describe("codeHighlightExtension", () => {
+    const render = (token) => codeHighlightExtension.renderer(token)
+
+    it("overrides the built-in code renderer", () => {
+      expect(codeHighlightExtension.name).toBe("code")
+      expect(allExtensions).toContain(codeHighlightExtension)
+    })
+
+    it("highlights tokens for known languages", () => {
+      const html = render({ type: "code", lang: "ruby", text: "puts \"hi\" # greet" })
+
+      expect(html).toContain('<pre><code class="hljs language-ruby">')
+      expect(html).toContain('<span class="hljs-string">&quot;hi&quot;</span>')
+      expect(html).toContain('<span class="hljs-comment"># greet</span>')
+    })
+
+    it("escapes HTML inside code", () => {
+      const html = render({ type: "code", lang: "javascript", text: "a < b && c > d" })
+
+      expect(html).toContain("&lt;")
+      expect(html).toContain("&amp;&amp;")
+      expect(html).not.toContain("a < b")
+    })
+
+    it("keeps the original language name in the class", () => {
+      const html = render({ type: "code", lang: "shell", text: "echo hi" })
+      expect(html).toContain('class="hljs language-shell"')
+    })
+
+    it("falls back to the default renderer for unknown languages", () => {
+      expect(render({ type: "code", lang: "klingon", text: "Qapla'" })).toBe(false)
+    })
+
+    it("only knows the languages of the vendored common bundle", () => {
+      expect(render({ type: "code", lang: "haskell", text: "main = putStrLn \"hi\"" })).toBe(false)
+    })
+
+    it("falls back to the default renderer for blocks without a language", () => {
+      expect(render({ type: "code", lang: "", text: "plain" })).toBe(false)
+      expect(render({ type: "code", codeBlockStyle: "indented", text: "plain" })).toBe(false)
+    })
+  })
+
+  describe("mermaidExtension", () => {
+    const render = (token) => mermaidExtension.renderer(token)
+
+    it("renders mermaid blocks as diagram placeholders holding the source", () => {
+      const html = render({ type: "code", lang: "mermaid", text: "graph TD\n  A --> B" })
+
+      expect(html).toBe('<div class="mermaid-diagram"><pre class="mermaid-source"><code>graph TD\n  A --&gt; B</code></pre></div>\n')
+    })
+
+    it("is case-insensitive and ignores extra info string words", () => {
+      expect(render({ type: "code", lang: "Mermaid title=flow", text: "graph LR" })).toContain("mermaid-diagram")
+    })
+
+    it("leaves other code blocks to the other renderers", () => {
+      expect(render({ type: "code", lang: "ruby", text: "puts 1" })).toBe(false)
+      expect(render({ type: "code", lang: "", text: "plain" })).toBe(false)
+    })
+
+    it("is registered after the highlighter so it runs first", () => {
+      expect(allExtensions.indexOf(mermaidExtension)).toBeGreaterThan(allExtensions.indexOf(codeHighlightExtension))
+    })
+  })
+
+  describe("renderMath", () => {
+    it("renders MathML with the TeX source as annotation", () => {
+      const html = renderMath("x^2", false)
+
+      expect(html).toContain("<math")
+      expect(html).toContain("<msup>")
+      expect(html).toContain('<annotation encoding="application/x-tex">x^2</annotation>')
+    })
+
+    it("marks display formulas as block math", () => {
+      expect(renderMath("x", true)).toContain('display="block"')
+      expect(renderMath("x", false)).not.toContain('display="block"')
+    })
+
+    it("renders invalid TeX as an inline error instead of throwing", () => {
+      const html = renderMath("\\frac{", false)
+      expect(html).toContain("katex-error")
+    })
+  })
+
+  describe("mathInlineExtension", () => {
+    const tokenize = (src) => mathInlineExtension.tokenizer(src)
+
+    it("tokenizes $...$ formulas", () => {
+      const token = tokenize("$a+b$ rest")
+
+      expect(token).toMatchObject({ type: "mathInline", raw: "$a+b$", text: "a+b", displayMode: false })
+    })
+
+    it("tokenizes $$...$$ inside a paragraph as display math", () => {
+      const token = tokenize("$$ a $$ rest")
+
+      expect(token).toMatchObject({ raw: "$$ a $$", text: "a", displayMode: true })
+    })
+
+    it("allows escaped characters inside formulas", () => {
+      expect(tokenize("$\\$x$").text).toBe("\\$x")
+    })
+
+    it("ignores dollars followed by whitespace", () => {
+      expect(tokenize("$ a$")).toBeUndefined()
+    })
+
+    it("ignores closing dollars preceded by whitespace", () => {
+      expect(tokenize("$a $")).toBeUndefined()
+    })
+
+    it("ignores currency amounts", () => {
+      expect(tokenize("$5 and $10")).toBeUndefined()
+    })
+
+    it("does not pair a dollar with one inside a later code span", () => {
+      expect(tokenize("$5 or `$`")).toBeUndefined()
+    })
+
+    it("starts at the first unescaped dollar", () => {
+      expect(mathInlineExtension.start("a \\$ b $c$")).toBe(7)
+    })
+
+    it("renders via renderMath", () => {
+      const html = mathInlineExtension.renderer({ text: "y", displayMode: false })
+      expect(html).toContain("<mi>y</mi>")
+    })
+  })
+
+  describe("mathBlockExtension", () => {
+    const tokenize = (src) => mathBlockExtension.tokenizer(src)
+
+    it("tokenizes multi-line display math", () => {
+      const token = tokenize("$$\n\\int x\n$$\n\nNext")
+
+      expect(token).toMatchObject({ type: "mathBlock", raw: "$$\n\\int x\n$$\n\n", text: "\\int x" })
+    })
+
+    it("tokenizes single-line display math", () => {
+      expect(tokenize("$$ E = mc^2 $$").text).toBe("E = mc^2")
+    })
+
+    it("does not tokenize $$ followed by more text on the closing line", () => {
+      expect(tokenize("$$a$$ is inline")).toBeUndefined()
+    })
+
+    it("only starts at lines holding a complete block", () => {
+      expect(mathBlockExtension.start("text\n$$a$$ inline\n$$\nb\n$$")).toBe(18)
+    })
+
+    it("wraps the formula in a display container", () => {
+      const html = mathBlockExtension.renderer({ text: "x" })
+
+      expect(html).toMatch(/^<div class="math-display">/)
+      expect(html).toContain('display="block"')
+    })
+  })
+
+  describe("wikiLinkExtension", () => {
+    const render = (src) => wikiLinkExtension.renderer(wikiLinkExtension.tokenizer(src))
+
+    beforeEach(() => {
+      setWikiLinkNotes(["Inbox.md", "projects/Road Map.md"])
+    })
+
+    it("tokenizes target, heading and label", () => {
+      const token = wikiLinkExtension.tokenizer("[[Road Map#Q1 Goals|goals]] rest")
+
+      expect(token).toMatchObject({ type: "wikiLink", raw: "[[Road Map#Q1 Goals|goals]]", target: "Road Map", heading: "Q1 Goals", label: "goals" })
+    })
+
+    it("does not tokenize empty or unclosed links", () => {
+      expect(wikiLinkExtension.tokenizer("[[ ]]")).toBeUndefined()
+      expect(wikiLinkExtension.tokenizer("[[Inbox")).toBeUndefined()
+      expect(wikiLinkExtension.tokenizer("[[a\nb]]")).toBeUndefined()
+    })
+
+    it("starts at the opening brackets", () => {
+      expect(wikiLinkExtension.start("see [link] and [[Inbox]]")).toBe(15)
+    })
+
+    it("renders resolved links to the note", () => {
+      expect(render("[[road map]]")).toBe('<a href="/notes/projects/Road%20Map.md" class="wiki-link" data-wiki-path="projects/Road Map.md">road map</a>')
+    })
+
+    it("renders the label and heading anchor", () => {
+      const html = render("[[Inbox#Next Steps|todo]]")
+
+      expect(html).toContain('href="/notes/Inbox.md#next-steps"')
+      expect(html).toContain('data-wiki-heading="Next Steps"')
+      expect(html).toContain(">todo</a>")
+    })
+
+    it("renders links to headings in the current note", () => {
+      expect(render("[[#Next Steps]]")).toBe('<a href="#next-steps" class="wiki-link" data-wiki-current="true" data-wiki-heading="Next Steps">Next Steps</a>')
+    })
+
+    it("renders unresolved links without a destination", () => {
+      const html = render("[[Missing <Note>]]")
+
+      expect(html).toBe('<a class="wiki-link wiki-link-unresolved" data-wiki-target="Missing &lt;Note&gt;">Missing &lt;Note&gt;</a>')
+    })
+  })
+  describe("alertExtension", () => {
+    // Stands in for marked's parser, which renders the blockquote's inner tokens
+    const render = (body) => alertExtension.renderer.call({ parser: { parse: () => body } }, { type: "blockquote", tokens: [] })
+
+    afterEach(() => {
+      delete globalThis.window
+    })
+
+    it("is registered with the other extensions", () => {
+      expect(allExtensions).toContain(alertExtension)
+    })
+
+    it("falls back to the default renderer for plain blockquotes", () => {
+      expect(render("<p>Just a quote</p>\n")).toBe(false)
+    })
+
+    it("ignores unknown alert types and markers followed by text", () => {
+      expect(render("<p>[!DANGER]<br>Careful</p>\n")).toBe(false)
+      expect(render("<p>[!NOTE] inline text</p>\n")).toBe(false)
+    })
+
+    it("renders a callout with icon and title", () => {
+      const html = render("<p>[!NOTE]<br>Useful information.</p>\n")
+
+      expect(html).toContain('<div class="markdown-alert markdown-alert-note">')
+      expect(html).toContain('<p class="markdown-alert-title"><svg class="markdown-alert-icon"')
+      expect(html).toContain("</svg>Note</p>")
+      expect(html).toContain("<p>Useful information.</p>")
+      expect(html).not.toContain("[!NOTE]")
+    })
+
+    it("matches the marker case-insensitively", () => {
+      expect(render("<p>[!warning]\nCareful</p>\n")).toContain("markdown-alert-warning")
+    })
+
+    it("drops the marker paragraph when the content follows a blank line", () => {
+      const html = render("<p>[!TIP]</p>\n<p>First</p>\n<ul>\n<li>item</li>\n</ul>\n")
+
+      expect(html).toContain("</svg>Tip</p>\n<p>First</p>")
+      expect(html).toContain("<li>item</li>")
+      expect(html).not.toContain("<p></p>")
+    })
+
+    it("renders each alert type with its own class", () => {
+      for (const type of ["note", "tip", "important", "warning", "caution"]) {
+        expect(render(`<p>[!${type.toUpperCase()}]<br>Text</p>\n`)).toContain(`markdown-alert-${type}"`)
+      }
+    })
+
+    it("uses localized titles from the translations", () => {
+      globalThis.window = { t: (key) => (key === "preview.alert_caution" ? "Cuidado" : key) }
+
+      expect(alertTitle("caution")).toBe("Cuidado")
+      expect(render("<p>[!CAUTION]<br>Text</p>\n")).toContain("</svg>Cuidado</p>")
+    })
+
+    it("falls back to English titles until translations load", () => {
+      globalThis.window = { t: (key) => key }
+
+      expect(alertTitle("important")).toBe("Important")
+    })
+  })
+  describe("footnoteDefinitionExtension", () => {
+    // Stands in for marked's lexer, which tokenizes the definition body
+    const tokenize = (src) => footnoteDefinitionExtension.tokenizer.call(
+      { lexer: { blockTokens: (text) => [{ type: "paragraph", text }] } },
+      src
+    )
+
+    it("is registered with the other extensions", () => {
+      expect(allExtensions).toContain(footnoteDefinitionExtension)
+      expect(allExtensions).toContain(footnoteRefExtension)
+    })
+
+    it("starts at a definition line", () => {
+      expect(footnoteDefinitionExtension.start("Text\n[^1]: Note")).toBe(5)
+      expect(footnoteDefinitionExtension.start("Text[^1] only")).toBeUndefined()
+    })
+
+    it("tokenizes a single-line definition", () => {
+      const token = tokenize("[^1]: A note\n\nNext paragraph")
+
+      expect(token).toMatchObject({ type: "footnoteDefinition", id: "1", raw: "[^1]: A note\n" })
+      expect(token.tokens[0].text).toBe("A note")
+    })
+
+    it("includes indented continuation paragraphs", () => {
+      const token = tokenize("[^long]: First\n\n    Second paragraph\n\nAfter")
+
+      expect(token.id).toBe("long")
+      expect(token.raw).toBe("[^long]: First\n\n    Second paragraph\n")
+      expect(token.tokens[0].text).toBe("First\n\nSecond paragraph")
+    })
+
+    it("includes lazy continuation lines", () => {
+      const token = tokenize("[^1]: First line\nsecond line\n[^2]: Other")
+
+      expect(token.raw).toBe("[^1]: First line\nsecond line\n")
+    })
+
+    it("stops at lines that start another block", () => {
+      expect(tokenize("[^1]: Note\n# Heading").raw).toBe("[^1]: Note\n")
+      expect(tokenize("[^1]: Note\n- item").raw).toBe("[^1]: Note\n")
+    })
+
+    it("ignores other text", () => {
+      expect(tokenize("[^1] is a reference")).toBeUndefined()
+      expect(tokenize("[link]: /url")).toBeUndefined()
+    })
+
+    it("renders nothing in place", () => {
+      expect(footnoteDefinitionExtension.renderer({ type: "footnoteDefinition" })).toBe("")
+    })
+  })
+
+  describe("footnoteRefExtension", () => {
+    it("tokenizes references", () => {
+      expect(footnoteRefExtension.tokenizer("[^note] rest")).toEqual({ type: "footnoteRef", raw: "[^note]", id: "note" })
+      expect(footnoteRefExtension.tokenizer("[^with space]")).toBeUndefined()
+      expect(footnoteRefExtension.start("text[^1]")).toBe(4)
+    })
+
+    it("renders numbered references as superscript links", () => {
+      const html = footnoteRefExtension.renderer({ type: "footnoteRef", raw: "[^note]", id: "note", number: 2, occurrence: 1 })
+
+      expect(html).toBe('<sup class="footnote-ref"><a href="#fn-note" id="fnref-note">2</a></sup>')
+    })
+
+    it("gives repeated references their own ids", () => {
+      const html = footnoteRefExtension.renderer({ type: "footnoteRef", raw: "[^1]", id: "1", number: 1, occurrence: 2 })
+
+      expect(html).toContain('id="fnref-1-2"')
+    })
+
+    it("renders references without a definition as typed", () => {
+      expect(footnoteRefExtension.renderer({ type: "footnoteRef", raw: "[^<x>]", id: "<x>" })).toBe("[^&lt;x&gt;]")
+    })
+  })
+
+  describe("hugoShortcodeBlockExtension", () => {
+    // Stand in for marked's lexer and parser: tokens carry their source text
+    const lexer = {
+      blockTokens: (text) => [{ type: "paragraph", text }],
+      inline: (text) => [{ type: "text", text }]
+    }
+    const parser = {
+      parse: (tokens) => tokens.map(token => `<p>${token.text}</p>`).join(""),
+      parseInline: (tokens) => tokens.map(token => token.text).join("")
+    }
+    const tokenize = (src) => hugoShortcodeBlockExtension.tokenizer.call({ lexer }, src)
+    const render = (src) => hugoShortcodeBlockExtension.renderer.call({ parser }, tokenize(src))
+
+    beforeEach(() => {
+      setWikiLinkNotes(["about.md"])
+    })
+
+    afterEach(() => {
+      setShortcodeTemplates({})
+      setShortcodePageParams({})
+    })
+
+    it("is registered with the other extensions", () => {
+      expect(allExtensions).toContain(hugoShortcodeBlockExtension)
+      expect(allExtensions).toContain(hugoShortcodeInlineExtension)
+    })
+
+    it("starts at a shortcode at the beginning of a line", () => {
+      expect(hugoShortcodeBlockExtension.start("Text\n{{< youtube x >}}")).toBe(5)
+      expect(hugoShortcodeBlockExtension.start("Text {{< youtube x >}}")).toBeUndefined()
+    })
+
+    it("tokenizes a shortcode alone on its line", () => {
+      const token = tokenize("{{< youtube abc >}}\nNext")
+
+      expect(token).toMatchObject({ type: "hugoShortcode", raw: "{{< youtube abc >}}\n", block: true, inner: null, tokens: [] })
+      expect(token.shortcode.name).toBe("youtube")
+    })
+
+    it("leaves shortcodes followed by text to the inline extension", () => {
+      expect(tokenize("{{< ref about >}} is a link")).toBeUndefined()
+      expect(tokenize("{{< /notice >}}")).toBeUndefined()
+      expect(tokenize("{{</* youtube x */>}}")).toBeUndefined()
+    })
+
+    it("tokenizes paired shortcodes with their inner markdown", () => {
+      const token = tokenize("{{% notice tip %}}\nBe *kind*\n{{% /notice %}}\nAfter")
+
+      expect(token.raw).toBe("{{% notice tip %}}\nBe *kind*\n{{% /notice %}}\n")
+      expect(token.inner).toBe("Be *kind*")
+      expect(token.tokens).toEqual([{ type: "paragraph", text: "Be *kind*" }])
+    })
+
+    it("turns highlight shortcodes into code blocks", () => {
+      expect(tokenize('{{< highlight go "linenos=table" >}}\nfunc main() {}\n{{< /highlight >}}')).toEqual({
+        type: "code",
+        raw: '{{< highlight go "linenos=table" >}}\nfunc main() {}\n{{< /highlight >}}',
+        lang: "go",
+        text: "func main() {}"
+      })
+    })
+
+    it("renders built-in shortcodes", () => {
+      expect(render("{{< youtube abc >}}")).toContain('<iframe src="https://www.youtube.com/embed/abc"')
+      expect(render('{{< figure src="a.png" caption="A *cat*" >}}')).toBe('<figure><img src="a.png" alt="A *cat*"><figcaption><p>A *cat*</p></figcaption></figure>\n')
+      expect(render('{{< details summary="More" >}}\nHidden\n{{< /details >}}')).toBe("<details><summary>More</summary><p>Hidden</p></details>\n")
+      expect(render('{{< ref "about" >}}')).toBe('<p><a href="/notes/about.md" class="wiki-link" data-wiki-path="about.md">about</a></p>\n')
+      expect(render("{{< vimeo 42 >}}")).toContain('<iframe src="https://player.vimeo.com/video/42"')
+      expect(render("{{< gist spf13 7896402 >}}")).toBe('<p class="hugo-gist"><a href="https://gist.github.com/spf13/7896402">spf13/7896402</a></p>\n')
+    })
+
+    it("renders the param shortcode from the note's front matter", () => {
+      setShortcodePageParams({ title: "Post" })
+
+      expect(render("{{< param title >}}")).toBe("<p>Post</p>\n")
+      expect(render("{{< param missing >}}")).toContain('data-shortcode="param"')
+    })
+
+    it("leaves the built-ins that need Hugo's site or the network as placeholders", () => {
+      for (const name of ["instagram", "x", "twitter", "qr"]) {
+        expect(render(`{{< ${name} abc >}}`)).toContain(`data-shortcode="${name}"`)
+      }
+    })
+
+    it("renders unknown shortcodes as labelled placeholders", () => {
+      expect(render("{{% tabs %}}\nOne\n{{% /tabs %}}")).toBe(
+        '<div class="hugo-shortcode" data-shortcode="tabs"><code class="hugo-shortcode-label">{{% tabs %}}</code><p>One</p></div>\n'
+      )
+      expect(render("{{< youtube >}}")).toContain('data-shortcode="youtube"')
+    })
+
+    it("renders templates from .fed before the built-ins", () => {
+      setShortcodeTemplates({
+        notice: '<aside class="{{ .Get 0 }}">{{ .Inner }}</aside>',
+        youtube: "<p>Video {{ .Get 0 }}</p>"
+      })
+
+      expect(render("{{% notice tip %}}\nHi\n{{% /notice %}}")).toBe('<aside class="tip"><p>Hi</p></aside>\n')
+      expect(render("{{< youtube abc >}}")).toBe("<p>Video abc</p>\n")
+    })
+  })
+
+  describe("hugoShortcodeInlineExtension", () => {
+    const lexer = { inlineTokens: (text) => [{ type: "text", text }] }
+    const parser = { parseInline: (tokens) => tokens.map(token => token.text).join("") }
+    const tokenize = (src) => hugoShortcodeInlineExtension.tokenizer.call({ lexer }, src)
+    const render = (src) => hugoShortcodeInlineExtension.renderer.call({ parser }, tokenize(src))
+
+    beforeEach(() => {
+      setWikiLinkNotes(["about.md"])
+    })
+
+    it("starts at a shortcode or a link to one", () => {
+      expect(hugoShortcodeInlineExtension.start("see {{< ref x >}}")).toBe(4)
+      expect(hugoShortcodeInlineExtension.start('a [b] [about]({{< ref "about" >}})')).toBe(6)
+      expect(hugoShortcodeInlineExtension.start("a [b](/c)")).toBeUndefined()
+    })
+
+    it("renders links to ref shortcodes as note links", () => {
+      expect(tokenize('[About us]({{< relref "about#team" >}}) rest').raw).toBe('[About us]({{< relref "about#team" >}})')
+      expect(render('[About us]({{< relref "about#team" >}})')).toBe(
+        '<a href="/notes/about.md#team" class="wiki-link" data-wiki-path="about.md" data-wiki-heading="team">About us</a>'
+      )
+      expect(render('[Intro]({{< ref "#intro" >}})')).toBe('<a href="#intro" class="wiki-link" data-wiki-current="true" data-wiki-heading="intro">Intro</a>')
+      expect(tokenize('[x]({{< youtube abc >}})')).toBeUndefined()
+    })
+
+    it("renders commented-out shortcodes as text", () => {
+      expect(render("{{</* youtube <x> */>}}")).toBe("{{&lt; youtube &lt;x&gt; &gt;}}")
+    })
+
+    it("renders inline shortcodes and their inner text", () => {
+      expect(tokenize("{{< mark >}}hi{{< /mark >}} rest")).toMatchObject({ raw: "{{< mark >}}hi{{< /mark >}}", inner: "hi" })
+      expect(render("{{< highlight js >}}a < b{{< /highlight >}}")).toBe("<code>a &lt; b</code>")
+      expect(render("{{< param title >}}")).toContain('<span class="hugo-shortcode hugo-shortcode-inline" data-shortcode="param">')
+    })
+  })
+})
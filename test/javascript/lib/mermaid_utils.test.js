@@ -0,0 +1,84 @@
+import { describe, it, expect, vi } from "vitest"
+import {
+  loadMermaid,
+  buildMermaidThemeVariables,
+  renderMermaidDiagram
+} from "../../../app/javascript/lib/mermaid_utils.js"
+
+describe("mermaid_utils", () => {
+  describe("loadMermaid", () => {
+    it("resolves the mermaid API", async () => {
+      const mermaid = await loadMermaid()
+
+      expect(typeof mermaid.initialize).toBe("function")
+      expect(typeof mermaid.render).toBe("function")
+    })
+
+    it("only imports the library once", () => {
+      expect(loadMermaid()).toBe(loadMermaid())
+    })
+  })
+
+  describe("buildMermaidThemeVariables", () => {
+    it("maps theme CSS variables onto mermaid variables", () => {
+      const values = {
+        "--theme-bg-primary": " #111 ",
+        "--theme-text-primary": "#eee",
+        "--theme-accent": "#f80"
+      }
+      const style = { getPropertyValue: (name) => values[name] || "" }
+
+      const variables = buildMermaidThemeVariables(style)
+
+      expect(variables.background).toBe("#111")
+      expect(variables.primaryTextColor).toBe("#eee")
+      expect(variables.textColor).toBe("#eee")
+      expect(variables.primaryBorderColor).toBe("#f80")
+      expect(variables.lineColor).toBe("")
+    })
+  })
+
+  describe("renderMermaidDiagram", () => {
+    const createMermaid = (render) => ({ initialize: vi.fn(), render: vi.fn(render) })
+
+    it("returns the rendered svg", async () => {
+      const mermaid = createMermaid(async () => ({ svg: "<svg></svg>" }))
+
+      const result = await renderMermaidDiagram(mermaid, "graph TD")
+
+      expect(result).toEqual({ svg: "<svg></svg>" })
+      expect(mermaid.render).toHaveBeenCalledWith(expect.stringMatching(/^mermaid-diagram-\d+$/), "graph TD")
+    })
+
+    it("configures mermaid with the theme and strict security", async () => {
+      const mermaid = createMermaid(async () => ({ svg: "" }))
+
+      await renderMermaidDiagram(mermaid, "graph TD", { darkMode: true, themeVariables: { background: "#000" } })
+
+      expect(mermaid.initialize).toHaveBeenCalledWith(expect.objectContaining({
+        startOnLoad: false,
+        securityLevel: "strict",
+        theme: "base",
+        darkMode: true,
+        themeVariables: { background: "#000" }
+      }))
+    })
+
+    it("uses a unique element id per render", async () => {
+      const mermaid = createMermaid(async () => ({ svg: "" }))
+
+      await renderMermaidDiagram(mermaid, "a")
+      await renderMermaidDiagram(mermaid, "b")
+
+      expect(mermaid.render.mock.calls[0][0]).not.toBe(mermaid.render.mock.calls[1][0])
+    })
+
+    it("returns parse errors instead of throwing", async () => {
+      const mermaid = createMermaid(async () => { throw new Error("Parse error on line 2") })
+
+      const result = await renderMermaidDiagram(mermaid, "graph TD\n  A -->")
+
+      expect(result).toEqual({ error: "Parse error on line 2" })
+    })
+  })
+})
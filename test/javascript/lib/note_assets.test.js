@@ -0,0 +1,84 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from "vitest"
+import {
+  resolveNoteAssetPath,
+  noteAssetUrl,
+  rewriteNoteAssetUrls
+} from "../../../app/javascript/lib/note_assets.js"
+
+const BUNDLE = "2026/01/02/my-post/index.md"
+
+describe("note_assets", () => {
+  describe("resolveNoteAssetPath", () => {
+    it("resolves paths against the note's folder", () => {
+      expect(resolveNoteAssetPath(BUNDLE, "cover.jpg")).toEqual({ path: "2026/01/02/my-post/cover.jpg", suffix: "" })
+      expect(resolveNoteAssetPath(BUNDLE, "./images/a.png")).toEqual({ path: "2026/01/02/my-post/images/a.png", suffix: "" })
+      expect(resolveNoteAssetPath(BUNDLE, "../other/b.png")).toEqual({ path: "2026/01/02/other/b.png", suffix: "" })
+      expect(resolveNoteAssetPath("readme.md", "c.png")).toEqual({ path: "c.png", suffix: "" })
+    })
+
+    it("keeps the query and fragment", () => {
+      expect(resolveNoteAssetPath(BUNDLE, "doc.pdf#page=2")).toEqual({ path: "2026/01/02/my-post/doc.pdf", suffix: "#page=2" })
+    })
+
+    it("decodes percent-encoded paths", () => {
+      expect(resolveNoteAssetPath("notes/a.md", "my%20photo.jpg").path).toBe("notes/my photo.jpg")
+      expect(resolveNoteAssetPath("notes/a.md", "100%.jpg").path).toBe("notes/100%.jpg")
+    })
+
+    it("ignores URLs that aren't relative", () => {
+      for (const url of ["https://example.com/a.png", "data:image/png;base64,x", "/images/preview/a.png", "//cdn.example.com/a.png", "#heading", "mailto:a@b.c", ""]) {
+        expect(resolveNoteAssetPath(BUNDLE, url)).toBeNull()
+      }
+    })
+
+    it("does not leave the notes directory", () => {
+      expect(resolveNoteAssetPath("a/note.md", "../../secret.png")).toBeNull()
+      expect(resolveNoteAssetPath("note.md", "..")).toBeNull()
+    })
+
+    it("needs a note path", () => {
+      expect(resolveNoteAssetPath("", "cover.jpg")).toBeNull()
+    })
+  })
+
+  describe("noteAssetUrl", () => {
+    it("encodes each path segment", () => {
+      expect(noteAssetUrl("posts/my post/a#1.png", "?v=2")).toBe("/note_assets/posts/my%20post/a%231.png?v=2")
+    })
+  })
+
+  describe("rewriteNoteAssetUrls", () => {
+    const rewrite = (html, notePath = BUNDLE) => {
+      const template = document.createElement("template")
+      template.innerHTML = html
+      rewriteNoteAssetUrls(template.content, notePath)
+      return template.innerHTML
+    }
+
+    it("rewrites images and media sources", () => {
+      expect(rewrite('<img src="cover.jpg" alt="">')).toBe('<img src="/note_assets/2026/01/02/my-post/cover.jpg" alt="">')
+      expect(rewrite('<video src="clip.mp4" poster="poster.png"><source src="clip.webm"></video>')).toBe(
+        '<video src="/note_assets/2026/01/02/my-post/clip.mp4" poster="/note_assets/2026/01/02/my-post/poster.png">' +
+        '<source src="/note_assets/2026/01/02/my-post/clip.webm"></video>'
+      )
+    })
+
+    it("rewrites links to files but not to notes or folders", () => {
+      expect(rewrite('<a href="slides.pdf">Slides</a>')).toBe('<a href="/note_assets/2026/01/02/my-post/slides.pdf">Slides</a>')
+      expect(rewrite('<a href="../other/index.md">Other</a><a href="../other/">Folder</a>')).toBe('<a href="../other/index.md">Other</a><a href="../other/">Folder</a>')
+    })
+
+    it("leaves absolute URLs and wiki links alone", () => {
+      const html = '<img src="https://example.com/a.png"><a href="/notes/a.md" class="wiki-link">A</a><a href="#fn-1">1</a>'
+
+      expect(rewrite(html)).toBe(html)
+    })
+
+    it("does nothing without a note path", () => {
+      expect(rewrite('<img src="cover.jpg">', "")).toBe('<img src="cover.jpg">')
+    })
+  })
+})
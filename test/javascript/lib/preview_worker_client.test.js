@@ -0,0 +1,67 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, afterEach } from "vitest"
+import {
+  readImportMap,
+  workerBootstrapSource,
+  createPreviewWorker
+} from "../../../app/javascript/lib/preview_worker_client.js"
+
+const IMPORT_MAP = {
+  imports: {
+    "es-module-shims": "/assets/es-module-shims-abc.js",
+    "lib/preview_worker": "/assets/lib/preview_worker-def.js",
+    "marked": "https://cdn.example.com/marked.js"
+  }
+}
+
+describe("preview_worker_client", () => {
+  afterEach(() => {
+    document.head.innerHTML = ""
+  })
+
+  const addImportMap = (json) => {
+    const script = document.createElement("script")
+    script.type = "importmap"
+    script.textContent = json
+    document.head.appendChild(script)
+  }
+
+  describe("readImportMap", () => {
+    it("makes the page's import map URLs absolute", () => {
+      addImportMap(JSON.stringify(IMPORT_MAP))
+
+      expect(readImportMap().imports).toEqual({
+        "es-module-shims": "http://localhost:3000/assets/es-module-shims-abc.js",
+        "lib/preview_worker": "http://localhost:3000/assets/lib/preview_worker-def.js",
+        "marked": "https://cdn.example.com/marked.js"
+      })
+    })
+
+    it("returns null without a valid import map", () => {
+      expect(readImportMap()).toBeNull()
+
+      addImportMap("{ not json")
+      expect(readImportMap()).toBeNull()
+    })
+  })
+
+  describe("workerBootstrapSource", () => {
+    it("loads the shims and imports the worker module through the map", () => {
+      const source = workerBootstrapSource(IMPORT_MAP)
+
+      expect(source).toContain('importScripts("/assets/es-module-shims-abc.js")')
+      expect(source).toContain(`importShim.addImportMap(${JSON.stringify(IMPORT_MAP)})`)
+      expect(source).toContain('importShim("lib/preview_worker")')
+    })
+  })
+
+  describe("createPreviewWorker", () => {
+    it("returns null where workers aren't available", () => {
+      addImportMap(JSON.stringify(IMPORT_MAP))
+
+      expect(createPreviewWorker()).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,70 @@
+import { describe, it, expect } from "vitest"
+import { findTaskLine, setTaskChecked } from "../../../app/javascript/lib/task_list.js"
+
+describe("task_list", () => {
+  describe("findTaskLine", () => {
+    const markdown = [
+      "# Todo",          // 1
+      "",                // 2
+      "- [ ] First",     // 3
+      "- [x] Second",    // 4
+      "  - [ ] Nested",  // 5
+      "- Plain item",    // 6
+      "",                // 7
+      "> - [ ] Quoted",  // 8
+      "> > 1. [X] Deep"  // 9
+    ].join("\n")
+
+    it("finds the nth task item of a block", () => {
+      expect(findTaskLine(markdown, 3, 0)).toBe(3)
+      expect(findTaskLine(markdown, 3, 1)).toBe(4)
+    })
+
+    it("counts nested items in document order", () => {
+      expect(findTaskLine(markdown, 3, 2)).toBe(5)
+    })
+
+    it("finds items inside blockquotes", () => {
+      expect(findTaskLine(markdown, 8, 0)).toBe(8)
+      expect(findTaskLine(markdown, 8, 1)).toBe(9)
+    })
+
+    it("skips task markers in fenced code", () => {
+      const text = "- [ ] Before\n  ```\n  - [ ] Code\n  ```\n- [ ] After"
+
+      expect(findTaskLine(text, 1, 1)).toBe(5)
+    })
+
+    it("ignores boxes without text after them", () => {
+      expect(findTaskLine("- [ ]\n- [ ] Real", 1, 0)).toBe(2)
+    })
+
+    it("returns null when the item does not exist", () => {
+      expect(findTaskLine(markdown, 8, 2)).toBeNull()
+      expect(findTaskLine(markdown, 0, 0)).toBeNull()
+      expect(findTaskLine("", 1, 0)).toBeNull()
+    })
+  })
+
+  describe("setTaskChecked", () => {
+    it("checks and unchecks an item", () => {
+      expect(setTaskChecked("- [ ] Task", true)).toBe("- [x] Task")
+      expect(setTaskChecked("- [x] Task", false)).toBe("- [ ] Task")
+      expect(setTaskChecked("- [X] Task", false)).toBe("- [ ] Task")
+    })
+
+    it("keeps indentation, blockquote prefixes and list markers", () => {
+      expect(setTaskChecked("    * [ ] Nested", true)).toBe("    * [x] Nested")
+      expect(setTaskChecked("> > 2) [ ] Quoted", true)).toBe("> > 2) [x] Quoted")
+    })
+
+    it("only changes the leading task box", () => {
+      expect(setTaskChecked("- [ ] Write [ ] docs", true)).toBe("- [x] Write [ ] docs")
+    })
+
+    it("returns null for lines that are not task items", () => {
+      expect(setTaskChecked("- Plain item", true)).toBeNull()
+      expect(setTaskChecked("Text with [ ] box", true)).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,225 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, afterEach } from "vitest"
+import { EditorState } from "@codemirror/state"
+import { EditorView } from "@codemirror/view"
+import { CompletionContext } from "@codemirror/autocomplete"
+import {
+  parseWikiLink,
+  wikiLinkName,
+  buildWikiLinkIndex,
+  resolveWikiLink,
+  setWikiLinkNotes,
+  getWikiLinkNotes,
+  slugifyHeading,
+  findHeadingLine,
+  wikiLinkCompletionSource
+} from "../../../app/javascript/lib/wiki_links.js"
+
+describe("wiki_links", () => {
+  beforeEach(() => {
+    setWikiLinkNotes([])
+  })
+
+  describe("parseWikiLink", () => {
+    it("parses a plain target", () => {
+      expect(parseWikiLink("Note Name")).toEqual({ target: "Note Name", heading: "", label: "" })
+    })
+
+    it("parses a label", () => {
+      expect(parseWikiLink("Note Name|the note")).toEqual({ target: "Note Name", heading: "", label: "the note" })
+    })
+
+    it("accepts an escaped pipe so links work inside tables", () => {
+      expect(parseWikiLink("Note\\|label").label).toBe("label")
+    })
+
+    it("parses a heading", () => {
+      expect(parseWikiLink("Note#Setup Steps")).toEqual({ target: "Note", heading: "Setup Steps", label: "" })
+    })
+
+    it("parses a heading in the current note", () => {
+      expect(parseWikiLink("#Setup")).toEqual({ target: "", heading: "Setup", label: "" })
+    })
+
+    it("parses heading and label together", () => {
+      expect(parseWikiLink(" Note # Setup | see setup ")).toEqual({ target: "Note", heading: "Setup", label: "see setup" })
+    })
+
+    it("returns null when there is nothing to link to", () => {
+      expect(parseWikiLink("  ")).toBeNull()
+      expect(parseWikiLink("|label")).toBeNull()
+    })
+  })
+
+  describe("wikiLinkName", () => {
+    it("strips folders and the .md extension", () => {
+      expect(wikiLinkName("projects/Road Map.md")).toBe("Road Map")
+    })
+
+    it("names page bundles after their folder", () => {
+      expect(wikiLinkName("blog/2026/my-post/index.md")).toBe("my-post")
+      expect(wikiLinkName("blog/_index.md")).toBe("blog")
+    })
+
+    it("keeps a root index note as is", () => {
+      expect(wikiLinkName("index.md")).toBe("index")
+    })
+  })
+
+  describe("resolveWikiLink", () => {
+    const index = buildWikiLinkIndex([
+      "Inbox.md",
+      "projects/Road Map.md",
+      "archive/2025/Road Map.md",
+      "archive/Ideas.md",
+      "blog/my-post/index.md"
+    ])
+
+    it("resolves by note name, case-insensitively", () => {
+      expect(resolveWikiLink("inbox", index)).toBe("Inbox.md")
+      expect(resolveWikiLink("ideas", index)).toBe("archive/Ideas.md")
+    })
+
+    it("accepts the .md extension", () => {
+      expect(resolveWikiLink("Inbox.md", index)).toBe("Inbox.md")
+    })
+
+    it("prefers the note closest to the root when names collide", () => {
+      expect(resolveWikiLink("Road Map", index)).toBe("projects/Road Map.md")
+    })
+
+    it("resolves full paths", () => {
+      expect(resolveWikiLink("archive/2025/Road Map", index)).toBe("archive/2025/Road Map.md")
+      expect(resolveWikiLink("/projects/road map", index)).toBe("projects/Road Map.md")
+    })
+
+    it("resolves partial paths by suffix", () => {
+      expect(resolveWikiLink("2025/Road Map", index)).toBe("archive/2025/Road Map.md")
+    })
+
+    it("resolves page bundles by folder name", () => {
+      expect(resolveWikiLink("my-post", index)).toBe("blog/my-post/index.md")
+    })
+
+    it("returns null for unknown notes", () => {
+      expect(resolveWikiLink("Missing", index)).toBeNull()
+      expect(resolveWikiLink("other/Road Map", index)).toBeNull()
+      expect(resolveWikiLink("", index)).toBeNull()
+    })
+
+    it("uses the notes from setWikiLinkNotes by default", () => {
+      expect(resolveWikiLink("Inbox")).toBeNull()
+
+      setWikiLinkNotes(["Inbox.md"])
+
+      expect(resolveWikiLink("Inbox")).toBe("Inbox.md")
+    })
+  })
+
+  describe("setWikiLinkNotes", () => {
+    it("stores the notes", () => {
+      setWikiLinkNotes(["b.md", "a.md"])
+      expect(getWikiLinkNotes()).toEqual(["a.md", "b.md"])
+    })
+
+    it("reports whether the notes changed", () => {
+      expect(setWikiLinkNotes(["a.md", "b.md"])).toBe(true)
+      expect(setWikiLinkNotes(["b.md", "a.md"])).toBe(false)
+      expect(setWikiLinkNotes(["a.md"])).toBe(true)
+    })
+  })
+
+  describe("slugifyHeading", () => {
+    it("builds GitHub-style slugs", () => {
+      expect(slugifyHeading("Setup & Install Steps!")).toBe("setup--install-steps")
+      expect(slugifyHeading("  Título em Português ")).toBe("título-em-português")
+    })
+  })
+
+  describe("findHeadingLine", () => {
+    const markdown = "# Title\n\nText\n\n```\n## Setup\n```\n\n## Setup Steps ##\n"
+
+    it("finds headings by text or slug", () => {
+      expect(findHeadingLine(markdown, "Setup Steps")).toBe(9)
+      expect(findHeadingLine(markdown, "setup-steps")).toBe(9)
+      expect(findHeadingLine(markdown, "title")).toBe(1)
+    })
+
+    it("ignores headings inside fenced code", () => {
+      expect(findHeadingLine(markdown, "Setup")).toBeNull()
+    })
+  })
+
+  describe("wikiLinkCompletionSource", () => {
+    let view
+
+    const complete = (doc, pos = doc.length) => {
+      const state = EditorState.create({ doc })
+      return wikiLinkCompletionSource(new CompletionContext(state, pos, false))
+    }
+
+    beforeEach(() => {
+      setWikiLinkNotes(["Inbox.md", "projects/Road Map.md", "archive/Road Map.md", "projects/Ideas.md"])
+    })
+
+    afterEach(() => {
+      view?.destroy()
+      view = null
+    })
+
+    it("completes after [[", () => {
+      const result = complete("See [[Ro")
+
+      expect(result.from).toBe(6)
+      expect(result.options.map(option => option.label)).toContain("Inbox")
+    })
+
+    it("does nothing outside a wiki link", () => {
+      expect(complete("See [Ro")).toBeNull()
+      expect(complete("See [[Note|lab")).toBeNull()
+      expect(complete("See [[Note#hea")).toBeNull()
+    })
+
+    it("does nothing when there are no notes", () => {
+      setWikiLinkNotes([])
+      expect(complete("[[")).toBeNull()
+    })
+
+    it("shows the folder as detail", () => {
+      const ideas = complete("[[").options.find(option => option.label === "Ideas")
+      expect(ideas.detail).toBe("projects")
+    })
+
+    it("completes notes sharing a name with their path", () => {
+      const labels = complete("[[").options.map(option => option.label)
+
+      expect(labels).toContain("projects/Road Map")
+      expect(labels).toContain("archive/Road Map")
+      expect(labels).not.toContain("Road Map")
+    })
+
+    const applyOption = (doc, pos, label) => {
+      view = new EditorView({ state: EditorState.create({ doc, selection: { anchor: pos } }) })
+      const result = wikiLinkCompletionSource(new CompletionContext(view.state, pos, false))
+      const option = result.options.find(o => o.label === label)
+      option.apply(view, option, result.from, pos)
+      return view
+    }
+
+    it("closes the link when applied", () => {
+      const editor = applyOption("See [[In", 8, "Inbox")
+
+      expect(editor.state.doc.toString()).toBe("See [[Inbox]]")
+      expect(editor.state.selection.main.head).toBe(13)
+    })
+
+    it("does not duplicate an existing closing ]]", () => {
+      const editor = applyOption("See [[In]] more", 8, "Inbox")
+
+      expect(editor.state.doc.toString()).toBe("See [[Inbox]] more")
+      expect(editor.state.selection.main.head).toBe(13)
+    })
+  })
+})
@@ -27,6 +27,9 @@ export const marked = {
     }))
   },
 
+  // Mock parser that renders each token's text (used for per-block rendering)
+  parser: (tokens) => tokens.map(token => marked.parse(token.text)).join(""),
+
   // Mock Renderer class
   Renderer: class {
     constructor() {}
@@ -0,0 +1,11 @@
+// Mock for the mermaid library (the vendored bundle is too large to load in tests)
+import { vi } from "vitest"
+
+const mermaid = {
+  initialize: vi.fn(),
+  render: vi.fn(async (id, source) => ({
+    svg: `<svg id="${id}" data-source="${source.length}"></svg>`
+  }))
+}
+
+export default mermaid
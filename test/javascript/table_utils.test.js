@@ -7,7 +7,10 @@ import {
   deleteColumn,
   deleteRow,
   addColumn,
-  addRow
+  addRow,
+  cellPadding,
+  parseTableAlignment,
+  formatTableRows
 } from '../../app/javascript/lib/table_utils.js'
 
 describe('parseMarkdownTable', () => {
@@ -295,3 +298,52 @@ describe('addRow', () => {
     ])
   })
 })
+
+describe('generateMarkdownTable with wide characters', () => {
+  it('pads CJK and emoji cells by display width', () => {
+    const result = generateMarkdownTable([['名前', 'OK'], ['😀', 'yes']])
+
+    expect(result).toBe([
+      '| 名前 | OK  |',
+      '| ---- | --- |',
+      '| 😀   | yes |'
+    ].join('\n'))
+  })
+})
+
+describe('cellPadding', () => {
+  it('pads by alignment', () => {
+    expect(cellPadding('ab', 5)).toEqual({ before: '', after: '   ' })
+    expect(cellPadding('ab', 5, 'right')).toEqual({ before: '   ', after: '' })
+    expect(cellPadding('ab', 5, 'center')).toEqual({ before: ' ', after: '  ' })
+    expect(cellPadding('日本', 5)).toEqual({ before: '', after: ' ' })
+  })
+})
+
+describe('parseTableAlignment', () => {
+  it('reads the colons of separator cells', () => {
+    expect(parseTableAlignment(' --- ')).toBeNull()
+    expect(parseTableAlignment(':---')).toBe('left')
+    expect(parseTableAlignment(':---:')).toBe('center')
+    expect(parseTableAlignment('---:')).toBe('right')
+  })
+})
+
+describe('formatTableRows', () => {
+  it('aligns pipes and keeps column alignments', () => {
+    const { lines, contentStarts } = formatTableRows([['Name', 'Qty'], ['Apple', '12'], ['日本', '3']], ['left', 'right'])
+
+    expect(lines).toEqual([
+      '| Name  | Qty |',
+      '| :---- | --: |',
+      '| Apple |  12 |',
+      '| 日本  |   3 |'
+    ])
+    expect(contentStarts).toEqual([[2, 10], [], [2, 11], [2, 10]])
+  })
+
+  it('fills in missing cells', () => {
+    const { lines } = formatTableRows([['A', 'B'], ['1']])
+    expect(lines[2]).toBe('| 1   |     |')
+  })
+})
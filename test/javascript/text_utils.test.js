@@ -2,7 +2,8 @@ import { describe, it, expect } from "vitest"
 import {
   escapeHtmlString,
   fuzzyScore,
-  levenshteinDistance
+  levenshteinDistance,
+  displayWidth
 } from "../../app/javascript/lib/text_utils.js"
 
 describe("escapeHtmlString", () => {
@@ -107,3 +108,29 @@ describe("levenshteinDistance", () => {
     expect(levenshteinDistance("", "")).toBe(0)
   })
 })
+
+describe("displayWidth", () => {
+  it("counts one column per character of Latin text", () => {
+    expect(displayWidth("hello")).toBe(5)
+    expect(displayWidth("")).toBe(0)
+  })
+
+  it("counts two columns for CJK characters", () => {
+    expect(displayWidth("日本語")).toBe(6)
+    expect(displayWidth("한국어 ok")).toBe(9)
+    expect(displayWidth("ＡＢ")).toBe(4)
+  })
+
+  it("counts two columns for emoji, sequences included", () => {
+    expect(displayWidth("😀")).toBe(2)
+    expect(displayWidth("👍🏽")).toBe(2)
+    expect(displayWidth("👨‍👩‍👧")).toBe(2)
+    expect(displayWidth("🇯🇵")).toBe(2)
+    expect(displayWidth("❤️")).toBe(2)
+  })
+
+  it("leaves out combining marks", () => {
+    expect(displayWidth("e\u0301")).toBe(1)
+    expect(displayWidth("©")).toBe(1)
+  })
+})
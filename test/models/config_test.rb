@@ -88,6 +88,9 @@ class ConfigTest < ActiveSupport::TestCase
     assert_includes content, "# UI Settings"
     assert_includes content, "# theme ="
     assert_includes content, "# editor_font ="
+    assert_includes content, "# Preview HTML"
+    assert_includes content, "# preview_allowed_tags ="
+    assert_includes content, "# shortcode.notice ="
     assert_includes content, "# AWS S3"
     assert_includes content, "# YouTube API"
     assert_includes content, "# Google Custom Search"
@@ -105,8 +108,11 @@ class ConfigTest < ActiveSupport::TestCase
     assert_equal "cascadia-code", config.get(:editor_font)
     assert_equal 14, config.get(:editor_font_size)
     assert_equal 100, config.get(:preview_zoom)
+    assert_equal true, config.get(:preview_frontmatter)
     assert_equal true, config.get(:sidebar_visible)
     assert_equal false, config.get(:typewriter_mode)
+    assert_equal false, config.get(:editor_vim_mode)
+    assert_nil config.get(:editor_drop_resize)
     assert_nil config.get(:theme)
   end
 
@@ -175,6 +181,38 @@ class ConfigTest < ActiveSupport::TestCase
     assert_equal "light", config.get(:theme)
   end
 
+  test "reads shortcode templates" do
+    @test_dir.join(".fed").write(<<~CONFIG)
+      shortcode.notice = <div class="notice notice-{{ .Get 0 }}">{{ .Inner }}</div>
+      shortcode.blog/Card = "<article>{{ .Get \"title\" }}</article>"
+      shortcode.empty =
+      # shortcode.commented = <p></p>
+      theme = light
+    CONFIG
+
+    config = Config.new(base_path: @test_dir)
+
+    assert_equal({
+      "notice" => '<div class="notice notice-{{ .Get 0 }}">{{ .Inner }}</div>',
+      "blog/Card" => '<article>{{ .Get "title" }}</article>'
+    }, config.shortcode_templates)
+    assert_equal "light", config.get(:theme)
+  end
+
+  test "preserves shortcode templates when updating" do
+    @test_dir.join(".fed").write(<<~CONFIG)
+      shortcode.notice = <aside>{{ .Inner }}</aside>
+      theme = dark
+    CONFIG
+
+    config = Config.new(base_path: @test_dir)
+    config.set(:theme, "nord")
+
+    content = @test_dir.join(".fed").read
+    assert_includes content, "shortcode.notice = <aside>{{ .Inner }}</aside>"
+    assert_includes content, "theme = nord"
+  end
+
   # === ENV Fallback ===
 
   test "falls back to ENV for keys with ENV mapping" do
@@ -244,6 +244,64 @@ class NotesServiceTest < ActiveSupport::TestCase
     end
   end
 
+  # === asset ===
+
+  test "asset returns media files next to notes" do
+    create_test_note("2026/01/02/post/index.md")
+    image = create_test_note("2026/01/02/post/Cover.JPG", "jpg")
+
+    assert_equal image, @service.asset("2026/01/02/post/Cover.JPG")
+  end
+
+  test "asset does not serve notes, config or other files" do
+    create_test_note("post.md")
+    create_test_note(".fed", "aws_secret_access_key = secret")
+    create_test_note("script.js", "alert(1)")
+    create_test_folder("photos.png")
+
+    %w[post.md .fed script.js photos.png missing.png].each do |path|
+      assert_raises(NotesService::NotFoundError) { @service.asset(path) }
+    end
+  end
+
+  test "asset stays inside the notes directory" do
+    assert_raises(NotesService::InvalidPathError) { @service.asset("../../../etc/hosts.png") }
+  end
+
+  # === save_attachment ===
+
+  test "save_attachment saves the file next to the note without replacing another" do
+    create_test_note("trips/rome.md")
+    create_test_note("trips/tickets.pdf", "old")
+
+    path = @service.save_attachment("trips/rome.md", "tickets.pdf", StringIO.new("new"))
+
+    assert_equal "trips/tickets-1.pdf", path
+    assert_equal "new", @test_notes_dir.join("trips/tickets-1.pdf").read
+    assert_equal "old", @test_notes_dir.join("trips/tickets.pdf").read
+  end
+
+  test "save_attachment keeps files out of hidden and other folders" do
+    create_test_note("note.md")
+
+    assert_equal "fed.pdf", @service.save_attachment("note.md", ".fed.pdf", StringIO.new("x"))
+    assert_equal "passwd.txt", @service.save_attachment("note.md", "../../etc/passwd.txt", StringIO.new("x"))
+  end
+
+  test "save_attachment only saves files the preview serves" do
+    create_test_note("note.md")
+
+    %w[other.md page.html script.js .fed README].each do |filename|
+      assert_raises(NotesService::InvalidPathError) { @service.save_attachment("note.md", filename, StringIO.new("x")) }
+    end
+    assert_not @test_notes_dir.join("page.html").exist?
+    assert_equal "Scan.PDF", @service.save_attachment("note.md", "Scan.PDF", StringIO.new("x"))
+  end
+
+  test "save_attachment needs the note to exist" do
+    assert_raises(NotesService::NotFoundError) { @service.save_attachment("missing.md", "a.zip", StringIO.new("x")) }
+  end
+
   # === security ===
 
   test "prevents path traversal attacks" do
@@ -334,4 +392,88 @@ class NotesServiceTest < ActiveSupport::TestCase
     results = @service.search_content("[brackets")
     assert_equal 1, results.length
   end
+
+  # === backlinks ===
+
+  test "backlinks returns empty array for blank path" do
+    create_test_note("note.md", "[[target]]")
+    assert_equal [], @service.backlinks("")
+    assert_equal [], @service.backlinks(nil)
+  end
+
+  test "backlinks finds wiki links by note name" do
+    create_test_note("projects/Road Map.md", "# Road Map")
+    create_test_note("journal.md", "Intro\nSee [[road map|the plan]] today\nOutro")
+
+    results = @service.backlinks("projects/Road Map.md")
+    assert_equal 1, results.length
+    assert_equal "journal.md", results.first[:path]
+    assert_equal "journal", results.first[:name]
+    assert_equal 2, results.first[:line_number]
+    assert_includes results.first[:match_text], "[[road map|the plan]]"
+  end
+
+  test "backlinks finds wiki links by path and with headings" do
+    create_test_note("projects/Road Map.md", "# Road Map")
+    create_test_note("a.md", "[[projects/Road Map#Q1]]")
+
+    assert_equal [ "a.md" ], @service.backlinks("projects/Road Map.md").map { |r| r[:path] }
+  end
+
+  test "backlinks resolves wiki links to the note closest to the root" do
+    create_test_note("Ideas.md", "root")
+    create_test_note("archive/Ideas.md", "old")
+    create_test_note("a.md", "[[Ideas]]")
+
+    assert_equal 1, @service.backlinks("Ideas.md").length
+    assert_equal [], @service.backlinks("archive/Ideas.md")
+  end
+
+  test "backlinks finds relative markdown links" do
+    create_test_note("projects/Road Map.md", "# Road Map")
+    create_test_note("a.md", "[plan](projects/Road%20Map.md)")
+    create_test_note("notes/b.md", "[plan](../projects/Road%20Map.md#goals)")
+    create_test_note("projects/c.md", "[plan](<Road Map.md>)")
+
+    paths = @service.backlinks("projects/Road Map.md").map { |r| r[:path] }
+    assert_equal [ "a.md", "notes/b.md", "projects/c.md" ], paths
+  end
+
+  test "backlinks finds absolute links and link definitions" do
+    create_test_note("target.md", "# Target")
+    create_test_note("a.md", "[t](/notes/target.md)")
+    create_test_note("b.md", "[t][ref]\n\n[ref]: /target")
+
+    results = @service.backlinks("target.md")
+    assert_equal [ [ "a.md", 1 ], [ "b.md", 3 ] ], results.map { |r| [ r[:path], r[:line_number] ] }
+  end
+
+  test "backlinks ignores images, external links and code blocks" do
+    create_test_note("target.md", "# Target")
+    create_test_note("a.md", "![img](target.md)\n[ext](https://example.com/target.md)\n```\n[[target]]\n```")
+
+    assert_equal [], @service.backlinks("target.md")
+  end
+
+  test "backlinks ignores links from the note to itself" do
+    create_test_note("target.md", "[[target]] [self](target.md)")
+
+    assert_equal [], @service.backlinks("target.md")
+  end
+
+  test "backlinks includes context lines" do
+    create_test_note("target.md", "# Target")
+    create_test_note("a.md", "before\n[[target]]\nafter\nlater")
+
+    context = @service.backlinks("target.md", context_lines: 1).first[:context]
+    assert_equal [ 1, 2, 3 ], context.map { |c| c[:line_number] }
+    assert_equal [ false, true, false ], context.map { |c| c[:is_match] }
+  end
+
+  test "backlinks links page bundles by folder name" do
+    create_test_note("blog/my-post/index.md", "post")
+    create_test_note("a.md", "[[my-post]]\n[post](blog/my-post/)")
+
+    assert_equal [ 1, 2 ], @service.backlinks("blog/my-post/index.md").map { |r| r[:line_number] }
+  end
 end
@@ -11,6 +11,9 @@ export default defineConfig({
     alias: {
       'lib': path.resolve(__dirname, 'app/javascript/lib'),
       'marked': path.resolve(__dirname, 'test/javascript/mocks/marked.js'),
+      // The vendored bundle the app pins, so tests see the same languages
+      'highlight.js': path.resolve(__dirname, 'vendor/javascript/highlight.js.js'),
+      'mermaid': path.resolve(__dirname, 'test/javascript/mocks/mermaid.js'),
       '@hotwired/turbo-rails': path.resolve(__dirname, 'test/javascript/mocks/turbo-rails.js'),
       '@rails/request.js': path.resolve(__dirname, 'test/javascript/mocks/requestjs.js'),
     },